@@ -0,0 +1,21 @@
+// Runs react-scripts build with the settings the app needs, in a way that works from any shell
+// (POSIX `VAR=value cmd` prefixes don't work in Windows cmd or PowerShell). The build ID lets
+// UpdatePrompt tell an open copy of the app from a newly deployed one: set BUILD_ID in CI, or
+// it's the current git commit, or the build time when git isn't available.
+const { execSync } = require('child_process');
+
+const getBuildId = () => {
+    if (process.env.BUILD_ID) return process.env.BUILD_ID;
+    try {
+        return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (error) {
+        return new Date().toISOString().replace(/[-:]/g, '').slice(0, 13);
+    }
+};
+
+process.env.REACT_APP_BUILD_ID = getBuildId();
+process.env.GENERATE_SOURCEMAP = 'false';
+process.env.ESLINT_NO_DEV_ERRORS = 'true';
+
+console.log(`Building ${process.env.REACT_APP_BUILD_ID}`);
+require('react-scripts/scripts/build');
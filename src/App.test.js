@@ -1,8 +1,274 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import React, { useEffect, useState } from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import HomePage from './HomePage';
+import UnitView from './UnitView';
+import FloorPlanPage from './FloorPlanPage';
+import { createUnitsRepository } from './unitsRepository';
+import { createMemoryBackend } from './memoryBackend';
+import { createTaskId, createSetCompletedOperation } from './taskOperations';
+import useNotifications from './useNotifications';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const COLLECTIONS = ['units', 'projects', 'buildings', 'templates', 'subcontractors', 'members'];
+const admin = { id: 'admin@example.com', email: 'admin@example.com', role: 'admin' };
+const unassignedRoute = { page: 'home', location: { unassigned: true }, search: '' };
+
+// Stands in for App: keeps the shared collections and the admin's notifications from the
+// repository and re-renders the page whenever one changes
+const Shell = ({ repository, renderPage }) => {
+  const [data, setData] = useState(() => Object.fromEntries(COLLECTIONS.map(name => [name, []])));
+  useEffect(() => {
+    const unsubscribes = COLLECTIONS.map(name => repository.subscribe(name, (docs) => setData(current => ({ ...current, [name]: docs }))));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [repository]);
+  const notificationInbox = useNotifications(repository, admin, data.units, { senderConfig: { sender: 'stub' } });
+  return renderPage(data, notificationInbox);
+};
+
+const renderHomePage = (repository, route = unassignedRoute, onOpenUnit = jest.fn()) => render(
+  <Shell
+    repository={repository}
+    renderPage={(data, notificationInbox) => (
+      <HomePage
+        {...data}
+        notificationInbox={notificationInbox}
+        notificationSenderKind="stub"
+        repository={repository}
+        member={admin}
+        userId="user-1"
+        userEmail={admin.email}
+        pendingOperations={[]}
+        route={route}
+        navigate={jest.fn()}
+        replaceRoute={jest.fn()}
+        onOpenUnit={onOpenUnit}
+        onSignOut={jest.fn()}
+      />
+    )}
+  />
+);
+
+// Task changes skip the offline queue and go straight to the repository
+const renderUnitView = (repository, unitId) => render(
+  <Shell
+    repository={repository}
+    renderPage={(data) => (
+      <UnitView
+        repository={repository}
+        member={admin}
+        userId="user-1"
+        userEmail={admin.email}
+        unitId={unitId}
+        trade={null}
+        projects={data.projects}
+        buildings={data.buildings}
+        templates={data.templates}
+        subcontractors={data.subcontractors}
+        pendingOperations={[]}
+        enqueueOperation={(operation) => repository.applyTaskOperation({ ...operation, id: createTaskId(), userId: 'user-1', queuedAt: Date.now() })}
+        uploadPhoto={null}
+        uploadSignature={async (id, role) => ({ url: `https://example.com/${role}.png`, path: `artifacts/app/units/${id}/signatures/${role}.png` })}
+        suggestionConfig={{ provider: 'mock' }}
+        onSelectTrade={jest.fn()}
+        onBack={jest.fn()}
+      />
+    )}
+  />
+);
+
+const changeInput = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+test('adds a unit from the home page', async () => {
+  const repository = createUnitsRepository(createMemoryBackend());
+  renderHomePage(repository);
+
+  fireEvent.click(screen.getByText('Add Single Unit'));
+  changeInput(/Unit Name/, 'A-101');
+  changeInput(/Unit Address/, '1 Main St');
+  fireEvent.click(screen.getByText('Add Unit'));
+
+  expect(await screen.findByRole('heading', { name: 'A-101' })).toBeInTheDocument();
+  expect(screen.queryByText('Add New Unit')).not.toBeInTheDocument();
+  expect(await repository.getUnit('A-101')).toMatchObject({ address: '1 Main St', status: 'Not Started' });
+});
+
+test('keeps a half-filled dialog open when the units change underneath it', async () => {
+  const repository = createUnitsRepository(createMemoryBackend());
+  renderHomePage(repository);
+
+  fireEvent.click(screen.getByText('Add Single Unit'));
+  changeInput(/Unit Name/, 'A-102');
+  await act(() => repository.addUnit('B-201', '2 Main St'));
+
+  expect(screen.getByRole('heading', { name: 'B-201' })).toBeInTheDocument();
+  expect(screen.getByLabelText(/Unit Name/)).toHaveValue('A-102');
+});
+
+test('generates units into buildings', async () => {
+  const repository = createUnitsRepository(createMemoryBackend());
+  renderHomePage(repository, { page: 'home', location: {}, search: '' });
+
+  fireEvent.click(screen.getByText('Generate Units'));
+  changeInput(/Building names/, 'A');
+  changeInput(/Units per floor/, '2');
+  fireEvent.click(screen.getByText('Create 4 Units'));
+
+  await waitFor(() => expect(screen.queryByText('Create 4 Units')).not.toBeInTheDocument());
+  expect(await repository.getUnit('A-Unit202')).toMatchObject({ projectId: 'default-project', buildingId: 'default-project--a', floor: 2 });
+});
+
+test('shows a ready unit in the inbox and marks it read when opened', async () => {
+  const completedAt = '2026-10-18T09:00:00.000Z';
+  const repository = createUnitsRepository(createMemoryBackend({
+    units: { 'A-101': { address: '1 Main St', trades: { Electrical: [{ id: 'e1', task: 'Install outlets', completed: true, completedAt }] } } }
+  }));
+  const onOpenUnit = jest.fn();
+  renderHomePage(repository, unassignedRoute, onOpenUnit);
+
+  fireEvent.click(await screen.findByText('Notifications (1)'));
+  fireEvent.click(screen.getByText('A-101 is ready for inspection'));
+
+  expect(onOpenUnit).toHaveBeenCalledWith('A-101', null);
+  expect(await screen.findByText('Notifications')).toBeInTheDocument();
+  expect(await new Promise(resolve => repository.subscribeNotificationSettings(admin.id, resolve))).toMatchObject({
+    readIds: [`unitReady:A-101:${completedAt}`]
+  });
+});
+
+test('opens pinned units from the floor plan and pins the rest', async () => {
+  const repository = createUnitsRepository(createMemoryBackend({
+    buildings: { 'tower--a': { projectId: 'tower', name: 'A', floorCount: 1, floorPlans: { 1: { url: 'https://example.com/plan.jpg', width: 400, height: 200 } } } },
+    units: {
+      'A-101': { address: '1 Main St', buildingId: 'tower--a', floor: 1, planPosition: { x: 0.5, y: 0.5 }, trades: {} },
+      'A-102': { address: '2 Main St', buildingId: 'tower--a', floor: 1, trades: {} }
+    }
+  }));
+  const onOpenUnit = jest.fn();
+  render(
+    <Shell
+      repository={repository}
+      renderPage={(data) => (
+        <FloorPlanPage
+          repository={repository}
+          member={admin}
+          building={data.buildings[0]}
+          floor={1}
+          units={data.units}
+          pendingOperations={[]}
+          uploadFloorPlan={null}
+          onOpenUnit={onOpenUnit}
+          onBack={jest.fn()}
+        />
+      )}
+    />
+  );
+
+  fireEvent.click(await screen.findByTitle('A-101 · Not Started'));
+  expect(onOpenUnit).toHaveBeenCalledWith('A-101');
+
+  fireEvent.click(screen.getByText('Place Units'));
+  fireEvent.click(screen.getByText('A-102'));
+  const plan = screen.getByRole('group', { name: 'Floor plan' });
+  plan.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 200 });
+  fireEvent.click(plan, { clientX: 100, clientY: 150 });
+
+  expect(await screen.findByTitle('A-102 · Not Started')).toBeInTheDocument();
+  expect((await repository.getUnit('A-102')).planPosition).toEqual({ x: 0.25, y: 0.75 });
+});
+
+test('completes a task on selected units and undoes it', async () => {
+  const repository = createUnitsRepository(createMemoryBackend());
+  await repository.addUnit('A-101', '1 Main St');
+  await repository.addUnit('A-102', '2 Main St');
+  await repository.addUnit('A-103', '3 Main St');
+  renderHomePage(repository);
+
+  fireEvent.click(await screen.findByText('Select Units'));
+  fireEvent.click(screen.getByLabelText('Select A-101'));
+  fireEvent.click(screen.getByLabelText('Select A-102'));
+  fireEvent.click(screen.getByText('Batch Actions'));
+  changeInput('Trade:', 'Electrical');
+  changeInput('Task:', 'rough-in wiring');
+
+  expect(screen.getByText('2 of 2 units will change (2 changes).')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Apply to 2 Units'));
+
+  expect(await screen.findByText('Marked "rough-in wiring" complete in Electrical on 2 units.')).toBeInTheDocument();
+  const completed = async (unitId) => (await repository.getUnit(unitId)).trades.Electrical[0].completed;
+  expect([await completed('A-101'), await completed('A-102'), await completed('A-103')]).toEqual([true, true, false]);
+
+  fireEvent.click(screen.getByText('Undo'));
+  await waitFor(() => expect(screen.queryByText('Undo')).not.toBeInTheDocument());
+  expect([await completed('A-101'), await completed('A-102')]).toEqual([false, false]);
+});
+
+test('marks a task completed', async () => {
+  const repository = createUnitsRepository(createMemoryBackend());
+  await repository.addUnit('A-101', '1 Main St');
+  renderUnitView(repository, 'A-101');
+
+  expect(await screen.findByText('Tasks for Electrical')).toBeInTheDocument();
+  fireEvent.click(screen.getAllByText('Mark Completed')[0]);
+
+  expect(await screen.findByText('Undo Completed')).toBeInTheDocument();
+  const unit = await repository.getUnit('A-101');
+  expect(unit.trades.Electrical[0].completed).toBe(true);
+  expect(unit.status).toBe('In Progress');
+});
+
+test('passes an inspection with both signatures, locking the checklist until reopened', async () => {
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+  jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,c2lnbmVk');
+  jest.spyOn(window, 'prompt').mockReturnValue('Owner found a scratch');
+  const repository = createUnitsRepository(createMemoryBackend());
+  await repository.addUnit('A-101', '1 Main St');
+  const { trades } = await repository.getUnit('A-101');
+  for (const [tradeName, tasks] of Object.entries(trades)) {
+    for (const task of tasks) {
+      await repository.applyTaskOperation({ ...createSetCompletedOperation('A-101', tradeName, task, true), id: createTaskId(), userId: 'user-1', queuedAt: Date.now() });
+    }
+  }
+  renderUnitView(repository, 'A-101');
+
+  fireEvent.click(await screen.findByText('Start Inspection'));
+  while (screen.queryByText('Next Trade')) {
+    fireEvent.click(screen.getByText('Pass All'));
+    fireEvent.click(screen.getByText('Next Trade'));
+  }
+  fireEvent.click(screen.getByText('Pass All'));
+  fireEvent.click(screen.getByText('Review and Sign'));
+  changeInput('Inspector name:', 'Ines');
+  changeInput("Owner's rep name:", 'Omar');
+  expect(screen.getByText('Pass Inspection')).toBeDisabled();
+  ['Inspector signature', "Owner's rep signature"].forEach(label => {
+    fireEvent.pointerDown(screen.getByLabelText(label), { clientX: 10, clientY: 10 });
+    fireEvent.pointerUp(screen.getByLabelText(label));
+  });
+  fireEvent.click(screen.getByText('Pass Inspection'));
+
+  expect(await screen.findByText(/Passed inspection on .*\. The checklist is locked\./)).toBeInTheDocument();
+  expect(screen.getByAltText("Owner's rep signature")).toHaveAttribute('src', 'https://example.com/ownerRep.png');
+  expect((await repository.getUnit('A-101')).inspection.ownerRep.signature).toEqual({ url: 'https://example.com/ownerRep.png', path: 'artifacts/app/units/A-101/signatures/ownerRep.png' });
+  expect(screen.queryByText('Undo Completed')).not.toBeInTheDocument();
+  expect((await repository.getUnit('A-101')).status).toBe('Complete');
+
+  fireEvent.click(screen.getByText('Reopen Unit'));
+  expect(await screen.findByText(/Reopened by admin@example.com .*: Owner found a scratch/)).toBeInTheDocument();
+  expect(screen.getAllByText('Undo Completed').length).toBeGreaterThan(0);
+  jest.restoreAllMocks();
+});
+
+test('reviews and adds suggested tasks', async () => {
+  const repository = createUnitsRepository(createMemoryBackend());
+  await repository.addUnit('A-101', '1 Main St');
+  renderUnitView(repository, 'A-101');
+
+  fireEvent.click(await screen.findByText('Suggest More Tasks ✨'));
+  const addButton = await screen.findByText(/^Add \d+ Tasks$/);
+  const count = parseInt(addButton.textContent.match(/\d+/)[0], 10);
+  fireEvent.click(addButton);
+
+  await waitFor(() => expect(screen.queryByText(/^Add \d+ Tasks$/)).not.toBeInTheDocument());
+  await waitFor(async () => expect((await repository.getUnit('A-101')).trades.Electrical).toHaveLength(2 + count));
+  const added = (await repository.getUnit('A-101')).trades.Electrical.slice(2);
+  expect(await screen.findByText(added[count - 1].task)).toBeInTheDocument();
 });
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { sortByName } from './hierarchy';
+
+const inputClass = "border rounded py-1 px-2 text-gray-700 text-sm focus:outline-none focus:shadow-outline";
+
+// Inline subcontractor + due date picker used for a whole trade or a single task.
+// onSave({ subcontractorId, dueDate }) receives nulls for cleared fields.
+const AssignmentEditor = ({ idPrefix, subcontractors, tradeName, assignment = {}, saveLabel = 'Save', onSave, onCancel }) => {
+    const [subcontractorId, setSubcontractorId] = useState(assignment.subcontractorId || '');
+    const [dueDate, setDueDate] = useState(assignment.dueDate || '');
+
+    // Companies in this trade first, then everyone else in case a trade was renamed
+    const options = [
+        ...sortByName(subcontractors.filter(subcontractor => subcontractor.trade === tradeName)),
+        ...sortByName(subcontractors.filter(subcontractor => subcontractor.trade !== tradeName))
+    ];
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave({ subcontractorId: subcontractorId || null, dueDate: dueDate || null });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+            <label htmlFor={`${idPrefix}-subcontractor`} className="text-sm text-gray-700">
+                <span className="block font-semibold">Assigned to</span>
+                <select id={`${idPrefix}-subcontractor`} className={inputClass} value={subcontractorId} onChange={(e) => setSubcontractorId(e.target.value)}>
+                    <option value="">Unassigned</option>
+                    {options.map(subcontractor => (
+                        <option key={subcontractor.id} value={subcontractor.id}>{subcontractor.name} ({subcontractor.trade})</option>
+                    ))}
+                </select>
+            </label>
+            <label htmlFor={`${idPrefix}-due`} className="text-sm text-gray-700">
+                <span className="block font-semibold">Due</span>
+                <input type="date" id={`${idPrefix}-due`} className={inputClass} value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+            </label>
+            <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-1 px-3 rounded-lg">{saveLabel}</button>
+            {onCancel && (
+                <button type="button" onClick={onCancel} className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-1 px-3 rounded-lg">Cancel</button>
+            )}
+        </form>
+    );
+};
+
+export default AssignmentEditor;
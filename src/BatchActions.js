@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { getAllowedBatchActions, getBatchAction, getBatchTaskNames, planBatchAction } from './batchOperations';
+
+// Picks one change for the selected units and previews how many it touches before applying it.
+// units have this device's queued changes applied. onApply(action, plan) resolves to whether
+// the change was made.
+const BatchActions = ({ units, member, tradeNames, onApply, onClose }) => {
+    const tradeOptions = tradeNames.filter(trade => getAllowedBatchActions(member, trade).length > 0);
+    const [trade, setTrade] = useState(tradeOptions[0] || '');
+    const tradeName = trade.trim();
+    const allowedActions = getAllowedBatchActions(member, tradeName);
+    const [type, setType] = useState(allowedActions.length > 0 ? allowedActions[0].type : '');
+    const [taskName, setTaskName] = useState('');
+    const [taskNamesText, setTaskNamesText] = useState('');
+    const [isApplying, setIsApplying] = useState(false);
+
+    const actionType = allowedActions.some(action => action.type === type) ? type : (allowedActions[0] || {}).type;
+    const { input } = getBatchAction(actionType) || {};
+    const taskNames = taskNamesText.split('\n').map(name => name.trim()).filter(Boolean);
+    const action = { type: actionType, trade: tradeName, taskName: taskName.trim(), taskNames };
+    const isComplete = !!tradeName && !!actionType && (input !== 'task' || action.taskName !== '') && (input !== 'tasks' || taskNames.length > 0);
+    const plan = isComplete ? planBatchAction(units, action) : [];
+    const operationCount = plan.reduce((sum, change) => sum + change.operations.length, 0);
+
+    const handleApply = async () => {
+        setIsApplying(true);
+        const applied = await onApply(action, plan);
+        setIsApplying(false);
+        if (applied) onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md">
+                <h2 className="text-2xl font-bold mb-2 text-gray-800">Batch Actions</h2>
+                <p className="text-sm text-gray-600 mb-4">{units.length} unit{units.length === 1 ? '' : 's'} selected</p>
+                <div className="mb-4">
+                    <label htmlFor="batch-trade" className="block text-gray-700 text-sm font-bold mb-2">Trade:</label>
+                    <input
+                        id="batch-trade"
+                        list="batch-trade-names"
+                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                        value={trade}
+                        readOnly={member.role === 'sub'}
+                        onChange={(e) => setTrade(e.target.value)}
+                    />
+                    <datalist id="batch-trade-names">
+                        {tradeOptions.map(name => <option key={name} value={name} />)}
+                    </datalist>
+                </div>
+                <div className="mb-4">
+                    <label htmlFor="batch-action" className="block text-gray-700 text-sm font-bold mb-2">Action:</label>
+                    <select
+                        id="batch-action"
+                        className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                        value={actionType || ''}
+                        onChange={(e) => setType(e.target.value)}
+                    >
+                        {allowedActions.map(item => <option key={item.type} value={item.type}>{item.label}</option>)}
+                    </select>
+                </div>
+                {input === 'task' && (
+                    <div className="mb-4">
+                        <label htmlFor="batch-task" className="block text-gray-700 text-sm font-bold mb-2">Task:</label>
+                        <input
+                            id="batch-task"
+                            list="batch-task-names"
+                            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                            value={taskName}
+                            onChange={(e) => setTaskName(e.target.value)}
+                            placeholder="e.g., Device trim"
+                        />
+                        <datalist id="batch-task-names">
+                            {getBatchTaskNames(units, tradeName).map(name => <option key={name} value={name} />)}
+                        </datalist>
+                    </div>
+                )}
+                {input === 'tasks' && (
+                    <div className="mb-4">
+                        <label htmlFor="batch-tasks" className="block text-gray-700 text-sm font-bold mb-2">Tasks (one per line):</label>
+                        <textarea
+                            id="batch-tasks"
+                            rows={4}
+                            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                            value={taskNamesText}
+                            onChange={(e) => setTaskNamesText(e.target.value)}
+                        />
+                    </div>
+                )}
+                <p className="text-sm text-gray-700 mb-6" aria-live="polite">
+                    {isComplete
+                        ? `${plan.length} of ${units.length} unit${units.length === 1 ? '' : 's'} will change (${operationCount} change${operationCount === 1 ? '' : 's'}).`
+                        : 'Pick a trade and what to change to see how many units it affects.'}
+                </p>
+                <div className="flex justify-end gap-4">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleApply}
+                        disabled={plan.length === 0 || isApplying}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out disabled:opacity-50"
+                    >
+                        {isApplying ? 'Applying...' : `Apply to ${plan.length} Unit${plan.length === 1 ? '' : 's'}`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BatchActions;
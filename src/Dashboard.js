@@ -0,0 +1,158 @@
+import React from 'react';
+import ProgressBar from './ProgressBar';
+import {
+    getBuildingCompletion,
+    getTradeCompletion,
+    getOpenItemsBySubcontractor,
+    getCompletionBurndown,
+    getSlowestUnits
+} from './dashboardStats';
+import { UNASSIGNED } from './unitFilters';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+
+const Panel = ({ title, children }) => (
+    <section className="bg-gray-50 border border-gray-200 rounded-lg p-5">
+        <h2 className="text-xl font-semibold text-gray-800 mb-4">{title}</h2>
+        {children}
+    </section>
+);
+
+// One clickable bar; the whole row links to the matching unit list
+const BarRow = ({ label, detail, percent, colorClass, onClick }) => (
+    <li>
+        <button onClick={onClick} className="w-full text-left rounded-lg p-2 hover:bg-blue-50">
+            <span className="flex justify-between text-sm mb-1">
+                <span className="font-semibold text-gray-800">{label}</span>
+                <span className="text-gray-600">{detail}</span>
+            </span>
+            <ProgressBar percent={percent} colorClass={colorClass} label={`${label}: ${detail}`} />
+        </button>
+    </li>
+);
+
+const BurndownChart = ({ series }) => {
+    const max = Math.max(1, ...series.map(point => point.open));
+    const step = series.length > 1 ? CHART_WIDTH / (series.length - 1) : 0;
+    const points = series.map((point, index) => `${index * step},${CHART_HEIGHT - (point.open / max) * CHART_HEIGHT}`).join(' ');
+    const first = series[0];
+    const last = series[series.length - 1];
+    return (
+        <figure>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-48" role="img" aria-label={`Open items went from ${first.open} on ${first.date} to ${last.open} on ${last.date}`}>
+                <polygon points={`0,${CHART_HEIGHT} ${points} ${CHART_WIDTH},${CHART_HEIGHT}`} className="fill-current text-blue-100" />
+                <polyline points={points} fill="none" strokeWidth="3" className="stroke-current text-blue-600" />
+            </svg>
+            <figcaption className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{first.date} · {first.open} open</span>
+                <span>Peak {max}</span>
+                <span>{last.date} · {last.open} open</span>
+            </figcaption>
+        </figure>
+    );
+};
+
+// Completion analytics for management. units already include queued offline changes.
+// onSelectFilter(filters) opens the unit grid filtered to a clicked bar (see unitFilters).
+const Dashboard = ({ units, buildings, subcontractors, onSelectFilter, onOpenUnit, onBack }) => {
+    const buildingRows = getBuildingCompletion(units, buildings);
+    const tradeRows = getTradeCompletion(units);
+    const subcontractorRows = getOpenItemsBySubcontractor(units, subcontractors);
+    const burndown = getCompletionBurndown(units);
+    const slowestUnits = getSlowestUnits(units);
+    const maxOpen = Math.max(1, ...subcontractorRows.map(row => row.open));
+
+    return (
+        <div className="p-6 max-w-5xl mx-auto bg-white rounded-lg shadow-xl mt-10 font-sans">
+            <button
+                onClick={onBack}
+                className="mb-6 bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+            >
+                &larr; Back to Home
+            </button>
+            <h1 className="text-3xl font-bold mb-6 text-gray-800">Dashboard</h1>
+
+            {units.length === 0 ? (
+                <p className="text-center text-gray-500 text-lg">No units yet.</p>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <Panel title="Complete by Building">
+                        <ul className="space-y-1">
+                            {buildingRows.map(row => (
+                                <BarRow
+                                    key={row.buildingId || 'unassigned'}
+                                    label={row.name}
+                                    detail={`${row.percent}% · ${row.unitCount} unit${row.unitCount === 1 ? '' : 's'}`}
+                                    percent={row.percent}
+                                    onClick={() => onSelectFilter({ buildingId: row.buildingId || UNASSIGNED })}
+                                />
+                            ))}
+                        </ul>
+                    </Panel>
+
+                    <Panel title="Complete by Trade">
+                        <ul className="space-y-1">
+                            {tradeRows.map(row => (
+                                <BarRow
+                                    key={row.trade}
+                                    label={row.trade}
+                                    detail={`${row.percent}% · ${row.total - row.completed} open`}
+                                    percent={row.percent}
+                                    colorClass="bg-green-600"
+                                    onClick={() => onSelectFilter({ trade: row.trade })}
+                                />
+                            ))}
+                        </ul>
+                    </Panel>
+
+                    <Panel title="Open Items by Subcontractor">
+                        {subcontractorRows.length === 0 ? (
+                            <p className="text-gray-500">No open items.</p>
+                        ) : (
+                            <ul className="space-y-1">
+                                {subcontractorRows.map(row => (
+                                    <BarRow
+                                        key={row.subcontractorId || 'unassigned'}
+                                        label={row.name}
+                                        detail={`${row.open} open${row.overdue > 0 ? ` · ${row.overdue} overdue` : ''}`}
+                                        percent={Math.round((row.open / maxOpen) * 100)}
+                                        colorClass={row.overdue > 0 ? 'bg-red-600' : 'bg-yellow-500'}
+                                        onClick={() => onSelectFilter({ assignee: row.subcontractorId || UNASSIGNED })}
+                                    />
+                                ))}
+                            </ul>
+                        )}
+                    </Panel>
+
+                    <Panel title="Slowest Units">
+                        {slowestUnits.length === 0 ? (
+                            <p className="text-gray-500">No units in progress.</p>
+                        ) : (
+                            <ul className="divide-y divide-gray-200">
+                                {slowestUnits.map(row => (
+                                    <li key={row.unitId}>
+                                        <button onClick={() => onOpenUnit(row.unitId)} className="w-full flex justify-between gap-3 text-left p-2 rounded-lg hover:bg-blue-50">
+                                            <span className="font-semibold text-blue-800">{row.unitId}</span>
+                                            <span className="text-sm text-gray-600">
+                                                {row.percent}% · {row.open} open · {row.daysSinceProgress === null ? 'no dated progress' : `last progress ${row.daysSinceProgress} day${row.daysSinceProgress === 1 ? '' : 's'} ago`}
+                                            </span>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </Panel>
+
+                    <div className="lg:col-span-2">
+                        <Panel title="Open Items, Last 30 Days">
+                            <BurndownChart series={burndown} />
+                        </Panel>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Dashboard;
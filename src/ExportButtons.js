@@ -0,0 +1,39 @@
+import React from 'react';
+import { showMessage } from './showMessage';
+import { downloadSpreadsheet } from './spreadsheets';
+
+// "Export CSV" / "Export Excel" for a set of rows built on click
+const ExportButtons = ({ getRows, fileName, className = '' }) => {
+    const handleExport = async (format) => {
+        try {
+            const rows = getRows();
+            if (rows.length === 0) {
+                showMessage("There is nothing to export here yet.", "error");
+                return;
+            }
+            await downloadSpreadsheet(rows, fileName, format);
+        } catch (error) {
+            console.error("Error exporting punch list:", error);
+            showMessage(`Error exporting punch list: ${error.message}`, 'error');
+        }
+    };
+
+    return (
+        <span className={`inline-flex gap-2 ${className}`}>
+            <button
+                onClick={() => handleExport('csv')}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-2 px-3 rounded-lg transition duration-300 ease-in-out"
+            >
+                Export CSV
+            </button>
+            <button
+                onClick={() => handleExport('xlsx')}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-2 px-3 rounded-lg transition duration-300 ease-in-out"
+            >
+                Export Excel
+            </button>
+        </span>
+    );
+};
+
+export default ExportButtons;
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { showMessage } from './showMessage';
+import { can } from './permissions';
+import { withPendingOperations } from './taskOperations';
+import { STATUS_COLORS } from './unitProgress';
+import { getFloorPlan, getFloorPins, toPlanPosition, isPdfFile } from './floorPlans';
+
+// A floor's plan with its units pinned on it, colored by status. Tapping a pin opens the unit.
+// Managers upload the plan and, in edit mode, pick a unit and tap the plan to pin (or move) it.
+// uploadFloorPlan(buildingId, floor, file, page) resolves to the stored plan, with page the sheet
+// to use from a PDF, or is null while uploads aren't available.
+const FloorPlanPage = ({ repository, member, building, floor, units, pendingOperations, uploadFloorPlan, onOpenUnit, onBack }) => {
+    const [isUploading, setIsUploading] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [selectedUnitId, setSelectedUnitId] = useState(null); // the unit the next tap places
+    const canManage = can(member, 'projects.manage');
+
+    if (!building) {
+        return (
+            <div className="p-6 max-w-4xl w-full mx-auto bg-white rounded-lg shadow-xl mt-10 font-sans text-center">
+                <p className="text-gray-700 mb-4">Building not found. It may have been deleted.</p>
+                <button onClick={onBack} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg">
+                    &larr; Back to Units
+                </button>
+            </div>
+        );
+    }
+
+    const plan = getFloorPlan(building, floor);
+    const { pins, unpinned } = getFloorPins(units.map(unit => withPendingOperations(unit, pendingOperations)), building.id, floor);
+    const selectedUnit = units.find(unit => unit.id === selectedUnitId) || null;
+
+    const handleUpload = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = ''; // let the same file be picked again
+        if (!file) return;
+        if (!uploadFloorPlan || !navigator.onLine) {
+            showMessage("Plans can only be uploaded while online.", "error");
+            return;
+        }
+        let page = 1;
+        if (isPdfFile(file)) {
+            const answer = window.prompt(`Which page of the PDF is the plan for floor ${floor}?`, '1');
+            if (answer === null) return;
+            page = Number(answer.trim());
+        }
+        setIsUploading(true);
+        try {
+            const uploaded = await uploadFloorPlan(building.id, floor, file, page);
+            await repository.saveFloorPlan(building.id, floor, uploaded);
+            showMessage(`Plan for floor ${floor} saved.`);
+        } catch (error) {
+            console.error("Error uploading floor plan:", error);
+            showMessage(`Error uploading floor plan: ${error.message}`, 'error');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const placeUnit = async (unitId, position) => {
+        try {
+            await repository.setUnitPlanPosition(unitId, position);
+            setSelectedUnitId(null);
+        } catch (error) {
+            console.error("Error pinning unit:", error);
+            showMessage(`Error pinning unit: ${error.message}`, 'error');
+        }
+    };
+
+    const handlePlanClick = (e) => {
+        if (!isEditing || !selectedUnitId) return;
+        placeUnit(selectedUnitId, toPlanPosition(e.clientX, e.clientY, e.currentTarget.getBoundingClientRect()));
+    };
+
+    const handlePinClick = (e, unitId) => {
+        e.stopPropagation();
+        if (isEditing) {
+            setSelectedUnitId(unitId === selectedUnitId ? null : unitId);
+        } else {
+            onOpenUnit(unitId);
+        }
+    };
+
+    return (
+        <div className="p-6 max-w-5xl w-full mx-auto bg-white rounded-lg shadow-xl mt-10 font-sans">
+            <button
+                onClick={onBack}
+                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg mb-4 transition duration-300 ease-in-out"
+            >
+                &larr; Back to Units
+            </button>
+            <h1 className="text-3xl font-bold mb-2 text-center text-gray-800">{building.name} · Floor {floor}</h1>
+            <p className="text-center text-gray-600 mb-4">
+                {pins.length} unit{pins.length === 1 ? '' : 's'} on the plan
+                {unpinned.length > 0 && ` · ${unpinned.length} not placed yet`}
+            </p>
+
+            <div className="flex justify-center flex-wrap gap-3 mb-4">
+                {Object.entries(STATUS_COLORS).map(([status, colors]) => (
+                    <span key={status} className="flex items-center gap-1 text-sm text-gray-700">
+                        <span className={`inline-block w-3 h-3 rounded-full ${colors.bar}`}></span>
+                        {status}
+                    </span>
+                ))}
+            </div>
+
+            {canManage && (
+                <div className="flex justify-center flex-wrap gap-3 mb-4">
+                    <label className={`bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg cursor-pointer ${isUploading ? 'opacity-50 pointer-events-none' : ''}`}>
+                        {isUploading ? 'Uploading...' : plan ? 'Replace Plan' : 'Upload Plan'}
+                        <input type="file" accept="image/*,application/pdf" disabled={isUploading} onChange={handleUpload} className="hidden" />
+                    </label>
+                    {plan && (
+                        <button
+                            onClick={() => {
+                                setIsEditing(!isEditing);
+                                setSelectedUnitId(null);
+                            }}
+                            className={`font-bold py-2 px-4 rounded-lg ${isEditing ? 'bg-yellow-500 hover:bg-yellow-600 text-white' : 'bg-blue-100 hover:bg-blue-200 text-blue-800'}`}
+                        >
+                            {isEditing ? 'Done Placing' : 'Place Units'}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {!plan ? (
+                <p className="text-center text-gray-500 text-lg py-10">
+                    No plan for this floor yet.{canManage ? ' Upload an image of it to pin the units.' : ''}
+                </p>
+            ) : (
+                <>
+                    {isEditing && (
+                        <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
+                            <p className="text-sm text-gray-700 mb-2">
+                                {selectedUnit
+                                    ? `Tap the plan where ${selectedUnit.id} is.`
+                                    : 'Pick a unit, then tap its spot on the plan. Tap a pin to move it.'}
+                            </p>
+                            <div className="flex flex-wrap gap-2">
+                                {unpinned.map(unit => (
+                                    <button
+                                        key={unit.id}
+                                        onClick={() => setSelectedUnitId(unit.id === selectedUnitId ? null : unit.id)}
+                                        className={`text-sm py-1 px-3 rounded-full border ${unit.id === selectedUnitId ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-800 border-gray-300 hover:bg-gray-100'}`}
+                                    >
+                                        {unit.id}
+                                    </button>
+                                ))}
+                                {selectedUnit && selectedUnit.planPosition && (
+                                    <button
+                                        onClick={() => placeUnit(selectedUnit.id, null)}
+                                        className="text-sm py-1 px-3 rounded-full bg-red-100 text-red-800 hover:bg-red-200"
+                                    >
+                                        Remove {selectedUnit.id} from Plan
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    <div
+                        role="group"
+                        aria-label="Floor plan"
+                        className={`relative border rounded-lg overflow-hidden ${isEditing && selectedUnit ? 'cursor-crosshair' : ''}`}
+                        onClick={handlePlanClick}
+                    >
+                        <img src={plan.url} alt={`Floor ${floor} plan of ${building.name}`} className="block w-full h-auto select-none" draggable="false" />
+                        {pins.map(({ unit, x, y, status }) => (
+                            <button
+                                key={unit.id}
+                                onClick={(e) => handlePinClick(e, unit.id)}
+                                title={`${unit.id} · ${status}`}
+                                style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+                                className={`absolute -translate-x-1/2 -translate-y-1/2 px-2 py-1 rounded-full text-xs font-bold text-white shadow-md whitespace-nowrap ${STATUS_COLORS[status].bar} ${unit.id === selectedUnitId ? 'ring-4 ring-blue-400' : ''}`}
+                            >
+                                {unit.id}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default FloorPlanPage;
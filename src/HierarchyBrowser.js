@@ -0,0 +1,103 @@
+import React from 'react';
+import ProgressBar from './ProgressBar';
+import { getRollupProgress, getBuildingFloors, sortByName } from './hierarchy';
+
+const LevelCard = ({ title, subtitle, progress, onClick }) => (
+    <button
+        onClick={onClick}
+        className="text-left bg-blue-50 border border-blue-200 rounded-lg p-5 shadow-sm hover:shadow-md transition-shadow duration-200"
+    >
+        <h2 className="text-xl font-semibold text-blue-800 mb-1">{title}</h2>
+        {subtitle && <p className="text-gray-700 mb-2">{subtitle}</p>}
+        <p className="text-sm text-gray-600 mb-2">
+            {progress.unitCount} unit{progress.unitCount === 1 ? '' : 's'} · {progress.completed}/{progress.total} tasks · {progress.percent}%
+        </p>
+        <ProgressBar percent={progress.percent} label={`${title} progress`} />
+    </button>
+);
+
+// Breadcrumbs plus the child levels of the current location (projects, buildings or floors)
+// with rolled-up progress. The unit grid for a floor is rendered by the caller.
+const HierarchyBrowser = ({ projects, buildings, units, location, onNavigate, unassignedCount }) => {
+    const project = projects.find(item => item.id === location.projectId);
+    const building = buildings.find(item => item.id === location.buildingId);
+
+    const crumbs = [{ label: 'All Projects', location: {} }];
+    if (location.unassigned) {
+        crumbs.push({ label: 'Unassigned Units', location });
+    }
+    if (project) {
+        crumbs.push({ label: project.name, location: { projectId: project.id } });
+    }
+    if (building) {
+        crumbs.push({ label: building.name, location: { projectId: project && project.id, buildingId: building.id } });
+    }
+    if (location.floor) {
+        crumbs.push({ label: `Floor ${location.floor}`, location });
+    }
+
+    let children = null;
+    if (!location.projectId && !location.unassigned) {
+        children = sortByName(projects).map(item => (
+            <LevelCard
+                key={item.id}
+                title={item.name}
+                progress={getRollupProgress(units.filter(unit => unit.projectId === item.id))}
+                onClick={() => onNavigate({ projectId: item.id })}
+            />
+        ));
+        if (unassignedCount > 0) {
+            children.push(
+                <LevelCard
+                    key="unassigned"
+                    title="Unassigned Units"
+                    subtitle="Not yet placed in a project"
+                    progress={getRollupProgress(units.filter(unit => !unit.buildingId))}
+                    onClick={() => onNavigate({ unassigned: true })}
+                />
+            );
+        }
+    } else if (project && !building) {
+        children = sortByName(buildings.filter(item => item.projectId === project.id)).map(item => (
+            <LevelCard
+                key={item.id}
+                title={item.name}
+                progress={getRollupProgress(units.filter(unit => unit.buildingId === item.id))}
+                onClick={() => onNavigate({ projectId: project.id, buildingId: item.id })}
+            />
+        ));
+    } else if (building && !location.floor) {
+        children = getBuildingFloors(building, units).map(floor => (
+            <LevelCard
+                key={floor}
+                title={`Floor ${floor}`}
+                progress={getRollupProgress(units.filter(unit => unit.buildingId === building.id && unit.floor === floor))}
+                onClick={() => onNavigate({ projectId: project && project.id, buildingId: building.id, floor })}
+            />
+        ));
+    }
+
+    return (
+        <div className="mb-6">
+            <nav aria-label="Breadcrumb" className="flex flex-wrap items-center gap-2 text-sm mb-4">
+                {crumbs.map((crumb, index) => (
+                    <React.Fragment key={crumb.label}>
+                        {index > 0 && <span className="text-gray-400">/</span>}
+                        {index === crumbs.length - 1 ? (
+                            <span className="font-semibold text-gray-800">{crumb.label}</span>
+                        ) : (
+                            <button onClick={() => onNavigate(crumb.location)} className="text-blue-700 hover:underline">{crumb.label}</button>
+                        )}
+                    </React.Fragment>
+                ))}
+            </nav>
+            {children && (children.length === 0 ? (
+                <p className="text-center text-gray-500 text-lg">Nothing here yet.</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">{children}</div>
+            ))}
+        </div>
+    );
+};
+
+export default HierarchyBrowser;
@@ -0,0 +1,100 @@
+import React from 'react';
+
+const formatValue = (value) => {
+    if (value === true) return 'Completed';
+    if (value === false) return 'Pending';
+    return value === null || value === undefined ? '—' : String(value);
+};
+
+export const describeHistoryAction = (entry) => {
+    switch (entry.action) {
+        case 'toggle':
+            return entry.newValue ? 'Marked completed' : 'Marked pending';
+        case 'add':
+            return 'Added task';
+        case 'ai-add':
+            return 'Added AI-suggested task';
+        case 'verify':
+            return 'Verified';
+        case 'reject':
+            return `Rejected: ${entry.reason}`;
+        case 'rename':
+            return 'Renamed task';
+        case 'notes':
+            return 'Updated notes';
+        case 'delete':
+            return 'Deleted task';
+        case 'reorder':
+            return 'Reordered tasks';
+        case 'assign':
+            return entry.newValue ? 'Assigned' : 'Cleared assignment';
+        case 'photo':
+            return `Added ${entry.newValue} photo`;
+        case 'restore':
+            return 'Restored task';
+        case 'add-trade':
+            return `Added trade with ${entry.newValue} task${entry.newValue === 1 ? '' : 's'}`;
+        case 'delete-trade':
+            return 'Removed trade';
+        case 'inspection':
+            return `Inspection ${entry.newValue.toLowerCase()}`;
+        case 'reopen':
+            return `Reopened: ${entry.reason}`;
+        default:
+            return entry.action;
+    }
+};
+
+// Server time once the entry has synced, otherwise the time the change was made on the device
+const getEntryDate = (entry) => (entry.timestamp && entry.timestamp.toDate ? entry.timestamp.toDate() : new Date(entry.clientTime));
+
+// Read-only list of audit entries for a unit or a single task
+const HistoryPanel = ({ title, entries, onClose }) => (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+        <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl my-8">
+            <h2 className="text-2xl font-bold mb-4 text-gray-800">{title}</h2>
+            {entries.length === 0 ? (
+                <p className="text-gray-500 mb-4">No changes recorded yet.</p>
+            ) : (
+                <div className="overflow-x-auto mb-4">
+                    <table className="w-full text-sm text-left">
+                        <thead>
+                            <tr className="border-b text-gray-600">
+                                <th className="py-2 pr-3">When</th>
+                                <th className="py-2 pr-3">Who</th>
+                                <th className="py-2 pr-3">Task</th>
+                                <th className="py-2 pr-3">Change</th>
+                                <th className="py-2">Old → New</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map(entry => (
+                                <tr key={entry.id} className="border-b align-top">
+                                    <td className="py-2 pr-3 whitespace-nowrap">{getEntryDate(entry).toLocaleString()}</td>
+                                    {entry.userEmail ? (
+                                        <td className="py-2 pr-3 break-all">{entry.userEmail}</td>
+                                    ) : (
+                                        <td className="py-2 pr-3 font-mono text-xs break-all">{entry.userId}</td>
+                                    )}
+                                    <td className="py-2 pr-3">{entry.taskName ? `${entry.trade}: ${entry.taskName}` : entry.trade}</td>
+                                    <td className="py-2 pr-3">{describeHistoryAction(entry)}</td>
+                                    <td className="py-2">{formatValue(entry.oldValue)} → {formatValue(entry.newValue)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            <div className="flex justify-end">
+                <button
+                    onClick={onClose}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    </div>
+);
+
+export default HistoryPanel;
@@ -0,0 +1,864 @@
+import React, { useState } from 'react';
+import { showMessage } from './showMessage';
+import QRLabelSheet from './QRLabelSheet';
+import { getBuildingName, getUnitQrLink } from './qrLabels';
+import QRScanner from './QRScanner';
+import { parseUnitQrCode } from './qrScanLogic';
+import { withPendingOperations, createTaskId } from './taskOperations';
+import { getUnitProgress, deriveUnitStatus, STATUS_COLORS } from './unitProgress';
+import ProgressBar from './ProgressBar';
+import HierarchyBrowser from './HierarchyBrowser';
+import UnitGenerator from './UnitGenerator';
+import TemplateEditor from './TemplateEditor';
+import { DEFAULT_TEMPLATE_ID, withDefaultTemplate, getTemplateUnitFields, getTemplatePushTargets } from './templates';
+import { DEFAULT_PROJECT_NAME, slugify, getBuildingId, planHierarchyMigration } from './hierarchy';
+import MembersManager from './MembersManager';
+import { ROLES, can } from './permissions';
+import SubcontractorManager from './SubcontractorManager';
+import { getSubcontractorName } from './assignments';
+import UnitImporter from './UnitImporter';
+import ExportButtons from './ExportButtons';
+import { buildPunchListRows, getExportFileName } from './punchListExport';
+import { buildUnitReport } from './punchListReport';
+import { createBuildingPdf } from './punchListPdf';
+import { getRoutePath } from './router';
+import UnitFilterBar from './UnitFilterBar';
+import { DEFAULT_UNIT_FILTERS, parseUnitFilters, serializeUnitFilters, hasActiveFilters, applyUnitFilters } from './unitFilters';
+import NotificationInbox from './NotificationInbox';
+import BatchActions from './BatchActions';
+import { getAllowedBatchActions, describeBatchAction } from './batchOperations';
+
+// The unit browser: hierarchy, filters and the unit grid, plus the dialogs for adding units
+// and managing templates, the team and subcontractors. Filters and the open hierarchy level
+// live in the URL; everything else is local state. tenantId is the job on show and
+// jobSwitcher the control for changing it. Units picked in select mode can be changed together
+// with batch actions, which write straight to the repository and can be undone.
+const HomePage = ({
+    repository,
+    member,
+    userId,
+    userEmail,
+    tenantId,
+    defaultTenantId,
+    jobSwitcher,
+    units,
+    projects,
+    buildings,
+    templates,
+    subcontractors,
+    members,
+    pendingOperations,
+    notificationInbox,
+    notificationSenderKind,
+    route,
+    navigate,
+    replaceRoute,
+    onOpenUnit,
+    onSignOut
+}) => {
+    const [showAddUnitModal, setShowAddUnitModal] = useState(false);
+    const [newUnitName, setNewUnitName] = useState('');
+    const [newUnitAddress, setNewUnitAddress] = useState('');
+    const [labelSheetUnitIds, setLabelSheetUnitIds] = useState(null); // null while the label sheet is closed
+    const [showScanner, setShowScanner] = useState(false);
+    const [showGenerator, setShowGenerator] = useState(false);
+    const [showTemplateEditor, setShowTemplateEditor] = useState(false);
+    const [newUnitTemplateId, setNewUnitTemplateId] = useState(DEFAULT_TEMPLATE_ID);
+    const [showMembersManager, setShowMembersManager] = useState(false);
+    const [showSubcontractorManager, setShowSubcontractorManager] = useState(false);
+    const [showImporter, setShowImporter] = useState(false);
+    const [isGeneratingPdf, setIsGeneratingPdf] = useState(false);
+    const [showNotifications, setShowNotifications] = useState(false);
+    const [isSelecting, setIsSelecting] = useState(false);
+    const [selectedUnitIds, setSelectedUnitIds] = useState([]);
+    const [showBatchActions, setShowBatchActions] = useState(false);
+    const [lastBatch, setLastBatch] = useState(null); // { summary, undoOperations } of the latest batch action
+    const [isUndoingBatch, setIsUndoingBatch] = useState(false);
+    const hierarchyLocation = route.location; // { projectId, buildingId, floor } or { unassigned: true }
+    const unitFilters = parseUnitFilters(route.search);
+
+    const canManageProjects = can(member, 'projects.manage');
+
+    const availableTemplates = withDefaultTemplate(templates);
+    const allTradeNames = [...new Set(availableTemplates.flatMap(template => template.trades.map(trade => trade.name)))];
+    const knownTradeNames = [...new Set([...allTradeNames, ...units.flatMap(unit => Object.keys(unit.trades || {}))])];
+    const canBatchEdit = knownTradeNames.some(trade => getAllowedBatchActions(member, trade).length > 0);
+
+    const unassignedUnits = units.filter(unit => !unit.buildingId);
+    const isFiltering = hasActiveFilters(unitFilters);
+
+    const updateUnitFilters = (changes) => {
+        replaceRoute(`${getRoutePath(route)}${serializeUnitFilters({ ...unitFilters, ...changes })}`);
+    };
+
+    const handleNavigateHierarchy = (location) => {
+        navigate(`${getRoutePath({ page: 'home', location })}${serializeUnitFilters(unitFilters)}`);
+    };
+
+    // Filters and sorting see queued task changes; the grid applies them again itself,
+    // so hand back the stored units
+    const filterAndSortUnits = (unitList, filters) => {
+        const unitsById = new Map(unitList.map(unit => [unit.id, unit]));
+        return applyUnitFilters(unitList.map(unit => withPendingOperations(unit, pendingOperations)), filters).map(unit => unitsById.get(unit.id));
+    };
+    // New units are placed on the floor being viewed
+    const currentFloorPlacement = hierarchyLocation.floor ? {
+        projectId: hierarchyLocation.projectId,
+        buildingId: hierarchyLocation.buildingId,
+        floor: hierarchyLocation.floor
+    } : null;
+    let gridUnits = null;
+    if (isFiltering) {
+        gridUnits = filterAndSortUnits(units, unitFilters);
+    } else if (hierarchyLocation.unassigned) {
+        gridUnits = filterAndSortUnits(unassignedUnits, { ...DEFAULT_UNIT_FILTERS, sort: unitFilters.sort });
+    } else if (currentFloorPlacement) {
+        const floorUnits = units.filter(unit => unit.buildingId === currentFloorPlacement.buildingId && unit.floor === currentFloorPlacement.floor);
+        gridUnits = filterAndSortUnits(floorUnits, { ...DEFAULT_UNIT_FILTERS, sort: unitFilters.sort });
+    }
+
+    // Only units still on show are acted on, even if others were picked before the view changed
+    const selectedUnits = (gridUnits || [])
+        .filter(unit => selectedUnitIds.includes(unit.id))
+        .map(unit => withPendingOperations(unit, pendingOperations));
+
+    // Units and a name for whatever level of the hierarchy is open, for export
+    const getExportScope = () => {
+        const building = buildings.find(item => item.id === hierarchyLocation.buildingId);
+        const project = projects.find(item => item.id === hierarchyLocation.projectId);
+        if (isFiltering) {
+            return { units: gridUnits, name: 'Filtered units' };
+        }
+        if (gridUnits) {
+            return { units: gridUnits, name: hierarchyLocation.unassigned ? 'Unassigned units' : `${building ? building.name : 'Building'} Floor ${hierarchyLocation.floor}` };
+        }
+        if (hierarchyLocation.buildingId) {
+            return { units: units.filter(unit => unit.buildingId === hierarchyLocation.buildingId), name: building ? building.name : 'Building' };
+        }
+        if (hierarchyLocation.projectId) {
+            return { units: units.filter(unit => unit.projectId === hierarchyLocation.projectId), name: project ? project.name : 'Project' };
+        }
+        return { units, name: 'All units' };
+    };
+    const exportScope = getExportScope();
+
+    const handleOpenAddUnitModal = () => {
+        setNewUnitName('');
+        setNewUnitAddress('');
+        setNewUnitTemplateId(availableTemplates[0].id);
+        setShowAddUnitModal(true);
+    };
+
+    const handleCloseAddUnitModal = () => {
+        setShowAddUnitModal(false);
+    };
+    const handleConfirmAddUnit = async () => {
+        if (newUnitName.trim() === '' || newUnitAddress.trim() === '') {
+            showMessage("Unit name and address cannot be empty.", "error");
+            return;
+        }
+        const template = availableTemplates.find(item => item.id === newUnitTemplateId) || availableTemplates[0];
+        try {
+            await repository.addUnit(newUnitName, newUnitAddress, currentFloorPlacement || {}, template);
+            showMessage(`Unit "${newUnitName}" added successfully!`);
+            handleCloseAddUnitModal();
+        } catch (error) {
+            console.error("Error adding unit:", error);
+            showMessage(`Error adding unit: ${error.message}`, 'error');
+        }
+    };
+
+    const handleGenerateUnits = async (projectId, templateId, plannedUnits) => {
+        try {
+            const template = availableTemplates.find(item => item.id === templateId) || availableTemplates[0];
+            await repository.createUnits(projectId, plannedUnits.map(unit => ({ ...unit, ...getTemplateUnitFields(template) })), { projects, buildings });
+            showMessage(`Successfully added ${plannedUnits.length} units!`);
+            return true;
+        } catch (error) {
+            console.error("Error generating units:", error);
+            showMessage(`Error generating units: ${error.message}. No units were added.`, 'error');
+            return false;
+        }
+    };
+
+    const handleImportUnits = async (projectId, importedUnits) => {
+        try {
+            await repository.createUnits(projectId, importedUnits, { projects, buildings });
+            showMessage(`Imported ${importedUnits.length} units!`);
+            return true;
+        } catch (error) {
+            console.error("Error importing units:", error);
+            showMessage(`Error importing units: ${error.message}. No units were added.`, 'error');
+            return false;
+        }
+    };
+
+    const handleCreateProject = async () => {
+        const name = window.prompt("Project name:");
+        if (!name || !name.trim()) return;
+        let projectId = slugify(name) || 'project';
+        if (projects.some(project => project.id === projectId)) {
+            projectId = `${projectId}-${Date.now().toString(36)}`;
+        }
+        try {
+            await repository.createProject(projectId, name.trim());
+            handleNavigateHierarchy({ projectId });
+            showMessage(`Project "${name.trim()}" created!`);
+        } catch (error) {
+            console.error("Error creating project:", error);
+            showMessage(`Error creating project: ${error.message}`, 'error');
+        }
+    };
+
+    const handleCreateBuilding = async () => {
+        const { projectId } = hierarchyLocation;
+        const name = window.prompt("Building name:");
+        if (!name || !name.trim()) return;
+        const floorCount = parseInt(window.prompt("Number of floors:", "1"), 10);
+        if (!floorCount || floorCount < 1) {
+            showMessage("Number of floors must be at least 1.", "error");
+            return;
+        }
+        const buildingId = getBuildingId(projectId, name);
+        if (buildings.some(building => building.id === buildingId)) {
+            showMessage(`Building "${name.trim()}" already exists in this project.`, "error");
+            return;
+        }
+        try {
+            await repository.createBuilding(buildingId, { projectId, name: name.trim(), floorCount });
+            showMessage(`Building "${name.trim()}" created!`);
+        } catch (error) {
+            console.error("Error creating building:", error);
+            showMessage(`Error creating building: ${error.message}`, 'error');
+        }
+    };
+
+    // Moves prefix-named units ("BuildingA-Unit01") into the default project and their buildings
+    const handleMigrateUnits = async () => {
+        const plan = planHierarchyMigration(units, buildings);
+        if (plan.unitUpdates.length === 0) {
+            showMessage("No units could be matched to a building by name.", "error");
+            return;
+        }
+        const skippedNote = plan.skipped.length > 0 ? ` ${plan.skipped.length} unit(s) without a building prefix will stay unassigned.` : '';
+        if (!window.confirm(`This will place ${plan.unitUpdates.length} unit(s) into ${DEFAULT_PROJECT_NAME} and create ${plan.buildings.length} building(s).${skippedNote} Continue?`)) {
+            return;
+        }
+
+        try {
+            await repository.migrateUnits(plan, { projects });
+            showMessage(`Migrated ${plan.unitUpdates.length} units into ${plan.buildings.length} buildings.`);
+        } catch (error) {
+            console.error("Error migrating units:", error);
+            showMessage(`Error migrating units: ${error.message}`, 'error');
+        }
+    };
+
+    const handleSaveTemplate = async (template) => {
+        try {
+            const templateId = await repository.saveTemplate(template);
+            showMessage(`Template "${template.name.trim()}" saved!`);
+            return templateId;
+        } catch (error) {
+            console.error("Error saving template:", error);
+            showMessage(`Error saving template: ${error.message}`, 'error');
+            return null;
+        }
+    };
+
+    const handleDeleteTemplate = async (templateId) => {
+        try {
+            await repository.deleteTemplate(templateId);
+            showMessage("Template deleted.");
+        } catch (error) {
+            console.error("Error deleting template:", error);
+            showMessage(`Error deleting template: ${error.message}`, 'error');
+        }
+    };
+
+    // Rebuilds the checklist of every unstarted unit created from the template
+    const handlePushTemplate = async (template) => {
+        const targets = getTemplatePushTargets(units, template.id);
+        if (!window.confirm(`Replace the checklist of ${targets.length} unit(s) that haven't started with "${template.name}"? Tasks added by hand to those units will be removed.`)) {
+            return;
+        }
+        try {
+            await repository.pushTemplate(template, targets);
+            showMessage(`Updated ${targets.length} unit(s) from "${template.name}".`);
+        } catch (error) {
+            console.error("Error pushing template:", error);
+            showMessage(`Error updating units: ${error.message}. No units were changed.`, 'error');
+        }
+    };
+
+    const handleSaveMember = async (memberId, fields) => {
+        if (!memberId) {
+            showMessage("Email cannot be empty.", "error");
+            return false;
+        }
+        try {
+            await repository.saveMember(memberId, fields);
+            showMessage(`Access saved for ${fields.email}.`);
+            return true;
+        } catch (error) {
+            console.error("Error saving member:", error);
+            showMessage(`Error saving member: ${error.message}`, 'error');
+            return false;
+        }
+    };
+
+    const handleRemoveMember = async (memberId) => {
+        if (!window.confirm(`Remove access for ${memberId}?`)) return;
+        try {
+            await repository.removeMember(memberId);
+            showMessage(`Access removed for ${memberId}.`);
+        } catch (error) {
+            console.error("Error removing member:", error);
+            showMessage(`Error removing member: ${error.message}`, 'error');
+        }
+    };
+
+    const handleSaveSubcontractor = async (subcontractor) => {
+        try {
+            await repository.saveSubcontractor(subcontractor);
+            showMessage(`Subcontractor "${subcontractor.name.trim()}" saved!`);
+            return true;
+        } catch (error) {
+            console.error("Error saving subcontractor:", error);
+            showMessage(`Error saving subcontractor: ${error.message}`, 'error');
+            return false;
+        }
+    };
+
+    const handleRemoveSubcontractor = async (subcontractorId) => {
+        const name = getSubcontractorName(subcontractors, subcontractorId);
+        if (!window.confirm(`Remove ${name}? Items assigned to them will show the company ID until reassigned.`)) return;
+        try {
+            await repository.removeSubcontractor(subcontractorId);
+            showMessage(`${name} removed.`);
+        } catch (error) {
+            console.error("Error removing subcontractor:", error);
+            showMessage(`Error removing subcontractor: ${error.message}`, 'error');
+        }
+    };
+
+    const handleBuildingPdf = async () => {
+        const building = buildings.find(item => item.id === hierarchyLocation.buildingId);
+        const buildingUnits = units.filter(unit => unit.buildingId === hierarchyLocation.buildingId);
+        if (!building || buildingUnits.length === 0) {
+            showMessage("This building has no units to report on yet.", "error");
+            return;
+        }
+        setIsGeneratingPdf(true);
+        try {
+            const reports = buildingUnits.map(unit => buildUnitReport(
+                withPendingOperations(unit, pendingOperations),
+                { projects, buildings, subcontractors }
+            ));
+            const pdf = await createBuildingPdf(building.name, reports, { getQrLink: (unitId) => getUnitQrLink(unitId, tenantId) });
+            pdf.save(`${getExportFileName(building.name, { kind: 'closeout' })}.pdf`);
+        } catch (error) {
+            console.error("Error creating building report:", error);
+            showMessage(`Error creating building report: ${error.message}`, 'error');
+        } finally {
+            setIsGeneratingPdf(false);
+        }
+    };
+
+    const toggleUnitSelected = (unitId) => {
+        setSelectedUnitIds(selectedUnitIds.includes(unitId) ? selectedUnitIds.filter(id => id !== unitId) : [...selectedUnitIds, unitId]);
+    };
+
+    const handleStopSelecting = () => {
+        setIsSelecting(false);
+        setSelectedUnitIds([]);
+    };
+
+    // Batch changes are stamped like the outbox stamps single edits, but skip the queue: they
+    // need the latest copy of every unit to preview and to undo
+    const applyBatchOperations = (operations) => repository.applyTaskOperationsInBatches(
+        operations.map(operation => ({ ...operation, id: createTaskId(), userId, userEmail, queuedAt: Date.now() }))
+    );
+
+    const handleApplyBatch = async (action, plan) => {
+        if (!navigator.onLine) {
+            showMessage("Batch changes can only be made while online.", "error");
+            return false;
+        }
+        try {
+            // Units that were locked or deleted since the plan was made are skipped, so the
+            // summary counts the units that actually changed
+            const { undoOperations, unitCount, error } = await applyBatchOperations(plan.flatMap(change => change.operations));
+            const summary = `${describeBatchAction(action)} on ${unitCount} unit${unitCount === 1 ? '' : 's'}.`;
+            if (unitCount > 0) setLastBatch({ summary, undoOperations });
+            if (error) {
+                // The units changed before the error stay changed, and Undo reverts them
+                console.error("Error applying batch action:", error);
+                showMessage(`Error applying batch action: ${error.message}${unitCount > 0 ? ` ${summary} Use Undo to revert them.` : ''}`, 'error');
+                return false;
+            }
+            showMessage(summary);
+            return true;
+        } catch (error) {
+            console.error("Error applying batch action:", error);
+            showMessage(`Error applying batch action: ${error.message}`, 'error');
+            return false;
+        }
+    };
+
+    const handleUndoBatch = async () => {
+        if (!navigator.onLine) {
+            showMessage("Batch changes can only be undone while online.", "error");
+            return;
+        }
+        setIsUndoingBatch(true);
+        try {
+            // Undo operations that already landed change nothing when applied again, so a
+            // failed undo keeps the banner and can simply be retried
+            const { error } = await applyBatchOperations(lastBatch.undoOperations);
+            if (error) throw error;
+            showMessage(`Undone: ${lastBatch.summary}`);
+            setLastBatch(null);
+        } catch (error) {
+            console.error("Error undoing batch action:", error);
+            showMessage(`Error undoing batch action: ${error.message}`, 'error');
+        } finally {
+            setIsUndoingBatch(false);
+        }
+    };
+
+    const handleOpenLabelSheet = (unitIds = null) => {
+        setLabelSheetUnitIds(unitIds || units.map(unit => unit.id));
+    };
+
+    // Called by the scanner for every decoded code; throwing keeps the scanner open with the error.
+    // A label from another job opens that job, never a unit with the same ID in this one.
+    const handleScannedCode = (text) => {
+        const { unitId, tenantId: labelTenantId } = parseUnitQrCode(text);
+        if ((labelTenantId || defaultTenantId) !== tenantId) {
+            setShowScanner(false);
+            navigate(getRoutePath({ page: 'unit', unitId, tenantId: labelTenantId || defaultTenantId }));
+            return;
+        }
+        if (!units.some(unit => unit.id === unitId)) {
+            throw new Error(`Unit "${unitId}" was not found. It may have been deleted.`);
+        }
+        setShowScanner(false);
+        onOpenUnit(unitId);
+    };
+
+    return (
+        <div className="p-6 max-w-4xl mx-auto bg-white rounded-lg shadow-xl mt-10 font-sans">
+            <h1 className="text-3xl font-bold mb-6 text-center text-gray-800">Construction Project Tracker</h1>
+            <p className="text-center text-gray-600 mb-8">
+                Signed in as <span className="font-semibold">{userEmail}</span> · {ROLES[member.role] || member.role}{member.role === 'sub' && member.trade ? ` (${member.trade})` : ''}
+                <button onClick={onSignOut} className="ml-3 text-sm text-blue-700 hover:underline">Sign Out</button>
+            </p>
+            {jobSwitcher}
+
+            <div className="flex justify-center flex-wrap gap-4 mb-8">
+                <button
+                    onClick={() => navigate(getRoutePath({ page: 'dashboard' }))}
+                    className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                >
+                    Dashboard
+                </button>
+                <button
+                    onClick={() => setShowNotifications(true)}
+                    className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                >
+                    Notifications{notificationInbox.unread.length > 0 && ` (${notificationInbox.unread.length})`}
+                </button>
+                <button
+                    onClick={() => setShowScanner(true)}
+                    className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                >
+                    Scan
+                </button>
+                {can(member, 'units.create') && (
+                    <>
+                        <button
+                            onClick={handleOpenAddUnitModal}
+                            className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                        >
+                            Add Single Unit
+                        </button>
+                        <button
+                            onClick={() => setShowGenerator(true)}
+                            className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                        >
+                            Generate Units
+                        </button>
+                        <button
+                            onClick={() => setShowImporter(true)}
+                            className="bg-purple-100 hover:bg-purple-200 text-purple-800 font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                        >
+                            Import Units
+                        </button>
+                    </>
+                )}
+                {can(member, 'templates.manage') && (
+                    <button
+                        onClick={() => setShowTemplateEditor(true)}
+                        className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                    >
+                        Templates
+                    </button>
+                )}
+                {member.subcontractorId && (
+                    <button
+                        onClick={() => navigate(getRoutePath({ page: 'myPunchList' }))}
+                        className="bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                    >
+                        My Punch List
+                    </button>
+                )}
+                {can(member, 'subcontractors.manage') && (
+                    <button
+                        onClick={() => setShowSubcontractorManager(true)}
+                        className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                    >
+                        Subcontractors
+                    </button>
+                )}
+                {can(member, 'members.manage') && (
+                    <button
+                        onClick={() => setShowMembersManager(true)}
+                        className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                    >
+                        Team
+                    </button>
+                )}
+                <button
+                    onClick={() => handleOpenLabelSheet()}
+                    disabled={units.length === 0}
+                    className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50"
+                >
+                    Print QR Labels
+                </button>
+                {hierarchyLocation.floor && (
+                    <button
+                        onClick={() => navigate(getRoutePath({ page: 'floorPlan', location: hierarchyLocation }))}
+                        className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                    >
+                        Floor Plan
+                    </button>
+                )}
+                {canManageProjects && !hierarchyLocation.projectId && !hierarchyLocation.unassigned && (
+                    <button
+                        onClick={handleCreateProject}
+                        className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                    >
+                        New Project
+                    </button>
+                )}
+                {canManageProjects && hierarchyLocation.projectId && !hierarchyLocation.buildingId && (
+                    <button
+                        onClick={handleCreateBuilding}
+                        className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                    >
+                        New Building
+                    </button>
+                )}
+                {canManageProjects && unassignedUnits.length > 0 && !hierarchyLocation.projectId && (
+                    <button
+                        onClick={handleMigrateUnits}
+                        className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                    >
+                        Migrate Unassigned Units
+                    </button>
+                )}
+            </div>
+
+            <div className="flex flex-wrap justify-end items-center gap-2 mb-4 text-sm text-gray-600">
+                <span>{exportScope.name} · {exportScope.units.length} unit{exportScope.units.length === 1 ? '' : 's'}</span>
+                {hierarchyLocation.buildingId && (
+                    <button
+                        onClick={handleBuildingPdf}
+                        disabled={isGeneratingPdf}
+                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-2 px-3 rounded-lg transition duration-300 ease-in-out disabled:opacity-50"
+                    >
+                        {isGeneratingPdf ? 'Creating PDF...' : 'Building Report PDF'}
+                    </button>
+                )}
+                <ExportButtons
+                    fileName={getExportFileName(exportScope.name)}
+                    getRows={() => buildPunchListRows(
+                        exportScope.units.map(unit => withPendingOperations(unit, pendingOperations)),
+                        { projects, buildings, subcontractors }
+                    )}
+                />
+            </div>
+
+            <UnitFilterBar
+                filters={unitFilters}
+                buildings={buildings}
+                tradeNames={knownTradeNames}
+                subcontractors={subcontractors}
+                onChange={updateUnitFilters}
+                onClear={() => updateUnitFilters({ ...DEFAULT_UNIT_FILTERS, sort: unitFilters.sort })}
+            />
+
+            {!isFiltering && (
+                <HierarchyBrowser
+                    projects={projects}
+                    buildings={buildings}
+                    units={units}
+                    location={hierarchyLocation}
+                    onNavigate={handleNavigateHierarchy}
+                    unassignedCount={unassignedUnits.length}
+                />
+            )}
+
+            {lastBatch && (
+                <div className="flex flex-wrap justify-between items-center gap-2 bg-green-50 border border-green-200 rounded-lg p-3 mb-4 text-sm text-gray-700">
+                    <span>{lastBatch.summary}</span>
+                    <span className="flex gap-2">
+                        <button
+                            onClick={handleUndoBatch}
+                            disabled={isUndoingBatch}
+                            className="bg-white hover:bg-gray-100 border border-gray-300 text-gray-800 font-bold py-1 px-3 rounded-lg disabled:opacity-50"
+                        >
+                            {isUndoingBatch ? 'Undoing...' : 'Undo'}
+                        </button>
+                        <button onClick={() => setLastBatch(null)} className="text-gray-600 hover:underline">Dismiss</button>
+                    </span>
+                </div>
+            )}
+
+            {gridUnits && gridUnits.length > 0 && canBatchEdit && (
+                <div className="flex flex-wrap justify-end items-center gap-2 mb-4 text-sm text-gray-600">
+                    {isSelecting ? (
+                        <>
+                            <span>{selectedUnits.length} selected</span>
+                            <button
+                                onClick={() => setSelectedUnitIds(selectedUnits.length === gridUnits.length ? [] : gridUnits.map(unit => unit.id))}
+                                className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-2 px-3 rounded-lg"
+                            >
+                                {selectedUnits.length === gridUnits.length ? 'Select None' : 'Select All'}
+                            </button>
+                            <button
+                                onClick={() => setShowBatchActions(true)}
+                                disabled={selectedUnits.length === 0}
+                                className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2 px-3 rounded-lg disabled:opacity-50"
+                            >
+                                Batch Actions
+                            </button>
+                            <button onClick={handleStopSelecting} className="text-sm text-blue-700 hover:underline">Done</button>
+                        </>
+                    ) : (
+                        <button
+                            onClick={() => setIsSelecting(true)}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-2 px-3 rounded-lg"
+                        >
+                            Select Units
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {gridUnits && (gridUnits.length === 0 ? (
+                <p className="text-center text-gray-500 text-lg">{isFiltering ? 'No units match these filters.' : 'No units found. Add units to get started!'}</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {gridUnits.map((unit) => {
+                        const { trades } = withPendingOperations(unit, pendingOperations);
+                        const progress = getUnitProgress(trades);
+                        const status = deriveUnitStatus(trades, !!unit.inspectionPassed);
+                        return (
+                            <div key={unit.id} className={`bg-blue-50 border rounded-lg p-5 shadow-sm hover:shadow-md transition-shadow duration-200 ${selectedUnitIds.includes(unit.id) && isSelecting ? 'border-blue-600 ring-2 ring-blue-400' : 'border-blue-200'}`}>
+                                <div className="flex items-start justify-between gap-2 mb-2">
+                                    <h2 className="text-xl font-semibold text-blue-800">{unit.id}</h2>
+                                    {isSelecting && (
+                                        <input
+                                            type="checkbox"
+                                            aria-label={`Select ${unit.id}`}
+                                            checked={selectedUnitIds.includes(unit.id)}
+                                            onChange={() => toggleUnitSelected(unit.id)}
+                                            className="mt-2 h-5 w-5"
+                                        />
+                                    )}
+                                </div>
+                                <p className="text-gray-700 mb-3">{unit.address}</p>
+                                <p className="text-sm text-gray-600 mb-2">Status: <span className={`font-medium ${STATUS_COLORS[status].text}`}>{status}</span> · {progress.percent}%</p>
+                                <div className="mb-4">
+                                    <ProgressBar percent={progress.percent} colorClass={STATUS_COLORS[status].bar} label={`${unit.id} progress`} />
+                                </div>
+                                <div className="flex flex-col space-y-2">
+                                    <button
+                                        onClick={() => onOpenUnit(unit.id)}
+                                        className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out transform hover:scale-105"
+                                    >
+                                        View Details
+                                    </button>
+                                    <button
+                                        onClick={() => handleOpenLabelSheet([unit.id])}
+                                        className="w-full bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out transform hover:scale-105"
+                                    >
+                                        Show QR Code
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            ))}
+
+            {labelSheetUnitIds && (
+                <QRLabelSheet
+                    units={units}
+                    tenantId={tenantId}
+                    getBuilding={(unit) => (buildings.find(building => building.id === unit.buildingId) || {}).name || getBuildingName(unit.id)}
+                    initialUnitIds={labelSheetUnitIds}
+                    onClose={() => setLabelSheetUnitIds(null)}
+                />
+            )}
+
+            {showGenerator && (
+                <UnitGenerator
+                    projects={projects}
+                    templates={availableTemplates}
+                    defaultProjectId={hierarchyLocation.projectId}
+                    existingUnitIds={units.map(unit => unit.id)}
+                    onGenerate={handleGenerateUnits}
+                    onClose={() => setShowGenerator(false)}
+                />
+            )}
+
+            {showImporter && (
+                <UnitImporter
+                    projects={projects}
+                    templates={availableTemplates}
+                    defaultProjectId={hierarchyLocation.projectId}
+                    existingUnitIds={units.map(unit => unit.id)}
+                    onImport={handleImportUnits}
+                    onClose={() => setShowImporter(false)}
+                />
+            )}
+
+            {showTemplateEditor && (
+                <TemplateEditor
+                    templates={availableTemplates}
+                    units={units}
+                    onSave={handleSaveTemplate}
+                    onDelete={handleDeleteTemplate}
+                    onPush={handlePushTemplate}
+                    onClose={() => setShowTemplateEditor(false)}
+                />
+            )}
+
+            {showBatchActions && (
+                <BatchActions
+                    units={selectedUnits}
+                    member={member}
+                    tradeNames={knownTradeNames}
+                    onApply={handleApplyBatch}
+                    onClose={() => setShowBatchActions(false)}
+                />
+            )}
+
+            {showNotifications && (
+                <NotificationInbox
+                    inbox={notificationInbox}
+                    senderKind={notificationSenderKind}
+                    onOpenUnit={(unitId, trade) => {
+                        setShowNotifications(false);
+                        onOpenUnit(unitId, trade);
+                    }}
+                    onClose={() => setShowNotifications(false)}
+                />
+            )}
+
+            {showMembersManager && (
+                <MembersManager
+                    members={members}
+                    tradeNames={allTradeNames}
+                    subcontractors={subcontractors}
+                    currentMemberId={member.id}
+                    onSave={handleSaveMember}
+                    onRemove={handleRemoveMember}
+                    onClose={() => setShowMembersManager(false)}
+                />
+            )}
+
+            {showSubcontractorManager && (
+                <SubcontractorManager
+                    subcontractors={subcontractors}
+                    tradeNames={allTradeNames}
+                    onSave={handleSaveSubcontractor}
+                    onRemove={handleRemoveSubcontractor}
+                    onClose={() => setShowSubcontractorManager(false)}
+                />
+            )}
+
+            {showScanner && (
+                <QRScanner onScan={handleScannedCode} onClose={() => setShowScanner(false)} />
+            )}
+
+            {/* Add Unit Modal */}
+            {showAddUnitModal && (
+                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-center z-50">
+                    <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md">
+                        <h2 className="text-2xl font-bold mb-6 text-gray-800">Add New Unit</h2>
+                        <p className="text-sm text-gray-600 mb-4">
+                            {currentFloorPlacement
+                                ? `Adding to ${(buildings.find(building => building.id === currentFloorPlacement.buildingId) || {}).name}, Floor ${currentFloorPlacement.floor}.`
+                                : 'Open a building floor first to place the unit in a project, or add it as unassigned.'}
+                        </p>
+                        <div className="mb-4">
+                            <label htmlFor="unit-name" className="block text-gray-700 text-sm font-bold mb-2">Unit Name (e.g., BuildingA-Unit101):</label>
+                            <input
+                                type="text"
+                                id="unit-name"
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={newUnitName}
+                                onChange={(e) => setNewUnitName(e.target.value)}
+                                placeholder="Enter unit name"
+                            />
+                        </div>
+                        <div className="mb-6">
+                            <label htmlFor="unit-address" className="block text-gray-700 text-sm font-bold mb-2">Unit Address:</label>
+                            <input
+                                type="text"
+                                id="unit-address"
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={newUnitAddress}
+                                onChange={(e) => setNewUnitAddress(e.target.value)}
+                                placeholder="Enter unit address"
+                            />
+                        </div>
+                        <div className="mb-6">
+                            <label htmlFor="unit-template" className="block text-gray-700 text-sm font-bold mb-2">Checklist Template:</label>
+                            <select
+                                id="unit-template"
+                                className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={newUnitTemplateId}
+                                onChange={(e) => setNewUnitTemplateId(e.target.value)}
+                            >
+                                {availableTemplates.map(template => (
+                                    <option key={template.id} value={template.id}>{template.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="flex justify-end gap-4">
+                            <button
+                                onClick={handleCloseAddUnitModal}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={handleConfirmAddUnit}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                            >
+                                Add Unit
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HomePage;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import SignaturePad from './SignaturePad';
+import { getTaskKey } from './taskOperations';
+import { setInspectionResult, summarizeInspection, getInspectionProblem } from './inspections';
+
+const smallButtonClass = "text-sm font-semibold py-1 px-3 rounded-lg transition duration-300 ease-in-out";
+const inputClass = "shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+const EMPTY_SIGN_OFF = { inspector: { name: '', signature: null }, ownerRep: { name: '', signature: null } };
+
+// Steps through the unit's trades one at a time, recording pass or fail (with a note) for each
+// item, and ends with both signatures. onSubmit(results, signOff) resolves to whether the
+// inspection was saved.
+const InspectionWalkthrough = ({ unitId, checklist, onSubmit, onClose }) => {
+    const [step, setStep] = useState(0); // checklist.length is the sign-off step
+    const [results, setResults] = useState({});
+    const [signOff, setSignOff] = useState(EMPTY_SIGN_OFF);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const summary = summarizeInspection(checklist, results);
+    const problem = getInspectionProblem(summary, signOff);
+    const isSignOff = step === checklist.length;
+
+    const setResult = (trade, task, result) => setResults(current => setInspectionResult(current, trade, task, result));
+
+    const updateSignOff = (role, changes) => setSignOff(current => ({ ...current, [role]: { ...current[role], ...changes } }));
+
+    const handleSubmit = async () => {
+        setIsSaving(true);
+        const saved = await onSubmit(results, signOff);
+        setIsSaving(false);
+        if (saved) onClose();
+    };
+
+    const renderTradeStep = ({ trade, tasks }) => (
+        <>
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="text-xl font-semibold text-gray-800">{trade}</h3>
+                <button
+                    onClick={() => tasks.forEach(task => setResult(trade, task, { result: 'pass', note: '' }))}
+                    className={`${smallButtonClass} bg-green-100 hover:bg-green-200 text-green-800`}
+                >
+                    Pass All
+                </button>
+            </div>
+            {tasks.length === 0 ? (
+                <p className="text-gray-500 mb-4">No items in this trade.</p>
+            ) : (
+                <ul className="space-y-3 mb-4">
+                    {tasks.map(task => {
+                        const result = (results[trade] || {})[getTaskKey(task)] || null;
+                        return (
+                            <li key={getTaskKey(task)} className="border rounded-lg p-3">
+                                <div className="flex flex-wrap justify-between items-center gap-2">
+                                    <span className="text-gray-900">{task.task}</span>
+                                    <span className="flex gap-2">
+                                        <button
+                                            onClick={() => setResult(trade, task, { result: 'pass', note: '' })}
+                                            aria-label={`Pass ${task.task}`}
+                                            aria-pressed={!!result && result.result === 'pass'}
+                                            className={`${smallButtonClass} ${result && result.result === 'pass' ? 'bg-green-600 text-white' : 'bg-white hover:bg-green-50 text-green-800 border border-green-300'}`}
+                                        >
+                                            Pass
+                                        </button>
+                                        <button
+                                            onClick={() => setResult(trade, task, { result: 'fail', note: result && result.note ? result.note : '' })}
+                                            aria-label={`Fail ${task.task}`}
+                                            aria-pressed={!!result && result.result === 'fail'}
+                                            className={`${smallButtonClass} ${result && result.result === 'fail' ? 'bg-red-600 text-white' : 'bg-white hover:bg-red-50 text-red-800 border border-red-300'}`}
+                                        >
+                                            Fail
+                                        </button>
+                                    </span>
+                                </div>
+                                {result && result.result === 'fail' && (
+                                    <input
+                                        type="text"
+                                        aria-label={`Why ${task.task} failed`}
+                                        placeholder="What needs fixing"
+                                        className={`${inputClass} mt-2`}
+                                        value={result.note}
+                                        onChange={(e) => setResult(trade, task, { result: 'fail', note: e.target.value })}
+                                    />
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </>
+    );
+
+    const renderSignOff = () => (
+        <>
+            <h3 className="text-xl font-semibold text-gray-800 mb-2">Sign-off</h3>
+            <p className="text-gray-700 mb-4">
+                {summary.passed} passed · {summary.failed} failed{summary.pending > 0 && ` · ${summary.pending} not inspected`}
+            </p>
+            {[['inspector', 'Inspector'], ['ownerRep', "Owner's rep"]].map(([role, title]) => (
+                <div key={role} className="mb-4">
+                    <label htmlFor={`inspection-${role}`} className="block text-gray-700 text-sm font-bold mb-2">{title} name:</label>
+                    <input
+                        id={`inspection-${role}`}
+                        type="text"
+                        className={`${inputClass} mb-2`}
+                        value={signOff[role].name}
+                        onChange={(e) => updateSignOff(role, { name: e.target.value })}
+                    />
+                    <SignaturePad label={`${title} signature`} onChange={(signature) => updateSignOff(role, { signature })} />
+                </div>
+            ))}
+            {problem && <p className="text-sm text-red-700 mb-2">{problem}</p>}
+            {summary.failed > 0 && (
+                <p className="text-sm text-gray-600 mb-2">Failed items go back to Open for their trade with your note.</p>
+            )}
+        </>
+    );
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl my-8">
+                <h2 className="text-2xl font-bold mb-1 text-gray-800">Inspection: {unitId}</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    {isSignOff ? 'Review and sign' : `Trade ${step + 1} of ${checklist.length}`} · {summary.total - summary.pending}/{summary.total} items inspected
+                </p>
+
+                {isSignOff ? renderSignOff() : renderTradeStep(checklist[step])}
+
+                <div className="flex flex-wrap justify-between gap-3 mt-4">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                    >
+                        Cancel
+                    </button>
+                    <span className="flex gap-3">
+                        {step > 0 && (
+                            <button
+                                onClick={() => setStep(step - 1)}
+                                className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                            >
+                                Back
+                            </button>
+                        )}
+                        {isSignOff ? (
+                            <button
+                                onClick={handleSubmit}
+                                disabled={!!problem || isSaving}
+                                className={`${summary.failed > 0 ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'} text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out disabled:opacity-50`}
+                            >
+                                {isSaving ? 'Saving...' : summary.failed > 0 ? 'Record Failed Inspection' : 'Pass Inspection'}
+                            </button>
+                        ) : (
+                            <button
+                                onClick={() => setStep(step + 1)}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                            >
+                                {step === checklist.length - 1 ? 'Review and Sign' : 'Next Trade'}
+                            </button>
+                        )}
+                    </span>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default InspectionWalkthrough;
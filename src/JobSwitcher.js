@@ -0,0 +1,31 @@
+import React from 'react';
+import { getTenantLabel } from './tenants';
+
+// Picks the job (tenant) on show from the ones the user belongs to. onCreate is null for users
+// who may not start new jobs.
+const JobSwitcher = ({ tenants, tenantId, onSwitch, onCreate }) => {
+    // The current job may be one the user isn't (yet) a member of
+    const options = tenants.some(tenant => tenant.id === tenantId) ? tenants : [{ id: tenantId, name: null }, ...tenants];
+    if (options.length < 2 && !onCreate) return null;
+
+    return (
+        <div className="flex justify-center items-center flex-wrap gap-3 mb-8">
+            <label htmlFor="job-switcher" className="text-sm font-bold text-gray-700">Job:</label>
+            <select
+                id="job-switcher"
+                value={tenantId}
+                onChange={(e) => onSwitch(e.target.value)}
+                className="shadow border rounded py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            >
+                {options.map(tenant => (
+                    <option key={tenant.id} value={tenant.id}>{getTenantLabel(tenant)}</option>
+                ))}
+            </select>
+            {onCreate && (
+                <button onClick={onCreate} className="text-sm text-blue-700 hover:underline">New Job</button>
+            )}
+        </div>
+    );
+};
+
+export default JobSwitcher;
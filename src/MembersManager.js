@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { ROLES, getMemberId } from './permissions';
+
+const inputClass = "shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+// Admin-only modal for granting, changing and removing access.
+// onSave(memberId, fields) and onRemove(memberId) write to Firestore.
+const MembersManager = ({ members, tradeNames, subcontractors = [], currentMemberId, onSave, onRemove, onClose }) => {
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('sub');
+    const [trade, setTrade] = useState(tradeNames[0] || '');
+    const [subcontractorId, setSubcontractorId] = useState('');
+
+    const tradeSubcontractors = subcontractors.filter(subcontractor => subcontractor.trade === trade);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const isSub = role === 'sub';
+        const saved = await onSave(getMemberId(email), {
+            email: email.trim(),
+            role,
+            trade: isSub ? trade : null,
+            subcontractorId: isSub && subcontractorId ? subcontractorId : null
+        });
+        if (saved) {
+            setEmail('');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+            <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-2xl my-8">
+                <h2 className="text-2xl font-bold mb-6 text-gray-800">Team Members</h2>
+
+                <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end mb-6">
+                    <div className="md:col-span-2">
+                        <label htmlFor="member-email" className="block text-gray-700 text-sm font-bold mb-2">Email:</label>
+                        <input type="email" id="member-email" required className={inputClass} value={email} onChange={(e) => setEmail(e.target.value)} />
+                    </div>
+                    <div>
+                        <label htmlFor="member-role" className="block text-gray-700 text-sm font-bold mb-2">Role:</label>
+                        <select id="member-role" className={inputClass} value={role} onChange={(e) => setRole(e.target.value)}>
+                            {Object.entries(ROLES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </div>
+                    {role === 'sub' ? (
+                        <div>
+                            <label htmlFor="member-trade" className="block text-gray-700 text-sm font-bold mb-2">Trade:</label>
+                            <select
+                                id="member-trade"
+                                required
+                                className={inputClass}
+                                value={trade}
+                                onChange={(e) => {
+                                    setTrade(e.target.value);
+                                    setSubcontractorId('');
+                                }}
+                            >
+                                {tradeNames.map(name => <option key={name} value={name}>{name}</option>)}
+                            </select>
+                        </div>
+                    ) : <div></div>}
+                    {role === 'sub' && (
+                        <div className="md:col-span-4">
+                            <label htmlFor="member-subcontractor" className="block text-gray-700 text-sm font-bold mb-2">Company (for My Punch List):</label>
+                            <select id="member-subcontractor" className={inputClass} value={subcontractorId} onChange={(e) => setSubcontractorId(e.target.value)}>
+                                <option value="">None</option>
+                                {tradeSubcontractors.map(subcontractor => <option key={subcontractor.id} value={subcontractor.id}>{subcontractor.name}</option>)}
+                            </select>
+                        </div>
+                    )}
+                    <button type="submit" className="md:col-span-4 bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out">
+                        Add or Update Member
+                    </button>
+                </form>
+
+                <ul className="divide-y border rounded-lg mb-6">
+                    {members.map(member => (
+                        <li key={member.id} className="flex flex-wrap items-center justify-between gap-2 p-3">
+                            <span>
+                                <span className="font-semibold text-gray-800">{member.email}</span>
+                                <span className="text-sm text-gray-600"> · {ROLES[member.role] || member.role}{member.role === 'sub' && member.trade ? ` (${member.trade})` : ''}</span>
+                                {member.subcontractorId && (
+                                    <span className="text-sm text-gray-500"> · {(subcontractors.find(subcontractor => subcontractor.id === member.subcontractorId) || {}).name || member.subcontractorId}</span>
+                                )}
+                            </span>
+                            {member.id !== currentMemberId && (
+                                <button onClick={() => onRemove(member.id)} className="text-sm text-red-700 hover:underline">Remove</button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MembersManager;
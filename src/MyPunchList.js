@@ -0,0 +1,60 @@
+import React from 'react';
+
+const formatDueDate = (dueDate) => new Date(`${dueDate}T00:00:00`).toLocaleDateString();
+
+// A subcontractor's open punch items across every unit, grouped by building. groups comes
+// from getMyPunchList; onOpenUnit(unitId) opens the unit.
+const MyPunchList = ({ subcontractorName, groups, onOpenUnit, onBack }) => {
+    const itemCount = groups.reduce((sum, group) => sum + group.items.length, 0);
+    const overdueCount = groups.reduce((sum, group) => sum + group.overdueCount, 0);
+
+    return (
+        <div className="p-6 max-w-4xl w-full mx-auto bg-white rounded-lg shadow-xl mt-10 font-sans">
+            <button
+                onClick={onBack}
+                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg mb-4 transition duration-300 ease-in-out"
+            >
+                &larr; Back to Units
+            </button>
+            <h1 className="text-3xl font-bold mb-2 text-center text-gray-800">My Punch List</h1>
+            <p className="text-center text-gray-600 mb-6">
+                {subcontractorName} · {itemCount} open item{itemCount === 1 ? '' : 's'}
+                {overdueCount > 0 && <span className="text-red-700 font-semibold"> · {overdueCount} overdue</span>}
+            </p>
+
+            {groups.length === 0 ? (
+                <p className="text-center text-gray-500 text-lg">Nothing assigned to you is open. Nice work!</p>
+            ) : groups.map(group => (
+                <section key={group.buildingName} className="mb-6">
+                    <h2 className="text-xl font-semibold text-blue-800 mb-2">
+                        {group.buildingName}
+                        <span className="text-sm font-normal text-gray-600"> · {group.items.length} open{group.overdueCount > 0 ? `, ${group.overdueCount} overdue` : ''}</span>
+                    </h2>
+                    <ul className="space-y-2">
+                        {group.items.map(item => (
+                            <li key={`${item.unitId}-${item.trade}-${item.task.id || item.task.task}`}>
+                                <button
+                                    onClick={() => onOpenUnit(item.unitId)}
+                                    className={`w-full text-left p-3 rounded-lg border-l-4 ${item.overdue ? 'bg-red-100 border-red-500' : 'bg-gray-50 border-blue-300'} hover:shadow-md transition-shadow duration-200`}
+                                >
+                                    <span className="flex flex-wrap justify-between gap-2">
+                                        <span>
+                                            <span className="font-semibold text-gray-800">{item.unitId}</span>
+                                            <span className="text-gray-600"> · {item.trade}</span>
+                                            <span className="block text-gray-900">{item.task.task}</span>
+                                        </span>
+                                        <span className={`text-sm ${item.overdue ? 'text-red-700 font-semibold' : 'text-gray-600'}`}>
+                                            {item.dueDate ? `${item.overdue ? 'Overdue · ' : 'Due '}${formatDueDate(item.dueDate)}` : 'No due date'}
+                                        </span>
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+            ))}
+        </div>
+    );
+};
+
+export default MyPunchList;
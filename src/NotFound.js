@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Shown for links to pages or units that don't exist
+const NotFound = ({ title = 'Page Not Found', message = "There's nothing at this address.", onHome }) => (
+    <div className="p-8 max-w-md w-full mx-auto bg-white rounded-lg shadow-xl mt-10 font-sans text-center">
+        <p className="text-5xl font-bold text-gray-300 mb-2">404</p>
+        <h1 className="text-2xl font-bold mb-4 text-gray-800">{title}</h1>
+        <p className="text-gray-600 mb-6">{message}</p>
+        <button
+            onClick={onHome}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+        >
+            Go to All Units
+        </button>
+    </div>
+);
+
+export default NotFound;
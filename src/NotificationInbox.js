@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import NotificationSettings from './NotificationSettings';
+
+const RULE_BADGES = {
+    unitReady: 'bg-green-100 text-green-800',
+    tradeComplete: 'bg-blue-100 text-blue-800',
+    taskRejected: 'bg-red-100 text-red-800',
+    taskOverdue: 'bg-yellow-100 text-yellow-800'
+};
+
+const RULE_NAMES = {
+    unitReady: 'Ready',
+    tradeComplete: 'Trade done',
+    taskRejected: 'Sent back',
+    taskOverdue: 'Overdue'
+};
+
+// Modal with the member's notifications, unread ones first and highlighted. Opening one
+// marks it read. inbox is what useNotifications returns.
+const NotificationInbox = ({ inbox, senderKind, onOpenUnit, onClose }) => {
+    const [showSettings, setShowSettings] = useState(false);
+    const unreadIds = new Set(inbox.unread.map(notification => notification.id));
+    const ordered = [...inbox.unread, ...inbox.notifications.filter(notification => !unreadIds.has(notification.id))];
+
+    const handleOpen = (notification) => {
+        if (unreadIds.has(notification.id)) inbox.markRead([notification.id]);
+        onOpenUnit(notification.unitId, notification.trade);
+    };
+
+    if (showSettings) {
+        return (
+            <NotificationSettings
+                settings={inbox.settings}
+                senderKind={senderKind}
+                onSave={async (changes) => {
+                    if (await inbox.saveSettings(changes)) setShowSettings(false);
+                }}
+                onClose={() => setShowSettings(false)}
+            />
+        );
+    }
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl my-8">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                    <h2 className="text-2xl font-bold text-gray-800">Notifications</h2>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => inbox.markRead(inbox.unread.map(notification => notification.id))}
+                            disabled={inbox.unread.length === 0}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-2 px-3 rounded-lg disabled:opacity-50"
+                        >
+                            Mark All Read
+                        </button>
+                        <button
+                            onClick={() => setShowSettings(true)}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-2 px-3 rounded-lg"
+                        >
+                            Settings
+                        </button>
+                    </div>
+                </div>
+
+                {ordered.length === 0 ? (
+                    <p className="text-gray-500 mb-4">Nothing to report. Turn on more rules under Settings to hear about other changes.</p>
+                ) : (
+                    <ul className="space-y-2 mb-4">
+                        {ordered.map(notification => {
+                            const isUnread = unreadIds.has(notification.id);
+                            return (
+                                <li key={notification.id}>
+                                    <button
+                                        onClick={() => handleOpen(notification)}
+                                        className={`w-full text-left p-3 rounded-lg border transition duration-200 ${isUnread ? 'bg-blue-50 border-blue-200 hover:bg-blue-100' : 'bg-white border-gray-200 hover:bg-gray-50'}`}
+                                    >
+                                        <span className={`inline-block text-xs font-semibold px-2 py-0.5 rounded-full mr-2 ${RULE_BADGES[notification.rule]}`}>
+                                            {RULE_NAMES[notification.rule]}
+                                        </span>
+                                        <span className={isUnread ? 'font-semibold text-gray-900' : 'text-gray-700'}>{notification.title}</span>
+                                        <span className="block text-sm text-gray-600 mt-1">{notification.detail}</span>
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default NotificationInbox;
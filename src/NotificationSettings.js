@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { NOTIFICATION_RULES, DIGEST_FREQUENCIES } from './notifications';
+
+const inputClass = "shadow border rounded py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+// The signed-in member's own notification rules and digest. onSave(changes) gets
+// { rules, digest } in the shape of getDefaultNotificationSettings.
+const NotificationSettings = ({ settings, senderKind, onSave, onClose }) => {
+    const [rules, setRules] = useState(settings.rules);
+    const [digest, setDigest] = useState(settings.digest);
+
+    const updateRule = (rule, changes) => setRules({ ...rules, [rule]: { ...rules[rule], ...changes } });
+    const updateDigest = (changes) => setDigest({ ...digest, ...changes });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave({ rules, digest: { ...digest, webhookUrl: digest.webhookUrl.trim() } });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+            <form onSubmit={handleSubmit} className="bg-white p-8 rounded-lg shadow-xl w-full max-w-xl my-8">
+                <h2 className="text-2xl font-bold mb-4 text-gray-800">Notification Settings</h2>
+
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Notify me when</h3>
+                <ul className="space-y-3 mb-6">
+                    {Object.entries(NOTIFICATION_RULES).map(([rule, { label, description }]) => (
+                        <li key={rule}>
+                            <label className="flex items-start gap-2">
+                                <input
+                                    type="checkbox"
+                                    checked={rules[rule].enabled}
+                                    onChange={(e) => updateRule(rule, { enabled: e.target.checked })}
+                                    className="h-4 w-4 mt-1"
+                                />
+                                <span>
+                                    <span className="font-medium text-gray-800">{label}</span>
+                                    <span className="block text-sm text-gray-600">{description}</span>
+                                </span>
+                            </label>
+                            {rule === 'taskOverdue' && (
+                                <label className="flex items-center gap-2 ml-6 mt-2 text-sm text-gray-700">
+                                    At least
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={rules.taskOverdue.days}
+                                        onChange={(e) => updateRule('taskOverdue', { days: Math.max(parseInt(e.target.value, 10) || 1, 1) })}
+                                        disabled={!rules.taskOverdue.enabled}
+                                        className={`${inputClass} w-20`}
+                                    />
+                                    days overdue
+                                </label>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Digest</h3>
+                <label className="flex items-center gap-2 mb-3">
+                    <input type="checkbox" checked={digest.enabled} onChange={(e) => updateDigest({ enabled: e.target.checked })} className="h-4 w-4" />
+                    <span className="text-gray-800">
+                        Send me unread notifications {senderKind === 'webhook' ? 'by webhook' : 'by email'}
+                    </span>
+                </label>
+                <div className="flex flex-wrap gap-4 mb-2">
+                    <label className="text-sm text-gray-700">
+                        How often:
+                        <select
+                            value={digest.frequency}
+                            onChange={(e) => updateDigest({ frequency: e.target.value })}
+                            disabled={!digest.enabled}
+                            className={`${inputClass} ml-2`}
+                        >
+                            {Object.keys(DIGEST_FREQUENCIES).map(frequency => (
+                                <option key={frequency} value={frequency}>{frequency === 'daily' ? 'Daily' : 'Weekly'}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+                {senderKind === 'webhook' && (
+                    <label className="block text-sm text-gray-700 mb-2">
+                        Webhook URL:
+                        <input
+                            type="url"
+                            value={digest.webhookUrl}
+                            onChange={(e) => updateDigest({ webhookUrl: e.target.value })}
+                            disabled={!digest.enabled}
+                            placeholder="https://hooks.example.com/..."
+                            className={`${inputClass} w-full mt-1`}
+                        />
+                    </label>
+                )}
+                <p className="text-xs text-gray-500 mb-6">The app sends your digest itself, the next time you open it after the period has passed. Nothing is sent while you are away.</p>
+
+                <div className="flex justify-end gap-3">
+                    <button type="button" onClick={onClose} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg">
+                        Cancel
+                    </button>
+                    <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg">
+                        Save
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+const ProgressBar = ({ percent, colorClass = 'bg-blue-600', label }) => (
+    <div
+        className="w-full bg-gray-200 rounded-full h-2.5"
+        role="progressbar"
+        aria-valuenow={percent}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-label={label}
+    >
+        <div className={`${colorClass} h-2.5 rounded-full transition-all duration-300`} style={{ width: `${percent}%` }}></div>
+    </div>
+);
+
+export default ProgressBar;
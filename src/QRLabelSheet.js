@@ -0,0 +1,177 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { showMessage } from './showMessage';
+import {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    getUnitQrLink,
+    getBuildingName,
+    paginateLabels,
+    renderLabelSheetSvg,
+    svgToPngDataUrl,
+    downloadFile
+} from './qrLabels';
+
+// Modal for previewing, printing and exporting QR door labels for a building or a selection of
+// units. The labels carry tenantId, the job the units belong to.
+const QRLabelSheet = ({ units, tenantId = null, initialUnitIds, onClose, getBuilding = (unit) => getBuildingName(unit.id) }) => {
+    const [selectedIds, setSelectedIds] = useState(() => new Set(initialUnitIds || units.map(unit => unit.id)));
+    const [buildingFilter, setBuildingFilter] = useState('all');
+    const [isExporting, setIsExporting] = useState(false);
+
+    const buildings = useMemo(() => [...new Set(units.map(getBuilding))].sort(), [units, getBuilding]);
+    const visibleUnits = useMemo(() => units
+        .filter(unit => buildingFilter === 'all' || getBuilding(unit) === buildingFilter)
+        .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true })), [units, buildingFilter, getBuilding]);
+    const selectedUnits = visibleUnits.filter(unit => selectedIds.has(unit.id));
+    const getLink = useCallback((unitId) => getUnitQrLink(unitId, tenantId), [tenantId]);
+    const pageSvgs = useMemo(() => paginateLabels(selectedUnits).map(pageUnits => renderLabelSheetSvg(pageUnits, getLink)), [selectedUnits, getLink]);
+
+    const handleBuildingChange = (building) => {
+        setBuildingFilter(building);
+        // Choosing a building selects the whole building
+        setSelectedIds(new Set(units
+            .filter(unit => building === 'all' || getBuilding(unit) === building)
+            .map(unit => unit.id)));
+    };
+
+    const handleToggleUnit = (unitId) => {
+        const updated = new Set(selectedIds);
+        if (updated.has(unitId)) {
+            updated.delete(unitId);
+        } else {
+            updated.add(unitId);
+        }
+        setSelectedIds(updated);
+    };
+
+    const getExportName = (extension) => {
+        const scope = selectedUnits.length === 1 ? selectedUnits[0].id : (buildingFilter === 'all' ? 'all-units' : buildingFilter);
+        return `qr-labels-${scope}.${extension}`;
+    };
+
+    const handleDownloadSvg = () => {
+        const svg = renderLabelSheetSvg(selectedUnits, getLink);
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        downloadFile(url, getExportName('svg'));
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    const handleDownloadPng = async () => {
+        setIsExporting(true);
+        try {
+            const svg = renderLabelSheetSvg(selectedUnits, getLink);
+            const dataUrl = await svgToPngDataUrl(svg, PAGE_WIDTH, PAGE_HEIGHT * pageSvgs.length);
+            downloadFile(dataUrl, getExportName('png'));
+        } catch (error) {
+            console.error("Error exporting label sheet:", error);
+            showMessage(`Error exporting labels: ${error.message}`, 'error');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const handleCopyLink = async (unitId) => {
+        const link = getLink(unitId);
+        try {
+            await navigator.clipboard.writeText(link);
+            showMessage(`Link for ${unitId} copied.`);
+        } catch (error) {
+            showMessage(`Link for ${unitId}: ${link}`, 'info');
+        }
+    };
+
+    const hasSelection = selectedUnits.length > 0;
+    const buttonClass = "font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out";
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50 qr-label-modal">
+            <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-5xl my-8">
+                <div className="flex flex-wrap justify-between items-center gap-4 mb-4 no-print">
+                    <h2 className="text-2xl font-bold text-gray-800">QR Code Labels</h2>
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            onClick={() => window.print()}
+                            disabled={!hasSelection}
+                            className={`${buttonClass} bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50`}
+                        >
+                            Print
+                        </button>
+                        <button
+                            onClick={handleDownloadSvg}
+                            disabled={!hasSelection}
+                            className={`${buttonClass} bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-50`}
+                        >
+                            Download SVG
+                        </button>
+                        <button
+                            onClick={handleDownloadPng}
+                            disabled={!hasSelection || isExporting}
+                            className={`${buttonClass} bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-50`}
+                        >
+                            {isExporting ? 'Exporting...' : 'Download PNG'}
+                        </button>
+                        <button
+                            onClick={onClose}
+                            className={`${buttonClass} bg-gray-300 hover:bg-gray-400 text-gray-800`}
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex flex-col md:flex-row gap-6">
+                    <div className="md:w-64 flex-shrink-0 no-print">
+                        <label htmlFor="label-building" className="block text-gray-700 text-sm font-bold mb-2">Building:</label>
+                        <select
+                            id="label-building"
+                            value={buildingFilter}
+                            onChange={(e) => handleBuildingChange(e.target.value)}
+                            className="block w-full p-2 border border-gray-300 rounded-lg mb-3"
+                        >
+                            <option value="all">All buildings</option>
+                            {buildings.map(building => (
+                                <option key={building} value={building}>{building}</option>
+                            ))}
+                        </select>
+                        <div className="flex gap-2 mb-2 text-sm">
+                            <button onClick={() => setSelectedIds(new Set(visibleUnits.map(unit => unit.id)))} className="text-blue-700 hover:underline">Select all</button>
+                            <button onClick={() => setSelectedIds(new Set())} className="text-blue-700 hover:underline">Clear</button>
+                        </div>
+                        <ul className="max-h-96 overflow-y-auto border rounded-lg p-2 space-y-1">
+                            {visibleUnits.map(unit => (
+                                <li key={unit.id} className="flex items-center justify-between gap-2">
+                                    <label className="flex items-center gap-2 text-sm text-gray-800">
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedIds.has(unit.id)}
+                                            onChange={() => handleToggleUnit(unit.id)}
+                                        />
+                                        {unit.id}
+                                    </label>
+                                    <button onClick={() => handleCopyLink(unit.id)} className="text-xs text-blue-700 hover:underline">Copy link</button>
+                                </li>
+                            ))}
+                        </ul>
+                        <p className="text-sm text-gray-600 mt-2">{selectedUnits.length} label(s), {pageSvgs.length} page(s)</p>
+                    </div>
+
+                    <div id="qr-print-area" className="flex-1 space-y-4">
+                        {!hasSelection ? (
+                            <p className="text-gray-500">Select units to preview their labels.</p>
+                        ) : (
+                            pageSvgs.map((svg, index) => (
+                                <div
+                                    key={index}
+                                    className="qr-label-page border shadow-sm mx-auto"
+                                    dangerouslySetInnerHTML={{ __html: svg }}
+                                />
+                            ))
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default QRLabelSheet;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { decodeQrFromSource, decodeQrFromFile } from './qrScanLogic';
+
+// Camera scanner modal with an image-file fallback. onScan receives the decoded text and
+// may throw to report a code that can't be opened; scanning continues after an error.
+const QRScanner = ({ onScan, onClose }) => {
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const onScanRef = useRef(onScan);
+    const [cameraError, setCameraError] = useState(null);
+    const [scanError, setScanError] = useState(null);
+
+    onScanRef.current = onScan;
+
+    useEffect(() => {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            setCameraError("Camera access is not available on this device. Choose an image of the QR code instead.");
+            return;
+        }
+
+        let stream = null;
+        let frameRequest = null;
+        let stopped = false;
+        let lastRejected = null;
+
+        const scanFrame = () => {
+            const video = videoRef.current;
+            if (stopped || !video) return;
+            if (video.readyState === video.HAVE_ENOUGH_DATA) {
+                const text = decodeQrFromSource(video, video.videoWidth, video.videoHeight, canvasRef.current);
+                // Don't re-report the same rejected code on every frame while it stays in view
+                if (text && text !== lastRejected) {
+                    try {
+                        onScanRef.current(text);
+                        return;
+                    } catch (error) {
+                        setScanError(error.message);
+                        lastRejected = text;
+                    }
+                }
+            }
+            frameRequest = requestAnimationFrame(scanFrame);
+        };
+
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+            .then((mediaStream) => {
+                if (stopped) {
+                    mediaStream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                stream = mediaStream;
+                videoRef.current.srcObject = mediaStream;
+                frameRequest = requestAnimationFrame(scanFrame);
+                return videoRef.current.play();
+            })
+            .catch((error) => {
+                if (stopped) return; // play() is aborted when the scanner closes before the video starts
+                console.error("Error opening camera:", error);
+                setCameraError(`Could not open the camera: ${error.message}. Choose an image of the QR code instead.`);
+            });
+
+        // Release the camera when the scanner closes
+        return () => {
+            stopped = true;
+            if (frameRequest) cancelAnimationFrame(frameRequest);
+            if (stream) stream.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setScanError(null);
+        try {
+            const text = await decodeQrFromFile(file);
+            onScanRef.current(text);
+        } catch (error) {
+            setScanError(error.message);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md">
+                <h2 className="text-2xl font-bold mb-4 text-gray-800">Scan Unit QR Code</h2>
+                {cameraError ? (
+                    <p className="text-gray-700 mb-4">{cameraError}</p>
+                ) : (
+                    <video ref={videoRef} className="w-full rounded-lg bg-black mb-4" muted playsInline />
+                )}
+                <canvas ref={canvasRef} className="hidden" />
+                {scanError && (
+                    <p role="alert" className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded mb-4">{scanError}</p>
+                )}
+                <label htmlFor="qr-image" className="block text-gray-700 text-sm font-bold mb-2">Or scan from an image:</label>
+                <input
+                    type="file"
+                    id="qr-image"
+                    accept="image/*"
+                    onChange={handleFileChange}
+                    className="block w-full text-sm text-gray-700 mb-6"
+                />
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default QRScanner;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { signInWithEmailAndPassword, createUserWithEmailAndPassword, sendPasswordResetEmail } from 'firebase/auth';
+import { showMessage } from './showMessage';
+
+const inputClass = "shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+// Email/password sign-in, with account creation for people an admin has already invited
+const SignIn = ({ auth }) => {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isCreatingAccount, setIsCreatingAccount] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setIsSubmitting(true);
+        try {
+            if (isCreatingAccount) {
+                await createUserWithEmailAndPassword(auth, email.trim(), password);
+            } else {
+                await signInWithEmailAndPassword(auth, email.trim(), password);
+            }
+        } catch (signInError) {
+            console.error("Sign-in error:", signInError);
+            setError(signInError.code === 'auth/invalid-credential' ? "Incorrect email or password." : signInError.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleResetPassword = async () => {
+        if (!email.trim()) {
+            setError("Enter your email address first.");
+            return;
+        }
+        try {
+            await sendPasswordResetEmail(auth, email.trim());
+            showMessage(`Password reset email sent to ${email.trim()}.`);
+        } catch (resetError) {
+            setError(resetError.message);
+        }
+    };
+
+    return (
+        <div className="p-8 max-w-md w-full mx-auto bg-white rounded-lg shadow-xl mt-10 font-sans">
+            <h1 className="text-3xl font-bold mb-6 text-center text-gray-800">Construction Project Tracker</h1>
+            <form onSubmit={handleSubmit}>
+                <div className="mb-4">
+                    <label htmlFor="sign-in-email" className="block text-gray-700 text-sm font-bold mb-2">Email:</label>
+                    <input type="email" id="sign-in-email" autoComplete="email" required className={inputClass} value={email} onChange={(e) => setEmail(e.target.value)} />
+                </div>
+                <div className="mb-6">
+                    <label htmlFor="sign-in-password" className="block text-gray-700 text-sm font-bold mb-2">Password:</label>
+                    <input
+                        type="password"
+                        id="sign-in-password"
+                        autoComplete={isCreatingAccount ? 'new-password' : 'current-password'}
+                        required
+                        minLength={6}
+                        className={inputClass}
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                    />
+                </div>
+                {error && <p role="alert" className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded mb-4">{error}</p>}
+                <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out disabled:opacity-50"
+                >
+                    {isSubmitting ? 'Please wait...' : (isCreatingAccount ? 'Create Account' : 'Sign In')}
+                </button>
+            </form>
+            <div className="flex justify-between mt-4 text-sm">
+                <button onClick={() => setIsCreatingAccount(!isCreatingAccount)} className="text-blue-700 hover:underline">
+                    {isCreatingAccount ? 'I already have an account' : 'Create an account'}
+                </button>
+                {!isCreatingAccount && (
+                    <button onClick={handleResetPassword} className="text-blue-700 hover:underline">Forgot password?</button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SignIn;
@@ -0,0 +1,79 @@
+import React, { useRef } from 'react';
+
+const WIDTH = 500;
+const HEIGHT = 150;
+
+// A signature drawn with a finger, stylus or mouse. onChange gets the drawing as a PNG data URL
+// after each stroke, or null once cleared.
+const SignaturePad = ({ label, onChange }) => {
+    const canvasRef = useRef(null);
+    const lastPointRef = useRef(null); // null while no stroke is being drawn
+
+    // The canvas is drawn at a fixed size and scaled to fit the dialog
+    const getPoint = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return {
+            x: ((e.clientX - rect.left) / (rect.width || WIDTH)) * WIDTH,
+            y: ((e.clientY - rect.top) / (rect.height || HEIGHT)) * HEIGHT
+        };
+    };
+
+    const drawTo = (point) => {
+        const context = canvasRef.current.getContext('2d');
+        const from = lastPointRef.current;
+        if (context) {
+            context.lineWidth = 2.5;
+            context.lineCap = 'round';
+            context.strokeStyle = '#111827';
+            context.beginPath();
+            context.moveTo(from.x, from.y);
+            context.lineTo(point.x, point.y);
+            context.stroke();
+        }
+        lastPointRef.current = point;
+    };
+
+    const handlePointerDown = (e) => {
+        e.preventDefault();
+        if (canvasRef.current.setPointerCapture && e.pointerId !== undefined) {
+            canvasRef.current.setPointerCapture(e.pointerId);
+        }
+        lastPointRef.current = getPoint(e);
+        drawTo(lastPointRef.current); // a tap leaves a dot
+    };
+
+    const handlePointerMove = (e) => {
+        if (lastPointRef.current) drawTo(getPoint(e));
+    };
+
+    const handlePointerUp = () => {
+        if (!lastPointRef.current) return;
+        lastPointRef.current = null;
+        onChange(canvasRef.current.toDataURL('image/png'));
+    };
+
+    const handleClear = () => {
+        const context = canvasRef.current.getContext('2d');
+        if (context) context.clearRect(0, 0, WIDTH, HEIGHT);
+        onChange(null);
+    };
+
+    return (
+        <div>
+            <canvas
+                ref={canvasRef}
+                width={WIDTH}
+                height={HEIGHT}
+                aria-label={label}
+                className="block w-full border-2 border-dashed border-gray-300 rounded-lg bg-white touch-none cursor-crosshair"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerLeave={handlePointerUp}
+            />
+            <button type="button" onClick={handleClear} className="text-sm text-blue-700 hover:underline mt-1">Clear signature</button>
+        </div>
+    );
+};
+
+export default SignaturePad;
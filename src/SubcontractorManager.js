@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { sortByName } from './hierarchy';
+
+const inputClass = "shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+const emptyDraft = (tradeNames) => ({ id: null, name: '', trade: tradeNames[0] || '', contactEmail: '', phone: '' });
+
+// Modal listing the trade contractor companies that punch items can be assigned to.
+// onSave(subcontractor) resolves to true once written; onRemove(subcontractorId) deletes.
+const SubcontractorManager = ({ subcontractors, tradeNames, onSave, onRemove, onClose }) => {
+    const [draft, setDraft] = useState(() => emptyDraft(tradeNames));
+    const [isSaving, setIsSaving] = useState(false);
+
+    const updateDraft = (changes) => setDraft({ ...draft, ...changes });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const saved = await onSave(draft);
+        setIsSaving(false);
+        if (saved) {
+            setDraft(emptyDraft(tradeNames));
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+            <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-2xl my-8">
+                <h2 className="text-2xl font-bold mb-6 text-gray-800">Subcontractors</h2>
+
+                <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+                    <div>
+                        <label htmlFor="subcontractor-name" className="block text-gray-700 text-sm font-bold mb-2">Company:</label>
+                        <input type="text" id="subcontractor-name" required className={inputClass} value={draft.name} onChange={(e) => updateDraft({ name: e.target.value })} />
+                    </div>
+                    <div>
+                        <label htmlFor="subcontractor-trade" className="block text-gray-700 text-sm font-bold mb-2">Trade:</label>
+                        <select id="subcontractor-trade" required className={inputClass} value={draft.trade} onChange={(e) => updateDraft({ trade: e.target.value })}>
+                            {tradeNames.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="subcontractor-email" className="block text-gray-700 text-sm font-bold mb-2">Contact Email:</label>
+                        <input type="email" id="subcontractor-email" className={inputClass} value={draft.contactEmail} onChange={(e) => updateDraft({ contactEmail: e.target.value })} />
+                    </div>
+                    <div>
+                        <label htmlFor="subcontractor-phone" className="block text-gray-700 text-sm font-bold mb-2">Phone:</label>
+                        <input type="tel" id="subcontractor-phone" className={inputClass} value={draft.phone} onChange={(e) => updateDraft({ phone: e.target.value })} />
+                    </div>
+                    <div className="md:col-span-2 flex justify-end gap-3">
+                        {draft.id && (
+                            <button type="button" onClick={() => setDraft(emptyDraft(tradeNames))} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg">
+                                Cancel Edit
+                            </button>
+                        )}
+                        <button type="submit" disabled={isSaving} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out disabled:opacity-50">
+                            {draft.id ? 'Save Changes' : 'Add Subcontractor'}
+                        </button>
+                    </div>
+                </form>
+
+                {subcontractors.length === 0 ? (
+                    <p className="text-gray-500 mb-6">No subcontractors yet.</p>
+                ) : (
+                    <ul className="divide-y border rounded-lg mb-6">
+                        {sortByName(subcontractors).map(subcontractor => (
+                            <li key={subcontractor.id} className="flex flex-wrap items-center justify-between gap-2 p-3">
+                                <span>
+                                    <span className="font-semibold text-gray-800">{subcontractor.name}</span>
+                                    <span className="text-sm text-gray-600"> · {subcontractor.trade}</span>
+                                    {(subcontractor.contactEmail || subcontractor.phone) && (
+                                        <span className="block text-sm text-gray-500">{[subcontractor.contactEmail, subcontractor.phone].filter(Boolean).join(' · ')}</span>
+                                    )}
+                                </span>
+                                <span className="flex gap-3">
+                                    <button onClick={() => setDraft({ ...emptyDraft(tradeNames), ...subcontractor })} className="text-sm text-blue-700 hover:underline">Edit</button>
+                                    <button onClick={() => onRemove(subcontractor.id)} className="text-sm text-red-700 hover:underline">Remove</button>
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SubcontractorManager;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { filterSuggestions } from './taskSuggestions';
+
+const inputClass = "flex-1 border rounded py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline";
+
+// Suggested tasks are only written once someone has looked at them: each one can be kept,
+// reworded or dropped. onAccept(taskNames) gets the kept names, deduped against existingTasks.
+const SuggestionReview = ({ tradeName, suggestions, existingTasks = [], onAccept, onClose }) => {
+    const [items, setItems] = useState(() => suggestions.map((name, index) => ({ key: index, name, accepted: true })));
+
+    const updateItem = (key, changes) => {
+        setItems(current => current.map(item => (item.key === key ? { ...item, ...changes } : item)));
+    };
+
+    const acceptedNames = filterSuggestions(items.filter(item => item.accepted).map(item => item.name), existingTasks);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (acceptedNames.length === 0) return;
+        onAccept(acceptedNames);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+            <form onSubmit={handleSubmit} className="bg-white p-8 rounded-lg shadow-xl w-full max-w-xl my-8">
+                <h2 className="text-2xl font-bold mb-1 text-gray-800">Suggested Tasks</h2>
+                <p className="text-gray-600 mb-4">Review the suggestions for {tradeName}. Only the tasks you keep are added.</p>
+
+                <ul className="space-y-2 mb-6">
+                    {items.map(item => (
+                        <li key={item.key} className={`flex items-center gap-2 p-2 rounded-lg border ${item.accepted ? 'border-green-300 bg-green-50' : 'border-gray-200 bg-gray-50'}`}>
+                            <input
+                                type="checkbox"
+                                aria-label={`Keep ${item.name}`}
+                                checked={item.accepted}
+                                onChange={(e) => updateItem(item.key, { accepted: e.target.checked })}
+                                className="h-4 w-4"
+                            />
+                            <input
+                                type="text"
+                                aria-label="Suggested task"
+                                value={item.name}
+                                onChange={(e) => updateItem(item.key, { name: e.target.value })}
+                                disabled={!item.accepted}
+                                className={`${inputClass} ${item.accepted ? '' : 'line-through text-gray-400'}`}
+                            />
+                            <button
+                                type="button"
+                                onClick={() => updateItem(item.key, { accepted: !item.accepted })}
+                                className={`text-sm font-semibold py-1 px-3 rounded-lg ${item.accepted ? 'bg-white hover:bg-red-50 text-red-700 border border-gray-300' : 'bg-white hover:bg-gray-100 text-gray-800 border border-gray-300'}`}
+                            >
+                                {item.accepted ? 'Reject' : 'Keep'}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="flex justify-end gap-3">
+                    <button type="button" onClick={onClose} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg">
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={acceptedNames.length === 0}
+                        className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Add {acceptedNames.length} {acceptedNames.length === 1 ? 'Task' : 'Tasks'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default SuggestionReview;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { TASK_STATUSES, getTaskStatus } from './unitProgress';
+
+const smallButtonClass = "text-sm font-semibold py-1 px-3 rounded-lg transition duration-300 ease-in-out";
+const inputClass = "border rounded w-full py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline";
+
+const ROW_COLORS = {
+    open: 'bg-red-50 border-red-500',
+    completed: 'bg-yellow-50 border-yellow-500',
+    verified: 'bg-green-50 border-green-600'
+};
+
+// One task in UnitView with its status actions, inline rename, notes and reorder controls.
+// Every change goes through a callback; `permissions` says which controls to show, and
+// `verification` is the task's sign-off from getTaskVerification, if any.
+// Dragging is wired up by the list through dragProps.
+const TaskItem = ({
+    task,
+    verification = null,
+    permissions,
+    isFirst,
+    isLast,
+    isDragOver,
+    dragProps = {},
+    onSetCompleted,
+    onVerify,
+    onReject,
+    onRename,
+    onDelete,
+    onSaveNotes,
+    onMove,
+    onShowHistory,
+    children
+}) => {
+    const [mode, setMode] = useState(null); // 'rename', 'notes' or 'reject' while a form is open
+    const [draft, setDraft] = useState('');
+    const status = getTaskStatus(task, verification);
+
+    const openForm = (formMode, initialValue = '') => {
+        setMode(formMode);
+        setDraft(initialValue);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const value = draft.trim();
+        if (mode === 'rename') {
+            if (!value) return;
+            onRename(value);
+        } else if (mode === 'notes') {
+            onSaveNotes(value);
+        } else if (mode === 'reject') {
+            if (!value) return;
+            onReject(value);
+        }
+        setMode(null);
+    };
+
+    return (
+        <li className={`p-4 rounded-lg shadow-sm border-l-4 ${ROW_COLORS[status]} ${isDragOver ? 'ring-2 ring-blue-400' : ''}`} {...dragProps}>
+            <div className="flex items-start justify-between gap-3">
+                <span className="flex items-start gap-2">
+                    {permissions.canEdit && (
+                        <span className="cursor-move select-none text-gray-400 pt-1" title="Drag to reorder" aria-hidden="true">⠿</span>
+                    )}
+                    <span className={`text-lg ${status === 'open' ? 'text-gray-900' : 'line-through text-gray-600'}`}>{task.task}</span>
+                </span>
+                <span className="flex items-center gap-3 whitespace-nowrap">
+                    <button onClick={onShowHistory} className="text-sm text-blue-700 hover:underline">History</button>
+                    <span className={`font-semibold ${TASK_STATUSES[status].className}`}>{TASK_STATUSES[status].label}</span>
+                </span>
+            </div>
+
+            {status === 'open' && task.rejection && (
+                <p className="text-sm text-red-700 mt-1">Sent back{task.rejection.by ? ` by ${task.rejection.by}` : ''}: {task.rejection.reason}</p>
+            )}
+            {task.notes && mode !== 'notes' && (
+                <p className="text-sm text-gray-700 mt-1 whitespace-pre-wrap">{task.notes}</p>
+            )}
+
+            {mode ? (
+                <form onSubmit={handleSubmit} className="mt-2 flex flex-wrap items-start gap-2">
+                    {mode === 'notes' ? (
+                        <textarea aria-label="Notes" rows={3} className={inputClass} value={draft} onChange={(e) => setDraft(e.target.value)} autoFocus />
+                    ) : (
+                        <input
+                            type="text"
+                            aria-label={mode === 'rename' ? 'Task name' : 'Reason for sending back'}
+                            placeholder={mode === 'reject' ? 'Reason (required)' : ''}
+                            className={inputClass}
+                            value={draft}
+                            onChange={(e) => setDraft(e.target.value)}
+                            autoFocus
+                        />
+                    )}
+                    <button type="submit" className={`${smallButtonClass} ${mode === 'reject' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'} text-white`}>
+                        {mode === 'reject' ? 'Send Back' : 'Save'}
+                    </button>
+                    <button type="button" onClick={() => setMode(null)} className={`${smallButtonClass} bg-gray-200 hover:bg-gray-300 text-gray-800`}>Cancel</button>
+                </form>
+            ) : (
+                <div className="mt-2 flex flex-wrap gap-2">
+                    {status === 'open' && permissions.canComplete && (
+                        <button onClick={() => onSetCompleted(true)} className={`${smallButtonClass} bg-green-600 hover:bg-green-700 text-white`}>Mark Completed</button>
+                    )}
+                    {status === 'completed' && permissions.canComplete && (
+                        <button onClick={() => onSetCompleted(false)} className={`${smallButtonClass} bg-gray-200 hover:bg-gray-300 text-gray-800`}>Undo Completed</button>
+                    )}
+                    {status === 'completed' && permissions.canVerify && (
+                        <button onClick={onVerify} className={`${smallButtonClass} bg-green-700 hover:bg-green-800 text-white`}>Verify</button>
+                    )}
+                    {status !== 'open' && permissions.canVerify && (
+                        <button onClick={() => openForm('reject')} className={`${smallButtonClass} bg-red-100 hover:bg-red-200 text-red-800`}>Reject</button>
+                    )}
+                    {permissions.canNotes && (
+                        <button onClick={() => openForm('notes', task.notes || '')} className={`${smallButtonClass} bg-white hover:bg-gray-100 text-gray-800 border border-gray-300`}>
+                            {task.notes ? 'Edit Notes' : 'Add Notes'}
+                        </button>
+                    )}
+                    {permissions.canEdit && (
+                        <>
+                            <button onClick={() => openForm('rename', task.task)} className={`${smallButtonClass} bg-white hover:bg-gray-100 text-gray-800 border border-gray-300`}>Rename</button>
+                            <button onClick={onDelete} className={`${smallButtonClass} bg-white hover:bg-red-50 text-red-700 border border-gray-300`}>Delete</button>
+                            <button onClick={() => onMove(-1)} disabled={isFirst} aria-label="Move up" className={`${smallButtonClass} bg-white hover:bg-gray-100 text-gray-800 border border-gray-300 disabled:opacity-40`}>↑</button>
+                            <button onClick={() => onMove(1)} disabled={isLast} aria-label="Move down" className={`${smallButtonClass} bg-white hover:bg-gray-100 text-gray-800 border border-gray-300 disabled:opacity-40`}>↓</button>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {children}
+        </li>
+    );
+};
+
+export default TaskItem;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { PHOTO_KINDS } from './photos';
+
+// Photo gallery and camera/file buttons for one task row
+const TaskPhotos = ({ taskKey, photos = [], isUploading, canUpload = true, onUpload }) => {
+    const handleFileChange = (kind) => (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            onUpload(kind, file);
+        }
+    };
+
+    return (
+        <div className="mt-3">
+            {photos.length > 0 && (
+                <ul className="flex flex-wrap gap-3 mb-3">
+                    {photos.map(photo => (
+                        <li key={photo.id} className="text-xs text-gray-600 w-24">
+                            <a href={photo.url} target="_blank" rel="noreferrer">
+                                <img
+                                    src={photo.thumbnailUrl}
+                                    alt={`${PHOTO_KINDS[photo.kind] || 'Photo'} taken ${new Date(photo.uploadedAt).toLocaleString()}`}
+                                    className={`w-24 h-24 object-cover rounded border-2 ${photo.kind === 'fix' ? 'border-green-500' : 'border-red-500'}`}
+                                />
+                            </a>
+                            <span className="block font-semibold">{PHOTO_KINDS[photo.kind] || 'Photo'}</span>
+                            <span className="block">{new Date(photo.uploadedAt).toLocaleString()}</span>
+                            {photo.uploadedByEmail && (
+                                <span className="block truncate" title={photo.uploadedByEmail}>by {photo.uploadedByEmail}</span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {canUpload && <div className="flex flex-wrap gap-2">
+                {Object.entries(PHOTO_KINDS).map(([kind, label]) => (
+                    <label
+                        key={kind}
+                        htmlFor={`photo-${kind}-${taskKey}`}
+                        className={`text-sm font-semibold py-1 px-3 rounded-lg cursor-pointer ${isUploading ? 'bg-gray-300 text-gray-600' : 'bg-white hover:bg-gray-100 text-gray-800 border border-gray-300'}`}
+                    >
+                        {isUploading ? 'Uploading...' : `📷 ${label} photo`}
+                        <input
+                            type="file"
+                            id={`photo-${kind}-${taskKey}`}
+                            accept="image/*"
+                            capture="environment"
+                            disabled={isUploading}
+                            onChange={handleFileChange(kind)}
+                            className="hidden"
+                        />
+                    </label>
+                ))}
+            </div>}
+        </div>
+    );
+};
+
+export default TaskPhotos;
@@ -0,0 +1,11 @@
+import { render, screen } from '@testing-library/react';
+import TaskPhotos from './TaskPhotos';
+
+const photo = { id: 'ph1', kind: 'deficiency', url: 'full.jpg', thumbnailUrl: 'thumb.jpg', uploadedBy: 'uid-123', uploadedAt: '2026-10-19T12:00:00.000Z' };
+
+test('shows who took a photo by email, never by uid', () => {
+  render(<TaskPhotos taskKey="t1" photos={[{ ...photo, uploadedByEmail: 'sub@example.com' }, { ...photo, id: 'ph2' }]} canUpload={false} />);
+
+  expect(screen.getByText('by sub@example.com')).toBeInTheDocument();
+  expect(screen.queryByText(/uid-123/)).not.toBeInTheDocument();
+});
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { DEFAULT_TEMPLATE_ID, getTemplatePushTargets, moveItem, validateTemplate } from './templates';
+
+const inputClass = "shadow appearance-none border rounded w-full py-1 px-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+const iconButtonClass = "px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm disabled:opacity-40";
+
+const copyTemplate = (template) => ({
+    id: template.id,
+    name: template.name,
+    trades: template.trades.map(trade => ({ name: trade.name, tasks: [...trade.tasks] }))
+});
+
+// Modal for creating and editing checklist templates. Saving, deleting and pushing to units
+// are handled by the caller: onSave(template) resolves to the saved template's ID or null.
+const TemplateEditor = ({ templates, units, onSave, onDelete, onPush, onClose }) => {
+    const [draft, setDraft] = useState(() => copyTemplate(templates[0]));
+    const [isSaving, setIsSaving] = useState(false);
+
+    const savedTemplate = templates.find(template => template.id === draft.id);
+    const isDirty = !savedTemplate || JSON.stringify(copyTemplate(savedTemplate)) !== JSON.stringify(draft);
+    const errors = validateTemplate(draft);
+    const pushTargets = savedTemplate ? getTemplatePushTargets(units, savedTemplate.id) : [];
+
+    const updateTrades = (trades) => setDraft({ ...draft, trades });
+    const updateTrade = (tradeIndex, changes) => updateTrades(draft.trades.map((trade, index) => (index === tradeIndex ? { ...trade, ...changes } : trade)));
+    const updateTasks = (tradeIndex, tasks) => updateTrade(tradeIndex, { tasks });
+
+    const handleSelectTemplate = (templateId) => {
+        if (isDirty && !window.confirm("Discard unsaved changes to this template?")) return;
+        setDraft(copyTemplate(templates.find(template => template.id === templateId)));
+    };
+
+    const handleNewTemplate = (basedOn = null) => {
+        if (isDirty && !window.confirm("Discard unsaved changes to this template?")) return;
+        setDraft(basedOn
+            ? { ...copyTemplate(basedOn), id: null, name: `${basedOn.name} (copy)` }
+            : { id: null, name: 'New Template', trades: [{ name: 'General', tasks: [] }] });
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        const savedId = await onSave(draft);
+        setIsSaving(false);
+        if (savedId) {
+            setDraft({ ...draft, id: savedId });
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete template "${savedTemplate.name}"? Units created from it keep their tasks.`)) return;
+        await onDelete(savedTemplate.id);
+        const remaining = templates.filter(template => template.id !== savedTemplate.id);
+        setDraft(copyTemplate(remaining[0]));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+            <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-3xl my-8">
+                <h2 className="text-2xl font-bold mb-6 text-gray-800">Checklist Templates</h2>
+
+                <div className="flex flex-wrap items-end gap-2 mb-6">
+                    <div className="flex-1 min-w-48">
+                        <label htmlFor="template-select" className="block text-gray-700 text-sm font-bold mb-2">Template:</label>
+                        <select
+                            id="template-select"
+                            value={draft.id || ''}
+                            onChange={(e) => handleSelectTemplate(e.target.value)}
+                            className="block w-full p-2 border border-gray-300 rounded-lg"
+                        >
+                            {!draft.id && <option value="">{draft.name} (unsaved)</option>}
+                            {templates.map(template => (
+                                <option key={template.id} value={template.id}>{template.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <button onClick={() => handleNewTemplate()} className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-2 px-4 rounded-lg">New</button>
+                    <button onClick={() => handleNewTemplate(draft)} className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-2 px-4 rounded-lg">Duplicate</button>
+                    {savedTemplate && savedTemplate.id !== DEFAULT_TEMPLATE_ID && (
+                        <button onClick={handleDelete} className="bg-red-100 hover:bg-red-200 text-red-800 font-bold py-2 px-4 rounded-lg">Delete</button>
+                    )}
+                </div>
+
+                <div className="mb-4">
+                    <label htmlFor="template-name" className="block text-gray-700 text-sm font-bold mb-2">Name:</label>
+                    <input id="template-name" type="text" className={inputClass} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+                </div>
+
+                <ol className="space-y-4 mb-4">
+                    {draft.trades.map((trade, tradeIndex) => (
+                        <li key={tradeIndex} className="border rounded-lg p-4 bg-gray-50">
+                            <div className="flex items-center gap-2 mb-3">
+                                <input
+                                    type="text"
+                                    aria-label="Trade name"
+                                    className={`${inputClass} font-semibold`}
+                                    value={trade.name}
+                                    onChange={(e) => updateTrade(tradeIndex, { name: e.target.value })}
+                                />
+                                <button aria-label="Move trade up" onClick={() => updateTrades(moveItem(draft.trades, tradeIndex, -1))} disabled={tradeIndex === 0} className={iconButtonClass}>&uarr;</button>
+                                <button aria-label="Move trade down" onClick={() => updateTrades(moveItem(draft.trades, tradeIndex, 1))} disabled={tradeIndex === draft.trades.length - 1} className={iconButtonClass}>&darr;</button>
+                                <button aria-label="Remove trade" onClick={() => updateTrades(draft.trades.filter((_, index) => index !== tradeIndex))} className={iconButtonClass}>&times;</button>
+                            </div>
+                            <ol className="space-y-2 ml-4">
+                                {trade.tasks.map((task, taskIndex) => (
+                                    <li key={taskIndex} className="flex items-center gap-2">
+                                        <input
+                                            type="text"
+                                            aria-label="Task name"
+                                            className={inputClass}
+                                            value={task}
+                                            onChange={(e) => updateTasks(tradeIndex, trade.tasks.map((existing, index) => (index === taskIndex ? e.target.value : existing)))}
+                                        />
+                                        <button aria-label="Move task up" onClick={() => updateTasks(tradeIndex, moveItem(trade.tasks, taskIndex, -1))} disabled={taskIndex === 0} className={iconButtonClass}>&uarr;</button>
+                                        <button aria-label="Move task down" onClick={() => updateTasks(tradeIndex, moveItem(trade.tasks, taskIndex, 1))} disabled={taskIndex === trade.tasks.length - 1} className={iconButtonClass}>&darr;</button>
+                                        <button aria-label="Remove task" onClick={() => updateTasks(tradeIndex, trade.tasks.filter((_, index) => index !== taskIndex))} className={iconButtonClass}>&times;</button>
+                                    </li>
+                                ))}
+                            </ol>
+                            <button onClick={() => updateTasks(tradeIndex, [...trade.tasks, ''])} className="ml-4 mt-2 text-sm text-blue-700 hover:underline">+ Add task</button>
+                        </li>
+                    ))}
+                </ol>
+                <button onClick={() => updateTrades([...draft.trades, { name: '', tasks: [] }])} className="text-blue-700 hover:underline mb-6">+ Add trade</button>
+
+                {errors.length > 0 && (
+                    <ul role="alert" className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded mb-4 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+
+                <div className="flex flex-wrap justify-between items-center gap-4">
+                    <button
+                        onClick={() => onPush(savedTemplate)}
+                        disabled={!savedTemplate || isDirty || pushTargets.length === 0}
+                        title="Replace the checklist of units created from this template that have no completed tasks"
+                        className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out disabled:opacity-50"
+                    >
+                        Push to {pushTargets.length} unstarted unit{pushTargets.length === 1 ? '' : 's'}
+                    </button>
+                    <div className="flex gap-4">
+                        <button
+                            onClick={onClose}
+                            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                        >
+                            Close
+                        </button>
+                        <button
+                            onClick={handleSave}
+                            disabled={!isDirty || errors.length > 0 || isSaving}
+                            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out disabled:opacity-50"
+                        >
+                            {isSaving ? 'Saving...' : 'Save Template'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TemplateEditor;
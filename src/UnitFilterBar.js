@@ -0,0 +1,56 @@
+import React from 'react';
+import { UNIT_STATUSES } from './unitProgress';
+import { sortByName } from './hierarchy';
+import { SORT_OPTIONS, UNASSIGNED, hasActiveFilters } from './unitFilters';
+
+const selectClass = "border rounded py-2 px-2 text-gray-700 text-sm focus:outline-none focus:shadow-outline";
+
+// Search box, filters and sort for the unit grid. onChange receives only the changed fields.
+const UnitFilterBar = ({ filters, buildings, tradeNames, subcontractors, onChange, onClear }) => (
+    <div className="flex flex-wrap items-end gap-2 mb-6 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+        <input
+            type="search"
+            aria-label="Search units"
+            placeholder="Search unit or address"
+            value={filters.q}
+            onChange={(e) => onChange({ q: e.target.value })}
+            className="flex-1 min-w-48 shadow appearance-none border rounded py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+        />
+        <select aria-label="Building" className={selectClass} value={filters.buildingId} onChange={(e) => onChange({ buildingId: e.target.value })}>
+            <option value="">All buildings</option>
+            {sortByName(buildings).map(building => (
+                <option key={building.id} value={building.id}>{building.name}</option>
+            ))}
+            <option value={UNASSIGNED}>Unassigned units</option>
+        </select>
+        <select aria-label="Status" className={selectClass} value={filters.status} onChange={(e) => onChange({ status: e.target.value })}>
+            <option value="">Any status</option>
+            {UNIT_STATUSES.map(status => (
+                <option key={status} value={status}>{status}</option>
+            ))}
+        </select>
+        <select aria-label="Trade with open items" className={selectClass} value={filters.trade} onChange={(e) => onChange({ trade: e.target.value })}>
+            <option value="">Any trade</option>
+            {[...tradeNames].sort().map(tradeName => (
+                <option key={tradeName} value={tradeName}>Open {tradeName}</option>
+            ))}
+        </select>
+        <select aria-label="Assignee" className={selectClass} value={filters.assignee} onChange={(e) => onChange({ assignee: e.target.value })}>
+            <option value="">Anyone</option>
+            {sortByName(subcontractors).map(subcontractor => (
+                <option key={subcontractor.id} value={subcontractor.id}>{subcontractor.name}</option>
+            ))}
+            <option value={UNASSIGNED}>Unassigned work</option>
+        </select>
+        <select aria-label="Sort by" className={selectClass} value={filters.sort} onChange={(e) => onChange({ sort: e.target.value })}>
+            {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                <option key={value} value={value}>Sort: {label}</option>
+            ))}
+        </select>
+        {hasActiveFilters(filters) && (
+            <button onClick={onClear} className="text-sm text-blue-700 hover:underline py-2 px-1">Clear filters</button>
+        )}
+    </div>
+);
+
+export default UnitFilterBar;
@@ -0,0 +1,157 @@
+import React, { useState, useMemo } from 'react';
+import {
+    MAX_GENERATED_UNITS,
+    DEFAULT_GENERATOR_SETTINGS,
+    validateGeneratorSettings,
+    buildGeneratorPlan,
+    findPlanProblems
+} from './unitGeneratorPlan';
+import { DEFAULT_PROJECT_ID, DEFAULT_PROJECT_NAME } from './hierarchy';
+
+const PREVIEW_LIMIT = 60;
+
+const inputClass = "shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+const labelClass = "block text-gray-700 text-sm font-bold mb-2";
+
+// Bulk unit generator form with a live preview of the IDs it will create.
+// onGenerate(projectId, templateId, units) resolves to true once every unit has been written.
+const UnitGenerator = ({ projects, templates, defaultProjectId, existingUnitIds, onGenerate, onClose }) => {
+    const [settings, setSettings] = useState(DEFAULT_GENERATOR_SETTINGS);
+    const [projectId, setProjectId] = useState(defaultProjectId || (projects[0] ? projects[0].id : DEFAULT_PROJECT_ID));
+    const [templateId, setTemplateId] = useState(templates[0].id);
+    const [isGenerating, setIsGenerating] = useState(false);
+
+    const errors = validateGeneratorSettings(settings);
+    const plannedUnits = useMemo(() => (errors.length === 0 ? buildGeneratorPlan(settings) : []), [settings, errors.length]);
+    const problems = useMemo(() => findPlanProblems(plannedUnits, existingUnitIds), [plannedUnits, existingUnitIds]);
+    const collisionSet = new Set(problems.collisions);
+    const unitsToCreate = plannedUnits.filter(unit => !collisionSet.has(unit.id));
+
+    if (plannedUnits.length > MAX_GENERATED_UNITS) {
+        errors.push(`That would create ${plannedUnits.length} units. Generate at most ${MAX_GENERATED_UNITS} at a time.`);
+    }
+    if (problems.duplicates.length > 0) {
+        errors.push(`The pattern produces the same ID more than once (e.g. ${problems.duplicates[0]}).`);
+    }
+    if (problems.invalid.length > 0) {
+        errors.push("Unit IDs can't be empty or contain \"/\".");
+    }
+
+    const updateSetting = (key, value) => setSettings({ ...settings, [key]: value });
+    const updateNumber = (key, value) => updateSetting(key, parseInt(value, 10) || 0);
+
+    const handleGenerate = async () => {
+        setIsGenerating(true);
+        const success = await onGenerate(projectId, templateId, unitsToCreate);
+        setIsGenerating(false);
+        if (success) {
+            onClose();
+        }
+    };
+
+    const projectOptions = projects.some(project => project.id === projectId)
+        ? projects
+        : [{ id: projectId, name: projectId === DEFAULT_PROJECT_ID ? DEFAULT_PROJECT_NAME : projectId }, ...projects];
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+            <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-3xl my-8">
+                <h2 className="text-2xl font-bold mb-6 text-gray-800">Generate Units</h2>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                    <div>
+                        <label htmlFor="generator-project" className={labelClass}>Project:</label>
+                        <select id="generator-project" value={projectId} onChange={(e) => setProjectId(e.target.value)} className={inputClass}>
+                            {projectOptions.map(project => (
+                                <option key={project.id} value={project.id}>{project.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="generator-template" className={labelClass}>Checklist template:</label>
+                        <select id="generator-template" value={templateId} onChange={(e) => setTemplateId(e.target.value)} className={inputClass}>
+                            {templates.map(template => (
+                                <option key={template.id} value={template.id}>{template.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="generator-buildings" className={labelClass}>Building names (comma separated):</label>
+                        <input type="text" id="generator-buildings" className={inputClass} value={settings.buildingNames} onChange={(e) => updateSetting('buildingNames', e.target.value)} />
+                    </div>
+                    <div>
+                        <label htmlFor="generator-floors" className={labelClass}>Floors per building:</label>
+                        <input type="number" min="1" id="generator-floors" className={inputClass} value={settings.floorCount} onChange={(e) => updateNumber('floorCount', e.target.value)} />
+                    </div>
+                    <div>
+                        <label htmlFor="generator-start-floor" className={labelClass}>First floor number:</label>
+                        <input type="number" min="1" id="generator-start-floor" className={inputClass} value={settings.startFloor} onChange={(e) => updateNumber('startFloor', e.target.value)} />
+                    </div>
+                    <div>
+                        <label htmlFor="generator-units-per-floor" className={labelClass}>Units per floor:</label>
+                        <input type="number" min="1" id="generator-units-per-floor" className={inputClass} value={settings.unitsPerFloor} onChange={(e) => updateNumber('unitsPerFloor', e.target.value)} />
+                    </div>
+                    <div>
+                        <label htmlFor="generator-number-pattern" className={labelClass}>Unit number pattern:</label>
+                        <input type="text" id="generator-number-pattern" className={inputClass} value={settings.numberPattern} onChange={(e) => updateSetting('numberPattern', e.target.value)} />
+                    </div>
+                    <div>
+                        <label htmlFor="generator-id-template" className={labelClass}>Unit ID pattern:</label>
+                        <input type="text" id="generator-id-template" className={inputClass} value={settings.idTemplate} onChange={(e) => updateSetting('idTemplate', e.target.value)} />
+                    </div>
+                    <div>
+                        <label htmlFor="generator-address-template" className={labelClass}>Address template:</label>
+                        <input type="text" id="generator-address-template" className={inputClass} value={settings.addressTemplate} onChange={(e) => updateSetting('addressTemplate', e.target.value)} />
+                    </div>
+                </div>
+                <p className="text-xs text-gray-500 mb-4">
+                    Patterns can use {'{building}'}, {'{floor}'}, {'{unit}'} (position on the floor) and {'{number}'} (the unit number). Add :2 to zero-pad, e.g. {'{floor}{unit:2}'} gives 101–120, 201–220.
+                </p>
+
+                {errors.length > 0 ? (
+                    <ul role="alert" className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded mb-4 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                ) : (
+                    <div className="mb-4">
+                        <h3 className="text-lg font-semibold text-gray-800 mb-2">
+                            Preview: {unitsToCreate.length} new unit{unitsToCreate.length === 1 ? '' : 's'}
+                        </h3>
+                        {problems.collisions.length > 0 && (
+                            <p className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-3 rounded mb-2">
+                                {problems.collisions.length} unit(s) already exist and will be skipped: {problems.collisions.slice(0, 10).join(', ')}{problems.collisions.length > 10 ? ', ...' : ''}
+                            </p>
+                        )}
+                        <ul className="max-h-64 overflow-y-auto border rounded-lg p-2 grid grid-cols-2 md:grid-cols-3 gap-1 text-sm">
+                            {plannedUnits.slice(0, PREVIEW_LIMIT).map(unit => (
+                                <li key={unit.id} className={collisionSet.has(unit.id) ? 'text-yellow-700 line-through' : 'text-gray-800'} title={unit.address}>
+                                    {unit.id}
+                                </li>
+                            ))}
+                        </ul>
+                        {plannedUnits.length > PREVIEW_LIMIT && (
+                            <p className="text-sm text-gray-600 mt-1">...and {plannedUnits.length - PREVIEW_LIMIT} more</p>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-4">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleGenerate}
+                        disabled={errors.length > 0 || unitsToCreate.length === 0 || isGenerating}
+                        className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out disabled:opacity-50"
+                    >
+                        {isGenerating ? 'Generating...' : `Create ${unitsToCreate.length} Units`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UnitGenerator;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { IMPORT_COLUMNS, IMPORT_EXAMPLE_ROWS, parseUnitImportRows } from './unitImport';
+import { SPREADSHEET_ACCEPT, readSpreadsheetRows, downloadSpreadsheet } from './spreadsheets';
+import { DEFAULT_PROJECT_ID, DEFAULT_PROJECT_NAME } from './hierarchy';
+
+const PREVIEW_LIMIT = 100;
+
+const inputClass = "shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+const labelClass = "block text-gray-700 text-sm font-bold mb-2";
+
+const countTasks = (trades) => Object.values(trades).reduce((sum, tasks) => sum + tasks.length, 0);
+
+// Upload a CSV/XLSX of units, see every problem by row and a preview, then import.
+// onImport(projectId, units) resolves to true once every unit has been written.
+const UnitImporter = ({ projects, templates, defaultProjectId, existingUnitIds, onImport, onClose }) => {
+    const [projectId, setProjectId] = useState(defaultProjectId || (projects[0] ? projects[0].id : DEFAULT_PROJECT_ID));
+    const [fileName, setFileName] = useState(null);
+    const [result, setResult] = useState(null); // { units, errors } once a file has been read
+    const [readError, setReadError] = useState(null);
+    const [isImporting, setIsImporting] = useState(false);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setFileName(file.name);
+        setResult(null);
+        setReadError(null);
+        try {
+            const rows = await readSpreadsheetRows(file);
+            if (rows.length === 0) {
+                setReadError("The file has no rows below the header.");
+                return;
+            }
+            setResult(parseUnitImportRows(rows, { templates, existingUnitIds }));
+        } catch (error) {
+            console.error("Error reading import file:", error);
+            setReadError(`Couldn't read ${file.name}: ${error.message}`);
+        }
+    };
+
+    const handleImport = async () => {
+        setIsImporting(true);
+        const success = await onImport(projectId, result.units);
+        setIsImporting(false);
+        if (success) {
+            onClose();
+        }
+    };
+
+    const projectOptions = projects.some(project => project.id === projectId)
+        ? projects
+        : [{ id: projectId, name: projectId === DEFAULT_PROJECT_ID ? DEFAULT_PROJECT_NAME : projectId }, ...projects];
+    const canImport = result && result.errors.length === 0 && result.units.length > 0 && !isImporting;
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex justify-center items-start overflow-y-auto z-50">
+            <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-3xl my-8">
+                <h2 className="text-2xl font-bold mb-4 text-gray-800">Import Units</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Columns: {IMPORT_COLUMNS.join(', ')}. Add one row per unit, or one row per task with the same Unit repeated.
+                    Units with a Building and Floor are placed in the project below; the rest stay unassigned.
+                    <button
+                        onClick={() => downloadSpreadsheet(IMPORT_EXAMPLE_ROWS, 'unit-import-example', 'csv', IMPORT_COLUMNS)}
+                        className="ml-1 text-blue-700 hover:underline"
+                    >
+                        Download an example
+                    </button>
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                    <div>
+                        <label htmlFor="import-project" className={labelClass}>Project:</label>
+                        <select id="import-project" value={projectId} onChange={(e) => setProjectId(e.target.value)} className={inputClass}>
+                            {projectOptions.map(project => (
+                                <option key={project.id} value={project.id}>{project.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="import-file" className={labelClass}>CSV or Excel file:</label>
+                        <input type="file" id="import-file" accept={SPREADSHEET_ACCEPT} onChange={handleFileChange} className="block w-full text-sm text-gray-700" />
+                        {fileName && <p className="text-xs text-gray-500 mt-1">{fileName}</p>}
+                    </div>
+                </div>
+
+                {readError && <p role="alert" className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded mb-4">{readError}</p>}
+
+                {result && result.errors.length > 0 && (
+                    <div role="alert" className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded mb-4">
+                        <p className="font-semibold mb-2">Fix these {result.errors.length} problem{result.errors.length === 1 ? '' : 's'} and choose the file again:</p>
+                        <ul className="max-h-48 overflow-y-auto text-sm space-y-1">
+                            {result.errors.map((error, index) => (
+                                <li key={index}>{error.row ? `Row ${error.row}: ` : ''}{error.message}</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {result && result.units.length > 0 && (
+                    <div className="mb-4">
+                        <h3 className="text-lg font-semibold text-gray-800 mb-2">
+                            Preview: {result.units.length} unit{result.units.length === 1 ? '' : 's'}
+                        </h3>
+                        <div className="max-h-64 overflow-y-auto border rounded-lg">
+                            <table className="w-full text-sm text-left">
+                                <thead>
+                                    <tr className="border-b text-gray-600">
+                                        <th className="py-1 px-2">Unit</th>
+                                        <th className="py-1 px-2">Address</th>
+                                        <th className="py-1 px-2">Building</th>
+                                        <th className="py-1 px-2">Floor</th>
+                                        <th className="py-1 px-2">Tasks</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.units.slice(0, PREVIEW_LIMIT).map(unit => (
+                                        <tr key={unit.id} className="border-b">
+                                            <td className="py-1 px-2 font-semibold">{unit.id}</td>
+                                            <td className="py-1 px-2">{unit.address}</td>
+                                            <td className="py-1 px-2">{unit.buildingName || 'Unassigned'}</td>
+                                            <td className="py-1 px-2">{unit.floor || '—'}</td>
+                                            <td className="py-1 px-2">{countTasks(unit.trades)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {result.units.length > PREVIEW_LIMIT && (
+                            <p className="text-sm text-gray-600 mt-1">...and {result.units.length - PREVIEW_LIMIT} more</p>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-4">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleImport}
+                        disabled={!canImport}
+                        className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out disabled:opacity-50"
+                    >
+                        {isImporting ? 'Importing...' : `Import ${result ? result.units.length : 0} Units`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UnitImporter;
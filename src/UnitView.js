@@ -0,0 +1,582 @@
+import React, { useState, useEffect } from 'react';
+import { showMessage } from './showMessage';
+import { getUnitQrLink } from './qrLabels';
+import {
+    withPendingOperations,
+    getTaskVerification,
+    createSetCompletedOperation,
+    createAddTaskOperation,
+    createAddPhotoOperation,
+    createSetAssignmentOperation,
+    createVerifyOperation,
+    createRejectOperation,
+    createRenameTaskOperation,
+    createSetNotesOperation,
+    createDeleteTaskOperation,
+    createReorderTasksOperation,
+    getTaskKey,
+    isHistoryForTask,
+    createTaskId
+} from './taskOperations';
+import { getUnitProgress, deriveUnitStatus, STATUS_COLORS } from './unitProgress';
+import ProgressBar from './ProgressBar';
+import TaskPhotos from './TaskPhotos';
+import TaskItem from './TaskItem';
+import HistoryPanel from './HistoryPanel';
+import { withDefaultTemplate, getOrderedTradeNames, moveItem } from './templates';
+import { can } from './permissions';
+import AssignmentEditor from './AssignmentEditor';
+import { getTaskAssignment, getSubcontractorName, isOverdue } from './assignments';
+import ExportButtons from './ExportButtons';
+import { buildPunchListRows, getExportFileName } from './punchListExport';
+import { buildUnitReport } from './punchListReport';
+import { createUnitPdf } from './punchListPdf';
+import { createSuggestionService, getSuggestionContext } from './taskSuggestions';
+import SuggestionReview from './SuggestionReview';
+import NotFound from './NotFound';
+import InspectionWalkthrough from './InspectionWalkthrough';
+import { isChecklistLocked, getInspectionChecklist, buildInspectionRecord, getFailedItemOperations, getSignatureUrl } from './inspections';
+
+// One unit's checklist. Task changes go through enqueueOperation so they work offline;
+// uploadPhoto(unitId, kind, file) resolves to the stored photo and uploadSignature(unitId, role,
+// dataUrl) to the stored signature; both are null while uploads aren't available. tenantId is the job the unit belongs to, for its QR link. Inspections are
+// written straight to the repository, since they need the latest checklist and both signatures
+// to land together; a passed inspection locks the checklist until it is reopened.
+const UnitView = ({
+    repository,
+    member,
+    userId,
+    userEmail,
+    tenantId,
+    unitId,
+    trade,
+    projects,
+    buildings,
+    templates,
+    subcontractors,
+    pendingOperations,
+    enqueueOperation,
+    uploadPhoto,
+    uploadSignature,
+    suggestionConfig,
+    onSelectTrade,
+    onBack
+}) => {
+    const [unitData, setUnitData] = useState(null);
+    const [selectedTrade, setSelectedTrade] = useState(trade || '');
+    const [loading, setLoading] = useState(true);
+    const [isGeneratingTasks, setIsGeneratingTasks] = useState(false); // New state for LLM loading
+    const [uploadingTaskKey, setUploadingTaskKey] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [historyView, setHistoryView] = useState(null); // 'unit' or { trade, task }
+    const [assigningTaskKey, setAssigningTaskKey] = useState(null);
+    const [isGeneratingPdf, setIsGeneratingPdf] = useState(false);
+    const [newTaskName, setNewTaskName] = useState('');
+    const [draggedTaskKey, setDraggedTaskKey] = useState(null);
+    const [dragOverTaskKey, setDragOverTaskKey] = useState(null);
+    const [suggestionReview, setSuggestionReview] = useState(null); // { trade, suggestions, existingTasks }
+    const [inspectionChecklist, setInspectionChecklist] = useState(null); // the checklist being inspected, null otherwise
+
+    useEffect(() => {
+        if (!repository || !unitId) return;
+
+        setLoading(true);
+        const unsubscribe = repository.subscribeUnit(unitId, (unit) => {
+            setUnitData(unit);
+            // Select the first trade if none is selected yet, or if the link named a trade the unit doesn't have
+            if (unit && unit.trades) {
+                const firstTrade = getOrderedTradeNames(unit.trades, unit.tradeOrder)[0];
+                setSelectedTrade(current => (current && unit.trades[current] ? current : firstTrade || current));
+            }
+            setLoading(false);
+        }, (error) => {
+            console.error("Error fetching unit data:", error);
+            showMessage(`Error fetching unit data: ${error.message}`, 'error');
+            setLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [repository, unitId]);
+
+    useEffect(() => {
+        if (!repository || !unitId) return;
+
+        const unsubscribe = repository.subscribeHistory(unitId, setHistory, (error) => {
+            console.error("Error fetching unit history:", error);
+        });
+
+        return () => unsubscribe();
+    }, [repository, unitId]);
+
+    // Show changes still waiting to sync on top of the last copy from Firestore
+    const unitPendingOperations = pendingOperations.filter(operation => operation.unitId === unitId);
+    const { trades, verifications } = withPendingOperations({ ...unitData, id: unitId }, unitPendingOperations);
+
+    const handleSetCompleted = (tradeName, task, completed) => {
+        if (!unitData || !can(member, 'tasks.toggle', { trade: tradeName })) return;
+        handleTaskOperation(createSetCompletedOperation(unitId, tradeName, task, completed), `Task updated for ${tradeName}!`);
+    };
+
+    const handleUnitPdf = async () => {
+        setIsGeneratingPdf(true);
+        try {
+            const report = buildUnitReport({ ...unitData, id: unitId, trades, verifications }, { history, projects, buildings, subcontractors });
+            const pdf = await createUnitPdf(report, { qrLink: getUnitQrLink(unitId, tenantId) });
+            pdf.save(`${getExportFileName(unitId)}.pdf`);
+        } catch (error) {
+            console.error("Error creating unit PDF:", error);
+            showMessage(`Error creating PDF: ${error.message}`, 'error');
+        } finally {
+            setIsGeneratingPdf(false);
+        }
+    };
+
+    const handleAssignTrade = async (tradeName, assignment) => {
+        try {
+            await repository.assignTrade(unitId, tradeName, assignment);
+            showMessage(`${tradeName} assignment saved!`);
+        } catch (error) {
+            console.error("Error assigning trade:", error);
+            showMessage(`Error assigning trade: ${error.message}`, 'error');
+        }
+    };
+
+    const handleAssignTask = (tradeName, task, assignment) => {
+        enqueueOperation(createSetAssignmentOperation(unitId, tradeName, task, assignment));
+        setAssigningTaskKey(null);
+        showMessage(`Assignment saved for "${task.task}"!`);
+    };
+
+    const handlePhotoUpload = async (tradeName, task, taskKey, kind, file) => {
+        if (!uploadPhoto || !navigator.onLine) {
+            showMessage("Photos can only be uploaded while online.", "error");
+            return;
+        }
+        setUploadingTaskKey(taskKey);
+        try {
+            const photo = await uploadPhoto(unitId, kind, file);
+            enqueueOperation(createAddPhotoOperation(unitId, tradeName, task, photo));
+            showMessage("Photo added!");
+        } catch (error) {
+            console.error("Error uploading photo:", error);
+            showMessage(`Error uploading photo: ${error.message}`, 'error');
+        } finally {
+            setUploadingTaskKey(null);
+        }
+    };
+
+    const handleAddTask = (e) => {
+        e.preventDefault();
+        if (!unitData || !selectedTrade) {
+            showMessage("Please select a trade first.", "error");
+            return;
+        }
+        const taskName = newTaskName.trim();
+        if (!taskName) return;
+        enqueueOperation(createAddTaskOperation(unitId, selectedTrade, taskName));
+        setNewTaskName('');
+        showMessage(`Task "${taskName}" added to ${selectedTrade}!`);
+    };
+
+    const handleTaskOperation = (operation, message) => {
+        enqueueOperation(operation);
+        showMessage(message);
+    };
+
+    const handleDeleteTask = (tradeName, task) => {
+        if (!window.confirm(`Delete "${task.task}" from ${tradeName}? Its photos and notes will be removed from the checklist.`)) return;
+        handleTaskOperation(createDeleteTaskOperation(unitId, tradeName, task), `"${task.task}" deleted.`);
+    };
+
+    const handleReorderTasks = (orderedTasks) => {
+        enqueueOperation(createReorderTasksOperation(unitId, selectedTrade, orderedTasks.map(getTaskKey)));
+    };
+
+    // Dropping a task on another moves it into that task's place
+    const handleDropTask = (targetKey) => {
+        const tasks = trades[selectedTrade] || [];
+        const fromIndex = tasks.findIndex(task => getTaskKey(task) === draggedTaskKey);
+        const toIndex = tasks.findIndex(task => getTaskKey(task) === targetKey);
+        setDraggedTaskKey(null);
+        setDragOverTaskKey(null);
+        if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
+        const reordered = [...tasks];
+        const [moved] = reordered.splice(fromIndex, 1);
+        reordered.splice(toIndex, 0, moved);
+        handleReorderTasks(reordered);
+    };
+
+    // Stamped like the outbox stamps task operations, for the history entries
+    const stamp = (operation) => ({ ...operation, id: createTaskId(), userId, userEmail, queuedAt: Date.now() });
+
+    const handleStartInspection = () => {
+        if (unitPendingOperations.length > 0) {
+            showMessage("Wait for this unit's queued changes to sync before inspecting it.", "error");
+            return;
+        }
+        setInspectionChecklist(getInspectionChecklist(trades, unitData.tradeOrder));
+    };
+
+    const handleSubmitInspection = async (results, signOff) => {
+        if (!uploadSignature || !navigator.onLine) {
+            showMessage("Inspections can only be recorded while online.", "error");
+            return false;
+        }
+        const rejectOperations = getFailedItemOperations(unitId, inspectionChecklist, results);
+        try {
+            const [inspector, ownerRep] = await Promise.all(['inspector', 'ownerRep']
+                .map(role => uploadSignature(unitId, role, signOff[role].signature)));
+            const signed = { inspector: { ...signOff.inspector, signature: inspector }, ownerRep: { ...signOff.ownerRep, signature: ownerRep } };
+            const inspection = buildInspectionRecord(inspectionChecklist, results, signed, { by: userEmail || userId, at: new Date().toISOString() });
+            await repository.recordInspection(stamp({ unitId, inspection }), rejectOperations.map(stamp));
+            showMessage(inspection.outcome === 'passed'
+                ? `${unitId} passed inspection. Its checklist is now locked.`
+                : `Failed inspection recorded. ${rejectOperations.length} item${rejectOperations.length === 1 ? '' : 's'} sent back.`);
+            return true;
+        } catch (error) {
+            console.error("Error recording inspection:", error);
+            showMessage(`Error recording inspection: ${error.message}`, 'error');
+            return false;
+        }
+    };
+
+    const handleReopen = async () => {
+        const reason = window.prompt(`Why is ${unitId} being reopened?`);
+        if (reason === null) return;
+        if (!reason.trim()) {
+            showMessage("A reason is required to reopen a unit.", "error");
+            return;
+        }
+        try {
+            await repository.reopenInspection(stamp({ unitId, reason: reason.trim() }));
+            showMessage(`${unitId} reopened. Its checklist can be edited again.`);
+        } catch (error) {
+            console.error("Error reopening unit:", error);
+            showMessage(`Error reopening unit: ${error.message}`, 'error');
+        }
+    };
+
+    const handleSuggestTasks = async () => {
+        if (!selectedTrade || !unitData) {
+            showMessage("Please select a trade and ensure unit data is loaded.", "error");
+            return;
+        }
+
+        setIsGeneratingTasks(true);
+        try {
+            const context = getSuggestionContext({ ...unitData, trades }, selectedTrade, withDefaultTemplate(templates));
+            const suggestions = await createSuggestionService(suggestionConfig).suggestTasks(context);
+            if (suggestions.length > 0) {
+                setSuggestionReview({ trade: selectedTrade, suggestions, existingTasks: context.existingTasks });
+            } else {
+                showMessage("No new unique tasks were suggested.", "info");
+            }
+        } catch (error) {
+            console.error("Error suggesting tasks:", error);
+            showMessage(`Error suggesting tasks: ${error.message}`, 'error');
+        } finally {
+            setIsGeneratingTasks(false);
+        }
+    };
+
+    const handleAcceptSuggestions = (taskNames) => {
+        const { trade } = suggestionReview;
+        taskNames.forEach(name => enqueueOperation(createAddTaskOperation(unitId, trade, name, 'ai')));
+        setSuggestionReview(null);
+        showMessage(`Added ${taskNames.length} suggested ${taskNames.length === 1 ? 'task' : 'tasks'} to ${trade}.`);
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center items-center h-screen bg-gray-100">
+                <div className="text-xl text-gray-700">Loading unit data...</div>
+            </div>
+        );
+    }
+
+    if (!unitData) {
+        return (
+            <NotFound
+                title="Unit Not Found"
+                message={`There's no unit "${unitId}". It may have been deleted, or the link is wrong.`}
+                onHome={onBack}
+            />
+        );
+    }
+
+    const tradeNames = getOrderedTradeNames(trades, unitData.tradeOrder);
+    const unitProgress = getUnitProgress(trades);
+    const unitStatus = deriveUnitStatus(trades, !!unitData.inspectionPassed);
+    const currentTasks = selectedTrade && trades[selectedTrade] ? trades[selectedTrade] : [];
+    const isLocked = isChecklistLocked(unitData);
+    const taskPermissions = {
+        canComplete: !isLocked && can(member, 'tasks.toggle', { trade: selectedTrade }),
+        canVerify: !isLocked && can(member, 'tasks.verify'),
+        canEdit: !isLocked && can(member, 'tasks.edit'),
+        canNotes: !isLocked && can(member, 'tasks.notes', { trade: selectedTrade })
+    };
+    const canAssign = can(member, 'tasks.assign');
+    const canInspect = can(member, 'units.inspect');
+    const { inspection } = unitData;
+    const tradeAssignment = (unitData.assignments && unitData.assignments[selectedTrade]) || {};
+
+    return (
+        <div className="p-6 max-w-4xl mx-auto bg-white rounded-lg shadow-xl mt-10 font-sans">
+            <button
+                onClick={onBack}
+                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg mb-4 transition duration-300 ease-in-out"
+            >
+                &larr; Back to Units
+            </button>
+            <h1 className="text-3xl font-bold mb-4 text-center text-gray-800">Unit: {unitId}</h1>
+            <p className="text-center text-gray-600 mb-6">Address: {unitData.address}</p>
+            <div className="flex flex-wrap justify-center gap-2 mb-4">
+                <ExportButtons
+                    fileName={getExportFileName(unitId)}
+                    getRows={() => buildPunchListRows([{ ...unitData, id: unitId, trades }], { projects, buildings, subcontractors })}
+                />
+                <button
+                    onClick={handleUnitPdf}
+                    disabled={isGeneratingPdf}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-2 px-3 rounded-lg transition duration-300 ease-in-out disabled:opacity-50"
+                >
+                    {isGeneratingPdf ? 'Creating PDF...' : 'Punch List PDF'}
+                </button>
+                <button
+                    onClick={() => setHistoryView('unit')}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+                >
+                    Unit History
+                </button>
+            </div>
+            <p className="text-center text-gray-600 mb-2">Overall Status: <span className={`font-semibold ${STATUS_COLORS[unitStatus].text}`}>{unitStatus}</span> · {unitProgress.percent}% complete</p>
+            <div className="mb-6">
+                <ProgressBar percent={unitProgress.percent} colorClass={STATUS_COLORS[unitStatus].bar} label="Unit progress" />
+            </div>
+            {isLocked && inspection && (
+                <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+                    <p className="font-semibold text-green-800 mb-1">Passed inspection on {new Date(inspection.at).toLocaleString()}. The checklist is locked.</p>
+                    <div className="flex flex-wrap gap-6 mb-2">
+                        {[['inspector', 'Inspector'], ['ownerRep', "Owner's rep"]].map(([role, title]) => (
+                            <figure key={role} className="text-sm text-gray-700">
+                                <img src={getSignatureUrl(inspection[role].signature)} alt={`${title} signature`} className="h-12 bg-white border rounded" />
+                                <figcaption>{title}: {inspection[role].name}</figcaption>
+                            </figure>
+                        ))}
+                    </div>
+                    {canInspect && (
+                        <button onClick={handleReopen} className="bg-white hover:bg-gray-100 border border-gray-300 text-gray-800 text-sm font-bold py-2 px-3 rounded-lg">
+                            Reopen Unit
+                        </button>
+                    )}
+                </div>
+            )}
+            {!isLocked && inspection && (
+                <p className="text-sm text-gray-700 text-center mb-4">
+                    {inspection.reopened
+                        ? `Reopened by ${inspection.reopened.by} on ${new Date(inspection.reopened.at).toLocaleString()}: ${inspection.reopened.reason}`
+                        : `Failed inspection on ${new Date(inspection.at).toLocaleString()}: ${inspection.items.filter(item => item.result === 'fail').length} item(s) sent back.`}
+                </p>
+            )}
+            {!isLocked && canInspect && unitStatus === 'Ready for Inspection' && (
+                <div className="flex justify-center mb-6">
+                    <button
+                        onClick={handleStartInspection}
+                        className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                    >
+                        Start Inspection
+                    </button>
+                </div>
+            )}
+            <ul className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 mb-6">
+                {tradeNames.map((trade) => (
+                    <li key={trade} className="text-sm text-gray-700">
+                        <div className="flex justify-between mb-1">
+                            <span>{trade}</span>
+                            <span>{unitProgress.byTrade[trade].completed}/{unitProgress.byTrade[trade].total} · {unitProgress.byTrade[trade].percent}%</span>
+                        </div>
+                        <ProgressBar percent={unitProgress.byTrade[trade].percent} label={`${trade} progress`} />
+                    </li>
+                ))}
+            </ul>
+
+            <div className="mb-6">
+                <label htmlFor="trade-select" className="block text-lg font-medium text-gray-700 mb-2">Select Trade:</label>
+                <select
+                    id="trade-select"
+                    value={selectedTrade}
+                    onChange={(e) => {
+                        setSelectedTrade(e.target.value);
+                        onSelectTrade(e.target.value || null);
+                    }}
+                    className="block w-full p-3 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 text-base"
+                >
+                    <option value="">-- Choose a Trade --</option>
+                    {tradeNames.map((trade) => (
+                        <option key={trade} value={trade}>{trade} ({unitProgress.byTrade[trade].percent}%)</option>
+                    ))}
+                </select>
+            </div>
+
+            {selectedTrade ? (
+                <div>
+                    <h2 className="text-2xl font-semibold text-gray-800 mb-4">Tasks for {selectedTrade}</h2>
+                    <div className="bg-gray-50 border rounded-lg p-3 mb-4">
+                        {canAssign ? (
+                            <AssignmentEditor
+                                key={`${selectedTrade}-${tradeAssignment.subcontractorId}-${tradeAssignment.dueDate}`}
+                                idPrefix="trade-assignment"
+                                subcontractors={subcontractors}
+                                tradeName={selectedTrade}
+                                assignment={tradeAssignment}
+                                saveLabel="Assign Trade"
+                                onSave={(assignment) => handleAssignTrade(selectedTrade, assignment)}
+                            />
+                        ) : (
+                            <p className="text-sm text-gray-700">
+                                {tradeAssignment.subcontractorId
+                                    ? `Assigned to ${getSubcontractorName(subcontractors, tradeAssignment.subcontractorId)}${tradeAssignment.dueDate ? `, due ${tradeAssignment.dueDate}` : ''}`
+                                    : 'This trade is not assigned yet.'}
+                            </p>
+                        )}
+                    </div>
+                    {!isLocked && can(member, 'tasks.add', { trade: selectedTrade }) && <div className="flex flex-wrap gap-4 mb-4">
+                        <form onSubmit={handleAddTask} className="flex flex-1 gap-2 min-w-64">
+                            <input
+                                type="text"
+                                aria-label={`New task for ${selectedTrade}`}
+                                placeholder={`New task for ${selectedTrade}`}
+                                value={newTaskName}
+                                onChange={(e) => setNewTaskName(e.target.value)}
+                                className="flex-1 shadow appearance-none border rounded py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                            />
+                            <button
+                                type="submit"
+                                className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out"
+                            >
+                                Add Task
+                            </button>
+                        </form>
+                        <button
+                            onClick={handleSuggestTasks}
+                            disabled={isGeneratingTasks}
+                            className={`font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 ${
+                                isGeneratingTasks ? 'bg-gray-400 text-gray-700 cursor-not-allowed' : 'bg-yellow-500 hover:bg-yellow-600 text-white'
+                            }`}
+                        >
+                            {isGeneratingTasks ? 'Generating...' : 'Suggest More Tasks ✨'}
+                        </button>
+                    </div>}
+                    {currentTasks.length === 0 ? (
+                        <p className="text-gray-500">No tasks defined for this trade yet.</p>
+                    ) : (
+                        <ul className="space-y-3">
+                            {currentTasks.map((task, index) => {
+                                const taskKey = task.id || `${selectedTrade}-${index}`;
+                                const assignment = getTaskAssignment(unitData, selectedTrade, task);
+                                const overdue = !task.completed && isOverdue(assignment.dueDate);
+                                return (
+                                    <TaskItem
+                                        key={taskKey}
+                                        task={task}
+                                        verification={getTaskVerification(verifications, selectedTrade, task)}
+                                        permissions={taskPermissions}
+                                        isFirst={index === 0}
+                                        isLast={index === currentTasks.length - 1}
+                                        isDragOver={dragOverTaskKey === getTaskKey(task) && draggedTaskKey !== getTaskKey(task)}
+                                        dragProps={taskPermissions.canEdit ? {
+                                            draggable: true,
+                                            onDragStart: () => setDraggedTaskKey(getTaskKey(task)),
+                                            onDragOver: (e) => {
+                                                e.preventDefault();
+                                                setDragOverTaskKey(getTaskKey(task));
+                                            },
+                                            onDrop: (e) => {
+                                                e.preventDefault();
+                                                handleDropTask(getTaskKey(task));
+                                            },
+                                            onDragEnd: () => {
+                                                setDraggedTaskKey(null);
+                                                setDragOverTaskKey(null);
+                                            }
+                                        } : {}}
+                                        onSetCompleted={(completed) => handleSetCompleted(selectedTrade, task, completed)}
+                                        onVerify={() => handleTaskOperation(createVerifyOperation(unitId, selectedTrade, task), `"${task.task}" verified!`)}
+                                        onReject={(reason) => handleTaskOperation(createRejectOperation(unitId, selectedTrade, task, reason), `"${task.task}" sent back to Open.`)}
+                                        onRename={(newName) => handleTaskOperation(createRenameTaskOperation(unitId, selectedTrade, task, newName), "Task renamed!")}
+                                        onSaveNotes={(notes) => handleTaskOperation(createSetNotesOperation(unitId, selectedTrade, task, notes), "Notes saved!")}
+                                        onDelete={() => handleDeleteTask(selectedTrade, task)}
+                                        onMove={(offset) => handleReorderTasks(moveItem(currentTasks, index, offset))}
+                                        onShowHistory={() => setHistoryView({ trade: selectedTrade, task })}
+                                    >
+                                        {(assignment.subcontractorId || assignment.dueDate) && (
+                                            <p className={`text-sm mt-2 ${overdue ? 'text-red-700 font-semibold' : 'text-gray-600'}`}>
+                                                {assignment.subcontractorId ? getSubcontractorName(subcontractors, assignment.subcontractorId) : 'Unassigned'}
+                                                {assignment.dueDate && ` · ${overdue ? 'Overdue since' : 'due'} ${assignment.dueDate}`}
+                                            </p>
+                                        )}
+                                        {canAssign && !isLocked && (assigningTaskKey === taskKey ? (
+                                            <div className="mt-2">
+                                                <AssignmentEditor
+                                                    idPrefix={`task-assignment-${taskKey}`}
+                                                    subcontractors={subcontractors}
+                                                    tradeName={selectedTrade}
+                                                    assignment={{ subcontractorId: task.assignedTo, dueDate: task.dueDate }}
+                                                    onSave={(newAssignment) => handleAssignTask(selectedTrade, task, newAssignment)}
+                                                    onCancel={() => setAssigningTaskKey(null)}
+                                                />
+                                            </div>
+                                        ) : (
+                                            <button
+                                                onClick={() => setAssigningTaskKey(taskKey)}
+                                                className="text-sm text-blue-700 hover:underline mt-2"
+                                            >
+                                                Assign task
+                                            </button>
+                                        ))}
+                                        <TaskPhotos
+                                            taskKey={taskKey}
+                                            photos={task.photos}
+                                            isUploading={uploadingTaskKey === taskKey}
+                                            canUpload={!isLocked && can(member, 'tasks.photo', { trade: selectedTrade })}
+                                            onUpload={(kind, file) => handlePhotoUpload(selectedTrade, task, taskKey, kind, file)}
+                                        />
+                                    </TaskItem>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+            ) : (
+                <p className="text-center text-gray-500 text-lg">Please select a trade to view its tasks.</p>
+            )}
+
+            {suggestionReview && (
+                <SuggestionReview
+                    tradeName={suggestionReview.trade}
+                    suggestions={suggestionReview.suggestions}
+                    existingTasks={suggestionReview.existingTasks}
+                    onAccept={handleAcceptSuggestions}
+                    onClose={() => setSuggestionReview(null)}
+                />
+            )}
+            {inspectionChecklist && (
+                <InspectionWalkthrough
+                    unitId={unitId}
+                    checklist={inspectionChecklist}
+                    onSubmit={handleSubmitInspection}
+                    onClose={() => setInspectionChecklist(null)}
+                />
+            )}
+            {historyView && (
+                <HistoryPanel
+                    title={historyView === 'unit' ? `History for ${unitId}` : `History: ${historyView.task.task}`}
+                    entries={historyView === 'unit' ? history : history.filter(entry => isHistoryForTask(entry, historyView.trade, historyView.task))}
+                    onClose={() => setHistoryView(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default UnitView;
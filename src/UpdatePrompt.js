@@ -0,0 +1,37 @@
+import React, { useEffect, useState } from 'react';
+import { onUpdateReady, getWorkerVersion, applyUpdate } from './serviceWorkerRegistration';
+
+// Set by scripts/build.js; 'dev' under npm start
+const CURRENT_BUILD = process.env.REACT_APP_BUILD_ID || 'dev';
+
+// Banner shown when a newly deployed build has been downloaded. Reloading is left to the user
+// so nobody loses a half-typed note in the field.
+const UpdatePrompt = () => {
+    const [update, setUpdate] = useState(null); // { registration, version }
+    const [dismissed, setDismissed] = useState(false);
+
+    useEffect(() => onUpdateReady(async (registration) => {
+        const version = registration.waiting ? await getWorkerVersion(registration.waiting) : null;
+        setUpdate({ registration, version });
+    }), []);
+
+    if (!update || dismissed) return null;
+
+    return (
+        <div role="status" className="fixed bottom-4 left-1/2 -translate-x-1/2 transform z-50 flex flex-wrap items-center gap-3 bg-gray-800 text-white px-4 py-3 rounded-lg shadow-xl">
+            <span>
+                {update.version && update.version !== CURRENT_BUILD
+                    ? `Build ${update.version} is available (you have ${CURRENT_BUILD}).`
+                    : 'A new version is available.'}
+            </span>
+            <button onClick={() => applyUpdate(update.registration)} className="bg-blue-500 hover:bg-blue-600 font-bold py-1 px-3 rounded-lg">
+                Reload
+            </button>
+            <button onClick={() => setDismissed(true)} className="text-gray-300 hover:text-white text-sm">
+                Later
+            </button>
+        </div>
+    );
+};
+
+export default UpdatePrompt;
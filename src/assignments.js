@@ -0,0 +1,57 @@
+import { sortByName } from './hierarchy';
+import { getBuildingName } from './qrLabels';
+
+// Punch items are assigned to subcontractor companies either for a whole trade on a unit
+// (unit.assignments[trade]) or for a single task (task.assignedTo / task.dueDate). A task's
+// own assignment wins over its trade's. Due dates are local 'YYYY-MM-DD' strings.
+
+export const toDateKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+export const isOverdue = (dueDate, today = new Date()) => !!dueDate && dueDate < toDateKey(today);
+
+export const getTaskAssignment = (unit, tradeName, task) => {
+    const tradeAssignment = (unit.assignments && unit.assignments[tradeName]) || {};
+    return {
+        subcontractorId: task.assignedTo || tradeAssignment.subcontractorId || null,
+        dueDate: task.dueDate || tradeAssignment.dueDate || null
+    };
+};
+
+export const getSubcontractorName = (subcontractors, subcontractorId) => {
+    const subcontractor = subcontractors.find(item => item.id === subcontractorId);
+    return subcontractor ? subcontractor.name : subcontractorId;
+};
+
+// Open items assigned to a subcontractor, grouped by building with the earliest due first
+export const getMyPunchList = (units, subcontractorId, buildings = [], today = new Date()) => {
+    const groups = {};
+    units.forEach(unit => {
+        Object.entries(unit.trades || {}).forEach(([tradeName, tasks]) => {
+            tasks.forEach(task => {
+                if (task.completed) return;
+                const assignment = getTaskAssignment(unit, tradeName, task);
+                if (assignment.subcontractorId !== subcontractorId) return;
+
+                const building = buildings.find(item => item.id === unit.buildingId);
+                const buildingName = building ? building.name : getBuildingName(unit.id);
+                if (!groups[buildingName]) {
+                    groups[buildingName] = { buildingName, items: [], overdueCount: 0 };
+                }
+                const overdue = isOverdue(assignment.dueDate, today);
+                groups[buildingName].items.push({ unitId: unit.id, trade: tradeName, task, dueDate: assignment.dueDate, overdue });
+                if (overdue) groups[buildingName].overdueCount += 1;
+            });
+        });
+    });
+
+    return sortByName(Object.values(groups), 'buildingName').map(group => ({
+        ...group,
+        // Undated items go last
+        items: group.items.sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999')
+            || a.unitId.localeCompare(b.unitId, undefined, { numeric: true }))
+    }));
+};
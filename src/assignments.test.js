@@ -0,0 +1,46 @@
+import { getTaskAssignment, getMyPunchList, isOverdue, toDateKey } from './assignments';
+
+const today = new Date(2026, 9, 19);
+
+const units = [
+  {
+    id: 'BuildingA-Unit101',
+    buildingId: 'p--a',
+    assignments: { Electrical: { subcontractorId: 'sparks', dueDate: '2026-10-25' } },
+    trades: {
+      Electrical: [
+        { id: 'e1', task: 'Install outlets', completed: false },
+        { id: 'e2', task: 'Hang fixtures', completed: false, dueDate: '2026-10-01' },
+        { id: 'e3', task: 'Test GFCI', completed: true },
+        { id: 'e4', task: 'Panel labels', completed: false, assignedTo: 'other-co' }
+      ]
+    }
+  },
+  {
+    id: 'BuildingB-Unit01',
+    trades: { Electrical: [{ id: 'e5', task: 'Install outlets', completed: false, assignedTo: 'sparks' }] }
+  }
+];
+
+test('formats local date keys and flags past due dates', () => {
+  expect(toDateKey(today)).toBe('2026-10-19');
+  expect(isOverdue('2026-10-18', today)).toBe(true);
+  expect(isOverdue('2026-10-19', today)).toBe(false);
+  expect(isOverdue(null, today)).toBe(false);
+});
+
+test('task assignments override the trade assignment', () => {
+  const [outlets, fixtures, , labels] = units[0].trades.Electrical;
+  expect(getTaskAssignment(units[0], 'Electrical', outlets)).toEqual({ subcontractorId: 'sparks', dueDate: '2026-10-25' });
+  expect(getTaskAssignment(units[0], 'Electrical', fixtures)).toEqual({ subcontractorId: 'sparks', dueDate: '2026-10-01' });
+  expect(getTaskAssignment(units[0], 'Electrical', labels).subcontractorId).toBe('other-co');
+});
+
+test('groups open assigned items by building with overdue ones first', () => {
+  const groups = getMyPunchList(units, 'sparks', [{ id: 'p--a', name: 'Alpha' }], today);
+  expect(groups.map(group => group.buildingName)).toEqual(['Alpha', 'BuildingB']);
+  expect(groups[0].items.map(item => item.task.id)).toEqual(['e2', 'e1']);
+  expect(groups[0].overdueCount).toBe(1);
+  expect(groups[0].items[0].overdue).toBe(true);
+  expect(groups[1].items[0]).toMatchObject({ unitId: 'BuildingB-Unit01', dueDate: null, overdue: false });
+});
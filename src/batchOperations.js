@@ -0,0 +1,86 @@
+import { createSetCompletedOperation, createAddTaskOperation, createDeleteTaskOperation, createAddTradeOperation, createRemoveTradeOperation } from './taskOperations';
+import { can } from './permissions';
+import { isChecklistLocked } from './inspections';
+
+// One change made to many units at once, as the same task operations a single edit makes.
+// action is { type, trade, taskName } (taskNames for 'addTrade'). Tasks are matched by name,
+// ignoring case and surrounding spaces, since each unit has its own copy of a task.
+
+// input is what the action asks for besides the trade: one task name, a list of them, or nothing
+export const BATCH_ACTIONS = [
+    { type: 'completeTask', label: 'Mark task complete', permission: 'tasks.toggle', input: 'task' },
+    { type: 'addTask', label: 'Add task', permission: 'tasks.add', input: 'task' },
+    { type: 'removeTask', label: 'Remove task', permission: 'tasks.edit', input: 'task' },
+    { type: 'addTrade', label: 'Add trade', permission: 'tasks.add', input: 'tasks' },
+    { type: 'removeTrade', label: 'Remove trade', permission: 'tasks.edit', input: null },
+    { type: 'resetTrade', label: 'Reset trade', permission: 'tasks.toggle', input: null }
+];
+
+export const getBatchAction = (type) => BATCH_ACTIONS.find(action => action.type === type) || null;
+
+// Trade subs can batch-complete or reset their own trade and nothing else
+export const getAllowedBatchActions = (member, trade) => BATCH_ACTIONS.filter(action => can(member, action.permission, { trade }));
+
+const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+const isNamed = (task, taskName) => normalizeName(task.task) === normalizeName(taskName);
+
+// Task names found in the trade across the units, for picking the task to complete or remove
+export const getBatchTaskNames = (units, trade) => {
+    const names = new Map();
+    units.forEach(unit => ((unit.trades || {})[trade] || []).forEach(task => {
+        if (!names.has(normalizeName(task.task))) names.set(normalizeName(task.task), task.task);
+    }));
+    return [...names.values()];
+};
+
+const getUnitOperations = (unit, action) => {
+    const tasks = (unit.trades || {})[action.trade];
+    switch (action.type) {
+        case 'completeTask':
+            return (tasks || []).filter(task => isNamed(task, action.taskName) && !task.completed)
+                .map(task => createSetCompletedOperation(unit.id, action.trade, task, true));
+        case 'addTask':
+            return (tasks || []).some(task => isNamed(task, action.taskName)) ? [] : [createAddTaskOperation(unit.id, action.trade, action.taskName.trim())];
+        case 'removeTask':
+            return (tasks || []).filter(task => isNamed(task, action.taskName))
+                .map(task => createDeleteTaskOperation(unit.id, action.trade, task));
+        case 'addTrade':
+            return tasks ? [] : [createAddTradeOperation(unit.id, action.trade, action.taskNames)];
+        case 'removeTrade':
+            return tasks ? [createRemoveTradeOperation(unit.id, action.trade)] : [];
+        case 'resetTrade':
+            return (tasks || []).filter(task => task.completed)
+                .map(task => createSetCompletedOperation(unit.id, action.trade, task, false));
+        default:
+            throw new Error(`Unknown batch action "${action.type}".`);
+    }
+};
+
+// The operations the action makes on each unit it changes, as [{ unitId, operations }], in
+// the units' order. Units it leaves as they are (e.g. the task is already complete) are left out,
+// as are units whose checklist a passed inspection has locked.
+export const planBatchAction = (units, action) => units
+    .filter(unit => !isChecklistLocked(unit))
+    .map(unit => ({ unitId: unit.id, operations: getUnitOperations(unit, action) }))
+    .filter(change => change.operations.length > 0);
+
+// A short description of the action for messages, e.g. 'Marked "Device trim" complete'
+export const describeBatchAction = (action) => {
+    switch (action.type) {
+        case 'completeTask':
+            return `Marked "${action.taskName}" complete in ${action.trade}`;
+        case 'addTask':
+            return `Added "${action.taskName}" to ${action.trade}`;
+        case 'removeTask':
+            return `Removed "${action.taskName}" from ${action.trade}`;
+        case 'addTrade':
+            return `Added the ${action.trade} trade`;
+        case 'removeTrade':
+            return `Removed the ${action.trade} trade`;
+        case 'resetTrade':
+            return `Reopened every ${action.trade} task`;
+        default:
+            return action.type;
+    }
+};
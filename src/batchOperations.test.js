@@ -0,0 +1,40 @@
+import { planBatchAction, getAllowedBatchActions, getBatchTaskNames } from './batchOperations';
+
+const units = [
+  { id: 'A-101', trades: { Electrical: [{ id: 'a1', task: 'Device trim', completed: false }, { id: 'a2', task: 'Panel', completed: true }] } },
+  { id: 'A-102', trades: { Electrical: [{ id: 'b1', task: 'device trim ', completed: true }] } },
+  { id: 'A-103', trades: { Plumbing: [{ id: 'c1', task: 'Fixtures', completed: false }] } }
+];
+
+const changedUnits = (plan) => plan.map(change => change.unitId);
+
+test('plans only the units an action changes', () => {
+  const complete = planBatchAction(units, { type: 'completeTask', trade: 'Electrical', taskName: 'Device Trim' });
+  expect(changedUnits(complete)).toEqual(['A-101']);
+  expect(complete[0].operations).toMatchObject([{ type: 'setCompleted', unitId: 'A-101', taskId: 'a1', completed: true }]);
+
+  expect(changedUnits(planBatchAction(units, { type: 'addTask', trade: 'Electrical', taskName: 'Device trim' }))).toEqual(['A-103']);
+  expect(changedUnits(planBatchAction(units, { type: 'removeTask', trade: 'Electrical', taskName: 'device trim' }))).toEqual(['A-101', 'A-102']);
+  expect(changedUnits(planBatchAction(units, { type: 'addTrade', trade: 'Plumbing', taskNames: ['Fixtures'] }))).toEqual(['A-101', 'A-102']);
+  expect(changedUnits(planBatchAction(units, { type: 'removeTrade', trade: 'Plumbing' }))).toEqual(['A-103']);
+
+  const reset = planBatchAction(units, { type: 'resetTrade', trade: 'Electrical' });
+  expect(reset.map(change => change.operations.map(operation => operation.taskId))).toEqual([['a2'], ['b1']]);
+});
+
+test('leaves units locked by a passed inspection alone', () => {
+  const locked = { ...units[0], inspectionPassed: true };
+  expect(planBatchAction([locked, units[1]], { type: 'resetTrade', trade: 'Electrical' }).map(change => change.unitId)).toEqual(['A-102']);
+});
+
+test('lists task names once across units', () => {
+  expect(getBatchTaskNames(units, 'Electrical')).toEqual(['Device trim', 'Panel']);
+});
+
+test('limits trade subs to completing and resetting their own trade', () => {
+  const sub = { role: 'sub', trade: 'Electrical' };
+  expect(getAllowedBatchActions(sub, 'Electrical').map(action => action.type)).toEqual(['completeTask', 'resetTrade']);
+  expect(getAllowedBatchActions(sub, 'Plumbing')).toEqual([]);
+  expect(getAllowedBatchActions({ role: 'superintendent' }, 'Plumbing')).toHaveLength(6);
+  expect(getAllowedBatchActions({ role: 'owner' }, 'Plumbing')).toEqual([]);
+});
@@ -0,0 +1,104 @@
+import { getRollupProgress, sortByName } from './hierarchy';
+import { getUnitProgress } from './unitProgress';
+import { getTaskAssignment, getSubcontractorName, isOverdue, toDateKey } from './assignments';
+
+// Analytics for the dashboard. Everything is derived from the units' tasks as they are now;
+// there is no separate reporting store.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const forEachTask = (units, callback) => {
+    units.forEach(unit => {
+        Object.entries(unit.trades || {}).forEach(([tradeName, tasks]) => {
+            tasks.forEach(task => callback(unit, tradeName, task));
+        });
+    });
+};
+
+// Percent complete per building, with units not yet placed in a building at the end
+export const getBuildingCompletion = (units, buildings) => {
+    const rows = sortByName(buildings)
+        .map(building => ({ buildingId: building.id, name: building.name, ...getRollupProgress(units.filter(unit => unit.buildingId === building.id)) }))
+        .filter(row => row.unitCount > 0);
+    const unassigned = units.filter(unit => !unit.buildingId);
+    if (unassigned.length > 0) {
+        rows.push({ buildingId: null, name: 'Unassigned', ...getRollupProgress(unassigned) });
+    }
+    return rows;
+};
+
+export const getTradeCompletion = (units) => {
+    const totals = {};
+    units.forEach(unit => {
+        Object.entries(getUnitProgress(unit.trades).byTrade).forEach(([tradeName, progress]) => {
+            const row = totals[tradeName] || { trade: tradeName, completed: 0, total: 0 };
+            row.completed += progress.completed;
+            row.total += progress.total;
+            totals[tradeName] = row;
+        });
+    });
+    return sortByName(Object.values(totals), 'trade')
+        .map(row => ({ ...row, percent: row.total === 0 ? 0 : Math.round((row.completed / row.total) * 100) }));
+};
+
+// Open items per subcontractor, most first. Work nobody is assigned to is its own row.
+export const getOpenItemsBySubcontractor = (units, subcontractors = [], today = new Date()) => {
+    const rows = {};
+    forEachTask(units, (unit, tradeName, task) => {
+        if (task.completed) return;
+        const assignment = getTaskAssignment(unit, tradeName, task);
+        const key = assignment.subcontractorId || '';
+        const row = rows[key] || {
+            subcontractorId: assignment.subcontractorId,
+            name: assignment.subcontractorId ? getSubcontractorName(subcontractors, assignment.subcontractorId) : 'Unassigned',
+            open: 0,
+            overdue: 0
+        };
+        row.open += 1;
+        if (isOverdue(assignment.dueDate, today)) row.overdue += 1;
+        rows[key] = row;
+    });
+    return Object.values(rows).sort((a, b) => b.open - a.open || a.name.localeCompare(b.name));
+};
+
+// Open task count at the end of each of the last `days` days. Tasks are counted from today's
+// task list, since tasks don't record when they were added; a completed task with no
+// completion time is treated as done before the window.
+export const getCompletionBurndown = (units, { today = new Date(), days = 30 } = {}) => {
+    let total = 0;
+    const completionDays = [];
+    forEachTask(units, (unit, tradeName, task) => {
+        total += 1;
+        if (task.completed) {
+            completionDays.push(task.completedAt ? toDateKey(new Date(task.completedAt)) : '');
+        }
+    });
+
+    const series = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+        const date = toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset));
+        const completed = completionDays.filter(day => day <= date).length;
+        series.push({ date, completed, open: total - completed });
+    }
+    return series;
+};
+
+// Units that are started but not finished, ranked by how long since a task was last
+// completed on them. Units whose completions have no timestamps sort first.
+export const getSlowestUnits = (units, { today = new Date(), limit = 5 } = {}) => units
+    .map(unit => {
+        const progress = getUnitProgress(unit.trades);
+        let lastCompletedAt = null;
+        forEachTask([unit], (item, tradeName, task) => {
+            if (task.completed && task.completedAt && (!lastCompletedAt || task.completedAt > lastCompletedAt)) {
+                lastCompletedAt = task.completedAt;
+            }
+        });
+        const daysSinceProgress = lastCompletedAt ? Math.floor((today - new Date(lastCompletedAt)) / DAY_MS) : null;
+        return { unitId: unit.id, percent: progress.percent, open: progress.total - progress.completed, lastCompletedAt, daysSinceProgress };
+    })
+    .filter(row => row.percent > 0 && row.percent < 100)
+    .sort((a, b) => (b.daysSinceProgress === null ? Infinity : b.daysSinceProgress) - (a.daysSinceProgress === null ? Infinity : a.daysSinceProgress)
+        || a.percent - b.percent
+        || a.unitId.localeCompare(b.unitId, undefined, { numeric: true }))
+    .slice(0, limit);
@@ -0,0 +1,77 @@
+import {
+  getBuildingCompletion,
+  getTradeCompletion,
+  getOpenItemsBySubcontractor,
+  getCompletionBurndown,
+  getSlowestUnits
+} from './dashboardStats';
+
+const today = new Date(2026, 9, 19, 12);
+
+const buildings = [{ id: 'p--b', name: 'B' }, { id: 'p--a', name: 'A' }, { id: 'p--empty', name: 'Empty' }];
+const subcontractors = [{ id: 'sparks', name: 'Sparks Electric' }];
+
+const units = [
+  {
+    id: 'A-101',
+    buildingId: 'p--a',
+    assignments: { Electrical: { subcontractorId: 'sparks', dueDate: '2026-10-01' } },
+    trades: {
+      Electrical: [
+        { id: 'e1', task: 'Outlets', completed: true, completedAt: new Date(2026, 9, 10, 9).toISOString() },
+        { id: 'e2', task: 'Fixtures', completed: false }
+      ],
+      Plumbing: [{ id: 'p1', task: 'Valves', completed: false }]
+    }
+  },
+  {
+    id: 'A-102',
+    buildingId: 'p--a',
+    trades: {
+      Electrical: [{ id: 'e3', task: 'Outlets', completed: true, completedAt: new Date(2026, 9, 18, 9).toISOString() }],
+      Plumbing: [{ id: 'p2', task: 'Valves', completed: false, assignedTo: 'sparks' }]
+    }
+  },
+  {
+    id: 'B-101',
+    buildingId: 'p--b',
+    trades: { Plumbing: [{ id: 'p3', task: 'Valves', completed: true }] }
+  },
+  { id: 'Loose-1', trades: { Plumbing: [{ id: 'p4', task: 'Valves', completed: false }] } }
+];
+
+test('rolls completion up by building and by trade', () => {
+  expect(getBuildingCompletion(units, buildings).map(row => [row.name, row.percent, row.unitCount])).toEqual([
+    ['A', 40, 2],
+    ['B', 100, 1],
+    ['Unassigned', 0, 1]
+  ]);
+  expect(getTradeCompletion(units)).toEqual([
+    { trade: 'Electrical', completed: 2, total: 3, percent: 67 },
+    { trade: 'Plumbing', completed: 1, total: 4, percent: 25 }
+  ]);
+});
+
+test('counts open and overdue items per subcontractor with unassigned work separate', () => {
+  expect(getOpenItemsBySubcontractor(units, subcontractors, today)).toEqual([
+    { subcontractorId: 'sparks', name: 'Sparks Electric', open: 2, overdue: 1 },
+    { subcontractorId: null, name: 'Unassigned', open: 2, overdue: 0 }
+  ]);
+});
+
+test('builds a daily burndown from completion times', () => {
+  const series = getCompletionBurndown(units, { today, days: 10 });
+  expect(series).toHaveLength(10);
+  // B-101 has no completion time so it counts from the start
+  expect(series[0]).toEqual({ date: '2026-10-10', completed: 2, open: 5 });
+  expect(series[7]).toEqual({ date: '2026-10-17', completed: 2, open: 5 });
+  expect(series[8]).toEqual({ date: '2026-10-18', completed: 3, open: 4 });
+  expect(series[9].date).toBe('2026-10-19');
+});
+
+test('ranks in-progress units by time since their last completion', () => {
+  expect(getSlowestUnits(units, { today })).toEqual([
+    { unitId: 'A-101', percent: 33, open: 2, lastCompletedAt: units[0].trades.Electrical[0].completedAt, daysSinceProgress: 9 },
+    { unitId: 'A-102', percent: 50, open: 1, lastCompletedAt: units[1].trades.Electrical[0].completedAt, daysSinceProgress: 1 }
+  ]);
+});
@@ -0,0 +1,128 @@
+import { doc, collection, collectionGroup, getDoc, setDoc, onSnapshot, writeBatch, runTransaction, serverTimestamp, query, where, orderBy, limit, FieldPath } from 'firebase/firestore';
+
+// The only module that knows where the app's data lives in Firestore. Each job's data is stored
+// under /artifacts/{appId}/public/data/{collection}, with each unit's change log in a
+// history subcollection. unitsRepository talks to this (or memoryBackend in tests).
+// The document at the data path itself holds the job's name.
+export const getDataPath = (appId) => `/artifacts/${appId}/public/data`;
+
+const withId = (snapshot, options) => ({ id: snapshot.id, ...snapshot.data(options) });
+
+// A write is { type: 'set', collection, id, data, merge }, { type: 'update', collection, id, data },
+// { type: 'update', collection, id, field: ['assignments', 'Electrical'], value } or
+// { type: 'delete', collection, id }
+const addWrite = (batch, docRef, write) => {
+    if (write.type === 'set' && write.merge) {
+        batch.set(docRef, write.data, { merge: true });
+    } else if (write.type === 'set') {
+        batch.set(docRef, write.data);
+    } else if (write.type === 'update' && write.field) {
+        batch.update(docRef, new FieldPath(...write.field), write.value);
+    } else if (write.type === 'update') {
+        batch.update(docRef, write.data);
+    } else if (write.type === 'delete') {
+        batch.delete(docRef);
+    } else {
+        throw new Error(`Unknown write type "${write.type}".`);
+    }
+};
+
+export const createFirestoreBackend = (db, appId) => {
+    const dataPath = getDataPath(appId);
+    const docRef = (collectionName, id) => doc(db, `${dataPath}/${collectionName}`, id);
+    const historyRef = (unitId) => collection(db, `${dataPath}/units/${unitId}/history`);
+
+    return {
+        subscribeCollection: (collectionName, onData, onError) => onSnapshot(
+            collection(db, `${dataPath}/${collectionName}`),
+            (snapshot) => onData(snapshot.docs.map(docSnap => withId(docSnap))),
+            onError
+        ),
+
+        subscribeDoc: (collectionName, id, onData, onError) => onSnapshot(
+            docRef(collectionName, id),
+            (docSnap) => onData(docSnap.exists() ? withId(docSnap) : null),
+            onError
+        ),
+
+        // Newest first. Entries written offline get an estimated timestamp until the server's arrives.
+        subscribeHistory: (unitId, maxEntries, onData, onError) => onSnapshot(
+            query(historyRef(unitId), orderBy('timestamp', 'desc'), limit(maxEntries)),
+            (snapshot) => onData(snapshot.docs.map(docSnap => withId(docSnap, { serverTimestamps: 'estimate' }))),
+            onError
+        ),
+
+        get: async (collectionName, id) => {
+            const docSnap = await getDoc(docRef(collectionName, id));
+            return docSnap.exists() ? withId(docSnap) : null;
+        },
+
+        // Applies all writes atomically. Firestore allows at most 500 per call.
+        commit: async (writes) => {
+            const batch = writeBatch(db);
+            writes.forEach(write => addWrite(batch, docRef(write.collection, write.id), write));
+            await batch.commit();
+        },
+
+        // update(transaction) reads with get() before writing with update() and addHistory()
+        runTransaction: (update) => runTransaction(db, (transaction) => update({
+            get: async (collectionName, id) => {
+                const docSnap = await transaction.get(docRef(collectionName, id));
+                return docSnap.exists() ? withId(docSnap) : null;
+            },
+            update: (collectionName, id, data) => {
+                transaction.update(docRef(collectionName, id), data);
+            },
+            addHistory: (unitId, entryId, entry) => {
+                transaction.set(doc(historyRef(unitId), entryId), { ...entry, timestamp: serverTimestamp() });
+            }
+        }))
+    };
+};
+
+// Reads and writes that span jobs. Outgoing mail goes to the top-level "mail" collection, the
+// Trigger Email extension's default, tagged with the job it came from.
+export const createFirestoreTenantDirectory = (db, defaultTenantId) => {
+    const getTenant = async (tenantId) => {
+        try {
+            const docSnap = await getDoc(doc(db, getDataPath(tenantId)));
+            return { id: tenantId, name: docSnap.exists() ? docSnap.data().name || null : null };
+        } catch (error) {
+            return { id: tenantId, name: null };
+        }
+    };
+
+    return {
+        // The jobs memberId belongs to as [{ id, name }], the default job first. Members added
+        // before jobs existed have no memberId field, so the default job is also looked up directly.
+        subscribeTenants: (memberId, onData, onError) => {
+            let latest = 0;
+            return onSnapshot(
+                query(collectionGroup(db, 'members'), where('memberId', '==', memberId)),
+                async (snapshot) => {
+                    const request = ++latest;
+                    const tenantIds = new Set(snapshot.docs.map(docSnap => docSnap.ref.path.split('/')[1]));
+                    const defaultMember = await getDoc(doc(db, `${getDataPath(defaultTenantId)}/members`, memberId)).catch(() => null);
+                    if (defaultMember && defaultMember.exists()) tenantIds.add(defaultTenantId);
+                    const tenants = await Promise.all([...tenantIds].map(getTenant));
+                    if (request !== latest) return;
+                    onData(tenants.sort((a, b) => (b.id === defaultTenantId) - (a.id === defaultTenantId)
+                        || (a.name || a.id).localeCompare(b.name || b.id)));
+                },
+                onError
+            );
+        },
+
+        // Names the job and makes its creator the first admin, in one batch
+        createTenant: ({ tenantId, name, createdFrom, email }) => {
+            const memberId = email.trim().toLowerCase();
+            const batch = writeBatch(db);
+            batch.set(doc(db, getDataPath(tenantId)), { name, createdBy: memberId, createdFrom });
+            batch.set(doc(db, `${getDataPath(tenantId)}/members`, memberId), { email: email.trim(), memberId, role: 'admin' });
+            return batch.commit();
+        },
+
+        queueEmail: (tenantId, mail) => setDoc(doc(collection(db, 'mail')), { ...mail, tenantId, createdAt: new Date().toISOString() })
+    };
+};
+
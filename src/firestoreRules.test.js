@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, serverTimestamp, writeBatch, collectionGroup, query, where } from 'firebase/firestore';
+
+// Runs against the Firestore emulator: `npm run test:rules`
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const appId = 'test-app';
+const dataPath = `artifacts/${appId}/public/data`;
+const unit = {
+  address: '1 Main St',
+  status: 'Not Started',
+  trades: {
+    Electrical: [{ id: 'e1', task: 'Install outlets', completed: false }],
+    Plumbing: [{ id: 'p1', task: 'Install fixtures', completed: false }]
+  }
+};
+
+describeWithEmulator('firestore.rules', () => {
+  let testEnv;
+
+  const as = (email) => testEnv.authenticatedContext(email, { email }).firestore();
+  const toggled = (tradeName) => ({
+    trades: { ...unit.trades, [tradeName]: [{ ...unit.trades[tradeName][0], completed: true }] },
+    status: 'In Progress'
+  });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-punchlist',
+      firestore: { rules: fs.readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') }
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, `${dataPath}/members/admin@example.com`), { email: 'admin@example.com', role: 'admin' });
+      await setDoc(doc(db, `${dataPath}/members/super@example.com`), { email: 'super@example.com', role: 'superintendent' });
+      await setDoc(doc(db, `${dataPath}/members/sparky@example.com`), { email: 'sparky@example.com', role: 'sub', trade: 'Electrical' });
+      await setDoc(doc(db, `${dataPath}/members/owner@example.com`), { email: 'owner@example.com', role: 'owner' });
+      await setDoc(doc(db, `${dataPath}/units/A-101`), unit);
+    });
+  });
+
+  test('signed-in users without a role cannot read anything', async () => {
+    await assertFails(getDoc(doc(as('stranger@example.com'), `${dataPath}/units/A-101`)));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), `${dataPath}/units/A-101`)));
+  });
+
+  test('owners can read but not write', async () => {
+    const db = as('owner@example.com');
+    await assertSucceeds(getDoc(doc(db, `${dataPath}/units/A-101`)));
+    await assertFails(updateDoc(doc(db, `${dataPath}/units/A-101`), toggled('Electrical')));
+    await assertFails(setDoc(doc(db, `${dataPath}/projects/p1`), { name: 'Project' }));
+  });
+
+  test('only admins manage members', async () => {
+    await assertSucceeds(setDoc(doc(as('admin@example.com'), `${dataPath}/members/new@example.com`), { email: 'new@example.com', role: 'owner' }));
+    await assertFails(setDoc(doc(as('super@example.com'), `${dataPath}/members/super@example.com`), { email: 'super@example.com', role: 'admin' }));
+  });
+
+  test('superintendents manage units, projects and templates', async () => {
+    const db = as('super@example.com');
+    await assertSucceeds(setDoc(doc(db, `${dataPath}/units/A-102`), unit));
+    await assertSucceeds(setDoc(doc(db, `${dataPath}/projects/p1`), { name: 'Project' }));
+    await assertSucceeds(setDoc(doc(db, `${dataPath}/templates/t1`), { name: 'Template', trades: [] }));
+    await assertSucceeds(updateDoc(doc(db, `${dataPath}/units/A-101`), toggled('Plumbing')));
+  });
+
+  test('subs can only update tasks in their own trade', async () => {
+    const db = as('sparky@example.com');
+    await assertSucceeds(updateDoc(doc(db, `${dataPath}/units/A-101`), toggled('Electrical')));
+    await assertFails(updateDoc(doc(db, `${dataPath}/units/A-101`), toggled('Plumbing')));
+    await assertFails(updateDoc(doc(db, `${dataPath}/units/A-101`), { address: '2 Main St' }));
+    await assertFails(setDoc(doc(db, `${dataPath}/units/A-102`), unit));
+    await assertFails(deleteDoc(doc(db, `${dataPath}/units/A-101`)));
+  });
+
+  test('only superintendents and admins verify work, outside the trade subs can edit', async () => {
+    const verifications = { verifications: { Electrical: { e1: { by: 'sparky@example.com', at: '2026-10-19T12:00:00.000Z', completedAt: null } } } };
+    const db = as('sparky@example.com');
+    await assertFails(updateDoc(doc(db, `${dataPath}/units/A-101`), verifications));
+    await assertFails(updateDoc(doc(db, `${dataPath}/units/A-101`), { ...toggled('Electrical'), ...verifications }));
+    await assertFails(updateDoc(doc(db, `${dataPath}/units/A-101`), { ...toggled('Electrical'), status: 'Complete' }));
+    await assertSucceeds(updateDoc(doc(as('super@example.com'), `${dataPath}/units/A-101`), verifications));
+  });
+
+  test('a unit that passed inspection keeps its checklist until it is reopened', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await updateDoc(doc(context.firestore(), `${dataPath}/units/A-101`), { inspectionPassed: true });
+    });
+    const db = as('super@example.com');
+    await assertFails(updateDoc(doc(db, `${dataPath}/units/A-101`), toggled('Plumbing')));
+    await assertFails(updateDoc(doc(as('sparky@example.com'), `${dataPath}/units/A-101`), toggled('Electrical')));
+    await assertSucceeds(updateDoc(doc(db, `${dataPath}/units/A-101`), { assignments: { Plumbing: { subcontractorId: 'pipes', dueDate: null } } }));
+    await assertSucceeds(updateDoc(doc(db, `${dataPath}/units/A-101`), { ...toggled('Plumbing'), inspectionPassed: false }));
+  });
+
+  test('history entries are append-only and limited to the writer and their trade', async () => {
+    const entry = { trade: 'Electrical', taskId: 'e1', action: 'toggle', oldValue: false, newValue: true };
+    const db = as('sparky@example.com');
+    const entryRef = doc(db, `${dataPath}/units/A-101/history/h1`);
+    await assertSucceeds(setDoc(entryRef, { ...entry, userId: 'sparky@example.com', timestamp: serverTimestamp() }));
+    await assertFails(setDoc(doc(db, `${dataPath}/units/A-101/history/h2`), { ...entry, trade: 'Plumbing', userId: 'sparky@example.com', timestamp: serverTimestamp() }));
+    await assertFails(setDoc(doc(db, `${dataPath}/units/A-101/history/h3`), { ...entry, userId: 'someone-else', timestamp: serverTimestamp() }));
+    await assertFails(updateDoc(entryRef, { newValue: false }));
+    await assertFails(deleteDoc(doc(as('admin@example.com'), `${dataPath}/units/A-101/history/h1`)));
+  });
+
+  test('notification settings are private and digests can only be mailed to yourself', async () => {
+    const db = as('sparky@example.com');
+    await assertSucceeds(setDoc(doc(db, `${dataPath}/notificationSettings/sparky@example.com`), { readIds: [] }));
+    await assertSucceeds(getDoc(doc(db, `${dataPath}/notificationSettings/sparky@example.com`)));
+    await assertFails(getDoc(doc(as('admin@example.com'), `${dataPath}/notificationSettings/sparky@example.com`)));
+    await assertFails(setDoc(doc(db, `${dataPath}/notificationSettings/super@example.com`), { readIds: [] }));
+    const mail = { to: 'sparky@example.com', tenantId: appId, message: { subject: 'Digest', text: '' } };
+    await assertSucceeds(setDoc(doc(db, 'mail/m1'), mail));
+    await assertFails(setDoc(doc(db, 'mail/m2'), { ...mail, to: 'someone@example.com' }));
+    await assertFails(setDoc(doc(as('stranger@example.com'), 'mail/m3'), { ...mail, to: 'stranger@example.com' }));
+    await assertFails(getDoc(doc(db, 'mail/m1')));
+  });
+
+  test('admins start new jobs whose data stays separate', async () => {
+    const jobId = `${appId}--annex-1`;
+    const jobPath = `artifacts/${jobId}/public/data`;
+    const startJob = (db, email, createdFrom = appId) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, jobPath), { name: 'Annex', createdBy: email, createdFrom });
+      batch.set(doc(db, `${jobPath}/members/${email}`), { email, memberId: email, role: 'admin' });
+      return batch.commit();
+    };
+
+    await assertFails(startJob(as('super@example.com'), 'super@example.com'));
+    await assertSucceeds(startJob(as('admin@example.com'), 'admin@example.com'));
+    await assertFails(setDoc(doc(as('admin@example.com'), `artifacts/other-app/public/data`), { name: 'Taken', createdBy: 'admin@example.com', createdFrom: appId }));
+
+    // Members of the first job have no role in the new one
+    await assertFails(getDoc(doc(as('super@example.com'), `${jobPath}/members/admin@example.com`)));
+    await assertSucceeds(setDoc(doc(as('admin@example.com'), `${jobPath}/units/B-101`), unit));
+    await assertFails(getDoc(doc(as('super@example.com'), `${jobPath}/units/B-101`)));
+
+    const memberships = await assertSucceeds(getDocs(query(collectionGroup(as('admin@example.com'), 'members'), where('memberId', '==', 'admin@example.com'))));
+    expect(memberships.docs.map(docSnap => docSnap.ref.path)).toEqual([`${jobPath}/members/admin@example.com`]);
+    await assertFails(getDocs(query(collectionGroup(as('admin@example.com'), 'members'), where('memberId', '==', 'super@example.com'))));
+  });
+});
@@ -0,0 +1,104 @@
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { createTaskId } from './taskOperations';
+import { loadImage, resizeToJpeg, canvasToJpeg } from './photos';
+import { deriveUnitStatus } from './unitProgress';
+
+// Plans are kept sharp enough to read room numbers when zoomed on a tablet
+const PLAN_MAX_DIMENSION = 3200;
+
+// Each building keeps a plan per floor in floorPlans: { [floor]: plan }, and each unit its pin
+// on its floor's plan in planPosition: { x, y }, as fractions of the plan's width and height.
+
+export const getFloorPlan = (building, floor) => ((building && building.floorPlans) || {})[String(floor)] || null;
+
+// The floor's units split into pinned ones ({ unit, x, y, status }) and ones not on the plan yet,
+// each sorted by ID
+export const getFloorPins = (units, buildingId, floor) => {
+    const floorUnits = units
+        .filter(unit => unit.buildingId === buildingId && unit.floor === floor)
+        .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+    return {
+        pins: floorUnits
+            .filter(unit => unit.planPosition)
+            .map(unit => ({
+                unit,
+                x: unit.planPosition.x,
+                y: unit.planPosition.y,
+                status: deriveUnitStatus(unit.trades || {}, !!unit.inspectionPassed)
+            })),
+        unpinned: floorUnits.filter(unit => !unit.planPosition)
+    };
+};
+
+const clampFraction = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+
+// Where a tap at (clientX, clientY) lands on a plan drawn in rect (from getBoundingClientRect)
+export const toPlanPosition = (clientX, clientY, rect) => ({
+    x: clampFraction((clientX - rect.left) / rect.width),
+    y: clampFraction((clientY - rect.top) / rect.height)
+});
+
+export const isPdfFile = (file) => file.type === 'application/pdf';
+
+// Plans are images, or a page of a PDF drawing set
+export const checkFloorPlanFile = (file) => {
+    if (!isPdfFile(file) && !file.type.startsWith('image/')) {
+        throw new Error("Choose an image of the floor plan (PNG or JPEG) or a PDF.");
+    }
+};
+
+// pdf.js is large, so it's only downloaded when someone uploads a PDF plan
+const loadPdfjs = async () => (await import('./pdfjs')).default;
+
+// Draws page pageNumber (from 1) of a PDF onto a canvas maxDimension pixels on its longer side
+const renderPdfPage = async (file, pageNumber, maxDimension, pdfjs) => {
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer(), isEvalSupported: false }).promise;
+    try {
+        if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pdf.numPages) {
+            throw new Error(`The PDF has ${pdf.numPages} page${pdf.numPages === 1 ? '' : 's'}. Choose a page from 1 to ${pdf.numPages}.`);
+        }
+        const page = await pdf.getPage(pageNumber);
+        const { width, height } = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: maxDimension / Math.max(width, height) });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        const context = canvas.getContext('2d');
+        // PDF pages are transparent, which a JPEG would turn black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: context, viewport }).promise;
+        return canvas;
+    } finally {
+        pdf.destroy();
+    }
+};
+
+// The plan as a JPEG with its size in pixels: { blob, width, height }. For a PDF, page is the
+// sheet to use. loadPdf resolves to pdf.js and is replaced in tests.
+export const prepareFloorPlan = async (file, { page = 1, loadPdf = loadPdfjs } = {}) => {
+    checkFloorPlanFile(file);
+    if (isPdfFile(file)) {
+        const canvas = await renderPdfPage(file, page, PLAN_MAX_DIMENSION, await loadPdf());
+        return { blob: await canvasToJpeg(canvas, 0.85), width: canvas.width, height: canvas.height };
+    }
+    const image = await loadImage(file);
+    const blob = await resizeToJpeg(image, PLAN_MAX_DIMENSION, 0.85);
+    return { blob, width: image.naturalWidth, height: image.naturalHeight };
+};
+
+// Uploads the plan as a JPEG and returns what saveFloorPlan stores on the building
+export const uploadFloorPlan = async (storage, { appId, buildingId, floor, file, page, userId }) => {
+    const { blob, width, height } = await prepareFloorPlan(file, { page });
+    const planRef = ref(storage, `artifacts/${appId}/floorPlans/${buildingId}/${floor}-${createTaskId()}.jpg`);
+    await uploadBytes(planRef, blob, { contentType: 'image/jpeg', customMetadata: { uploadedBy: userId } });
+
+    return {
+        url: await getDownloadURL(planRef),
+        path: planRef.fullPath,
+        width,
+        height,
+        uploadedBy: userId,
+        uploadedAt: new Date().toISOString()
+    };
+};
@@ -0,0 +1,74 @@
+import { getFloorPlan, getFloorPins, toPlanPosition, checkFloorPlanFile, prepareFloorPlan } from './floorPlans';
+
+const building = { id: 'tower--a', floorPlans: { 2: { url: 'https://example.com/plan.jpg', width: 2000, height: 1000 } } };
+
+const units = [
+  { id: 'A-Unit210', buildingId: 'tower--a', floor: 2, planPosition: { x: 0.5, y: 0.25 }, trades: { Electrical: [{ id: 'e1', completed: true }] } },
+  { id: 'A-Unit202', buildingId: 'tower--a', floor: 2, planPosition: { x: 0.1, y: 0.9 }, trades: { Electrical: [{ id: 'e2', completed: false }] } },
+  { id: 'A-Unit201', buildingId: 'tower--a', floor: 2, trades: {} },
+  { id: 'A-Unit101', buildingId: 'tower--a', floor: 1, planPosition: { x: 0.3, y: 0.3 }, trades: {} },
+  { id: 'B-Unit201', buildingId: 'tower--b', floor: 2, trades: {} }
+];
+
+test('finds the plan for a floor', () => {
+  expect(getFloorPlan(building, 2)).toMatchObject({ width: 2000 });
+  expect(getFloorPlan(building, 3)).toBeNull();
+  expect(getFloorPlan({ id: 'tower--b' }, 2)).toBeNull();
+});
+
+test('splits a floor\'s units into pins colored by status and units still to place', () => {
+  const { pins, unpinned } = getFloorPins(units, 'tower--a', 2);
+  expect(pins.map(pin => [pin.unit.id, pin.x, pin.y, pin.status])).toEqual([
+    ['A-Unit202', 0.1, 0.9, 'Not Started'],
+    ['A-Unit210', 0.5, 0.25, 'Ready for Inspection']
+  ]);
+  expect(unpinned.map(unit => unit.id)).toEqual(['A-Unit201']);
+});
+
+test('turns a tap into a position on the plan, kept inside it', () => {
+  const rect = { left: 100, top: 50, width: 400, height: 200 };
+  expect(toPlanPosition(200, 100, rect)).toEqual({ x: 0.25, y: 0.25 });
+  expect(toPlanPosition(50, 300, rect)).toEqual({ x: 0, y: 1 });
+  expect(toPlanPosition(233, 117, rect)).toEqual({ x: 0.3325, y: 0.335 });
+});
+
+test('accepts plan images and PDFs', () => {
+  expect(() => checkFloorPlanFile({ type: 'image/png' })).not.toThrow();
+  expect(() => checkFloorPlanFile({ type: 'application/pdf' })).not.toThrow();
+  expect(() => checkFloorPlanFile({ type: 'text/plain' })).toThrow('Choose an image');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('renders the chosen page of a PDF plan to a JPEG', async () => {
+  const context = { fillRect: jest.fn() };
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+  jest.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(function toBlob(callback, type) {
+    callback(new Blob(['plan'], { type }));
+  });
+  const render = jest.fn(() => ({ promise: Promise.resolve() }));
+  const pdf = {
+    numPages: 3,
+    getPage: jest.fn(async () => ({
+      getViewport: ({ scale }) => ({ width: 1200 * scale, height: 800 * scale }),
+      render
+    })),
+    destroy: jest.fn()
+  };
+  const pdfjs = { getDocument: jest.fn(() => ({ promise: Promise.resolve(pdf) })) };
+  const file = { type: 'application/pdf', arrayBuffer: async () => new ArrayBuffer(8) };
+
+  const plan = await prepareFloorPlan(file, { page: 2, loadPdf: async () => pdfjs });
+
+  expect(pdf.getPage).toHaveBeenCalledWith(2);
+  // Drawn at the plan size, on white rather than the page's transparent background
+  expect([plan.width, plan.height]).toEqual([3200, 2133]);
+  expect(render.mock.calls[0][0]).toMatchObject({ canvasContext: context, viewport: { width: 3200 } });
+  expect(context.fillRect).toHaveBeenCalledWith(0, 0, 3200, 2133);
+  expect(plan.blob.type).toBe('image/jpeg');
+
+  await expect(prepareFloorPlan(file, { page: 4, loadPdf: async () => pdfjs })).rejects.toThrow('Choose a page from 1 to 3');
+  expect(pdf.destroy).toHaveBeenCalledTimes(2);
+});
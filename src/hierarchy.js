@@ -0,0 +1,78 @@
+import { getUnitProgress } from './unitProgress';
+
+// Units belong to Project -> Building -> Floor. Projects and buildings are their own documents;
+// the floor is a number on the unit. Units keep living in the flat units collection so
+// existing QR links keep working.
+
+export const DEFAULT_PROJECT_ID = 'default-project';
+export const DEFAULT_PROJECT_NAME = 'Default Project';
+
+export const slugify = (value) => String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+export const getBuildingId = (projectId, buildingName) => `${projectId}--${slugify(buildingName)}`;
+
+// "BuildingA-Unit305" -> BuildingA, floor 3. Two-digit unit numbers have no floor digit and go on floor 1.
+export const parseUnitPlacement = (unitId) => {
+    const dashIndex = unitId.indexOf('-');
+    if (dashIndex <= 0) return null;
+    const buildingName = unitId.slice(0, dashIndex);
+    const numberMatch = unitId.slice(dashIndex + 1).match(/(\d+)\s*$/);
+    const unitNumber = numberMatch ? parseInt(numberMatch[1], 10) : 0;
+    const floor = numberMatch && numberMatch[1].length >= 3 ? Math.floor(unitNumber / 100) : 1;
+    return { buildingName, floor: Math.max(floor, 1) };
+};
+
+export const isUnitPlaced = (unit) => !!(unit.projectId && unit.buildingId && unit.floor);
+
+// Works out the project, buildings and unit placements needed to move prefix-named units into
+// the hierarchy. Units that are already placed are left alone.
+export const planHierarchyMigration = (units, buildings, projectId = DEFAULT_PROJECT_ID) => {
+    const existingBuildingIds = new Set(buildings.map(building => building.id));
+    const newBuildings = {};
+    const unitUpdates = [];
+    const skipped = [];
+
+    units.filter(unit => !isUnitPlaced(unit)).forEach(unit => {
+        const placement = parseUnitPlacement(unit.id);
+        if (!placement) {
+            skipped.push(unit.id);
+            return;
+        }
+        const buildingId = getBuildingId(projectId, placement.buildingName);
+        if (!existingBuildingIds.has(buildingId)) {
+            const building = newBuildings[buildingId] || { id: buildingId, projectId, name: placement.buildingName, floorCount: 0 };
+            building.floorCount = Math.max(building.floorCount, placement.floor);
+            newBuildings[buildingId] = building;
+        }
+        unitUpdates.push({ unitId: unit.id, projectId, buildingId, floor: placement.floor });
+    });
+
+    return { buildings: Object.values(newBuildings), unitUpdates, skipped };
+};
+
+// Progress summed over every task of every unit below a level
+export const getRollupProgress = (units) => {
+    let completed = 0;
+    let total = 0;
+    units.forEach(unit => {
+        const progress = getUnitProgress(unit.trades);
+        completed += progress.completed;
+        total += progress.total;
+    });
+    return { completed, total, percent: total === 0 ? 0 : Math.round((completed / total) * 100), unitCount: units.length };
+};
+
+// Floors shown for a building: every floor up to its floor count plus any floor a unit sits on
+export const getBuildingFloors = (building, units) => {
+    const floors = new Set(units.filter(unit => unit.buildingId === building.id).map(unit => unit.floor));
+    for (let floor = 1; floor <= (building.floorCount || 0); floor++) {
+        floors.add(floor);
+    }
+    return [...floors].sort((a, b) => a - b);
+};
+
+export const sortByName = (items, key = 'name') => [...items].sort((a, b) => String(a[key]).localeCompare(String(b[key]), undefined, { numeric: true }));
@@ -0,0 +1,37 @@
+import { parseUnitPlacement, planHierarchyMigration, getRollupProgress, getBuildingFloors, DEFAULT_PROJECT_ID } from './hierarchy';
+
+test('parses building and floor from prefix-named units', () => {
+  expect(parseUnitPlacement('BuildingA-Unit01')).toEqual({ buildingName: 'BuildingA', floor: 1 });
+  expect(parseUnitPlacement('BuildingB-Unit305')).toEqual({ buildingName: 'BuildingB', floor: 3 });
+  expect(parseUnitPlacement('Lobby')).toBeNull();
+});
+
+test('plans a migration of prefix-named units into buildings', () => {
+  const units = [
+    { id: 'BuildingA-Unit01' },
+    { id: 'BuildingA-Unit201' },
+    { id: 'BuildingB-Unit01' },
+    { id: 'Clubhouse' },
+    { id: 'BuildingC-Unit01', projectId: 'p', buildingId: 'p--buildingc', floor: 1 }
+  ];
+  const plan = planHierarchyMigration(units, [{ id: `${DEFAULT_PROJECT_ID}--buildingb` }]);
+  expect(plan.buildings).toEqual([
+    { id: `${DEFAULT_PROJECT_ID}--buildinga`, projectId: DEFAULT_PROJECT_ID, name: 'BuildingA', floorCount: 2 }
+  ]);
+  expect(plan.unitUpdates).toHaveLength(3);
+  expect(plan.unitUpdates[1]).toEqual({ unitId: 'BuildingA-Unit201', projectId: DEFAULT_PROJECT_ID, buildingId: `${DEFAULT_PROJECT_ID}--buildinga`, floor: 2 });
+  expect(plan.skipped).toEqual(['Clubhouse']);
+});
+
+test('rolls up progress across units', () => {
+  const units = [
+    { trades: { Electrical: [{ completed: true }, { completed: false }] } },
+    { trades: { Electrical: [{ completed: true }, { completed: true }] } }
+  ];
+  expect(getRollupProgress(units)).toEqual({ completed: 3, total: 4, percent: 75, unitCount: 2 });
+});
+
+test('lists a building\'s floors including ones without units', () => {
+  const building = { id: 'b', floorCount: 2 };
+  expect(getBuildingFloors(building, [{ buildingId: 'b', floor: 4 }, { buildingId: 'other', floor: 9 }])).toEqual([1, 2, 4]);
+});
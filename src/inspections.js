@@ -0,0 +1,69 @@
+import { createRejectOperation, getTaskKey } from './taskOperations';
+import { getOrderedTradeNames } from './templates';
+
+// The inspection that hands a unit over. The inspector walks every trade and passes or fails
+// each item, then the inspector and the owner's rep sign. A pass sets the unit's
+// inspectionPassed, which locks its checklist until someone reopens it with a reason; a failure
+// sends the failed items back to their trades. The latest inspection is kept on the unit as
+// `inspection`; the unit's history has every pass, failure and reopening.
+
+// results are { [trade]: { [taskKey]: { result: 'pass' | 'fail', note } } }
+
+export const isChecklistLocked = (unit) => !!(unit && unit.inspectionPassed);
+
+// Every trade with its tasks, in the unit's trade order
+export const getInspectionChecklist = (trades, tradeOrder) => getOrderedTradeNames(trades, tradeOrder)
+    .map(trade => ({ trade, tasks: trades[trade] || [] }));
+
+const getResult = (results, trade, task) => (results[trade] || {})[getTaskKey(task)] || null;
+
+export const setInspectionResult = (results, trade, task, result) => ({
+    ...results,
+    [trade]: { ...(results[trade] || {}), [getTaskKey(task)]: result }
+});
+
+export const summarizeInspection = (checklist, results) => {
+    const summary = { total: 0, passed: 0, failed: 0, pending: 0 };
+    checklist.forEach(({ trade, tasks }) => tasks.forEach(task => {
+        const result = getResult(results, trade, task);
+        summary.total += 1;
+        if (!result) summary.pending += 1;
+        else if (result.result === 'pass') summary.passed += 1;
+        else summary.failed += 1;
+    }));
+    return summary;
+};
+
+// Why the inspection can't be submitted yet, or null once it can. signOff is
+// { inspector: { name, signature }, ownerRep: { name, signature } }.
+export const getInspectionProblem = (summary, signOff) => {
+    if (summary.pending > 0) return `${summary.pending} item${summary.pending === 1 ? '' : 's'} still need${summary.pending === 1 ? 's' : ''} a result.`;
+    const missing = [['inspector', "The inspector"], ['ownerRep', "The owner's rep"]]
+        .find(([role]) => !signOff[role].name.trim() || !signOff[role].signature);
+    return missing ? `${missing[1]} needs to enter their name and sign.` : null;
+};
+
+// What is stored on the unit. by is who ran the inspection in the app, at when it was signed.
+// By now each signature is the { url, path } uploadSignature stored it at.
+export const buildInspectionRecord = (checklist, results, signOff, { by, at }) => {
+    const items = checklist.flatMap(({ trade, tasks }) => tasks.map(task => {
+        const { result, note } = getResult(results, trade, task);
+        return { trade, taskId: task.id || null, taskName: task.task, result, note: (note || '').trim() || null };
+    }));
+    return {
+        outcome: items.every(item => item.result === 'pass') ? 'passed' : 'failed',
+        items,
+        inspector: { name: signOff.inspector.name.trim(), signature: signOff.inspector.signature },
+        ownerRep: { name: signOff.ownerRep.name.trim(), signature: signOff.ownerRep.signature },
+        by,
+        at
+    };
+};
+
+// Inspections recorded before signatures went to Storage kept the PNG data URL itself
+export const getSignatureUrl = (signature) => (typeof signature === 'string' ? signature : (signature && signature.url) || null);
+
+// Failed items go back to Open for their trade, with the inspector's note as the reason
+export const getFailedItemOperations = (unitId, checklist, results) => checklist.flatMap(({ trade, tasks }) => tasks
+    .filter(task => (getResult(results, trade, task) || {}).result === 'fail')
+    .map(task => createRejectOperation(unitId, trade, task, `Failed inspection: ${(getResult(results, trade, task).note || '').trim() || 'no note'}`)));
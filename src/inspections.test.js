@@ -0,0 +1,64 @@
+import {
+  getInspectionChecklist,
+  setInspectionResult,
+  summarizeInspection,
+  getInspectionProblem,
+  buildInspectionRecord,
+  getFailedItemOperations,
+  isChecklistLocked,
+  getSignatureUrl
+} from './inspections';
+
+const trades = {
+  Plumbing: [{ id: 'p1', task: 'Fixtures', completed: true }],
+  Electrical: [{ id: 'e1', task: 'Outlets', completed: true }, { task: 'Panel', completed: true }]
+};
+const checklist = getInspectionChecklist(trades, ['Electrical', 'Plumbing']);
+const signed = { inspector: { name: ' Ines ', signature: 'data:image/png;base64,a' }, ownerRep: { name: 'Omar', signature: 'data:image/png;base64,b' } };
+
+const inspectAll = (result) => checklist.reduce(
+  (results, { trade, tasks }) => tasks.reduce((current, task) => setInspectionResult(current, trade, task, result), results),
+  {}
+);
+
+test('walks the trades in the unit order', () => {
+  expect(checklist.map(({ trade, tasks }) => [trade, tasks.length])).toEqual([['Electrical', 2], ['Plumbing', 1]]);
+});
+
+test('needs a result for every item and both signatures', () => {
+  const partial = setInspectionResult({}, 'Electrical', trades.Electrical[1], { result: 'pass', note: '' });
+  expect(summarizeInspection(checklist, partial)).toEqual({ total: 3, passed: 1, failed: 0, pending: 2 });
+  expect(getInspectionProblem(summarizeInspection(checklist, partial), signed)).toBe('2 items still need a result.');
+
+  const summary = summarizeInspection(checklist, inspectAll({ result: 'pass', note: '' }));
+  expect(getInspectionProblem(summary, { ...signed, ownerRep: { name: 'Omar', signature: null } })).toBe("The owner's rep needs to enter their name and sign.");
+  expect(getInspectionProblem(summary, signed)).toBeNull();
+});
+
+test('records a pass, or a failure that sends failed items back', () => {
+  const passed = buildInspectionRecord(checklist, inspectAll({ result: 'pass', note: '' }), signed, { by: 'super@example.com', at: '2026-10-19T12:00:00.000Z' });
+  expect(passed).toMatchObject({ outcome: 'passed', inspector: { name: 'Ines' }, ownerRep: { name: 'Omar' }, by: 'super@example.com' });
+  expect(passed.items.map(item => [item.trade, item.taskId, item.taskName, item.result])).toEqual([
+    ['Electrical', 'e1', 'Outlets', 'pass'],
+    ['Electrical', null, 'Panel', 'pass'],
+    ['Plumbing', 'p1', 'Fixtures', 'pass']
+  ]);
+
+  const results = setInspectionResult(inspectAll({ result: 'pass', note: '' }), 'Plumbing', trades.Plumbing[0], { result: 'fail', note: ' Leaks ' });
+  expect(buildInspectionRecord(checklist, results, signed, { by: 'super@example.com', at: '2026-10-19T12:00:00.000Z' }).outcome).toBe('failed');
+  expect(getFailedItemOperations('A-101', checklist, results)).toMatchObject([
+    { type: 'reject', unitId: 'A-101', trade: 'Plumbing', taskId: 'p1', reason: 'Failed inspection: Leaks' }
+  ]);
+});
+
+test('locks the checklist of units that passed', () => {
+  expect(isChecklistLocked({ inspectionPassed: true })).toBe(true);
+  expect(isChecklistLocked({ inspectionPassed: false })).toBe(false);
+  expect(isChecklistLocked(null)).toBe(false);
+});
+
+test('shows stored signatures and the data URLs of older inspections', () => {
+  expect(getSignatureUrl({ url: 'https://example.com/sig.png', path: 'artifacts/app/units/A-101/signatures/inspector.png' })).toBe('https://example.com/sig.png');
+  expect(getSignatureUrl('data:image/png;base64,a')).toBe('data:image/png;base64,a');
+  expect(getSignatureUrl(undefined)).toBeNull();
+});
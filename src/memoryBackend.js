@@ -0,0 +1,124 @@
+// An in-memory stand-in for firestoreBackend, for tests and for trying the UI without a
+// Firebase project. Writes are atomic like Firestore's (an update to a missing document
+// fails the whole commit) and limited to 500 per commit or transaction, and listeners hear
+// about every change, but there are no security rules and nothing is persisted. seed is
+// { units: { 'A-101': {...} }, members: {...}, ... }.
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Like a Firestore set with { merge: true }: nested maps are merged, everything else replaced
+const mergeFields = (existing, data) => {
+    const merged = { ...existing };
+    Object.entries(data).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(existing[key]) ? mergeFields(existing[key], value) : value;
+    });
+    return merged;
+};
+
+const setField = (data, [key, ...rest], value) => ({
+    ...data,
+    [key]: rest.length === 0 ? value : setField(isPlainObject(data[key]) ? data[key] : {}, rest, value)
+});
+
+const notFoundError = (collectionName, id) => Object.assign(
+    new Error(`No document to update: ${collectionName}/${id}`),
+    { code: 'not-found' }
+);
+
+// Firestore rejects batches and transactions with more writes than this
+const MAX_WRITES = 500;
+
+const checkWriteCount = (count) => {
+    if (count > MAX_WRITES) {
+        throw Object.assign(new Error(`Too many writes in one commit: ${count} (at most ${MAX_WRITES}).`), { code: 'invalid-argument' });
+    }
+};
+
+export const createMemoryBackend = (seed = {}) => {
+    // collection name -> Map of id -> data
+    let collections = new Map(Object.entries(seed).map(([name, docs]) => [name, new Map(Object.entries(clone(docs)))]));
+    const history = new Map(); // unitId -> entries, oldest first
+    const listeners = new Set();
+
+    const getCollection = (state, name) => state.get(name) || new Map();
+    const readDoc = (name, id) => {
+        const data = getCollection(collections, name).get(id);
+        return data ? { id, ...clone(data) } : null;
+    };
+
+    const listen = (listener) => {
+        listener();
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+    const notify = () => listeners.forEach(listener => listener());
+
+    // Applies writes to a copy of the data and only keeps it if every write succeeds
+    const applyWrites = (writes) => {
+        const next = new Map(collections);
+        writes.forEach(write => {
+            const docs = new Map(getCollection(next, write.collection));
+            const existing = docs.get(write.id);
+            if (write.type === 'set') {
+                docs.set(write.id, write.merge && existing ? mergeFields(existing, clone(write.data)) : clone(write.data));
+            } else if (write.type === 'update') {
+                if (!existing) throw notFoundError(write.collection, write.id);
+                docs.set(write.id, write.field ? setField(existing, write.field, clone(write.value)) : { ...existing, ...clone(write.data) });
+            } else if (write.type === 'delete') {
+                docs.delete(write.id);
+            } else {
+                throw new Error(`Unknown write type "${write.type}".`);
+            }
+            next.set(write.collection, docs);
+        });
+        collections = next;
+    };
+
+    let transactionQueue = Promise.resolve();
+
+    return {
+        subscribeCollection: (collectionName, onData) => listen(() => {
+            onData([...getCollection(collections, collectionName).keys()].map(id => readDoc(collectionName, id)));
+        }),
+
+        subscribeDoc: (collectionName, id, onData) => listen(() => onData(readDoc(collectionName, id))),
+
+        subscribeHistory: (unitId, maxEntries, onData) => listen(() => {
+            onData(clone([...(history.get(unitId) || [])].reverse().slice(0, maxEntries)));
+        }),
+
+        get: async (collectionName, id) => readDoc(collectionName, id),
+
+        commit: async (writes) => {
+            checkWriteCount(writes.length);
+            applyWrites(writes);
+            notify();
+        },
+
+        // Transactions run one at a time, so reads can't go stale before the writes land
+        runTransaction: (update) => {
+            const run = transactionQueue.then(async () => {
+                const writes = [];
+                const historyEntries = [];
+                const result = await update({
+                    get: async (collectionName, id) => readDoc(collectionName, id),
+                    update: (collectionName, id, data) => {
+                        writes.push({ type: 'update', collection: collectionName, id, data });
+                    },
+                    addHistory: (unitId, entryId, entry) => {
+                        historyEntries.push({ unitId, entry: { id: entryId, ...clone(entry) } });
+                    }
+                });
+                checkWriteCount(writes.length + historyEntries.length);
+                applyWrites(writes);
+                historyEntries.forEach(({ unitId, entry }) => history.set(unitId, [...(history.get(unitId) || []), entry]));
+                notify();
+                return result;
+            });
+            transactionQueue = run.catch(() => {});
+            return run;
+        }
+    };
+};
@@ -0,0 +1,60 @@
+// Delivery for notification digests (see buildNotificationDigest) behind a small sender
+// interface: send(digest) resolves once the digest has been handed off.
+//
+// Configured at build time:
+//   REACT_APP_NOTIFICATIONS_SENDER       'email' (default) queues a message in the top-level mail
+//                                        collection for the Firebase "Trigger Email" extension,
+//                                        'webhook' POSTs JSON to the user's webhook URL, or
+//                                        'stub' keeps digests in memory for tests and local dev
+//   REACT_APP_NOTIFICATIONS_WEBHOOK_URL  webhook for users who haven't set their own
+
+export const getNotificationSenderConfig = (env = process.env) => ({
+    sender: env.REACT_APP_NOTIFICATIONS_SENDER || 'email',
+    webhookUrl: env.REACT_APP_NOTIFICATIONS_WEBHOOK_URL || ''
+});
+
+// queueEmail({ to, message: { subject, text } }) hands the mail to the Trigger Email extension
+const createEmailSender = (config, { queueEmail }) => async (digest) => {
+    if (!digest.to) throw new Error("Your account has no email address to send the digest to.");
+    await queueEmail({ to: digest.to, message: { subject: digest.subject, text: digest.text } });
+};
+
+// POSTs from the browser, so the endpoint has to allow cross-origin requests. Slack, Teams and
+// Google Chat incoming webhooks don't; put a relay (e.g. a Cloud Function) in front of them.
+const createWebhookSender = (config, { fetch: fetchImpl }) => async (digest) => {
+    const url = digest.webhookUrl || config.webhookUrl;
+    if (!url) throw new Error("Add a webhook URL to your notification settings first.");
+    const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: digest.text, subject: digest.subject, to: digest.to, items: digest.items })
+    });
+    if (!response.ok) throw new Error(`The webhook responded with ${response.status}.`);
+};
+
+// Sent digests pile up in stub.sent, and send resolves to the digest
+export const createStubSender = () => {
+    const sent = [];
+    return {
+        sent,
+        send: async (digest) => {
+            sent.push(digest);
+            return digest;
+        }
+    };
+};
+
+const SENDERS = {
+    email: createEmailSender,
+    webhook: createWebhookSender
+};
+
+export const NOTIFICATION_SENDERS = [...Object.keys(SENDERS), 'stub'];
+
+// dependencies: { queueEmail } for email, { fetch } for webhooks
+export const createNotificationSender = (config = getNotificationSenderConfig(), { queueEmail, fetch: fetchImpl = (...args) => fetch(...args) } = {}) => {
+    if (config.sender === 'stub') return { kind: 'stub', ...createStubSender() };
+    const createSender = SENDERS[config.sender];
+    if (!createSender) throw new Error(`Unknown notification sender "${config.sender}". Use one of: ${NOTIFICATION_SENDERS.join(', ')}.`);
+    return { kind: config.sender, send: createSender(config, { queueEmail, fetch: fetchImpl }) };
+};
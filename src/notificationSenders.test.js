@@ -0,0 +1,48 @@
+import { getNotificationSenderConfig, createNotificationSender, createStubSender } from './notificationSenders';
+
+const digest = {
+  to: 'super@example.com',
+  webhookUrl: '',
+  subject: 'Punch list: 1 new notification',
+  text: 'Punch list: 1 new notification\n\n- A-101 is ready for inspection',
+  items: [{ title: 'A-101 is ready for inspection', detail: 'All 2 tasks are completed.', link: 'https://punch.example.com/units/A-101' }]
+};
+
+test('reads the sender from the environment, defaulting to email', () => {
+  expect(getNotificationSenderConfig({})).toEqual({ sender: 'email', webhookUrl: '' });
+  expect(getNotificationSenderConfig({
+    REACT_APP_NOTIFICATIONS_SENDER: 'webhook',
+    REACT_APP_NOTIFICATIONS_WEBHOOK_URL: 'https://hooks.example.com/team'
+  })).toEqual({ sender: 'webhook', webhookUrl: 'https://hooks.example.com/team' });
+});
+
+test('the email sender queues a message for the Trigger Email extension', async () => {
+  const queueEmail = jest.fn().mockResolvedValue();
+  const sender = createNotificationSender({ sender: 'email' }, { queueEmail });
+  await sender.send(digest);
+
+  expect(queueEmail).toHaveBeenCalledWith({ to: 'super@example.com', message: { subject: digest.subject, text: digest.text } });
+  await expect(sender.send({ ...digest, to: null })).rejects.toThrow('no email address');
+});
+
+test('the webhook sender posts to the user\'s URL, or the configured one', async () => {
+  const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+  const sender = createNotificationSender({ sender: 'webhook', webhookUrl: 'https://hooks.example.com/team' }, { fetch });
+
+  await sender.send(digest);
+  await sender.send({ ...digest, webhookUrl: 'https://hooks.example.com/mine' });
+  expect(fetch.mock.calls.map(([url]) => url)).toEqual(['https://hooks.example.com/team', 'https://hooks.example.com/mine']);
+  expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ text: digest.text, subject: digest.subject, to: digest.to, items: digest.items });
+
+  fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+  await expect(sender.send(digest)).rejects.toThrow('404');
+  await expect(createNotificationSender({ sender: 'webhook', webhookUrl: '' }, { fetch }).send(digest)).rejects.toThrow('webhook URL');
+});
+
+test('the stub sender keeps digests in memory and unknown senders are rejected', async () => {
+  const stub = createStubSender();
+  await expect(stub.send(digest)).resolves.toBe(digest);
+  expect(stub.sent).toEqual([digest]);
+  expect(createNotificationSender({ sender: 'stub' }).kind).toBe('stub');
+  expect(() => createNotificationSender({ sender: 'pager' })).toThrow('Unknown notification sender "pager"');
+});
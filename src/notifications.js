@@ -0,0 +1,171 @@
+import { deriveUnitStatus } from './unitProgress';
+import { getTaskAssignment, toDateKey } from './assignments';
+import { getRoutePath, getRouteUrl } from './router';
+
+// Notifications are worked out from the units themselves, so they appear for changes made on
+// any device: one per condition (a unit ready for inspection, an item sent back, ...), with an
+// ID that changes when the condition happens again. Each user's settings say which rules they
+// want and keep the IDs they've read.
+
+export const NOTIFICATION_RULES = {
+    unitReady: { label: 'Unit ready for inspection', description: 'Every task on a unit is completed.' },
+    tradeComplete: { label: 'Trade finished', description: 'Every task in a trade on a unit is completed.' },
+    taskRejected: { label: 'Item sent back', description: 'A completed item was rejected and is open again.' },
+    taskOverdue: { label: 'Item overdue', description: 'An open item is past its due date by the number of days below.' }
+};
+
+export const DIGEST_FREQUENCIES = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+
+// Read IDs kept per user; older ones no longer match anything in the inbox
+const MAX_READ_IDS = 500;
+
+// Superintendents and admins hear about units being ready; subs about their own items
+export const getDefaultNotificationSettings = (member) => {
+    const isSub = !!member && member.role === 'sub';
+    return {
+        rules: {
+            unitReady: { enabled: !isSub },
+            tradeComplete: { enabled: false },
+            taskRejected: { enabled: isSub },
+            taskOverdue: { enabled: member ? member.role !== 'owner' : false, days: 3 }
+        },
+        digest: { enabled: false, frequency: 'daily', webhookUrl: '' },
+        readIds: [],
+        lastDigestAt: null
+    };
+};
+
+// Stored settings on top of the defaults, so rules added later get a value
+export const resolveNotificationSettings = (stored, member) => {
+    const defaults = getDefaultNotificationSettings(member);
+    if (!stored) return defaults;
+    const rules = {};
+    Object.keys(NOTIFICATION_RULES).forEach(rule => {
+        rules[rule] = { ...defaults.rules[rule], ...((stored.rules || {})[rule] || {}) };
+    });
+    return {
+        rules,
+        digest: { ...defaults.digest, ...(stored.digest || {}) },
+        readIds: stored.readIds || [],
+        lastDigestAt: stored.lastDigestAt || null
+    };
+};
+
+// Subs only hear about their own trade, or items assigned to their company
+const isRelevantItem = (member, unit, tradeName, task) => {
+    if (member.role !== 'sub') return true;
+    if (tradeName === member.trade) return true;
+    return !!member.subcontractorId && getTaskAssignment(unit, tradeName, task).subcontractorId === member.subcontractorId;
+};
+
+const latestCompletion = (tasks) => tasks.reduce((latest, task) => (task.completedAt && task.completedAt > latest ? task.completedAt : latest), '');
+
+const daysBetween = (fromKey, toKey) => Math.round((new Date(`${toKey}T00:00:00`) - new Date(`${fromKey}T00:00:00`)) / (24 * 60 * 60 * 1000));
+
+// The notifications a member's enabled rules produce, newest first.
+// Each is { id, rule, unitId, trade, taskId, title, detail, date }.
+export const getNotifications = (units, member, settings, { today = new Date() } = {}) => {
+    if (!member) return [];
+    const { rules } = settings;
+    const todayKey = toDateKey(today);
+    const notifications = [];
+
+    units.forEach(unit => {
+        const trades = unit.trades || {};
+        const allTasks = Object.values(trades).flat();
+
+        if (rules.unitReady.enabled && deriveUnitStatus(trades, !!unit.inspectionPassed) === 'Ready for Inspection') {
+            const date = latestCompletion(allTasks);
+            notifications.push({
+                id: `unitReady:${unit.id}:${date}`,
+                rule: 'unitReady',
+                unitId: unit.id,
+                trade: null,
+                taskId: null,
+                title: `${unit.id} is ready for inspection`,
+                detail: `All ${allTasks.length} tasks are completed.`,
+                date
+            });
+        }
+
+        Object.entries(trades).forEach(([tradeName, tasks]) => {
+            if (rules.tradeComplete.enabled && tasks.length > 0 && tasks.every(task => task.completed)
+                && (member.role !== 'sub' || tradeName === member.trade)) {
+                const date = latestCompletion(tasks);
+                notifications.push({
+                    id: `tradeComplete:${unit.id}:${tradeName}:${date}`,
+                    rule: 'tradeComplete',
+                    unitId: unit.id,
+                    trade: tradeName,
+                    taskId: null,
+                    title: `${tradeName} is finished on ${unit.id}`,
+                    detail: `${tasks.length} of ${tasks.length} tasks completed.`,
+                    date
+                });
+            }
+
+            tasks.forEach(task => {
+                if (task.completed || !isRelevantItem(member, unit, tradeName, task)) return;
+                if (rules.taskRejected.enabled && task.rejection) {
+                    notifications.push({
+                        id: `taskRejected:${unit.id}:${task.id}:${task.rejection.at}`,
+                        rule: 'taskRejected',
+                        unitId: unit.id,
+                        trade: tradeName,
+                        taskId: task.id,
+                        title: `"${task.task}" on ${unit.id} was sent back`,
+                        detail: task.rejection.reason ? `Reason: ${task.rejection.reason}` : `${tradeName} item is open again.`,
+                        date: task.rejection.at || ''
+                    });
+                }
+                const { dueDate } = getTaskAssignment(unit, tradeName, task);
+                const daysOverdue = dueDate ? daysBetween(dueDate, todayKey) : 0;
+                if (rules.taskOverdue.enabled && daysOverdue > 0 && daysOverdue >= rules.taskOverdue.days) {
+                    notifications.push({
+                        id: `taskOverdue:${unit.id}:${task.id}:${dueDate}`,
+                        rule: 'taskOverdue',
+                        unitId: unit.id,
+                        trade: tradeName,
+                        taskId: task.id,
+                        title: `"${task.task}" on ${unit.id} is ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue`,
+                        detail: `${tradeName} item was due ${dueDate}.`,
+                        date: dueDate
+                    });
+                }
+            });
+        });
+    });
+
+    return notifications.sort((a, b) => String(b.date).localeCompare(String(a.date)) || a.id.localeCompare(b.id));
+};
+
+export const getUnreadNotifications = (notifications, readIds) => {
+    const read = new Set(readIds);
+    return notifications.filter(notification => !read.has(notification.id));
+};
+
+// readIds plus ids, dropping IDs that no longer match a notification so the list stays short
+export const addReadIds = (readIds, ids, notifications) => {
+    const current = new Set(notifications.map(notification => notification.id));
+    return [...new Set([...readIds, ...ids])].filter(id => current.has(id)).slice(-MAX_READ_IDS);
+};
+
+export const isDigestDue = (settings, unreadCount, now = Date.now()) => {
+    const { digest, lastDigestAt } = settings;
+    if (!digest.enabled || unreadCount === 0) return false;
+    if (!lastDigestAt) return true;
+    return now - new Date(lastDigestAt).getTime() >= (DIGEST_FREQUENCIES[digest.frequency] || DIGEST_FREQUENCIES.daily);
+};
+
+// What a sender delivers: { to, webhookUrl, subject, text, items: [{ title, detail, link }] }
+// getUrl(path) makes the full link for a route path; links open in tenantId's job.
+export const buildNotificationDigest = (notifications, { email, webhookUrl = '', tenantId = null, getUrl = getRouteUrl }) => {
+    const items = notifications.map(notification => ({
+        title: notification.title,
+        detail: notification.detail,
+        link: getUrl(getRoutePath({ page: 'unit', unitId: notification.unitId, trade: notification.trade, tenantId }))
+    }));
+    const subject = `Punch list: ${items.length} new notification${items.length === 1 ? '' : 's'}`;
+    const text = [subject, '', ...items.map(item => `- ${item.title}\n  ${item.detail}\n  ${item.link}`)].join('\n');
+    return { to: email, webhookUrl, subject, text, items };
+};
@@ -0,0 +1,115 @@
+import {
+  getDefaultNotificationSettings,
+  resolveNotificationSettings,
+  getNotifications,
+  getUnreadNotifications,
+  addReadIds,
+  isDigestDue,
+  buildNotificationDigest
+} from './notifications';
+
+const today = new Date(2026, 9, 19);
+const superintendent = { id: 'super@example.com', email: 'super@example.com', role: 'superintendent' };
+const sparky = { id: 'sparky@example.com', email: 'sparky@example.com', role: 'sub', trade: 'Electrical', subcontractorId: 'sparks' };
+
+const units = [
+  {
+    id: 'A-101',
+    trades: {
+      Electrical: [{ id: 'e1', task: 'Install outlets', completed: true, completedAt: '2026-10-17T10:00:00.000Z' }],
+      Plumbing: [{ id: 'p1', task: 'Set toilet', completed: true, completedAt: '2026-10-18T09:00:00.000Z' }]
+    }
+  },
+  {
+    id: 'A-102',
+    assignments: { Plumbing: { subcontractorId: 'sparks', dueDate: '2026-10-14' } },
+    trades: {
+      Electrical: [{
+        id: 'e2',
+        task: 'Hang fixtures',
+        completed: false,
+        rejection: { reason: 'Crooked', by: 'super@example.com', at: '2026-10-18T12:00:00.000Z' }
+      }],
+      Plumbing: [{ id: 'p2', task: 'Fix leak', completed: false }],
+      Drywall: [{ id: 'd1', task: 'Patch hole', completed: false, dueDate: '2026-10-18' }]
+    }
+  }
+];
+
+const allRules = (member, days = 3) => {
+  const settings = getDefaultNotificationSettings(member);
+  Object.keys(settings.rules).forEach(rule => { settings.rules[rule].enabled = true; });
+  settings.rules.taskOverdue.days = days;
+  return settings;
+};
+
+test('defaults depend on the role and stored settings fill in missing rules', () => {
+  expect(getDefaultNotificationSettings(superintendent).rules.unitReady.enabled).toBe(true);
+  expect(getDefaultNotificationSettings(sparky).rules.unitReady.enabled).toBe(false);
+  expect(getDefaultNotificationSettings(sparky).rules.taskRejected.enabled).toBe(true);
+
+  const settings = resolveNotificationSettings({ rules: { taskOverdue: { days: 7 } }, readIds: ['x'] }, superintendent);
+  expect(settings.rules.taskOverdue).toEqual({ enabled: true, days: 7 });
+  expect(settings.rules.tradeComplete).toEqual({ enabled: false });
+  expect(settings.digest.frequency).toBe('daily');
+  expect(settings.readIds).toEqual(['x']);
+});
+
+test('works out notifications for every enabled rule, newest first', () => {
+  const notifications = getNotifications(units, superintendent, allRules(superintendent), { today });
+  expect(notifications.map(notification => notification.id)).toEqual([
+    'taskRejected:A-102:e2:2026-10-18T12:00:00.000Z',
+    'tradeComplete:A-101:Plumbing:2026-10-18T09:00:00.000Z',
+    'unitReady:A-101:2026-10-18T09:00:00.000Z',
+    'tradeComplete:A-101:Electrical:2026-10-17T10:00:00.000Z',
+    'taskOverdue:A-102:p2:2026-10-14'
+  ]);
+  expect(notifications[0]).toMatchObject({ unitId: 'A-102', trade: 'Electrical', taskId: 'e2', detail: 'Reason: Crooked' });
+  expect(notifications[4].title).toBe('"Fix leak" on A-102 is 5 days overdue');
+
+  const oneDay = getNotifications(units, superintendent, allRules(superintendent, 1), { today });
+  expect(oneDay.some(notification => notification.id === 'taskOverdue:A-102:d1:2026-10-18')).toBe(true);
+});
+
+test('subs only hear about their own trade and items assigned to their company, besides whole units', () => {
+  const ids = getNotifications(units, sparky, allRules(sparky), { today }).map(notification => notification.id);
+  expect(ids).toEqual([
+    'taskRejected:A-102:e2:2026-10-18T12:00:00.000Z',
+    'unitReady:A-101:2026-10-18T09:00:00.000Z',
+    'tradeComplete:A-101:Electrical:2026-10-17T10:00:00.000Z',
+    'taskOverdue:A-102:p2:2026-10-14'
+  ]);
+  expect(getNotifications(units, null, allRules(sparky), { today })).toEqual([]);
+});
+
+test('tracks read notifications and forgets IDs that no longer apply', () => {
+  const notifications = getNotifications(units, superintendent, allRules(superintendent), { today });
+  const readIds = addReadIds(['unitReady:A-100:old'], [notifications[0].id], notifications);
+  expect(readIds).toEqual([notifications[0].id]);
+  expect(getUnreadNotifications(notifications, readIds)).toHaveLength(notifications.length - 1);
+});
+
+test('digests are due once per period while there is something unread', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z').getTime();
+  const settings = resolveNotificationSettings({ digest: { enabled: true, frequency: 'daily' } }, superintendent);
+  expect(isDigestDue(settings, 2, now)).toBe(true);
+  expect(isDigestDue(settings, 0, now)).toBe(false);
+  expect(isDigestDue({ ...settings, lastDigestAt: '2026-10-19T00:00:00.000Z' }, 2, now)).toBe(false);
+  expect(isDigestDue({ ...settings, lastDigestAt: '2026-10-18T11:00:00.000Z' }, 2, now)).toBe(true);
+  expect(isDigestDue({ ...settings, digest: { ...settings.digest, frequency: 'weekly' }, lastDigestAt: '2026-10-18T11:00:00.000Z' }, 2, now)).toBe(false);
+  expect(isDigestDue(getDefaultNotificationSettings(superintendent), 2, now)).toBe(false);
+});
+
+test('builds a digest with a link to each unit', () => {
+  const notifications = getNotifications(units, superintendent, allRules(superintendent), { today }).slice(0, 2);
+  const digest = buildNotificationDigest(notifications, {
+    email: 'super@example.com',
+    tenantId: 'tower',
+    getUrl: (path) => `https://punch.example.com${path}`
+  });
+  expect(digest.to).toBe('super@example.com');
+  expect(digest.subject).toBe('Punch list: 2 new notifications');
+  expect(digest.items[0].link).toBe('https://punch.example.com/jobs/tower/units/A-102/Electrical');
+  expect(digest.items[1].link).toBe('https://punch.example.com/jobs/tower/units/A-101/Plumbing');
+  expect(digest.text).toContain('- Plumbing is finished on A-101');
+});
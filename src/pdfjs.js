@@ -0,0 +1,7 @@
+// pdf.js, set up to parse in a web worker. Imported with import() only when a PDF plan is
+// uploaded, so it stays out of the main bundle.
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+pdfjs.GlobalWorkerOptions.workerPort = new Worker(new URL('./pdfjsWorker.js', import.meta.url));
+
+export default pdfjs;
@@ -0,0 +1,2 @@
+// Bundled by webpack as pdf.js's worker (see pdfjs.js)
+import 'pdfjs-dist/legacy/build/pdf.worker.mjs';
@@ -0,0 +1,28 @@
+// Roles and what each may do in the UI. firestore.rules enforces the same matrix on the server,
+// so keep the two in step.
+
+export const ROLES = {
+    admin: 'Admin',
+    superintendent: 'Superintendent',
+    sub: 'Trade Sub',
+    owner: 'Owner (read-only)'
+};
+
+const ROLE_ACTIONS = {
+    admin: ['members.manage', 'jobs.create', 'projects.manage', 'templates.manage', 'subcontractors.manage', 'units.create', 'units.inspect', 'tasks.assign', 'tasks.add', 'tasks.edit', 'tasks.verify', 'tasks.toggle', 'tasks.notes', 'tasks.photo'],
+    superintendent: ['projects.manage', 'templates.manage', 'subcontractors.manage', 'units.create', 'units.inspect', 'tasks.assign', 'tasks.add', 'tasks.edit', 'tasks.verify', 'tasks.toggle', 'tasks.notes', 'tasks.photo'],
+    sub: ['tasks.toggle', 'tasks.notes', 'tasks.photo'],
+    owner: []
+};
+
+// Members are keyed by lower-cased email so an admin can grant access before the person signs up
+export const getMemberId = (email) => (email || '').trim().toLowerCase();
+
+// Trade subs may only act on tasks in their own trade
+export const can = (member, action, { trade } = {}) => {
+    if (!member || !ROLE_ACTIONS[member.role] || !ROLE_ACTIONS[member.role].includes(action)) return false;
+    if (member.role === 'sub' && action.startsWith('tasks.')) {
+        return !!trade && trade === member.trade;
+    }
+    return true;
+};
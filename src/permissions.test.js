@@ -0,0 +1,25 @@
+import { can, getMemberId } from './permissions';
+
+test('keys members by lower-cased email', () => {
+  expect(getMemberId('  Pat@Example.COM ')).toBe('pat@example.com');
+});
+
+test('limits subs to tasks in their own trade', () => {
+  const sub = { role: 'sub', trade: 'Electrical' };
+  expect(can(sub, 'tasks.toggle', { trade: 'Electrical' })).toBe(true);
+  expect(can(sub, 'tasks.toggle', { trade: 'Plumbing' })).toBe(false);
+  expect(can(sub, 'tasks.add', { trade: 'Electrical' })).toBe(false);
+  expect(can(sub, 'units.create')).toBe(false);
+});
+
+test('owners are read-only and only admins manage members and start jobs', () => {
+  expect(can({ role: 'owner' }, 'tasks.toggle', { trade: 'Electrical' })).toBe(false);
+  expect(can({ role: 'superintendent' }, 'tasks.toggle', { trade: 'Electrical' })).toBe(true);
+  expect(can({ role: 'superintendent' }, 'members.manage')).toBe(false);
+  expect(can({ role: 'admin' }, 'members.manage')).toBe(true);
+  expect(can({ role: 'admin' }, 'jobs.create')).toBe(true);
+  expect(can({ role: 'superintendent' }, 'jobs.create')).toBe(false);
+  expect(can({ role: 'superintendent' }, 'units.inspect')).toBe(true);
+  expect(can({ role: 'sub', trade: 'Electrical' }, 'units.inspect')).toBe(false);
+  expect(can(null, 'tasks.toggle', { trade: 'Electrical' })).toBe(false);
+});
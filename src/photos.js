@@ -0,0 +1,81 @@
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { createTaskId } from './taskOperations';
+
+export const PHOTO_KINDS = {
+    deficiency: 'Deficiency',
+    fix: 'Fix'
+};
+
+const FULL_SIZE_MAX_DIMENSION = 1600;
+const THUMBNAIL_MAX_DIMENSION = 240;
+
+// Scales width/height down to fit within maxDimension, never up
+export const fitWithin = (width, height, maxDimension) => {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+export const loadImage = (file) => new Promise((resolve, reject) => {
+    const image = new Image();
+    const imageUrl = URL.createObjectURL(file);
+    image.onload = () => {
+        URL.revokeObjectURL(imageUrl);
+        resolve(image);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(imageUrl);
+        reject(new Error("Could not read that image."));
+    };
+    image.src = imageUrl;
+});
+
+export const canvasToJpeg = (canvas, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not compress that image."))), 'image/jpeg', quality);
+});
+
+export const resizeToJpeg = (image, maxDimension, quality) => {
+    const { width, height } = fitWithin(image.naturalWidth, image.naturalHeight, maxDimension);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+    return canvasToJpeg(canvas, quality);
+};
+
+// Compresses a camera photo and makes its thumbnail on the device before anything is uploaded
+export const preparePhoto = async (file) => {
+    const image = await loadImage(file);
+    const [full, thumbnail] = await Promise.all([
+        resizeToJpeg(image, FULL_SIZE_MAX_DIMENSION, 0.8),
+        resizeToJpeg(image, THUMBNAIL_MAX_DIMENSION, 0.7)
+    ]);
+    return { full, thumbnail };
+};
+
+// Uploads both sizes to Storage and returns the record stored on the task. uploadedByEmail is
+// what the gallery shows; uploadedBy keeps the uploader's uid.
+export const uploadTaskPhoto = async (storage, { appId, unitId, kind, file, userId, userEmail = null }) => {
+    const { full, thumbnail } = await preparePhoto(file);
+    const photoId = createTaskId();
+    const basePath = `artifacts/${appId}/units/${unitId}/photos/${photoId}`;
+    const fullRef = ref(storage, `${basePath}.jpg`);
+    const thumbnailRef = ref(storage, `${basePath}_thumb.jpg`);
+    const metadata = { contentType: 'image/jpeg', customMetadata: { uploadedBy: userId, kind } };
+
+    await Promise.all([
+        uploadBytes(fullRef, full, metadata),
+        uploadBytes(thumbnailRef, thumbnail, metadata)
+    ]);
+    const [url, thumbnailUrl] = await Promise.all([getDownloadURL(fullRef), getDownloadURL(thumbnailRef)]);
+
+    return {
+        id: photoId,
+        kind,
+        url,
+        thumbnailUrl,
+        path: fullRef.fullPath,
+        uploadedBy: userId,
+        uploadedByEmail: userEmail,
+        uploadedAt: new Date().toISOString()
+    };
+};
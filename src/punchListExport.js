@@ -0,0 +1,55 @@
+import { getTaskAssignment, getSubcontractorName, isOverdue, toDateKey } from './assignments';
+import { getOrderedTradeNames } from './templates';
+import { deriveUnitStatus, getUnitProgress } from './unitProgress';
+import { slugify, sortByName } from './hierarchy';
+
+// One row per task for the owner's weekly report. The first columns match the import
+// format, so an export can be re-imported.
+export const buildPunchListRows = (units, { projects = [], buildings = [], subcontractors = [], today = new Date() } = {}) => {
+    const rows = [];
+    sortByName(units, 'id').forEach(unit => {
+        const building = buildings.find(item => item.id === unit.buildingId);
+        const project = projects.find(item => item.id === unit.projectId);
+        const trades = unit.trades || {};
+        const unitStatus = deriveUnitStatus(trades, !!unit.inspectionPassed);
+        const unitPercent = getUnitProgress(trades).percent;
+
+        const unitColumns = {
+            Unit: unit.id,
+            Address: unit.address || '',
+            Building: building ? building.name : '',
+            Floor: unit.floor || '',
+            Template: ''
+        };
+        const summaryColumns = {
+            Project: project ? project.name : '',
+            'Unit Status': unitStatus,
+            'Unit % Complete': unitPercent
+        };
+
+        const tradeNames = getOrderedTradeNames(trades, unit.tradeOrder);
+        if (!tradeNames.some(tradeName => trades[tradeName].length > 0)) {
+            // Keep units without tasks in the report
+            rows.push({ ...unitColumns, Trade: '', Task: '', Completed: '', ...summaryColumns, 'Assigned To': '', 'Due Date': '', Overdue: '' });
+        }
+        tradeNames.forEach(tradeName => {
+            trades[tradeName].forEach(task => {
+                const assignment = getTaskAssignment(unit, tradeName, task);
+                rows.push({
+                    ...unitColumns,
+                    Trade: tradeName,
+                    Task: task.task,
+                    Completed: task.completed ? 'yes' : 'no',
+                    ...summaryColumns,
+                    'Assigned To': assignment.subcontractorId ? getSubcontractorName(subcontractors, assignment.subcontractorId) : '',
+                    'Due Date': assignment.dueDate || '',
+                    Overdue: !task.completed && isOverdue(assignment.dueDate, today) ? 'yes' : ''
+                });
+            });
+        });
+    });
+    return rows;
+};
+
+// "Building A" -> "building-a-punch-list-2026-10-19"
+export const getExportFileName = (scopeName, { kind = 'punch-list', today = new Date() } = {}) => `${slugify(scopeName) || 'units'}-${kind}-${toDateKey(today)}`;
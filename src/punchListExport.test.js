@@ -0,0 +1,59 @@
+import { buildPunchListRows, getExportFileName } from './punchListExport';
+import { parseUnitImportRows } from './unitImport';
+import { DEFAULT_TEMPLATE } from './templates';
+
+const today = new Date(2026, 9, 19);
+
+const units = [
+  {
+    id: 'A-102',
+    address: '102 Main St',
+    projectId: 'p',
+    buildingId: 'p--a',
+    floor: 1,
+    tradeOrder: ['Plumbing', 'Electrical'],
+    assignments: { Electrical: { subcontractorId: 'sparks', dueDate: '2026-10-01' } },
+    trades: {
+      Electrical: [{ id: 'e1', task: 'Install outlets', completed: false }],
+      Plumbing: [{ id: 'p1', task: 'Set toilet', completed: true }]
+    }
+  },
+  { id: 'A-101', address: '101 Main St', trades: {} }
+];
+
+test('builds one row per task with status, assignment and overdue flag', () => {
+  const rows = buildPunchListRows(units, {
+    projects: [{ id: 'p', name: 'Riverside' }],
+    buildings: [{ id: 'p--a', name: 'Building A' }],
+    subcontractors: [{ id: 'sparks', name: 'Sparks Electric' }],
+    today
+  });
+  expect(rows.map(row => [row.Unit, row.Trade, row.Task])).toEqual([
+    ['A-101', '', ''],
+    ['A-102', 'Plumbing', 'Set toilet'],
+    ['A-102', 'Electrical', 'Install outlets']
+  ]);
+  expect(rows[2]).toMatchObject({
+    Building: 'Building A',
+    Project: 'Riverside',
+    Completed: 'no',
+    'Unit Status': 'In Progress',
+    'Unit % Complete': 50,
+    'Assigned To': 'Sparks Electric',
+    'Due Date': '2026-10-01',
+    Overdue: 'yes'
+  });
+});
+
+test('exports can be imported again as new units', () => {
+  const rows = buildPunchListRows(units, { buildings: [{ id: 'p--a', name: 'Building A' }], today })
+    .map(row => ({ ...row, Unit: `Copy-${row.Unit}` }));
+  const { units: imported, errors } = parseUnitImportRows(rows, { templates: [DEFAULT_TEMPLATE] });
+  expect(errors).toEqual([]);
+  expect(imported.find(unit => unit.id === 'Copy-A-102')).toMatchObject({ buildingName: 'Building A', floor: 1, tradeOrder: ['Plumbing', 'Electrical'] });
+});
+
+test('names export files after the scope and date', () => {
+  expect(getExportFileName('Building A', { today })).toBe('building-a-punch-list-2026-10-19');
+  expect(getExportFileName('Building A', { kind: 'closeout', today })).toBe('building-a-closeout-2026-10-19');
+});
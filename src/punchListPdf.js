@@ -0,0 +1,236 @@
+import { jsPDF } from 'jspdf';
+import { PAGE_WIDTH, PAGE_HEIGHT, createQrMatrix } from './qrLabels';
+import { PHOTO_KINDS } from './photos';
+import { buildReportSummary } from './punchListReport';
+
+// Signed turnover punch lists built entirely in the browser, so they work offline. Layout is
+// in points on a letter page. The built-in Helvetica font only covers Latin-1, so stick to
+// plain punctuation in fixed strings.
+
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const QR_SIZE = 90;
+const THUMBNAIL_SIZE = 54;
+const COLUMNS = { task: MARGIN, status: 310, completed: 360, signer: 440 };
+
+const STATUS_STYLES = {
+    open: { label: 'Open', color: [185, 28, 28] },
+    completed: { label: 'Done', color: [161, 98, 7] },
+    verified: { label: 'Verified', color: [21, 128, 61] }
+};
+
+const formatDate = (date) => (date ? date.toLocaleDateString() : '-');
+
+// Thumbnails are fetched up front; anything that can't be loaded (e.g. offline and not cached)
+// is left out of the report rather than failing it
+const loadImageDataUrl = async (url) => {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    } catch (error) {
+        console.warn("Photo left out of the report:", url, error);
+        return null;
+    }
+};
+
+const loadReportImages = async (reports) => {
+    const urls = new Set();
+    reports.forEach(report => report.trades.forEach(trade => trade.tasks.forEach(task => task.photos.forEach(photo => urls.add(photo.thumbnailUrl)))));
+    const images = new Map();
+    for (const url of urls) {
+        images.set(url, await loadImageDataUrl(url));
+    }
+    return images;
+};
+
+// Keeps track of the write position and starts a new page when something won't fit
+const createCursor = (pdf) => {
+    const cursor = {
+        y: MARGIN,
+        ensureSpace: (height) => {
+            if (cursor.y + height > PAGE_HEIGHT - MARGIN) {
+                pdf.addPage();
+                cursor.y = MARGIN;
+            }
+        },
+        text: (value, { size = 10, bold = false, color = [31, 41, 55], x = MARGIN, width = CONTENT_WIDTH, gap = 4 } = {}) => {
+            pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+            pdf.setFontSize(size);
+            pdf.setTextColor(...color);
+            const lines = pdf.splitTextToSize(String(value), width);
+            const lineHeight = size * 1.2;
+            cursor.ensureSpace(lines.length * lineHeight);
+            pdf.text(lines, x, cursor.y + size);
+            cursor.y += lines.length * lineHeight + gap;
+        },
+        rule: () => {
+            pdf.setDrawColor(209, 213, 219);
+            pdf.line(MARGIN, cursor.y, PAGE_WIDTH - MARGIN, cursor.y);
+            cursor.y += 6;
+        }
+    };
+    return cursor;
+};
+
+const drawQrCode = (pdf, text, x, y, size) => {
+    const matrix = createQrMatrix(text);
+    const quietZone = 2;
+    const cell = size / (matrix.size + quietZone * 2);
+    pdf.setFillColor(0, 0, 0);
+    for (let row = 0; row < matrix.size; row++) {
+        for (let col = 0; col < matrix.size; col++) {
+            if (matrix.isDark(row, col)) {
+                pdf.rect(x + (col + quietZone) * cell, y + (row + quietZone) * cell, cell, cell, 'F');
+            }
+        }
+    }
+};
+
+const drawTaskRow = (pdf, cursor, task, images) => {
+    pdf.setFontSize(10);
+    const taskLines = pdf.splitTextToSize(task.name, COLUMNS.status - COLUMNS.task - 10);
+    const signer = [task.completedBy, task.verifiedBy && `Verified: ${task.verifiedBy}`].filter(Boolean).join('\n') || '-';
+    const signerLines = pdf.splitTextToSize(signer, PAGE_WIDTH - MARGIN - COLUMNS.signer);
+    const rowHeight = Math.max(taskLines.length, signerLines.length) * 12 + (task.assignedTo ? 11 : 0) + 6;
+    cursor.ensureSpace(rowHeight);
+
+    const top = cursor.y + 10;
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(31, 41, 55);
+    pdf.text(taskLines, COLUMNS.task, top);
+    if (task.assignedTo) {
+        pdf.setFontSize(8);
+        pdf.setTextColor(107, 114, 128);
+        pdf.text(`Assigned: ${task.assignedTo}`, COLUMNS.task, top + taskLines.length * 12);
+        pdf.setFontSize(10);
+    }
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(...STATUS_STYLES[task.status].color);
+    pdf.text(STATUS_STYLES[task.status].label, COLUMNS.status, top);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(31, 41, 55);
+    pdf.text(formatDate(task.completedAt), COLUMNS.completed, top);
+    pdf.text(signerLines, COLUMNS.signer, top);
+    cursor.y += rowHeight;
+
+    const photos = task.photos.filter(photo => images.get(photo.thumbnailUrl));
+    if (photos.length > 0) {
+        cursor.ensureSpace(THUMBNAIL_SIZE + 14);
+        photos.forEach((photo, index) => {
+            const x = MARGIN + index * (THUMBNAIL_SIZE + 8);
+            if (x + THUMBNAIL_SIZE > PAGE_WIDTH - MARGIN) return;
+            pdf.addImage(images.get(photo.thumbnailUrl), 'JPEG', x, cursor.y, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+            pdf.setFontSize(7);
+            pdf.setTextColor(107, 114, 128);
+            pdf.text(PHOTO_KINDS[photo.kind] || 'Photo', x, cursor.y + THUMBNAIL_SIZE + 8);
+        });
+        cursor.y += THUMBNAIL_SIZE + 14;
+    }
+};
+
+const drawSignatureBlock = (pdf, cursor) => {
+    cursor.ensureSpace(110);
+    cursor.y += 16;
+    cursor.text('Sign-off', { size: 13, bold: true });
+    ['Superintendent', "Owner's representative"].forEach(role => {
+        cursor.y += 24;
+        pdf.setDrawColor(107, 114, 128);
+        pdf.line(MARGIN, cursor.y, MARGIN + 300, cursor.y);
+        pdf.line(MARGIN + 340, cursor.y, PAGE_WIDTH - MARGIN, cursor.y);
+        pdf.setFontSize(8);
+        pdf.setTextColor(107, 114, 128);
+        pdf.text(`${role} (name and signature)`, MARGIN, cursor.y + 10);
+        pdf.text('Date', MARGIN + 340, cursor.y + 10);
+        cursor.y += 12;
+    });
+};
+
+const drawUnitReport = (pdf, cursor, report, { qrLink, images }) => {
+    const top = cursor.y;
+    if (qrLink) {
+        drawQrCode(pdf, qrLink, PAGE_WIDTH - MARGIN - QR_SIZE, top, QR_SIZE);
+    }
+    const headerWidth = CONTENT_WIDTH - QR_SIZE - 16;
+    cursor.text(`Punch List: ${report.unitId}`, { size: 18, bold: true, width: headerWidth });
+    if (report.address) cursor.text(report.address, { size: 11, width: headerWidth });
+    if (report.location) cursor.text(report.location, { size: 10, color: [75, 85, 99], width: headerWidth });
+    cursor.text(`Status: ${report.status} - ${report.percent}% (${report.completed} of ${report.total} tasks complete)`, { size: 10, bold: true, width: headerWidth });
+    cursor.text(`Generated ${new Date().toLocaleString()}`, { size: 8, color: [107, 114, 128], width: headerWidth });
+    cursor.y = Math.max(cursor.y, top + QR_SIZE) + 8;
+
+    report.trades.forEach(trade => {
+        cursor.ensureSpace(50);
+        cursor.y += 6;
+        cursor.text(`${trade.name} - ${trade.completed}/${trade.total} (${trade.percent}%)`, { size: 13, bold: true });
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(8);
+        pdf.setTextColor(107, 114, 128);
+        pdf.text('TASK', COLUMNS.task, cursor.y + 8);
+        pdf.text('STATUS', COLUMNS.status, cursor.y + 8);
+        pdf.text('COMPLETED', COLUMNS.completed, cursor.y + 8);
+        pdf.text('SIGNED OFF BY', COLUMNS.signer, cursor.y + 8);
+        cursor.y += 12;
+        cursor.rule();
+        if (trade.tasks.length === 0) {
+            cursor.text('No tasks.', { size: 10, color: [107, 114, 128] });
+        }
+        trade.tasks.forEach(task => drawTaskRow(pdf, cursor, task, images));
+    });
+
+    drawSignatureBlock(pdf, cursor);
+};
+
+const drawSummaryTable = (pdf, cursor, reports) => {
+    const { rows, totals } = buildReportSummary(reports);
+    const columnX = [MARGIN, 230, 360, 420, 470, 520];
+    const drawRow = (values, { size = 10, bold = false, color = [31, 41, 55] } = {}) => {
+        cursor.ensureSpace(16);
+        pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+        pdf.setFontSize(size);
+        pdf.setTextColor(...color);
+        values.forEach((value, index) => pdf.text(String(value), columnX[index], cursor.y + 10));
+        cursor.y += 16;
+    };
+
+    drawRow(['UNIT', 'STATUS', '% DONE', 'OPEN', 'DONE', 'TOTAL'], { size: 8, bold: true, color: [107, 114, 128] });
+    cursor.rule();
+    rows.forEach(row => drawRow(
+        [row.unitId, row.status, `${row.percent}%`, row.open, row.completed, row.total],
+        { color: row.open > 0 ? [31, 41, 55] : [21, 128, 61] }
+    ));
+    cursor.rule();
+    drawRow([`${rows.length} units`, '', `${totals.percent}%`, totals.open, totals.completed, totals.total], { bold: true });
+};
+
+// report comes from buildUnitReport; qrLink is what the unit's QR code opens
+export const createUnitPdf = async (report, { qrLink }) => {
+    const pdf = new jsPDF({ unit: 'pt', format: 'letter' });
+    const images = await loadReportImages([report]);
+    drawUnitReport(pdf, createCursor(pdf), report, { qrLink, images });
+    return pdf;
+};
+
+// Building closeout: a summary table of every unit, then each unit's punch list on its own pages
+export const createBuildingPdf = async (buildingName, reports, { getQrLink }) => {
+    const pdf = new jsPDF({ unit: 'pt', format: 'letter' });
+    const images = await loadReportImages(reports);
+    const cursor = createCursor(pdf);
+
+    cursor.text(`Closeout Report: ${buildingName}`, { size: 20, bold: true });
+    cursor.text(`Generated ${new Date().toLocaleString()}`, { size: 9, color: [107, 114, 128], gap: 16 });
+    drawSummaryTable(pdf, cursor, reports);
+
+    [...reports].sort((a, b) => a.unitId.localeCompare(b.unitId, undefined, { numeric: true })).forEach(report => {
+        pdf.addPage();
+        const unitCursor = createCursor(pdf);
+        drawUnitReport(pdf, unitCursor, report, { qrLink: getQrLink(report.unitId), images });
+    });
+    return pdf;
+};
@@ -0,0 +1,30 @@
+import { createUnitPdf, createBuildingPdf } from './punchListPdf';
+import { buildUnitReport } from './punchListReport';
+
+const report = buildUnitReport({
+  id: 'A-101',
+  address: '101 Main St',
+  trades: { Electrical: [{ id: 'e1', task: 'Install outlets', completed: true, photos: [{ id: 'ph1', kind: 'fix', thumbnailUrl: 'thumb.jpg' }] }] }
+});
+
+beforeEach(() => {
+  // Offline: photos can't be fetched and are left out
+  global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+test('creates a unit punch list without a network', async () => {
+  const pdf = await createUnitPdf(report, { qrLink: 'https://example.com/?unitId=A-101' });
+  expect(pdf.output().startsWith('%PDF')).toBe(true);
+  expect(pdf.getNumberOfPages()).toBe(1);
+});
+
+test('puts the building summary ahead of each unit', async () => {
+  const pdf = await createBuildingPdf('Building A', [report, { ...report, unitId: 'A-102' }], { getQrLink: (unitId) => `https://example.com/?unitId=${unitId}` });
+  expect(pdf.getNumberOfPages()).toBe(3);
+});
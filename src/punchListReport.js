@@ -0,0 +1,74 @@
+import { getOrderedTradeNames } from './templates';
+import { deriveUnitStatus, getUnitProgress, getTaskStatus } from './unitProgress';
+import { getTaskAssignment, getSubcontractorName } from './assignments';
+import { isHistoryForTask, getTaskVerification } from './taskOperations';
+import { getBuildingName } from './qrLabels';
+import { sortByName } from './hierarchy';
+
+// Turnover report data for the PDF generator: everything is resolved to display values here
+// so the PDF layout only has to place text.
+
+const getHistoryDate = (entry) => (entry.timestamp && entry.timestamp.toDate ? entry.timestamp.toDate() : new Date(entry.clientTime));
+
+// When and by whom a completed task was signed off. Tasks completed before completion details
+// were stored on the task fall back to the latest matching history entry, when it's loaded.
+export const getTaskCompletion = (tradeName, task, history = []) => {
+    if (!task.completed) return { completedAt: null, completedBy: null };
+    if (task.completedAt) return { completedAt: new Date(task.completedAt), completedBy: task.completedBy || null };
+    const entry = history
+        .filter(item => item.action === 'toggle' && item.newValue === true && isHistoryForTask(item, tradeName, task))
+        .sort((a, b) => getHistoryDate(b) - getHistoryDate(a))[0];
+    return entry ? { completedAt: getHistoryDate(entry), completedBy: entry.userEmail || entry.userId } : { completedAt: null, completedBy: null };
+};
+
+export const buildUnitReport = (unit, { history = [], projects = [], buildings = [], subcontractors = [] } = {}) => {
+    const trades = unit.trades || {};
+    const progress = getUnitProgress(trades, unit.verifications);
+    const building = buildings.find(item => item.id === unit.buildingId);
+    const project = projects.find(item => item.id === unit.projectId);
+
+    return {
+        unitId: unit.id,
+        address: unit.address || '',
+        location: [project && project.name, building ? building.name : null, unit.floor ? `Floor ${unit.floor}` : null].filter(Boolean).join(' · '),
+        buildingName: building ? building.name : getBuildingName(unit.id),
+        status: deriveUnitStatus(trades, !!unit.inspectionPassed),
+        percent: progress.percent,
+        completed: progress.completed,
+        total: progress.total,
+        trades: getOrderedTradeNames(trades, unit.tradeOrder).map(tradeName => ({
+            name: tradeName,
+            ...progress.byTrade[tradeName],
+            tasks: trades[tradeName].map(task => {
+                const assignment = getTaskAssignment(unit, tradeName, task);
+                const verification = getTaskVerification(unit.verifications, tradeName, task);
+                return {
+                    name: task.task,
+                    completed: !!task.completed,
+                    status: getTaskStatus(task, verification),
+                    verifiedBy: verification ? verification.by || null : null,
+                    ...getTaskCompletion(tradeName, task, history),
+                    assignedTo: assignment.subcontractorId ? getSubcontractorName(subcontractors, assignment.subcontractorId) : null,
+                    photos: task.photos || []
+                };
+            })
+        }))
+    };
+};
+
+// One summary row per unit for the front page of a building report
+export const buildReportSummary = (reports) => {
+    const rows = sortByName(reports, 'unitId').map(report => ({
+        unitId: report.unitId,
+        status: report.status,
+        percent: report.percent,
+        open: report.total - report.completed,
+        completed: report.completed,
+        total: report.total
+    }));
+    const totals = rows.reduce((sum, row) => ({ open: sum.open + row.open, completed: sum.completed + row.completed, total: sum.total + row.total }), { open: 0, completed: 0, total: 0 });
+    return {
+        rows,
+        totals: { ...totals, percent: totals.total === 0 ? 0 : Math.round((totals.completed / totals.total) * 100) }
+    };
+};
@@ -0,0 +1,50 @@
+import { buildUnitReport, buildReportSummary, getTaskCompletion } from './punchListReport';
+
+const unit = {
+  id: 'A-101',
+  address: '101 Main St',
+  projectId: 'p',
+  buildingId: 'p--a',
+  floor: 1,
+  tradeOrder: ['Plumbing', 'Electrical'],
+  trades: {
+    Electrical: [{ id: 'e1', task: 'Install outlets', completed: true, completedAt: '2026-10-01T15:00:00.000Z', completedBy: 'sparky@example.com' }],
+    Plumbing: [
+      { id: 'p1', task: 'Set toilet', completed: true },
+      { id: 'p2', task: 'Fix leak', completed: false, photos: [{ id: 'ph1', kind: 'deficiency', thumbnailUrl: 'thumb.jpg' }] }
+    ]
+  },
+  verifications: {
+    Electrical: { e1: { by: 'super@example.com', at: '2026-10-02T09:00:00.000Z', completedAt: '2026-10-01T15:00:00.000Z' } }
+  }
+};
+
+test('takes completion details from the task, falling back to history', () => {
+  expect(getTaskCompletion('Electrical', unit.trades.Electrical[0])).toEqual({
+    completedAt: new Date('2026-10-01T15:00:00.000Z'),
+    completedBy: 'sparky@example.com'
+  });
+  const history = [
+    { trade: 'Plumbing', taskId: 'p1', action: 'toggle', newValue: true, userId: 'old', clientTime: '2026-09-01T00:00:00.000Z' },
+    { trade: 'Plumbing', taskId: 'p1', action: 'toggle', newValue: true, userId: 'plumber', userEmail: 'plumber@example.com', clientTime: '2026-09-03T00:00:00.000Z' },
+    { trade: 'Plumbing', taskId: 'p2', action: 'toggle', newValue: true, userId: 'other', clientTime: '2026-09-05T00:00:00.000Z' }
+  ];
+  expect(getTaskCompletion('Plumbing', unit.trades.Plumbing[0], history).completedBy).toBe('plumber@example.com');
+  expect(getTaskCompletion('Plumbing', unit.trades.Plumbing[1], history)).toEqual({ completedAt: null, completedBy: null });
+});
+
+test('builds a unit report with trades in template order', () => {
+  const report = buildUnitReport(unit, { projects: [{ id: 'p', name: 'Riverside' }], buildings: [{ id: 'p--a', name: 'Building A' }] });
+  expect(report).toMatchObject({ unitId: 'A-101', location: 'Riverside · Building A · Floor 1', status: 'In Progress', percent: 67, completed: 2, total: 3 });
+  expect(report.trades.map(trade => trade.name)).toEqual(['Plumbing', 'Electrical']);
+  expect(report.trades[0].tasks[1]).toMatchObject({ name: 'Fix leak', completed: false, photos: [{ id: 'ph1' }] });
+  expect(report.trades[1].tasks[0]).toMatchObject({ name: 'Install outlets', status: 'verified', verifiedBy: 'super@example.com' });
+  expect(report.trades[0].tasks[0]).toMatchObject({ name: 'Set toilet', status: 'completed', verifiedBy: null });
+});
+
+test('summarizes units for the building report', () => {
+  const reports = [buildUnitReport(unit), buildUnitReport({ id: 'A-100', trades: { Electrical: [{ task: 'Test', completed: true }] } })];
+  const summary = buildReportSummary(reports);
+  expect(summary.rows.map(row => [row.unitId, row.open])).toEqual([['A-100', 0], ['A-101', 1]]);
+  expect(summary.totals).toEqual({ open: 1, completed: 3, total: 4, percent: 75 });
+});
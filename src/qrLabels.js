@@ -0,0 +1,137 @@
+import QRCode from 'qrcode';
+import { getAppRootUrl } from './router';
+
+// Letter page in points (1/72 in), laid out as a 3 x 4 grid of door labels
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+export const LABEL_COLUMNS = 3;
+export const LABEL_ROWS = 4;
+export const LABELS_PER_PAGE = LABEL_COLUMNS * LABEL_ROWS;
+
+const PAGE_MARGIN = 36;
+const QUIET_ZONE = 4; // modules of white border required around a QR code
+
+// Link encoded into a unit's QR code; opening it lands directly on the unit. Labels already on
+// doors use this "?unitId=" form, so it stays the same now that units have their own routes.
+// "&tenant=" names the job, so a label never opens a unit with the same ID in another job.
+export const getUnitQrLink = (unitId, tenantId = null, baseUrl = getAppRootUrl()) => {
+    const tenantParam = tenantId ? `tenant=${encodeURIComponent(tenantId)}&` : '';
+    return `${baseUrl}?${tenantParam}unitId=${encodeURIComponent(unitId)}`;
+};
+
+// Units are currently named "<Building>-<Unit>", so the building is the prefix
+export const getBuildingName = (unitId) => {
+    const dashIndex = unitId.indexOf('-');
+    return dashIndex > 0 ? unitId.slice(0, dashIndex) : 'Unassigned';
+};
+
+// Encodes text locally (no network) and returns the module matrix of the QR code
+export const createQrMatrix = (text) => {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    return { size: modules.size, isDark: (row, col) => !!modules.get(row, col) };
+};
+
+// One SVG path for all dark modules, in a coordinate space that includes the quiet zone
+export const qrMatrixToPath = (matrix) => {
+    let path = '';
+    for (let row = 0; row < matrix.size; row++) {
+        for (let col = 0; col < matrix.size; col++) {
+            if (matrix.isDark(row, col)) {
+                path += `M${col + QUIET_ZONE} ${row + QUIET_ZONE}h1v1h-1z`;
+            }
+        }
+    }
+    return path;
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const paginateLabels = (units) => {
+    const pages = [];
+    for (let i = 0; i < units.length; i += LABELS_PER_PAGE) {
+        pages.push(units.slice(i, i + LABELS_PER_PAGE));
+    }
+    return pages;
+};
+
+// Position of every label on a page, in points
+const getLabelBoxes = () => {
+    const cellWidth = (PAGE_WIDTH - PAGE_MARGIN * 2) / LABEL_COLUMNS;
+    const cellHeight = (PAGE_HEIGHT - PAGE_MARGIN * 2) / LABEL_ROWS;
+    const boxes = [];
+    for (let row = 0; row < LABEL_ROWS; row++) {
+        for (let col = 0; col < LABEL_COLUMNS; col++) {
+            boxes.push({
+                x: PAGE_MARGIN + col * cellWidth,
+                y: PAGE_MARGIN + row * cellHeight,
+                width: cellWidth,
+                height: cellHeight
+            });
+        }
+    }
+    return boxes;
+};
+
+// Every page of the label sheet stacked vertically in a single SVG document
+export const renderLabelSheetSvg = (units, getLink = getUnitQrLink) => {
+    const pages = paginateLabels(units);
+    const boxes = getLabelBoxes();
+    const totalHeight = PAGE_HEIGHT * Math.max(pages.length, 1);
+    let body = '';
+
+    pages.forEach((pageUnits, pageIndex) => {
+        const pageTop = pageIndex * PAGE_HEIGHT;
+        body += `<rect x="0" y="${pageTop}" width="${PAGE_WIDTH}" height="${PAGE_HEIGHT}" fill="#ffffff"/>`;
+        pageUnits.forEach((unit, labelIndex) => {
+            const box = boxes[labelIndex];
+            const matrix = createQrMatrix(getLink(unit.id));
+            const viewBoxSize = matrix.size + QUIET_ZONE * 2;
+            const qrSize = Math.min(box.width, box.height - 40) - 12;
+            const qrX = box.x + (box.width - qrSize) / 2;
+            const qrY = pageTop + box.y + 6;
+            const centerX = box.x + box.width / 2;
+
+            body += `<svg x="${qrX}" y="${qrY}" width="${qrSize}" height="${qrSize}" viewBox="0 0 ${viewBoxSize} ${viewBoxSize}" shape-rendering="crispEdges">`
+                + `<path fill="#000000" d="${qrMatrixToPath(matrix)}"/></svg>`
+                + `<text x="${centerX}" y="${qrY + qrSize + 14}" text-anchor="middle" font-family="Inter, Helvetica, Arial, sans-serif" font-size="12" font-weight="bold">${escapeXml(unit.id)}</text>`
+                + `<text x="${centerX}" y="${qrY + qrSize + 28}" text-anchor="middle" font-family="Inter, Helvetica, Arial, sans-serif" font-size="9">${escapeXml(unit.address)}</text>`;
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE_WIDTH}" height="${totalHeight}" viewBox="0 0 ${PAGE_WIDTH} ${totalHeight}">${body}</svg>`;
+};
+
+// Rasterizes an SVG string to a PNG data URL at the given scale (2 = 144 dpi for a letter page)
+export const svgToPngDataUrl = (svg, width, height, scale = 2) => new Promise((resolve, reject) => {
+    const image = new Image();
+    const svgUrl = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(svgUrl);
+        resolve(canvas.toDataURL('image/png'));
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(svgUrl);
+        reject(new Error('Could not render label sheet image.'));
+    };
+    image.src = svgUrl;
+});
+
+export const downloadFile = (href, fileName) => {
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+};
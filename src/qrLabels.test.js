@@ -0,0 +1,38 @@
+import {
+  LABELS_PER_PAGE,
+  getUnitQrLink,
+  getBuildingName,
+  createQrMatrix,
+  paginateLabels,
+  renderLabelSheetSvg
+} from './qrLabels';
+
+test('builds a unit link with an encoded unitId and job', () => {
+  expect(getUnitQrLink('BuildingA-Unit 01', null, 'https://example.com/')).toBe('https://example.com/?unitId=BuildingA-Unit%2001');
+  expect(getUnitQrLink('BuildingA-Unit 01', 'tower', 'https://example.com/')).toBe('https://example.com/?tenant=tower&unitId=BuildingA-Unit%2001');
+});
+
+test('derives the building from the unit id prefix', () => {
+  expect(getBuildingName('BuildingB-Unit07')).toBe('BuildingB');
+  expect(getBuildingName('Lobby')).toBe('Unassigned');
+});
+
+test('encodes QR codes locally', () => {
+  const matrix = createQrMatrix('https://example.com/?unitId=BuildingA-Unit01');
+  expect(matrix.size).toBeGreaterThanOrEqual(21);
+  // Finder pattern corners are always dark
+  expect(matrix.isDark(0, 0)).toBe(true);
+  expect(matrix.isDark(0, matrix.size - 1)).toBe(true);
+});
+
+test('paginates labels into letter pages', () => {
+  const units = Array.from({ length: LABELS_PER_PAGE + 1 }, (_, i) => ({ id: `U${i}` }));
+  const pages = paginateLabels(units);
+  expect(pages).toHaveLength(2);
+  expect(pages[1]).toEqual([{ id: `U${LABELS_PER_PAGE}` }]);
+});
+
+test('renders unit id and escaped address under each code', () => {
+  expect(renderLabelSheetSvg([{ id: 'BuildingA-Unit01', address: '12 Main St <Rear>' }], () => 'https://example.com'))
+    .toMatch(/>BuildingA-Unit01<\/text>.*>12 Main St &lt;Rear&gt;<\/text>/);
+});
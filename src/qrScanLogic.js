@@ -0,0 +1,56 @@
+import jsQR from 'jsqr';
+import { parseRoute, getAppRootUrl } from './router';
+
+// Pulls { unitId, tenantId } out of a scanned punchlist link, rejecting codes from other apps.
+// Label links ("?unitId=") and copied unit routes ("/units/:id", or "#/units/:id" from the
+// preview) both work. tenantId is null for links made before jobs, which belong to the default job.
+export const parseUnitQrCode = (text, appUrl = getAppRootUrl()) => {
+    let url;
+    try {
+        url = new URL(text);
+    } catch (error) {
+        throw new Error("This QR code is not a punchlist unit code.");
+    }
+
+    const app = new URL(appUrl);
+    let path = url.pathname.startsWith(app.pathname) ? `/${url.pathname.slice(app.pathname.length)}` : url.pathname;
+    if (url.hash.startsWith('#/')) path = url.hash.slice(1);
+    const route = parseRoute(`${path}${url.search}`);
+    if (url.origin !== app.origin || route.page !== 'unit') {
+        throw new Error("This QR code belongs to a different app.");
+    }
+    return { unitId: route.unitId, tenantId: route.tenantId || null };
+};
+
+export const decodeQrFromImageData = (imageData) => {
+    const code = jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts: 'attemptBoth' });
+    return code ? code.data : null;
+};
+
+// Draws a video frame or image onto a scratch canvas and tries to decode a QR code from it
+export const decodeQrFromSource = (source, width, height, canvas = document.createElement('canvas')) => {
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0, width, height);
+    return decodeQrFromImageData(context.getImageData(0, 0, width, height));
+};
+
+export const decodeQrFromFile = (file) => new Promise((resolve, reject) => {
+    const image = new Image();
+    const imageUrl = URL.createObjectURL(file);
+    image.onload = () => {
+        URL.revokeObjectURL(imageUrl);
+        const result = decodeQrFromSource(image, image.naturalWidth, image.naturalHeight);
+        if (result) {
+            resolve(result);
+        } else {
+            reject(new Error("No QR code found in that image."));
+        }
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(imageUrl);
+        reject(new Error("Could not read that image file."));
+    };
+    image.src = imageUrl;
+});
@@ -0,0 +1,44 @@
+import { getUnitQrLink, createQrMatrix } from './qrLabels';
+import { parseUnitQrCode, decodeQrFromImageData } from './qrScanLogic';
+
+const APP_URL = 'https://punchlist.example.com/';
+
+// Rasterizes a QR matrix into RGBA pixels the way a camera frame would arrive
+const toImageData = (matrix, scale = 4, quietZone = 4) => {
+  const width = (matrix.size + quietZone * 2) * scale;
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      const row = Math.floor(y / scale) - quietZone;
+      const col = Math.floor(x / scale) - quietZone;
+      if (row >= 0 && col >= 0 && row < matrix.size && col < matrix.size && matrix.isDark(row, col)) {
+        const offset = (y * width + x) * 4;
+        data[offset] = data[offset + 1] = data[offset + 2] = 0;
+      }
+    }
+  }
+  return { data, width, height: width };
+};
+
+test('decodes a generated unit label back to its unit id', () => {
+  const link = getUnitQrLink('BuildingA-Unit01', 'tower', APP_URL);
+  const decoded = decodeQrFromImageData(toImageData(createQrMatrix(link)));
+  expect(decoded).toBe(link);
+  expect(parseUnitQrCode(decoded, APP_URL)).toEqual({ unitId: 'BuildingA-Unit01', tenantId: 'tower' });
+});
+
+test('rejects codes that are not links', () => {
+  expect(() => parseUnitQrCode('hello world', APP_URL)).toThrow('not a punchlist unit code');
+});
+
+test('rejects codes from a different app', () => {
+  expect(() => parseUnitQrCode('https://other.example.com/?unitId=BuildingA-Unit01', APP_URL)).toThrow('different app');
+  expect(() => parseUnitQrCode('https://punchlist.example.com/?item=42', APP_URL)).toThrow('different app');
+});
+
+test('accepts copied unit routes, with or without a job, as well as label links', () => {
+  expect(parseUnitQrCode('https://punchlist.example.com/units/BuildingA-Unit01/Plumbing', APP_URL)).toEqual({ unitId: 'BuildingA-Unit01', tenantId: null });
+  expect(parseUnitQrCode('https://punchlist.example.com/#/units/BuildingA-Unit01', APP_URL)).toEqual({ unitId: 'BuildingA-Unit01', tenantId: null });
+  expect(parseUnitQrCode('https://punchlist.example.com/jobs/tower/units/BuildingA-Unit01', APP_URL)).toEqual({ unitId: 'BuildingA-Unit01', tenantId: 'tower' });
+  expect(() => parseUnitQrCode('https://punchlist.example.com/dashboard', APP_URL)).toThrow('different app');
+});
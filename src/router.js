@@ -0,0 +1,215 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Routes are plain paths so links can be bookmarked and shared. Each job's routes sit under
+// /jobs/:tenantId (the route's tenantId); paths without it belong to the deployment's default job.
+//   /                                              home, with unit grid filters in the query
+//   /projects/:projectId[/buildings/:buildingId[/floors/:floor]]   a level of the hierarchy
+//   /projects/:projectId/buildings/:buildingId/floors/:floor/plan  the floor's plan with unit pins
+//   /unassigned                                    units not placed in a building
+//   /units/:unitId[/:trade]                        a unit, optionally on one trade
+//   /dashboard, /my-punch-list
+// Printed QR labels use the older "?unitId=" form (with "&tenant=" for the job), which still
+// opens the unit.
+//
+// Hosting rewrites every path to index.html. Where the History API isn't allowed (the
+// sandboxed blob: preview) the same paths are kept in the hash instead, e.g. "#/units/A-101".
+
+const basePath = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+const decode = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
+    }
+};
+
+const isFloor = (value) => /^\d+$/.test(value) && Number(value) > 0;
+
+const toHomeRoute = (location, search) => ({ page: 'home', location, search });
+
+// path is "/pathname?query"
+export const parseRoute = (path) => {
+    const [pathname, query = ''] = String(path || '/').split('?');
+    const search = query ? `?${query}` : '';
+    const params = new URLSearchParams(query);
+    if (params.get('unitId')) {
+        const route = { page: 'unit', unitId: params.get('unitId'), trade: null, search: '' };
+        return params.get('tenant') ? { ...route, tenantId: params.get('tenant') } : route;
+    }
+
+    const parts = pathname.split('/').filter(Boolean).map(decode);
+    if (parts.some(part => part === null)) return { page: 'notFound', search };
+    const [first, second, third, fourth, fifth, sixth] = parts;
+
+    if (first === 'jobs' && second) {
+        const rest = pathname.split('/').filter(Boolean).slice(2).join('/');
+        return { ...parseRoute(`/${rest}${search}`), tenantId: second };
+    }
+
+    if (parts.length === 0) return toHomeRoute({}, search);
+    if (first === 'dashboard' && parts.length === 1) return { page: 'dashboard', search };
+    if (first === 'my-punch-list' && parts.length === 1) return { page: 'myPunchList', search };
+    if (first === 'unassigned' && parts.length === 1) return toHomeRoute({ unassigned: true }, search);
+    if (first === 'units' && (parts.length === 2 || parts.length === 3)) {
+        return { page: 'unit', unitId: second, trade: third || null, search };
+    }
+    if (first === 'projects') {
+        if (parts.length === 2) return toHomeRoute({ projectId: second }, search);
+        if (parts.length === 4 && third === 'buildings') return toHomeRoute({ projectId: second, buildingId: fourth }, search);
+        if (parts.length === 6 && third === 'buildings' && fifth === 'floors' && isFloor(sixth)) {
+            return toHomeRoute({ projectId: second, buildingId: fourth, floor: Number(sixth) }, search);
+        }
+        if (parts.length === 7 && third === 'buildings' && fifth === 'floors' && isFloor(sixth) && parts[6] === 'plan') {
+            return { page: 'floorPlan', location: { projectId: second, buildingId: fourth, floor: Number(sixth) }, search };
+        }
+    }
+    return { page: 'notFound', search };
+};
+
+// The path for a route, without a query string
+export const getRoutePath = (route) => {
+    const encode = encodeURIComponent;
+    if (route.tenantId) {
+        const path = getRoutePath({ ...route, tenantId: null });
+        return `/jobs/${encode(route.tenantId)}${path === '/' ? '' : path}`;
+    }
+    if (route.page === 'unit') {
+        return `/units/${encode(route.unitId)}${route.trade ? `/${encode(route.trade)}` : ''}`;
+    }
+    if (route.page === 'dashboard') return '/dashboard';
+    if (route.page === 'myPunchList') return '/my-punch-list';
+    if (route.page === 'floorPlan') return `${getRoutePath({ page: 'home', location: route.location })}/plan`;
+
+    const location = route.location || {};
+    if (location.unassigned) return '/unassigned';
+    if (!location.projectId) return '/';
+    let path = `/projects/${encode(location.projectId)}`;
+    if (location.buildingId) {
+        path += `/buildings/${encode(location.buildingId)}`;
+        if (location.floor) path += `/floors/${location.floor}`;
+    }
+    return path;
+};
+
+const canUseHistory = (win) => {
+    if (!/^https?:$/.test(win.location.protocol)) return false;
+    try {
+        win.history.replaceState(win.history.state, '', win.location.href);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Reads and writes the current path through the History API, or the hash where that's blocked
+export const createRouter = (win = window) => {
+    const mode = canUseHistory(win) ? 'history' : 'hash';
+
+    const getPath = () => {
+        if (mode === 'history') {
+            const pathname = win.location.pathname.startsWith(basePath) ? win.location.pathname.slice(basePath.length) : win.location.pathname;
+            return `${pathname || '/'}${win.location.search}`;
+        }
+        const hashPath = win.location.hash.replace(/^#/, '');
+        // A "?unitId=" label link opened in the preview has the query outside the hash
+        return hashPath || `/${win.location.search}`;
+    };
+
+    return {
+        mode,
+        getPath,
+        push: (path) => {
+            if (mode === 'history') {
+                win.history.pushState(null, '', `${basePath}${path}`);
+            } else {
+                win.location.hash = path;
+            }
+        },
+        replace: (path) => {
+            if (mode === 'history') {
+                win.history.replaceState(null, '', `${basePath}${path}`);
+            } else {
+                win.location.replace(`#${path}`);
+            }
+        },
+        back: () => win.history.back(),
+        listen: (callback) => {
+            const eventName = mode === 'history' ? 'popstate' : 'hashchange';
+            const handler = () => callback(getPath());
+            win.addEventListener(eventName, handler);
+            return () => win.removeEventListener(eventName, handler);
+        }
+    };
+};
+
+// The address QR labels are built on: the app's root, without any route
+export const getAppRootUrl = (win = window) => (
+    canUseHistory(win)
+        ? `${win.location.origin}${basePath}/`
+        : win.location.href.split('#')[0].split('?')[0]
+);
+
+// path moved into a job, unless it already names one
+export const withTenant = (path, tenantId) => {
+    const route = parseRoute(path);
+    if (!tenantId || route.tenantId || route.page === 'notFound') return path;
+    return `${getRoutePath({ ...route, tenantId })}${route.search || ''}`;
+};
+
+// A full link to a route, for links that leave the app such as notification digests
+export const getRouteUrl = (path, win = window) => (
+    canUseHistory(win)
+        ? `${win.location.origin}${basePath}${path}`
+        : `${getAppRootUrl(win)}#${path}`
+);
+
+// Current route plus navigation. replace() swaps the current history entry, for changes
+// like typed filters or the selected trade that Back shouldn't step through.
+export const useRoute = () => {
+    const [router] = useState(() => {
+        const created = createRouter();
+        const path = created.getPath();
+        // Rewrite "?unitId=" label links to the unit's route so it can be bookmarked
+        if (new URLSearchParams(path.split('?')[1] || '').has('unitId')) {
+            created.replace(getRoutePath(parseRoute(path)));
+        }
+        return created;
+    });
+    const pathRef = useRef(null);
+    if (pathRef.current === null) pathRef.current = router.getPath();
+    const depthRef = useRef(0); // in-app history entries behind the current one
+    const [, setVersion] = useState(0);
+
+    useEffect(() => router.listen((path) => {
+        if (path === pathRef.current) return; // our own hash change
+        depthRef.current = Math.max(depthRef.current - 1, 0);
+        pathRef.current = path;
+        setVersion(version => version + 1);
+    }), [router]);
+
+    const navigate = (path) => {
+        if (path === pathRef.current) return;
+        router.push(path);
+        depthRef.current += 1;
+        pathRef.current = path;
+        setVersion(version => version + 1);
+    };
+
+    const replace = (path) => {
+        router.replace(path);
+        pathRef.current = path;
+        setVersion(version => version + 1);
+    };
+
+    // Back within the app when there's somewhere to go back to, otherwise to fallbackPath
+    const back = (fallbackPath = '/') => {
+        if (depthRef.current > 0) {
+            router.back();
+        } else {
+            replace(fallbackPath);
+        }
+    };
+
+    return { route: parseRoute(pathRef.current), navigate, replace, back };
+};
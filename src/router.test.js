@@ -0,0 +1,103 @@
+import { parseRoute, getRoutePath, createRouter, getAppRootUrl, getRouteUrl, withTenant } from './router';
+
+test('parses every route and builds the same path back', () => {
+  const paths = [
+    '/',
+    '/dashboard',
+    '/my-punch-list',
+    '/unassigned',
+    '/projects/tower',
+    '/projects/tower/buildings/tower--a',
+    '/projects/tower/buildings/tower--a/floors/3',
+    '/projects/tower/buildings/tower--a/floors/3/plan',
+    '/units/BuildingA-Unit101',
+    '/units/Unit%20101/Finish%20Carpentry'
+  ];
+  paths.forEach(path => expect(getRoutePath(parseRoute(path))).toBe(path));
+
+  expect(parseRoute('/units/Unit%20101/Finish%20Carpentry')).toEqual({ page: 'unit', unitId: 'Unit 101', trade: 'Finish Carpentry', search: '' });
+  expect(parseRoute('/projects/tower/buildings/tower--a/floors/3/plan')).toEqual({
+    page: 'floorPlan',
+    location: { projectId: 'tower', buildingId: 'tower--a', floor: 3 },
+    search: ''
+  });
+  expect(parseRoute('/projects/tower/buildings/tower--a/floors/3?sort=name')).toEqual({
+    page: 'home',
+    location: { projectId: 'tower', buildingId: 'tower--a', floor: 3 },
+    search: '?sort=name'
+  });
+});
+
+test('keeps each job\'s routes under /jobs/:tenantId', () => {
+  ['/jobs/tower', '/jobs/tower/dashboard', '/jobs/tower/units/A-101/Plumbing', '/jobs/tower/projects/p/buildings/p--a/floors/2']
+    .forEach(path => expect(getRoutePath(parseRoute(path))).toBe(path));
+  expect(parseRoute('/jobs/tower/units/A-101')).toEqual({ page: 'unit', unitId: 'A-101', trade: null, search: '', tenantId: 'tower' });
+  expect(parseRoute('/jobs/tower?status=Complete')).toEqual({ page: 'home', location: {}, search: '?status=Complete', tenantId: 'tower' });
+  expect(parseRoute('/?tenant=tower&unitId=A-101')).toEqual({ page: 'unit', unitId: 'A-101', trade: null, search: '', tenantId: 'tower' });
+
+  expect(withTenant('/units/A-101', 'tower')).toBe('/jobs/tower/units/A-101');
+  expect(withTenant('/?status=Complete', 'tower')).toBe('/jobs/tower?status=Complete');
+  expect(withTenant('/jobs/annex/dashboard', 'tower')).toBe('/jobs/annex/dashboard');
+  expect(withTenant('/nowhere', 'tower')).toBe('/nowhere');
+});
+
+test('opens label links with ?unitId= as the unit route', () => {
+  const route = parseRoute('/?unitId=BuildingA-Unit%2001');
+  expect(route).toEqual({ page: 'unit', unitId: 'BuildingA-Unit 01', trade: null, search: '' });
+  expect(getRoutePath(route)).toBe('/units/BuildingA-Unit%2001');
+});
+
+test('anything else is not found', () => {
+  ['/nope', '/units', '/units/a/b/c', '/projects/p/floors/2', '/projects/p/buildings/b/floors/zero', '/units/%E0%A4%A'].forEach(path => {
+    expect(parseRoute(path).page).toBe('notFound');
+  });
+});
+
+test('uses the History API when it is allowed', () => {
+  window.history.replaceState(null, '', '/projects/tower?q=101');
+  const router = createRouter(window);
+  expect(router.mode).toBe('history');
+  expect(router.getPath()).toBe('/projects/tower?q=101');
+
+  router.push('/units/A-101');
+  expect(window.location.pathname).toBe('/units/A-101');
+  router.replace('/');
+  expect(router.getPath()).toBe('/');
+  expect(getAppRootUrl(window)).toBe('http://localhost/');
+  expect(getRouteUrl('/units/A-101', window)).toBe('http://localhost/units/A-101');
+});
+
+test('falls back to the hash in a sandboxed blob: preview', () => {
+  const listeners = {};
+  const fakeWindow = {
+    location: {
+      protocol: 'blob:',
+      href: 'blob:https://preview.example.com/1234?unitId=A-101#/dashboard',
+      hash: '#/dashboard',
+      search: '?unitId=A-101',
+      replace: jest.fn()
+    },
+    history: { replaceState: () => { throw new Error('SecurityError'); } },
+    addEventListener: (name, handler) => { listeners[name] = handler; },
+    removeEventListener: jest.fn()
+  };
+  const router = createRouter(fakeWindow);
+  expect(router.mode).toBe('hash');
+  expect(router.getPath()).toBe('/dashboard');
+
+  router.push('/units/A-101');
+  expect(fakeWindow.location.hash).toBe('/units/A-101');
+  router.replace('/');
+  expect(fakeWindow.location.replace).toHaveBeenCalledWith('#/');
+
+  const callback = jest.fn();
+  router.listen(callback);
+  fakeWindow.location.hash = '#/my-punch-list';
+  listeners.hashchange();
+  expect(callback).toHaveBeenCalledWith('/my-punch-list');
+
+  fakeWindow.location.hash = '';
+  expect(router.getPath()).toBe('/?unitId=A-101');
+  expect(getAppRootUrl(fakeWindow)).toBe('blob:https://preview.example.com/1234');
+  expect(getRouteUrl('/units/A-101', fakeWindow)).toBe('blob:https://preview.example.com/1234#/units/A-101');
+});
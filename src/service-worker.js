@@ -0,0 +1,57 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts (Workbox InjectManifest) in production builds only. Precaches the app
+// shell, scripts, styles and self-hosted fonts so the installed app opens with no signal;
+// Firestore keeps its own offline cache. A new build waits until the page asks it to take over,
+// which UpdatePrompt does when the user chooses to reload.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+const APP_VERSION = process.env.REACT_APP_BUILD_ID || 'dev';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every route (/units/..., /dashboard, ...) is served by the precached index.html. Files and
+// Firebase Hosting's reserved /__/ URLs go to the network.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate'
+        && url.origin === self.location.origin
+        && !url.pathname.startsWith('/__/')
+        && !url.pathname.match(fileExtensionRegexp),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Same-origin images from public/ (icons) that aren't in the webpack build
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && /\.(png|svg|ico)$/.test(url.pathname),
+    new StaleWhileRevalidate({ cacheName: 'images', plugins: [new ExpirationPlugin({ maxEntries: 50 })] })
+);
+
+// Punch item photo thumbnails, so units opened before going offline still show them
+registerRoute(
+    ({ url }) => url.hostname === 'firebasestorage.googleapis.com' && url.pathname.endsWith('_thumb.jpg'),
+    new StaleWhileRevalidate({
+        cacheName: 'photo-thumbnails',
+        plugins: [
+            new CacheableResponsePlugin({ statuses: [0, 200] }),
+            new ExpirationPlugin({ maxEntries: 300, maxAgeSeconds: 30 * 24 * 60 * 60 })
+        ]
+    })
+);
+
+self.addEventListener('message', (event) => {
+    if (!event.data) return;
+    if (event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (event.data.type === 'GET_VERSION' && event.ports[0]) {
+        event.ports[0].postMessage({ version: APP_VERSION });
+    }
+});
@@ -0,0 +1,70 @@
+// Registers the service worker in production builds and tells the page when a new build has
+// been downloaded and is waiting. Registration is skipped where service workers aren't
+// available, including the sandboxed blob: preview and plain-http hosts other than localhost.
+
+const updateListeners = new Set();
+let waitingRegistration = null;
+
+const notifyUpdate = (registration) => {
+    waitingRegistration = registration;
+    updateListeners.forEach(listener => listener(registration));
+};
+
+// listener(registration) runs when a new version is waiting, right away if one already is
+export const onUpdateReady = (listener) => {
+    updateListeners.add(listener);
+    if (waitingRegistration) listener(waitingRegistration);
+    return () => updateListeners.delete(listener);
+};
+
+const canRegister = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return false;
+    const { protocol, hostname } = window.location;
+    return protocol === 'https:' || (protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(hostname));
+};
+
+export const register = () => {
+    if (!canRegister()) return;
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+            // A build that finished installing while the app was closed
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                notifyUpdate(registration);
+            }
+            registration.addEventListener('updatefound', () => {
+                const installing = registration.installing;
+                if (!installing) return;
+                installing.addEventListener('statechange', () => {
+                    // With no controller this is the first install, not an update
+                    if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                        notifyUpdate(registration);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error("Error registering the service worker:", error);
+        }
+    });
+};
+
+// Asks a worker which app version it was built from
+export const getWorkerVersion = (worker) => new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timeout = setTimeout(() => resolve(null), 2000);
+    channel.port1.onmessage = (event) => {
+        clearTimeout(timeout);
+        resolve(event.data && event.data.version);
+    };
+    worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+});
+
+// Activates the waiting build and reloads once it controls the page
+export const applyUpdate = (registration) => {
+    if (!registration.waiting) {
+        window.location.reload();
+        return;
+    }
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,12 @@
+// Utility for a simple message box instead of alert()
+export const showMessage = (message, type = 'info') => {
+    const messageBox = document.getElementById('message-box');
+    if (messageBox) {
+        messageBox.textContent = message;
+        messageBox.className = `fixed bottom-4 right-4 p-4 rounded-lg shadow-lg text-white ${type === 'error' ? 'bg-red-600' : 'bg-blue-600'} z-50`;
+        messageBox.style.display = 'block';
+        setTimeout(() => {
+            messageBox.style.display = 'none';
+        }, 3000);
+    }
+};
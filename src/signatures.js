@@ -0,0 +1,15 @@
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { createTaskId } from './taskOperations';
+
+// Inspection signatures go to Storage like task photos, so the unit's inspection record only
+// keeps where they are and the unit document stays small.
+
+const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+// dataUrl is the PNG from SignaturePad; role is 'inspector' or 'ownerRep'. Resolves to the
+// { url, path } stored on the inspection record.
+export const uploadSignature = async (storage, { appId, unitId, role, dataUrl, userId }) => {
+    const signatureRef = ref(storage, `artifacts/${appId}/units/${unitId}/signatures/${role}-${createTaskId()}.png`);
+    await uploadBytes(signatureRef, await dataUrlToBlob(dataUrl), { contentType: 'image/png', customMetadata: { uploadedBy: userId, role } });
+    return { url: await getDownloadURL(signatureRef), path: signatureRef.fullPath };
+};
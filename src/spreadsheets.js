@@ -0,0 +1,58 @@
+import Papa from 'papaparse';
+import { downloadFile } from './qrLabels';
+
+export const SPREADSHEET_ACCEPT = '.csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Far more than any unit list needs, and keeps a hostile file from tying up the page
+export const MAX_SPREADSHEET_BYTES = 5 * 1024 * 1024;
+
+// The .xlsx reader and writer are only downloaded when someone uses them
+const loadXlsxReader = () => import('read-excel-file/browser');
+const loadXlsxWriter = () => import('write-excel-file/browser');
+
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value);
+};
+
+// Rows of cells to objects keyed by the header row, skipping blank rows
+export const toRowObjects = (cells) => {
+    const [header = [], ...rows] = cells.map(row => row.map(cellText));
+    return rows
+        .filter(row => row.some(value => value.trim() !== ''))
+        .map(row => Object.fromEntries(header.map((name, index) => [name, row[index] || ''])));
+};
+
+// Rows of the first sheet as objects keyed by the header row. Cells are read as text.
+export const readSpreadsheetRows = async (file, { loadReader = loadXlsxReader } = {}) => {
+    if (file.size > MAX_SPREADSHEET_BYTES) {
+        throw new Error(`The file is larger than ${MAX_SPREADSHEET_BYTES / 1024 / 1024} MB.`);
+    }
+    if (/\.csv$/i.test(file.name)) {
+        // Read as text so UTF-8 survives
+        return toRowObjects(Papa.parse(await file.text(), { skipEmptyLines: true }).data);
+    }
+    if (!/\.xlsx$/i.test(file.name)) {
+        throw new Error("Choose a .csv or .xlsx file. Save older .xls files as .xlsx first.");
+    }
+    const { readSheet } = await loadReader();
+    return toRowObjects(await readSheet(file));
+};
+
+// format is 'csv' or 'xlsx'; fileName has no extension. columns defaults to the first row's keys.
+export const downloadSpreadsheet = async (rows, fileName, format = 'csv', columns = undefined) => {
+    const header = columns || Object.keys(rows[0] || {});
+    const cells = [header, ...rows.map(row => header.map(name => (row[name] === undefined || row[name] === null ? '' : row[name])))];
+    let blob;
+    if (format === 'xlsx') {
+        const { default: writeExcelFile } = await loadXlsxWriter();
+        blob = await writeExcelFile(cells, { sheet: 'Punch List' }).toBlob();
+    } else {
+        // The byte order mark makes Excel open the CSV as UTF-8
+        blob = new Blob(['\uFEFF', Papa.unparse(cells)], { type: 'text/csv;charset=utf-8' });
+    }
+    const url = URL.createObjectURL(blob);
+    downloadFile(url, `${fileName}.${format}`);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,37 @@
+import { readSpreadsheetRows, toRowObjects, MAX_SPREADSHEET_BYTES } from './spreadsheets';
+
+// jsdom's File has no text(), so the tests hand over what a browser's File would
+const fakeFile = (name, contents = '', size = contents.length) => ({ name, size, text: async () => contents });
+
+test('reads a CSV into rows keyed by the header, keeping UTF-8 and skipping blank lines', async () => {
+  const file = fakeFile('units.csv', 'Unit,Address,Floor\nA-101,1 Rue Hélène,1\n,,\nA-102,"2 Main St, Apt 2",1\n');
+
+  await expect(readSpreadsheetRows(file)).resolves.toEqual([
+    { Unit: 'A-101', Address: '1 Rue Hélène', Floor: '1' },
+    { Unit: 'A-102', Address: '2 Main St, Apt 2', Floor: '1' }
+  ]);
+});
+
+test('reads the first sheet of an .xlsx as text', async () => {
+  const readSheet = jest.fn().mockResolvedValue([['Unit', 'Floor', 'Done'], ['A-101', 2, new Date('2026-10-01T00:00:00.000Z')], ['A-102', null]]);
+  const file = fakeFile('units.xlsx');
+
+  await expect(readSpreadsheetRows(file, { loadReader: async () => ({ readSheet }) })).resolves.toEqual([
+    { Unit: 'A-101', Floor: '2', Done: '2026-10-01' },
+    { Unit: 'A-102', Floor: '', Done: '' }
+  ]);
+  expect(readSheet).toHaveBeenCalledWith(file);
+});
+
+test('refuses files that are too large or not CSV or .xlsx before reading them', async () => {
+  const loadReader = jest.fn();
+
+  await expect(readSpreadsheetRows(fakeFile('units.xlsx', '', MAX_SPREADSHEET_BYTES + 1), { loadReader })).rejects.toThrow('larger than 5 MB');
+  await expect(readSpreadsheetRows(fakeFile('units.xls'), { loadReader })).rejects.toThrow('.csv or .xlsx');
+  expect(loadReader).not.toHaveBeenCalled();
+});
+
+test('gives rows with missing cells every header', () => {
+  expect(toRowObjects([['Unit', 'Address'], ['A-101']])).toEqual([{ Unit: 'A-101', Address: '' }]);
+  expect(toRowObjects([])).toEqual([]);
+});
@@ -0,0 +1,366 @@
+// Task changes are recorded as small operations on a single task instead of whole `trades`
+// snapshots. An operation can be applied to whatever the latest copy of a unit is, so two
+// people editing different tasks of the same unit never overwrite each other.
+
+export const createTaskId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// Tasks created before task IDs existed are matched by their name
+export const findTaskIndex = (tasks, operation) => {
+    if (operation.taskId) {
+        const index = tasks.findIndex(task => task.id === operation.taskId);
+        if (index !== -1) return index;
+    }
+    return tasks.findIndex(task => !task.id && task.task === operation.taskName);
+};
+
+// Fields that identify the task an operation targets
+const targetTask = (unitId, tradeName, task) => ({ unitId, trade: tradeName, taskId: task.id || null, taskName: task.task });
+
+// Tasks without IDs (from before task IDs existed) are ordered by name
+export const getTaskKey = (task) => task.id || task.task;
+
+export const createSetCompletedOperation = (unitId, tradeName, task, completed) => ({
+    type: 'setCompleted',
+    ...targetTask(unitId, tradeName, task),
+    completed
+});
+
+// Superintendent sign-off of work the trade has completed. It is stored in the unit's
+// verifications rather than on the task (see applyVerification).
+export const createVerifyOperation = (unitId, tradeName, task) => ({ type: 'verify', ...targetTask(unitId, tradeName, task) });
+
+// Sends completed or verified work back to Open with the reason
+export const createRejectOperation = (unitId, tradeName, task, reason) => ({ type: 'reject', ...targetTask(unitId, tradeName, task), reason });
+
+export const createRenameTaskOperation = (unitId, tradeName, task, newName) => ({ type: 'renameTask', ...targetTask(unitId, tradeName, task), newName });
+
+export const createSetNotesOperation = (unitId, tradeName, task, notes) => ({ type: 'setNotes', ...targetTask(unitId, tradeName, task), notes });
+
+export const createDeleteTaskOperation = (unitId, tradeName, task) => ({ type: 'deleteTask', ...targetTask(unitId, tradeName, task) });
+
+// taskKeys is the trade's new order (see getTaskKey); tasks missing from it keep their
+// relative order at the end, so tasks added elsewhere meanwhile aren't lost
+export const createReorderTasksOperation = (unitId, tradeName, taskKeys) => ({ type: 'reorderTasks', unitId, trade: tradeName, taskKeys });
+
+// source is 'manual' or 'ai' for tasks accepted from suggestions
+export const createAddTaskOperation = (unitId, tradeName, taskName, source = 'manual') => ({
+    type: 'addTask',
+    unitId,
+    trade: tradeName,
+    task: { id: createTaskId(), task: taskName, completed: false },
+    source
+});
+
+// A whole trade with fresh, open tasks; changes nothing on units that already have the trade
+export const createAddTradeOperation = (unitId, tradeName, taskNames) => ({
+    type: 'addTrade',
+    unitId,
+    trade: tradeName,
+    tasks: taskNames.map(taskName => ({ id: createTaskId(), task: taskName, completed: false }))
+});
+
+export const createRemoveTradeOperation = (unitId, tradeName) => ({ type: 'removeTrade', unitId, trade: tradeName });
+
+// Puts a task back exactly as it was, at index if it has been deleted since. Used to undo.
+export const createRestoreTaskOperation = (unitId, tradeName, task, index) => ({ type: 'restoreTask', ...targetTask(unitId, tradeName, task), task, index });
+
+export const createAddPhotoOperation = (unitId, tradeName, task, photo) => ({ type: 'addPhoto', ...targetTask(unitId, tradeName, task), photo });
+
+// assignment is { subcontractorId, dueDate }; nulls clear the task's own assignment so the
+// trade's assignment applies again
+export const createSetAssignmentOperation = (unitId, tradeName, task, assignment) => ({
+    type: 'setAssignment',
+    ...targetTask(unitId, tradeName, task),
+    assignedTo: assignment.subcontractorId || null,
+    dueDate: assignment.dueDate || null
+});
+
+// Who made a change and when it was made on their device, for sign-off details on the task
+const getOperationTime = (operation) => (operation.queuedAt ? new Date(operation.queuedAt).toISOString() : null);
+const getOperationUser = (operation) => operation.userEmail || operation.userId || null;
+
+const orderTasks = (tasks, taskKeys) => {
+    const position = (task) => {
+        const index = taskKeys.indexOf(getTaskKey(task));
+        return index === -1 ? taskKeys.length : index;
+    };
+    return tasks.map((task, index) => ({ task, index }))
+        .sort((a, b) => position(a.task) - position(b.task) || a.index - b.index)
+        .map(item => item.task);
+};
+
+const isSameOrder = (a, b) => a.length === b.length && a.every((task, index) => task === b[index]);
+
+const isSameTask = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const formatAssignment = (assignedTo, dueDate) => (assignedTo || dueDate ? `${assignedTo || 'Unassigned'}${dueDate ? ` due ${dueDate}` : ''}` : null);
+
+// Returns a new trades map with the operation applied; operations are idempotent so a
+// replayed operation that already reached the server changes nothing
+export const applyTaskOperation = (trades, operation) => {
+    const updatedTrades = { ...trades };
+    const tasks = updatedTrades[operation.trade] ? [...updatedTrades[operation.trade]] : [];
+
+    switch (operation.type) {
+        case 'setCompleted': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1 || !!tasks[index].completed === operation.completed) return trades;
+            // Who completed the task and when is kept for sign-off reports. A new completedAt
+            // also ends any verification of the previous completion.
+            tasks[index] = {
+                ...tasks[index],
+                completed: operation.completed,
+                completedAt: operation.completed ? getOperationTime(operation) : null,
+                completedBy: operation.completed ? getOperationUser(operation) : null
+            };
+            break;
+        }
+        case 'verify':
+            return trades; // see applyVerification
+        case 'reject': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1 || !tasks[index].completed) return trades;
+            tasks[index] = {
+                ...tasks[index],
+                completed: false,
+                completedAt: null,
+                completedBy: null,
+                rejection: { reason: operation.reason, by: getOperationUser(operation), at: getOperationTime(operation) }
+            };
+            break;
+        }
+        case 'renameTask': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1 || tasks[index].task === operation.newName) return trades;
+            tasks[index] = { ...tasks[index], task: operation.newName };
+            break;
+        }
+        case 'setNotes': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1 || (tasks[index].notes || '') === operation.notes) return trades;
+            tasks[index] = { ...tasks[index], notes: operation.notes };
+            break;
+        }
+        case 'deleteTask': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1) return trades;
+            tasks.splice(index, 1);
+            break;
+        }
+        case 'reorderTasks': {
+            const ordered = orderTasks(tasks, operation.taskKeys);
+            if (isSameOrder(ordered, tasks)) return trades;
+            updatedTrades[operation.trade] = ordered;
+            return updatedTrades;
+        }
+        case 'addPhoto': {
+            const index = findTaskIndex(tasks, operation);
+            const photos = index === -1 ? [] : tasks[index].photos || [];
+            if (index === -1 || photos.some(photo => photo.id === operation.photo.id)) return trades;
+            tasks[index] = { ...tasks[index], photos: [...photos, operation.photo] };
+            break;
+        }
+        case 'setAssignment': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1) return trades;
+            tasks[index] = { ...tasks[index], assignedTo: operation.assignedTo, dueDate: operation.dueDate };
+            break;
+        }
+        case 'addTask': {
+            if (tasks.some(task => task.id === operation.task.id)) return trades;
+            tasks.push(operation.task);
+            break;
+        }
+        case 'restoreTask': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1) {
+                tasks.splice(Math.min(operation.index, tasks.length), 0, operation.task);
+            } else if (isSameTask(tasks[index], operation.task)) {
+                return trades;
+            } else {
+                tasks[index] = operation.task;
+            }
+            break;
+        }
+        case 'addTrade': {
+            if (trades[operation.trade]) return trades;
+            updatedTrades[operation.trade] = operation.tasks;
+            return updatedTrades;
+        }
+        case 'removeTrade': {
+            if (!trades[operation.trade]) return trades;
+            delete updatedTrades[operation.trade];
+            return updatedTrades;
+        }
+        default:
+            console.warn("Unknown task operation:", operation.type);
+            return trades;
+    }
+
+    updatedTrades[operation.trade] = tasks;
+    return updatedTrades;
+};
+
+export const applyTaskOperations = (trades, operations) => operations.reduce(applyTaskOperation, trades || {});
+
+// Verifications are kept beside the trades in the unit's `verifications`,
+// { [trade]: { [taskKey]: { by, at, completedAt } } }, because security rules let subs rewrite
+// their own trade's tasks but not this map. A verification only counts while the task is still
+// the completion it signed off, so reopening the task or completing it again clears it.
+export const getTaskVerification = (verifications, tradeName, task) => {
+    const verification = ((verifications || {})[tradeName] || {})[getTaskKey(task)] || null;
+    return verification && task.completed && verification.completedAt === (task.completedAt || null) ? verification : null;
+};
+
+// Returns a new verifications map with a verify operation applied to the unit's trades; any
+// other operation leaves it as it is
+export const applyVerification = (verifications, trades, operation) => {
+    if (operation.type !== 'verify') return verifications;
+    const tasks = (trades && trades[operation.trade]) || [];
+    const index = findTaskIndex(tasks, operation);
+    if (index === -1 || !tasks[index].completed || getTaskVerification(verifications, operation.trade, tasks[index])) return verifications;
+    const task = tasks[index];
+    return {
+        ...verifications,
+        [operation.trade]: {
+            ...((verifications || {})[operation.trade] || {}),
+            [getTaskKey(task)]: { by: getOperationUser(operation), at: getOperationTime(operation), completedAt: task.completedAt || null }
+        }
+    };
+};
+
+// A unit's { trades, verifications } with the operations applied in order
+export const applyUnitTaskOperations = (unit, operations) => operations.reduce((state, operation) => ({
+    trades: applyTaskOperation(state.trades, operation),
+    verifications: applyVerification(state.verifications, state.trades, operation)
+}), { trades: unit.trades || {}, verifications: unit.verifications || {} });
+
+// A unit as it looks with this device's queued task changes applied
+export const withPendingOperations = (unit, pendingOperations) => ({
+    ...unit,
+    ...applyUnitTaskOperations(unit, pendingOperations.filter(operation => operation.unitId === unit.id))
+});
+
+// Audit record of what an operation changed, given the task list it was applied to and the
+// unit's verifications. Returns null when the operation changed nothing (e.g. a replay that
+// already landed).
+export const describeTaskChange = (trades, operation, verifications = {}) => {
+    const tasks = (trades && trades[operation.trade]) || [];
+    const base = { trade: operation.trade, taskId: operation.taskId || null, taskName: operation.taskName || null };
+
+    switch (operation.type) {
+        case 'setCompleted': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1 || !!tasks[index].completed === operation.completed) return null;
+            return { ...base, taskId: tasks[index].id || null, action: 'toggle', oldValue: !!tasks[index].completed, newValue: operation.completed };
+        }
+        case 'addTask': {
+            if (tasks.some(task => task.id === operation.task.id)) return null;
+            return {
+                ...base,
+                taskId: operation.task.id,
+                taskName: operation.task.task,
+                action: operation.source === 'ai' ? 'ai-add' : 'add',
+                oldValue: null,
+                newValue: operation.task.task
+            };
+        }
+        case 'verify': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1 || !tasks[index].completed || getTaskVerification(verifications, operation.trade, tasks[index])) return null;
+            return { ...base, taskId: tasks[index].id || null, action: 'verify', oldValue: 'Completed', newValue: 'Verified' };
+        }
+        case 'reject': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1 || !tasks[index].completed) return null;
+            return {
+                ...base,
+                taskId: tasks[index].id || null,
+                action: 'reject',
+                oldValue: getTaskVerification(verifications, operation.trade, tasks[index]) ? 'Verified' : 'Completed',
+                newValue: 'Open',
+                reason: operation.reason
+            };
+        }
+        case 'renameTask': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1 || tasks[index].task === operation.newName) return null;
+            return { ...base, taskId: tasks[index].id || null, action: 'rename', oldValue: tasks[index].task, newValue: operation.newName };
+        }
+        case 'setNotes': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1 || (tasks[index].notes || '') === operation.notes) return null;
+            return { ...base, taskId: tasks[index].id || null, action: 'notes', oldValue: tasks[index].notes || null, newValue: operation.notes || null };
+        }
+        case 'deleteTask': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1) return null;
+            return { ...base, taskId: tasks[index].id || null, action: 'delete', oldValue: tasks[index].task, newValue: null };
+        }
+        case 'reorderTasks': {
+            if (isSameOrder(orderTasks(tasks, operation.taskKeys), tasks)) return null;
+            return { ...base, action: 'reorder', oldValue: null, newValue: null };
+        }
+        case 'setAssignment': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1) return null;
+            const oldValue = formatAssignment(tasks[index].assignedTo, tasks[index].dueDate);
+            const newValue = formatAssignment(operation.assignedTo, operation.dueDate);
+            if (oldValue === newValue) return null;
+            return { ...base, taskId: tasks[index].id || null, action: 'assign', oldValue, newValue };
+        }
+        case 'addPhoto': {
+            const index = findTaskIndex(tasks, operation);
+            if (index === -1) return null;
+            return { ...base, taskId: tasks[index].id || null, action: 'photo', oldValue: null, newValue: operation.photo.kind };
+        }
+        case 'restoreTask': {
+            const index = findTaskIndex(tasks, operation);
+            if (index !== -1 && isSameTask(tasks[index], operation.task)) return null;
+            return { ...base, action: 'restore', oldValue: index === -1 ? null : tasks[index].task, newValue: operation.task.task };
+        }
+        case 'addTrade': {
+            if (trades && trades[operation.trade]) return null;
+            return { ...base, action: 'add-trade', oldValue: null, newValue: operation.tasks.length };
+        }
+        case 'removeTrade': {
+            if (!trades || !trades[operation.trade]) return null;
+            return { ...base, action: 'delete-trade', oldValue: tasks.length, newValue: null };
+        }
+        default:
+            return null;
+    }
+};
+
+// The operation that takes back what operation does to trades, or null when it changes nothing.
+// Undoing a change to a task restores the task as it was, including who completed it and so
+// any verification of that completion.
+export const getUndoOperation = (trades, operation) => {
+    if (!describeTaskChange(trades, operation)) return null;
+    const tasks = (trades && trades[operation.trade]) || [];
+    const { unitId, trade } = operation;
+
+    switch (operation.type) {
+        case 'addTask':
+            return createDeleteTaskOperation(unitId, trade, operation.task);
+        case 'addTrade':
+            return createRemoveTradeOperation(unitId, trade);
+        case 'removeTrade':
+            return { type: 'addTrade', unitId, trade, tasks };
+        case 'reorderTasks':
+            return createReorderTasksOperation(unitId, trade, tasks.map(getTaskKey));
+        case 'restoreTask': {
+            const index = findTaskIndex(tasks, operation);
+            return index === -1 ? createDeleteTaskOperation(unitId, trade, operation.task) : createRestoreTaskOperation(unitId, trade, tasks[index], index);
+        }
+        default: {
+            const index = findTaskIndex(tasks, operation);
+            return createRestoreTaskOperation(unitId, trade, tasks[index], index);
+        }
+    }
+};
+
+// Whether a history entry belongs to the given task
+export const isHistoryForTask = (entry, tradeName, task) => entry.trade === tradeName && (
+    task.id ? entry.taskId === task.id : !entry.taskId && entry.taskName === task.task
+);
@@ -0,0 +1,176 @@
+import {
+  applyTaskOperation,
+  applyTaskOperations,
+  applyUnitTaskOperations,
+  getTaskVerification,
+  createSetCompletedOperation,
+  createAddTaskOperation,
+  createSetAssignmentOperation,
+  createAddPhotoOperation,
+  createVerifyOperation,
+  createRejectOperation,
+  createRenameTaskOperation,
+  createSetNotesOperation,
+  createDeleteTaskOperation,
+  createReorderTasksOperation,
+  createAddTradeOperation,
+  createRemoveTradeOperation,
+  getTaskKey,
+  getUndoOperation,
+  describeTaskChange,
+  isHistoryForTask
+} from './taskOperations';
+
+const trades = {
+  Electrical: [
+    { task: 'Rough-in wiring', completed: false },
+    { id: 'fixtures', task: 'Fixture installation', completed: false }
+  ],
+  Plumbing: [
+    { id: 'pipes', task: 'Rough-in pipes', completed: false }
+  ]
+};
+
+test('sets completion on tasks matched by id or, for older tasks, by name', () => {
+  const byName = applyTaskOperation(trades, createSetCompletedOperation('U1', 'Electrical', trades.Electrical[0], true));
+  const byId = applyTaskOperation(byName, createSetCompletedOperation('U1', 'Electrical', trades.Electrical[1], true));
+  expect(byId.Electrical.map(task => task.completed)).toEqual([true, true]);
+  // The input is never mutated
+  expect(trades.Electrical[0].completed).toBe(false);
+});
+
+test('merges concurrent changes to different tasks of the same unit', () => {
+  const mine = createSetCompletedOperation('U1', 'Electrical', trades.Electrical[1], true);
+  const theirs = createSetCompletedOperation('U1', 'Plumbing', trades.Plumbing[0], true);
+  // Their change reached the server first; mine replays on top of it
+  const server = applyTaskOperation(trades, theirs);
+  const merged = applyTaskOperation(server, mine);
+  expect(merged.Plumbing[0].completed).toBe(true);
+  expect(merged.Electrical[1].completed).toBe(true);
+});
+
+test('replaying an add is idempotent', () => {
+  const add = createAddTaskOperation('U1', 'Drywall', 'Hang sheets');
+  const result = applyTaskOperations(trades, [add, add]);
+  expect(result.Drywall).toEqual([{ id: add.task.id, task: 'Hang sheets', completed: false }]);
+});
+
+test('ignores changes to tasks that no longer exist', () => {
+  const operation = createSetCompletedOperation('U1', 'Electrical', { id: 'gone', task: 'Removed' }, true);
+  expect(applyTaskOperation(trades, operation)).toBe(trades);
+});
+
+test('attaches a photo to a task once', () => {
+  const photo = { id: 'p1', kind: 'deficiency', url: 'full.jpg', thumbnailUrl: 'thumb.jpg' };
+  const add = createAddPhotoOperation('U1', 'Plumbing', trades.Plumbing[0], photo);
+  expect(applyTaskOperations(trades, [add, add]).Plumbing[0].photos).toEqual([photo]);
+});
+
+test('assigns a single task and records the change', () => {
+  const assign = createSetAssignmentOperation('U1', 'Plumbing', trades.Plumbing[0], { subcontractorId: 'acme', dueDate: '2026-11-01' });
+  const updated = applyTaskOperation(trades, assign);
+  expect(updated.Plumbing[0]).toMatchObject({ assignedTo: 'acme', dueDate: '2026-11-01' });
+  expect(describeTaskChange(trades, assign)).toMatchObject({ action: 'assign', oldValue: null, newValue: 'acme due 2026-11-01' });
+  expect(describeTaskChange(updated, assign)).toBeNull();
+});
+
+test('moves a task through completed and verified, and back to open on rejection', () => {
+  const stamp = { userId: 'uid-1', userEmail: 'super@example.com', queuedAt: Date.UTC(2026, 9, 19) };
+  const task = trades.Plumbing[0];
+  const verify = { ...createVerifyOperation('U1', 'Plumbing', task), ...stamp };
+  const unit = { trades, verifications: {} };
+  const completed = applyUnitTaskOperations(unit, [{ ...createSetCompletedOperation('U1', 'Plumbing', task, true), ...stamp }]);
+  // Only completed work can be verified
+  expect(applyUnitTaskOperations(unit, [verify]).verifications).toBe(unit.verifications);
+
+  // The sign-off is kept outside the trades, tied to the completion it verified
+  const verified = applyUnitTaskOperations(completed, [verify]);
+  expect(verified.trades).toBe(completed.trades);
+  expect(getTaskVerification(verified.verifications, 'Plumbing', verified.trades.Plumbing[0])).toEqual({
+    by: 'super@example.com',
+    at: '2026-10-19T00:00:00.000Z',
+    completedAt: '2026-10-19T00:00:00.000Z'
+  });
+  expect(describeTaskChange(verified.trades, verify, verified.verifications)).toBeNull();
+
+  const reject = { ...createRejectOperation('U1', 'Plumbing', task, 'Leaks at trap'), ...stamp };
+  expect(describeTaskChange(verified.trades, reject, verified.verifications)).toMatchObject({ action: 'reject', oldValue: 'Verified', newValue: 'Open', reason: 'Leaks at trap' });
+  const rejected = applyUnitTaskOperations(verified, [reject]);
+  expect(rejected.trades.Plumbing[0]).toMatchObject({ completed: false, completedBy: null, rejection: { reason: 'Leaks at trap', by: 'super@example.com' } });
+  expect(applyTaskOperation(rejected.trades, reject)).toBe(rejected.trades);
+
+  // Completing the task again needs a new sign-off
+  const redone = applyUnitTaskOperations(rejected, [{ ...createSetCompletedOperation('U1', 'Plumbing', task, true), ...stamp, queuedAt: Date.UTC(2026, 9, 20) }]);
+  expect(getTaskVerification(redone.verifications, 'Plumbing', redone.trades.Plumbing[0])).toBeNull();
+});
+
+test('renames, annotates and deletes tasks', () => {
+  const task = trades.Electrical[1];
+  const renamed = applyTaskOperation(trades, createRenameTaskOperation('U1', 'Electrical', task, 'Hang fixtures'));
+  expect(renamed.Electrical[1]).toMatchObject({ id: 'fixtures', task: 'Hang fixtures' });
+
+  const notes = createSetNotesOperation('U1', 'Electrical', task, 'Fixtures on site Tuesday');
+  expect(applyTaskOperation(trades, notes).Electrical[1].notes).toBe('Fixtures on site Tuesday');
+  expect(describeTaskChange(trades, notes)).toMatchObject({ action: 'notes', oldValue: null, newValue: 'Fixtures on site Tuesday' });
+
+  const remove = createDeleteTaskOperation('U1', 'Electrical', task);
+  const deleted = applyTaskOperation(trades, remove);
+  expect(deleted.Electrical.map(item => item.task)).toEqual(['Rough-in wiring']);
+  expect(describeTaskChange(deleted, remove)).toBeNull();
+});
+
+test('reorders tasks and keeps tasks added meanwhile at the end', () => {
+  const added = createAddTaskOperation('U1', 'Electrical', 'Panel labels');
+  const reorder = createReorderTasksOperation('U1', 'Electrical', [...trades.Electrical].reverse().map(getTaskKey));
+  const result = applyTaskOperations(trades, [added, reorder]);
+  expect(result.Electrical.map(task => task.task)).toEqual(['Fixture installation', 'Rough-in wiring', 'Panel labels']);
+  expect(describeTaskChange(result, reorder)).toBeNull();
+  expect(describeTaskChange(trades, reorder)).toMatchObject({ action: 'reorder' });
+});
+
+test('describes what an operation changed for the audit trail', () => {
+  const toggle = createSetCompletedOperation('U1', 'Plumbing', trades.Plumbing[0], true);
+  expect(describeTaskChange(trades, toggle)).toEqual({
+    trade: 'Plumbing', taskId: 'pipes', taskName: 'Rough-in pipes', action: 'toggle', oldValue: false, newValue: true
+  });
+  // Nothing to record once the change is already on the server
+  expect(describeTaskChange(applyTaskOperation(trades, toggle), toggle)).toBeNull();
+
+  const suggested = createAddTaskOperation('U1', 'Plumbing', 'Pressure test', 'ai');
+  expect(describeTaskChange(trades, suggested)).toMatchObject({ action: 'ai-add', oldValue: null, newValue: 'Pressure test' });
+});
+
+test('matches history entries to tasks with and without ids', () => {
+  expect(isHistoryForTask({ trade: 'Plumbing', taskId: 'pipes' }, 'Plumbing', trades.Plumbing[0])).toBe(true);
+  expect(isHistoryForTask({ trade: 'Electrical', taskId: null, taskName: 'Rough-in wiring' }, 'Electrical', trades.Electrical[0])).toBe(true);
+  expect(isHistoryForTask({ trade: 'Electrical', taskId: 'fixtures' }, 'Electrical', trades.Electrical[0])).toBe(false);
+});
+
+test('adds and removes whole trades', () => {
+  const added = applyTaskOperation(trades, createAddTradeOperation('U1', 'Painting', ['Prime', 'Paint']));
+  expect(added.Painting.map(task => [task.task, task.completed])).toEqual([['Prime', false], ['Paint', false]]);
+  // A trade the unit already has is left alone
+  expect(applyTaskOperation(added, createAddTradeOperation('U1', 'Painting', ['Other']))).toBe(added);
+
+  const removed = applyTaskOperation(added, createRemoveTradeOperation('U1', 'Painting'));
+  expect(Object.keys(removed)).toEqual(['Electrical', 'Plumbing']);
+  expect(describeTaskChange(removed, createRemoveTradeOperation('U1', 'Painting'))).toBeNull();
+});
+
+test('undoes an operation, restoring tasks as they were', () => {
+  const completed = applyTaskOperation(trades, { ...createSetCompletedOperation('U1', 'Electrical', trades.Electrical[1], true), userEmail: 'sparky@example.com', queuedAt: 0 });
+  const changes = [
+    createSetCompletedOperation('U1', 'Electrical', completed.Electrical[1], false),
+    createDeleteTaskOperation('U1', 'Electrical', completed.Electrical[0]),
+    createAddTaskOperation('U1', 'Electrical', 'Device trim'),
+    createRemoveTradeOperation('U1', 'Plumbing')
+  ];
+
+  changes.forEach(operation => {
+    const changed = applyTaskOperation(completed, operation);
+    expect(applyTaskOperation(changed, getUndoOperation(completed, operation))).toEqual(completed);
+  });
+  // Undoing a reset brings back who completed the task
+  expect(applyTaskOperation(applyTaskOperation(completed, changes[0]), getUndoOperation(completed, changes[0])).Electrical[1].completedBy).toBe('sparky@example.com');
+  expect(getUndoOperation(completed, createSetCompletedOperation('U1', 'Electrical', completed.Electrical[1], true))).toBeNull();
+});
@@ -0,0 +1,157 @@
+// AI task suggestions behind a small provider interface: a provider turns a suggestion context
+// into a list of task names, and the service cleans that list up against the unit's existing
+// tasks. Nothing here writes to the unit; UnitView shows the results for review first.
+//
+// Configured at build time:
+//   REACT_APP_SUGGESTIONS_PROVIDER  'gemini' (default), 'openai' for any OpenAI-compatible
+//                                   chat completions endpoint, or 'mock' for offline dev
+//   REACT_APP_SUGGESTIONS_ENDPOINT  base URL of the API
+//   REACT_APP_SUGGESTIONS_MODEL     model name
+//   REACT_APP_SUGGESTIONS_API_KEY   sent as the provider expects; left empty when a proxy adds it
+
+export const DEFAULT_SUGGESTION_COUNT = 5;
+const MAX_TASK_LENGTH = 120;
+
+const PROVIDER_DEFAULTS = {
+    gemini: { endpoint: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.0-flash' },
+    openai: { endpoint: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+    mock: { endpoint: '', model: 'mock' }
+};
+
+export const getSuggestionConfig = (env = process.env) => {
+    const provider = env.REACT_APP_SUGGESTIONS_PROVIDER || 'gemini';
+    const defaults = PROVIDER_DEFAULTS[provider] || {};
+    return {
+        provider,
+        endpoint: (env.REACT_APP_SUGGESTIONS_ENDPOINT || defaults.endpoint || '').replace(/\/+$/, ''),
+        model: env.REACT_APP_SUGGESTIONS_MODEL || defaults.model || '',
+        apiKey: env.REACT_APP_SUGGESTIONS_API_KEY || ''
+    };
+};
+
+// Case, spacing and trailing punctuation don't make a task different
+export const normalizeTaskName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Trimmed, unique suggestions that aren't already on the trade
+export const filterSuggestions = (suggestions, existingTasks = []) => {
+    const seen = new Set(existingTasks.map(normalizeTaskName));
+    const result = [];
+    suggestions.forEach(suggestion => {
+        if (typeof suggestion !== 'string') return;
+        const name = suggestion.trim().replace(/\s+/g, ' ');
+        const key = normalizeTaskName(name);
+        if (!key || name.length > MAX_TASK_LENGTH || seen.has(key)) return;
+        seen.add(key);
+        result.push(name);
+    });
+    return result;
+};
+
+// context: { tradeName, existingTasks: [names], otherTrades: [names], unitType, count }
+export const buildSuggestionPrompt = ({ tradeName, existingTasks = [], otherTrades = [], unitType, count = DEFAULT_SUGGESTION_COUNT }) => {
+    const lines = [
+        `Suggest ${count} punch list tasks for the "${tradeName}" trade in a residential construction unit${unitType ? ` of type "${unitType}"` : ''}.`
+    ];
+    if (existingTasks.length > 0) {
+        lines.push(`The trade already has these tasks, so do not repeat or rephrase them: ${existingTasks.map(task => `"${task}"`).join(', ')}.`);
+        lines.push('Suggest tasks that fill gaps in that list, in the order they would be done.');
+    }
+    if (otherTrades.length > 0) {
+        lines.push(`Other trades on this unit are ${otherTrades.join(', ')}; leave their work out.`);
+    }
+    lines.push('Keep each task short (under 10 words), starting with a verb.');
+    lines.push('Reply with only a JSON array of strings, e.g. ["Task 1", "Task 2"].');
+    return lines.join('\n');
+};
+
+// Models sometimes wrap the array in a code fence or add a sentence around it
+export const parseSuggestionList = (text) => {
+    const match = String(text).match(/\[[\s\S]*\]/);
+    if (!match) throw new Error("The suggestion service didn't return a list of tasks.");
+    const list = JSON.parse(match[0]);
+    if (!Array.isArray(list)) throw new Error("The suggestion service didn't return a list of tasks.");
+    return list;
+};
+
+const postJson = async (fetchImpl, url, body, headers = {}) => {
+    const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    if (!response.ok) throw new Error(`The suggestion service returned ${response.status}.`);
+    return response.json();
+};
+
+const createGeminiProvider = ({ endpoint, model, apiKey }, fetchImpl) => async (context) => {
+    const result = await postJson(fetchImpl, `${endpoint}/models/${model}:generateContent?key=${encodeURIComponent(apiKey)}`, {
+        contents: [{ role: 'user', parts: [{ text: buildSuggestionPrompt(context) }] }],
+        generationConfig: {
+            responseMimeType: 'application/json',
+            responseSchema: { type: 'ARRAY', items: { type: 'STRING' } }
+        }
+    });
+    const part = result.candidates && result.candidates[0] && result.candidates[0].content && result.candidates[0].content.parts && result.candidates[0].content.parts[0];
+    if (!part) throw new Error("The suggestion service returned no tasks.");
+    return parseSuggestionList(part.text);
+};
+
+const createOpenAiProvider = ({ endpoint, model, apiKey }, fetchImpl) => async (context) => {
+    const result = await postJson(fetchImpl, `${endpoint}/chat/completions`, {
+        model,
+        messages: [{ role: 'user', content: buildSuggestionPrompt(context) }]
+    }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+    const message = result.choices && result.choices[0] && result.choices[0].message;
+    if (!message) throw new Error("The suggestion service returned no tasks.");
+    return parseSuggestionList(message.content);
+};
+
+// Canned tasks for development and tests; unknown trades get generic close-out items
+const MOCK_TASKS = {
+    electrical: ['Rough-in wiring', 'Install boxes', 'Pull wire to panel', 'Install devices and cover plates', 'Fixture installation', 'Label panel circuits', 'Test GFCI and AFCI outlets'],
+    plumbing: ['Rough-in pipes', 'Pressure test supply lines', 'Set tub and shower valves', 'Fixture hookup', 'Check for leaks under sinks', 'Install shutoff valves'],
+    drywall: ['Hang sheets', 'Tape and mud', 'Sand joints smooth', 'Patch fastener pops', 'Corner bead installation'],
+    painting: ['Prime walls', 'Caulk trim gaps', 'Apply finish coats', 'Touch up scuffs', 'Paint doors and trim'],
+    flooring: ['Install subfloor', 'Check subfloor level', 'Lay finish flooring', 'Install transitions and thresholds', 'Install baseboards']
+};
+
+const createMockProvider = () => async ({ tradeName, unitType }) => {
+    const tasks = MOCK_TASKS[normalizeTaskName(tradeName)] || [`Inspect ${tradeName} work`, `Clean up after ${tradeName}`, `Fix ${tradeName} deficiencies`];
+    // Extra items so there's still something to suggest once the usual tasks are on the unit
+    return [...tasks, `Final ${tradeName} walkthrough${unitType ? ` (${unitType})` : ''}`, `Photograph completed ${tradeName} work`];
+};
+
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAiProvider,
+    mock: createMockProvider
+};
+
+export const SUGGESTION_PROVIDERS = Object.keys(PROVIDERS);
+
+// suggestTasks(context) resolves to up to `count` new task names for context.tradeName
+export const createSuggestionService = (config = getSuggestionConfig(), { fetch: fetchImpl = (...args) => fetch(...args) } = {}) => {
+    const createProvider = PROVIDERS[config.provider];
+    if (!createProvider) throw new Error(`Unknown suggestion provider "${config.provider}". Use one of: ${SUGGESTION_PROVIDERS.join(', ')}.`);
+    const provider = createProvider(config, fetchImpl);
+    return {
+        provider: config.provider,
+        suggestTasks: async (context) => {
+            const count = context.count || DEFAULT_SUGGESTION_COUNT;
+            const suggestions = await provider({ ...context, count });
+            return filterSuggestions(suggestions, context.existingTasks).slice(0, count);
+        }
+    };
+};
+
+// The context for one trade on a unit: its current tasks, the other trades and the unit type
+export const getSuggestionContext = (unit, tradeName, templates = []) => {
+    const trades = unit.trades || {};
+    const template = templates.find(item => item.id === unit.templateId);
+    return {
+        tradeName,
+        existingTasks: (trades[tradeName] || []).map(task => task.task),
+        otherTrades: Object.keys(trades).filter(name => name !== tradeName),
+        unitType: template ? template.name : null
+    };
+};
@@ -0,0 +1,93 @@
+import {
+  getSuggestionConfig,
+  filterSuggestions,
+  buildSuggestionPrompt,
+  parseSuggestionList,
+  createSuggestionService,
+  getSuggestionContext
+} from './taskSuggestions';
+
+const unit = {
+  id: 'BuildingA-Unit101',
+  templateId: 'studio',
+  trades: {
+    Electrical: [{ id: 'e1', task: 'Rough-in wiring', completed: true }, { id: 'e2', task: 'Install boxes', completed: false }],
+    Plumbing: []
+  }
+};
+
+test('reads the provider, endpoint and model from the environment with defaults', () => {
+  expect(getSuggestionConfig({})).toEqual({
+    provider: 'gemini',
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-2.0-flash',
+    apiKey: ''
+  });
+  expect(getSuggestionConfig({
+    REACT_APP_SUGGESTIONS_PROVIDER: 'openai',
+    REACT_APP_SUGGESTIONS_ENDPOINT: 'http://localhost:11434/v1/',
+    REACT_APP_SUGGESTIONS_MODEL: 'llama3',
+    REACT_APP_SUGGESTIONS_API_KEY: 'secret'
+  })).toEqual({ provider: 'openai', endpoint: 'http://localhost:11434/v1', model: 'llama3', apiKey: 'secret' });
+});
+
+test('drops suggestions that only differ from existing tasks by case, spacing or punctuation', () => {
+  expect(filterSuggestions(
+    ['  rough-in   WIRING ', 'Label panel circuits.', 'Label panel circuits', '', 42, 'Test  GFCI outlets'],
+    ['Rough-in wiring']
+  )).toEqual(['Label panel circuits.', 'Test GFCI outlets']);
+});
+
+test('builds the context and prompt from the unit tasks, other trades and template', () => {
+  const context = getSuggestionContext(unit, 'Electrical', [{ id: 'studio', name: 'Studio' }]);
+  expect(context).toEqual({
+    tradeName: 'Electrical',
+    existingTasks: ['Rough-in wiring', 'Install boxes'],
+    otherTrades: ['Plumbing'],
+    unitType: 'Studio'
+  });
+
+  const prompt = buildSuggestionPrompt(context);
+  expect(prompt).toContain('"Electrical" trade');
+  expect(prompt).toContain('of type "Studio"');
+  expect(prompt).toContain('"Rough-in wiring", "Install boxes"');
+  expect(prompt).toContain('Other trades on this unit are Plumbing');
+});
+
+test('parses a JSON list even when the model wraps it in text', () => {
+  expect(parseSuggestionList('```json\n["A", "B"]\n```')).toEqual(['A', 'B']);
+  expect(() => parseSuggestionList('Sorry, I cannot help.')).toThrow("didn't return a list");
+});
+
+test('the mock provider suggests new tasks without a network call', async () => {
+  const fetch = jest.fn();
+  const service = createSuggestionService({ provider: 'mock' }, { fetch });
+  const context = getSuggestionContext(unit, 'Electrical');
+  const suggestions = await service.suggestTasks({ ...context, count: 3 });
+
+  expect(fetch).not.toHaveBeenCalled();
+  expect(suggestions).toEqual(['Pull wire to panel', 'Install devices and cover plates', 'Fixture installation']);
+});
+
+test('calls the configured Gemini endpoint and model', async () => {
+  const fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ candidates: [{ content: { parts: [{ text: '["Install boxes", "Label panel circuits"]' }] } }] })
+  });
+  const service = createSuggestionService({ provider: 'gemini', endpoint: 'https://example.test/v1', model: 'gemini-test', apiKey: 'k' }, { fetch });
+
+  expect(await service.suggestTasks(getSuggestionContext(unit, 'Electrical'))).toEqual(['Label panel circuits']);
+  expect(fetch.mock.calls[0][0]).toBe('https://example.test/v1/models/gemini-test:generateContent?key=k');
+});
+
+test('OpenAI-compatible responses and errors are surfaced', async () => {
+  const fetch = jest.fn()
+    .mockResolvedValueOnce({ ok: true, json: async () => ({ choices: [{ message: { content: '["Set tub valves"]' } }] }) })
+    .mockResolvedValueOnce({ ok: false, status: 429 });
+  const service = createSuggestionService({ provider: 'openai', endpoint: 'https://example.test/v1', model: 'm', apiKey: 'k' }, { fetch });
+
+  expect(await service.suggestTasks({ tradeName: 'Plumbing', existingTasks: [] })).toEqual(['Set tub valves']);
+  expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer k');
+  await expect(service.suggestTasks({ tradeName: 'Plumbing', existingTasks: [] })).rejects.toThrow('returned 429');
+  expect(() => createSuggestionService({ provider: 'nope' })).toThrow('Unknown suggestion provider');
+});
@@ -0,0 +1,69 @@
+import { createTaskId } from './taskOperations';
+
+// A template is an ordered checklist: { name, trades: [{ name, tasks: ['Task', ...] }] }.
+// Units copy it into their `trades` map and keep the trade order in `tradeOrder`.
+
+export const DEFAULT_TEMPLATE_ID = 'standard-unit';
+
+export const DEFAULT_TEMPLATE = {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'Standard Unit',
+    trades: [
+        { name: 'Electrical', tasks: ['Rough-in wiring', 'Fixture installation'] },
+        { name: 'Plumbing', tasks: ['Rough-in pipes', 'Fixture hookup'] },
+        { name: 'Drywall', tasks: ['Hang sheets', 'Tape and mud'] },
+        { name: 'Painting', tasks: ['Prime walls', 'Apply finish coats'] },
+        { name: 'Flooring', tasks: ['Install subfloor', 'Lay finish flooring'] }
+    ]
+};
+
+// Firestore templates plus the built-in default until it has been saved and edited
+export const withDefaultTemplate = (templates) => (
+    templates.some(template => template.id === DEFAULT_TEMPLATE_ID) ? templates : [DEFAULT_TEMPLATE, ...templates]
+);
+
+export const createTradesFromTemplate = (template) => {
+    const trades = {};
+    template.trades.forEach(trade => {
+        trades[trade.name] = trade.tasks.map(task => ({ id: createTaskId(), task, completed: false }));
+    });
+    return trades;
+};
+
+// Everything a new unit needs from its template
+export const getTemplateUnitFields = (template) => ({
+    templateId: template.id,
+    trades: createTradesFromTemplate(template),
+    tradeOrder: template.trades.map(trade => trade.name)
+});
+
+// Firestore keeps map keys sorted, so units created from a template carry their trade order
+export const getOrderedTradeNames = (trades = {}, tradeOrder = []) => {
+    const names = Object.keys(trades);
+    const ordered = tradeOrder.filter(name => names.includes(name));
+    return [...ordered, ...names.filter(name => !ordered.includes(name)).sort()];
+};
+
+export const isUnitStarted = (unit) => Object.values(unit.trades || {}).some(tasks => tasks.some(task => task.completed));
+
+// Units that were created from the template and have no completed work yet
+export const getTemplatePushTargets = (units, templateId) => units.filter(unit => unit.templateId === templateId && !isUnitStarted(unit));
+
+export const moveItem = (items, index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return items;
+    const moved = [...items];
+    [moved[index], moved[target]] = [moved[target], moved[index]];
+    return moved;
+};
+
+export const validateTemplate = (template) => {
+    const errors = [];
+    if (!template.name.trim()) errors.push("Template name cannot be empty.");
+    if (template.trades.length === 0) errors.push("Add at least one trade.");
+    const tradeNames = template.trades.map(trade => trade.name.trim());
+    if (tradeNames.some(name => !name)) errors.push("Trade names cannot be empty.");
+    if (new Set(tradeNames).size !== tradeNames.length) errors.push("Trade names must be unique.");
+    if (template.trades.some(trade => trade.tasks.some(task => !task.trim()))) errors.push("Task names cannot be empty.");
+    return errors;
+};
@@ -0,0 +1,39 @@
+import {
+  DEFAULT_TEMPLATE,
+  getTemplateUnitFields,
+  getOrderedTradeNames,
+  getTemplatePushTargets,
+  moveItem,
+  validateTemplate
+} from './templates';
+
+test('creates unit trades and trade order from a template', () => {
+  const fields = getTemplateUnitFields({ id: 'studio', name: 'Studio', trades: [{ name: 'Plumbing', tasks: ['Set toilet'] }, { name: 'Electrical', tasks: [] }] });
+  expect(fields.templateId).toBe('studio');
+  expect(fields.tradeOrder).toEqual(['Plumbing', 'Electrical']);
+  expect(fields.trades.Plumbing).toEqual([{ id: expect.any(String), task: 'Set toilet', completed: false }]);
+  expect(fields.trades.Electrical).toEqual([]);
+});
+
+test('orders trades by the template, then alphabetically', () => {
+  expect(getOrderedTradeNames({ A: [], B: [], Z: [], C: [] }, ['Z', 'B', 'Gone'])).toEqual(['Z', 'B', 'A', 'C']);
+});
+
+test('only pushes to unstarted units created from the template', () => {
+  const units = [
+    { id: '1', templateId: 't', trades: { E: [{ completed: false }] } },
+    { id: '2', templateId: 't', trades: { E: [{ completed: true }] } },
+    { id: '3', templateId: 'other', trades: {} }
+  ];
+  expect(getTemplatePushTargets(units, 't').map(unit => unit.id)).toEqual(['1']);
+});
+
+test('moves items within bounds', () => {
+  expect(moveItem(['a', 'b', 'c'], 0, 1)).toEqual(['b', 'a', 'c']);
+  expect(moveItem(['a', 'b'], 0, -1)).toEqual(['a', 'b']);
+});
+
+test('validates template names', () => {
+  expect(validateTemplate(DEFAULT_TEMPLATE)).toEqual([]);
+  expect(validateTemplate({ name: ' ', trades: [{ name: 'A', tasks: [] }, { name: 'A', tasks: [''] }] })).toHaveLength(3);
+});
@@ -0,0 +1,39 @@
+import { slugify } from './hierarchy';
+
+// A job (tenant) is everything under /artifacts/{tenantId}: its own members, templates, units and
+// QR labels. The deployment's __app_id is the default job, which older links and labels belong
+// to. A new job's ID starts with the ID of the job it was created from, which is how
+// firestore.rules tells a brand-new job from an existing one.
+
+const LAST_TENANT_KEY = 'punchlist-last-job';
+
+export const createTenantId = (parentTenantId, name, now = Date.now()) => (
+    `${parentTenantId}--${slugify(name) || 'job'}-${now.toString(36)}`
+);
+
+export const getTenantLabel = (tenant) => tenant.name || tenant.id;
+
+// The job a link without one opens: the last job used on this device for the bare home page,
+// otherwise the default job
+export const resolveTenantId = (route, defaultTenantId, lastTenantId = readLastTenantId()) => {
+    if (route.tenantId) return route.tenantId;
+    const location = route.location || {};
+    const isBareHome = route.page === 'home' && Object.keys(location).length === 0 && !route.search;
+    return (isBareHome && lastTenantId) || defaultTenantId;
+};
+
+export const readLastTenantId = () => {
+    try {
+        return window.localStorage.getItem(LAST_TENANT_KEY);
+    } catch (error) {
+        return null;
+    }
+};
+
+export const saveLastTenantId = (tenantId) => {
+    try {
+        window.localStorage.setItem(LAST_TENANT_KEY, tenantId);
+    } catch (error) {
+        console.error("Could not remember the current job:", error);
+    }
+};
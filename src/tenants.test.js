@@ -0,0 +1,17 @@
+import { createTenantId, getTenantLabel, resolveTenantId } from './tenants';
+
+test('new job IDs extend the job they were started from', () => {
+  expect(createTenantId('default-app-id', 'North Tower!', 1700000000000)).toBe('default-app-id--north-tower-loyw3v28');
+  expect(createTenantId('tower', '***', 36)).toBe('tower--job-10');
+  expect(getTenantLabel({ id: 'tower', name: null })).toBe('tower');
+  expect(getTenantLabel({ id: 'tower', name: 'North Tower' })).toBe('North Tower');
+});
+
+test('links without a job open the default job, except the bare home page', () => {
+  const home = { page: 'home', location: {}, search: '' };
+  expect(resolveTenantId({ ...home, tenantId: 'annex' }, 'main', 'tower')).toBe('annex');
+  expect(resolveTenantId(home, 'main', 'tower')).toBe('tower');
+  expect(resolveTenantId(home, 'main', null)).toBe('main');
+  expect(resolveTenantId({ ...home, search: '?status=Complete' }, 'main', 'tower')).toBe('main');
+  expect(resolveTenantId({ page: 'unit', unitId: 'A-101', trade: null, search: '' }, 'main', 'tower')).toBe('main');
+});
@@ -0,0 +1,77 @@
+import { getUnitProgress, deriveUnitStatus } from './unitProgress';
+import { getTaskAssignment } from './assignments';
+
+// Search, filter and sort for the unit grid. Filters round-trip through the query string so
+// a filtered view can be shared as a link. `buildingId` and `assignee` take 'unassigned' for
+// units outside any building and open work nobody is assigned to.
+
+export const UNASSIGNED = 'unassigned';
+
+export const SORT_OPTIONS = {
+    name: 'Name',
+    'percent-asc': '% complete, lowest first',
+    'percent-desc': '% complete, highest first'
+};
+
+export const DEFAULT_UNIT_FILTERS = { q: '', buildingId: '', status: '', trade: '', assignee: '', sort: 'name' };
+
+// Query string keys for each filter
+const PARAMS = { q: 'q', buildingId: 'building', status: 'status', trade: 'trade', assignee: 'assignee', sort: 'sort' };
+
+export const parseUnitFilters = (search) => {
+    const params = new URLSearchParams(search);
+    const filters = { ...DEFAULT_UNIT_FILTERS };
+    Object.entries(PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) filters[key] = params.get(param);
+    });
+    if (!SORT_OPTIONS[filters.sort]) filters.sort = DEFAULT_UNIT_FILTERS.sort;
+    return filters;
+};
+
+// Only values that differ from the defaults are written, so an unfiltered view has a clean URL
+export const serializeUnitFilters = (filters) => {
+    const params = new URLSearchParams();
+    Object.entries(PARAMS).forEach(([key, param]) => {
+        if (filters[key] && filters[key] !== DEFAULT_UNIT_FILTERS[key]) params.set(param, filters[key]);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+// Sorting alone keeps the hierarchy view; anything else switches to a flat list of matches
+export const hasActiveFilters = (filters) => ['q', 'buildingId', 'status', 'trade', 'assignee'].some(key => !!filters[key]);
+
+const hasOpenTask = (unit, matches) => Object.entries(unit.trades || {})
+    .some(([tradeName, tasks]) => tasks.some(task => !task.completed && matches(tradeName, task)));
+
+const matchesFilters = (unit, filters) => {
+    const search = filters.q.trim().toLowerCase();
+    if (search && !unit.id.toLowerCase().includes(search) && !String(unit.address || '').toLowerCase().includes(search)) {
+        return false;
+    }
+    if (filters.buildingId && (unit.buildingId || UNASSIGNED) !== filters.buildingId) {
+        return false;
+    }
+    if (filters.status && deriveUnitStatus(unit.trades, !!unit.inspectionPassed) !== filters.status) {
+        return false;
+    }
+    if (filters.trade && !hasOpenTask(unit, tradeName => tradeName === filters.trade)) {
+        return false;
+    }
+    if (filters.assignee && !hasOpenTask(unit, (tradeName, task) => (getTaskAssignment(unit, tradeName, task).subcontractorId || UNASSIGNED) === filters.assignee)) {
+        return false;
+    }
+    return true;
+};
+
+const compareNames = (a, b) => a.id.localeCompare(b.id, undefined, { numeric: true });
+
+export const sortUnits = (units, sort = DEFAULT_UNIT_FILTERS.sort) => {
+    if (sort === 'name') return [...units].sort(compareNames);
+    const direction = sort === 'percent-desc' ? -1 : 1;
+    const percents = new Map(units.map(unit => [unit.id, getUnitProgress(unit.trades).percent]));
+    return [...units].sort((a, b) => (percents.get(a.id) - percents.get(b.id)) * direction || compareNames(a, b));
+};
+
+// units should already include queued task changes so the grid matches what people see
+export const applyUnitFilters = (units, filters) => sortUnits(units.filter(unit => matchesFilters(unit, filters)), filters.sort);
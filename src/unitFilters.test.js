@@ -0,0 +1,62 @@
+import { DEFAULT_UNIT_FILTERS, parseUnitFilters, serializeUnitFilters, hasActiveFilters, applyUnitFilters, sortUnits } from './unitFilters';
+
+const units = [
+  {
+    id: 'A-110',
+    address: '12 Oak Street',
+    buildingId: 'p--a',
+    assignments: { Electrical: { subcontractorId: 'sparks' } },
+    trades: {
+      Electrical: [{ id: 'e1', task: 'Outlets', completed: true }, { id: 'e2', task: 'Fixtures', completed: false }],
+      Plumbing: [{ id: 'p1', task: 'Valves', completed: true }]
+    }
+  },
+  {
+    id: 'A-102',
+    address: '14 Oak Street',
+    buildingId: 'p--a',
+    trades: {
+      Electrical: [{ id: 'e3', task: 'Outlets', completed: true }],
+      Plumbing: [{ id: 'p2', task: 'Valves', completed: false, assignedTo: 'sparks' }]
+    }
+  },
+  { id: 'B-101', address: '3 Elm Road', buildingId: 'p--b', trades: { Plumbing: [{ id: 'p3', task: 'Valves', completed: true }] } },
+  { id: 'Loose-9', address: '', trades: { Plumbing: [{ id: 'p4', task: 'Valves', completed: false }] } }
+];
+
+const ids = (filters) => applyUnitFilters(units, { ...DEFAULT_UNIT_FILTERS, ...filters }).map(unit => unit.id);
+
+test('round-trips filters through the query string', () => {
+  const filters = { ...DEFAULT_UNIT_FILTERS, q: 'oak st', trade: 'Electrical', sort: 'percent-desc' };
+  expect(serializeUnitFilters(filters)).toBe('?q=oak+st&trade=Electrical&sort=percent-desc');
+  expect(parseUnitFilters('?q=oak+st&trade=Electrical&sort=percent-desc')).toEqual(filters);
+  expect(serializeUnitFilters(DEFAULT_UNIT_FILTERS)).toBe('');
+  expect(parseUnitFilters('?sort=bogus&unitId=A-110')).toEqual(DEFAULT_UNIT_FILTERS);
+});
+
+test('sorting alone does not count as filtering', () => {
+  expect(hasActiveFilters({ ...DEFAULT_UNIT_FILTERS, sort: 'percent-asc' })).toBe(false);
+  expect(hasActiveFilters({ ...DEFAULT_UNIT_FILTERS, status: 'Ready for Inspection' })).toBe(true);
+});
+
+test('searches unit IDs and addresses without regard to case', () => {
+  expect(ids({ q: 'OAK' })).toEqual(['A-102', 'A-110']);
+  expect(ids({ q: 'b-1' })).toEqual(['B-101']);
+});
+
+test('filters by building, status, open trade and assignee', () => {
+  expect(ids({ buildingId: 'p--a' })).toEqual(['A-102', 'A-110']);
+  expect(ids({ buildingId: 'unassigned' })).toEqual(['Loose-9']);
+  expect(ids({ status: 'Ready for Inspection' })).toEqual(['B-101']);
+  expect(ids({ status: 'Not Started' })).toEqual(['Loose-9']);
+  expect(ids({ trade: 'Electrical' })).toEqual(['A-110']);
+  expect(ids({ assignee: 'sparks' })).toEqual(['A-102', 'A-110']);
+  expect(ids({ assignee: 'unassigned' })).toEqual(['Loose-9']);
+  expect(ids({ buildingId: 'p--a', trade: 'Plumbing' })).toEqual(['A-102']);
+});
+
+test('sorts by name with numbers in order, or by percent complete', () => {
+  expect(sortUnits(units, 'name').map(unit => unit.id)).toEqual(['A-102', 'A-110', 'B-101', 'Loose-9']);
+  expect(sortUnits(units, 'percent-asc').map(unit => unit.id)).toEqual(['Loose-9', 'A-102', 'A-110', 'B-101']);
+  expect(sortUnits(units, 'percent-desc').map(unit => unit.id)).toEqual(['B-101', 'A-110', 'A-102', 'Loose-9']);
+});
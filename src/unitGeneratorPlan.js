@@ -0,0 +1,74 @@
+// Builds the list of units a bulk generation will create from the generator form settings
+
+export const MAX_GENERATED_UNITS = 2000;
+
+export const DEFAULT_GENERATOR_SETTINGS = {
+    buildingNames: 'BuildingA, BuildingB',
+    floorCount: 2,
+    startFloor: 1,
+    unitsPerFloor: 20,
+    numberPattern: '{floor}{unit:2}',
+    idTemplate: '{building}-Unit{number}',
+    addressTemplate: '{building} Address, Unit {number}'
+};
+
+// Replaces {name} tokens; {name:3} zero-pads a number to 3 digits
+export const formatTemplate = (template, values) => template.replace(/\{(\w+)(?::(\d+))?\}/g, (token, key, width) => {
+    if (!(key in values)) return token;
+    const value = String(values[key]);
+    return width ? value.padStart(parseInt(width, 10), '0') : value;
+});
+
+export const parseBuildingNames = (value) => [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+
+export const validateGeneratorSettings = (settings) => {
+    const errors = [];
+    if (parseBuildingNames(settings.buildingNames).length === 0) errors.push("Enter at least one building name.");
+    if (!(settings.floorCount >= 1)) errors.push("Floors must be at least 1.");
+    if (!(settings.startFloor >= 1)) errors.push("The first floor must be at least 1.");
+    if (!(settings.unitsPerFloor >= 1)) errors.push("Units per floor must be at least 1.");
+    if (!settings.idTemplate.includes('{number}') && !settings.idTemplate.includes('{unit')) {
+        errors.push("The unit ID pattern must include {number} or {unit} so every unit gets a different ID.");
+    }
+    return errors;
+};
+
+// One entry per unit, in building / floor / unit order
+export const buildGeneratorPlan = (settings) => {
+    const units = [];
+    parseBuildingNames(settings.buildingNames).forEach(buildingName => {
+        for (let floor = settings.startFloor; floor < settings.startFloor + settings.floorCount; floor++) {
+            for (let unit = 1; unit <= settings.unitsPerFloor; unit++) {
+                const number = formatTemplate(settings.numberPattern, { floor, unit });
+                const values = { building: buildingName, floor, unit, number };
+                units.push({
+                    id: formatTemplate(settings.idTemplate, values),
+                    address: formatTemplate(settings.addressTemplate, values),
+                    buildingName,
+                    floor
+                });
+            }
+        }
+    });
+    return units;
+};
+
+// IDs that already exist, repeat within the plan, or can't be used as a Firestore document ID
+export const findPlanProblems = (plannedUnits, existingIds) => {
+    const existing = new Set(existingIds);
+    const seen = new Set();
+    const collisions = [];
+    const duplicates = [];
+    const invalid = [];
+    plannedUnits.forEach(unit => {
+        if (!unit.id || unit.id.includes('/') || unit.id === '.' || unit.id === '..') {
+            invalid.push(unit.id);
+        } else if (seen.has(unit.id)) {
+            duplicates.push(unit.id);
+        } else if (existing.has(unit.id)) {
+            collisions.push(unit.id);
+        }
+        seen.add(unit.id);
+    });
+    return { collisions, duplicates, invalid };
+};
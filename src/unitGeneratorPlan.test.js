@@ -0,0 +1,24 @@
+import { formatTemplate, buildGeneratorPlan, findPlanProblems, validateGeneratorSettings, DEFAULT_GENERATOR_SETTINGS } from './unitGeneratorPlan';
+
+test('fills and zero-pads template tokens', () => {
+  expect(formatTemplate('{floor}{unit:2}', { floor: 2, unit: 7 })).toBe('207');
+  expect(formatTemplate('{building}-{missing}', { building: 'A' })).toBe('A-{missing}');
+});
+
+test('numbers units per floor', () => {
+  const plan = buildGeneratorPlan({ ...DEFAULT_GENERATOR_SETTINGS, buildingNames: 'North', floorCount: 2, unitsPerFloor: 20 });
+  expect(plan).toHaveLength(40);
+  expect(plan[0]).toEqual({ id: 'North-Unit101', address: 'North Address, Unit 101', buildingName: 'North', floor: 1 });
+  expect(plan[19].id).toBe('North-Unit120');
+  expect(plan[20].id).toBe('North-Unit201');
+});
+
+test('reports collisions, duplicates and invalid ids', () => {
+  const problems = findPlanProblems([{ id: 'A-1' }, { id: 'A-2' }, { id: 'A-2' }, { id: 'A/3' }], ['A-1']);
+  expect(problems).toEqual({ collisions: ['A-1'], duplicates: ['A-2'], invalid: ['A/3'] });
+});
+
+test('requires a varying unit id pattern', () => {
+  expect(validateGeneratorSettings({ ...DEFAULT_GENERATOR_SETTINGS, idTemplate: '{building}' })).toHaveLength(1);
+  expect(validateGeneratorSettings(DEFAULT_GENERATOR_SETTINGS)).toEqual([]);
+});
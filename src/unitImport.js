@@ -0,0 +1,137 @@
+import { createTaskId } from './taskOperations';
+import { getTemplateUnitFields } from './templates';
+import { MAX_GENERATED_UNITS } from './unitGeneratorPlan';
+
+// Spreadsheet import of units. One row per unit, or several rows per unit with a Trade and
+// Task each. Units named in the Template column start from that template and get the task
+// rows added; units with only task rows get just those tasks; anything else gets the
+// default template. Column names match the punch list export, so an export can be edited
+// and re-imported as new units.
+
+export const IMPORT_COLUMNS = ['Unit', 'Address', 'Building', 'Floor', 'Template', 'Trade', 'Task', 'Completed'];
+
+export const IMPORT_EXAMPLE_ROWS = [
+    { Unit: 'BuildingA-Unit101', Address: '101 Main St', Building: 'BuildingA', Floor: 1, Template: '', Trade: '', Task: '', Completed: '' },
+    { Unit: 'BuildingA-Unit102', Address: '102 Main St', Building: 'BuildingA', Floor: 1, Template: '', Trade: 'Electrical', Task: 'Install outlets', Completed: '' },
+    { Unit: 'BuildingA-Unit102', Address: '', Building: '', Floor: '', Template: '', Trade: 'Electrical', Task: 'Hang fixtures', Completed: 'yes' }
+];
+
+const TRUE_VALUES = ['yes', 'y', 'true', 'x', '1', 'completed', 'complete', 'done'];
+
+// Lower-cased, trimmed column names so "unit ", "UNIT" and "Unit" all work
+const normalizeRow = (row) => {
+    const normalized = {};
+    Object.entries(row).forEach(([key, value]) => {
+        normalized[String(key).trim().toLowerCase()] = value === null || value === undefined ? '' : String(value).trim();
+    });
+    return normalized;
+};
+
+const findTemplate = (templates, value) => {
+    const wanted = value.toLowerCase();
+    return templates.find(template => template.id.toLowerCase() === wanted || template.name.toLowerCase() === wanted);
+};
+
+// rows are objects keyed by column header, in sheet order (the header is spreadsheet row 1).
+// Returns { units, errors } where errors are { row, message }; nothing should be written
+// while there are errors. templates[0] is used when a unit has no template or task rows.
+export const parseUnitImportRows = (rows, { templates, existingUnitIds = [] }) => {
+    const errors = [];
+    const existing = new Set(existingUnitIds);
+    const drafts = new Map();
+
+    rows.forEach((rawRow, index) => {
+        const rowNumber = index + 2;
+        const row = normalizeRow(rawRow);
+        const addError = (message) => errors.push({ row: rowNumber, message });
+        if (Object.values(row).every(value => value === '')) return;
+
+        const unitId = row.unit || '';
+        if (!unitId) {
+            addError("Unit is required.");
+            return;
+        }
+        if (unitId.includes('/')) {
+            addError(`Unit "${unitId}" can't contain "/".`);
+            return;
+        }
+        if (existing.has(unitId)) {
+            addError(`Unit "${unitId}" already exists.`);
+            return;
+        }
+
+        if (!drafts.has(unitId)) {
+            drafts.set(unitId, { id: unitId, row: rowNumber, address: '', buildingName: null, floor: null, template: null, tasks: [] });
+        }
+        const draft = drafts.get(unitId);
+
+        if (row.address) {
+            if (draft.address && draft.address !== row.address) {
+                addError(`Unit "${unitId}" has a different address on an earlier row.`);
+            }
+            draft.address = draft.address || row.address;
+        }
+
+        if (row.building || row.floor) {
+            const floor = Number(row.floor);
+            if (!row.building) {
+                addError("Building is required when Floor is given.");
+            } else if (!Number.isInteger(floor) || floor < 1) {
+                addError(`Floor must be a whole number of at least 1 (got "${row.floor}").`);
+            } else if (draft.buildingName && (draft.buildingName !== row.building || draft.floor !== floor)) {
+                addError(`Unit "${unitId}" is placed differently on an earlier row.`);
+            } else {
+                draft.buildingName = row.building;
+                draft.floor = floor;
+            }
+        }
+
+        if (row.template) {
+            const template = findTemplate(templates, row.template);
+            if (!template) {
+                addError(`Unknown template "${row.template}".`);
+            } else {
+                draft.template = template;
+            }
+        }
+
+        if (row.trade || row.task) {
+            if (!row.trade || !row.task) {
+                addError("Trade and Task must be given together.");
+            } else if (draft.tasks.some(task => task.trade === row.trade && task.task === row.task)) {
+                addError(`"${row.task}" is listed twice for ${row.trade} on unit "${unitId}".`);
+            } else {
+                draft.tasks.push({ trade: row.trade, task: row.task, completed: TRUE_VALUES.includes((row.completed || '').toLowerCase()) });
+            }
+        }
+    });
+
+    drafts.forEach(draft => {
+        if (!draft.address) {
+            errors.push({ row: draft.row, message: `Unit "${draft.id}" needs an address.` });
+        }
+    });
+    if (drafts.size > MAX_GENERATED_UNITS) {
+        errors.push({ row: null, message: `The file has ${drafts.size} units. Import at most ${MAX_GENERATED_UNITS} at a time.` });
+    }
+
+    const units = [...drafts.values()].map(draft => {
+        const baseTemplate = draft.template || (draft.tasks.length > 0 ? null : templates[0]);
+        const fields = baseTemplate ? getTemplateUnitFields(baseTemplate) : { templateId: null, trades: {}, tradeOrder: [] };
+        draft.tasks.forEach(({ trade, task, completed }) => {
+            if (!fields.trades[trade]) {
+                fields.trades[trade] = [];
+                fields.tradeOrder.push(trade);
+            }
+            const existingTask = fields.trades[trade].find(item => item.task === task);
+            if (existingTask) {
+                existingTask.completed = completed;
+            } else {
+                fields.trades[trade].push({ id: createTaskId(), task, completed });
+            }
+        });
+        return { id: draft.id, address: draft.address, buildingName: draft.buildingName, floor: draft.floor, ...fields };
+    });
+
+    return { units, errors: errors.sort((a, b) => (a.row || 0) - (b.row || 0)) };
+};
@@ -0,0 +1,48 @@
+import { parseUnitImportRows, IMPORT_EXAMPLE_ROWS } from './unitImport';
+import { DEFAULT_TEMPLATE } from './templates';
+
+const templates = [DEFAULT_TEMPLATE, { id: 'studio', name: 'Studio', trades: [{ name: 'Painting', tasks: ['Touch up'] }] }];
+
+test('imports units with addresses, placement and task rows', () => {
+  const { units, errors } = parseUnitImportRows(IMPORT_EXAMPLE_ROWS, { templates });
+  expect(errors).toEqual([]);
+  expect(units).toHaveLength(2);
+  // No template and no task rows: the default template
+  expect(units[0]).toMatchObject({ id: 'BuildingA-Unit101', address: '101 Main St', buildingName: 'BuildingA', floor: 1, templateId: DEFAULT_TEMPLATE.id });
+  // Task rows only: just those tasks
+  expect(units[1].templateId).toBeNull();
+  expect(units[1].tradeOrder).toEqual(['Electrical']);
+  expect(units[1].trades.Electrical.map(task => [task.task, task.completed])).toEqual([['Install outlets', false], ['Hang fixtures', true]]);
+});
+
+test('adds task rows to a named template and accepts loose headers', () => {
+  const { units, errors } = parseUnitImportRows([
+    { ' unit ': 'S1', ADDRESS: '1 Side St', template: 'studio', Trade: 'Flooring', Task: 'Seal grout' }
+  ], { templates });
+  expect(errors).toEqual([]);
+  expect(units[0].templateId).toBe('studio');
+  expect(units[0].tradeOrder).toEqual(['Painting', 'Flooring']);
+  expect(units[0].buildingName).toBeNull();
+});
+
+test('reports every problem with its spreadsheet row', () => {
+  const { errors } = parseUnitImportRows([
+    { Unit: '', Address: 'x' },
+    { Unit: 'A/1', Address: 'x' },
+    { Unit: 'Existing', Address: 'x' },
+    { Unit: 'U1', Address: '1 St', Building: 'A', Floor: 'two' },
+    { Unit: 'U1', Address: '2 St', Template: 'Nope' },
+    { Unit: 'U2', Trade: 'Electrical' },
+    { Unit: '', Address: '' }
+  ], { templates, existingUnitIds: ['Existing'] });
+  expect(errors).toEqual([
+    { row: 2, message: 'Unit is required.' },
+    { row: 3, message: 'Unit "A/1" can\'t contain "/".' },
+    { row: 4, message: 'Unit "Existing" already exists.' },
+    { row: 5, message: 'Floor must be a whole number of at least 1 (got "two").' },
+    { row: 6, message: 'Unit "U1" has a different address on an earlier row.' },
+    { row: 6, message: 'Unknown template "Nope".' },
+    { row: 7, message: 'Trade and Task must be given together.' },
+    { row: 7, message: 'Unit "U2" needs an address.' }
+  ]);
+});
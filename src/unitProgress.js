@@ -0,0 +1,55 @@
+import { getTaskVerification } from './taskOperations';
+
+export const UNIT_STATUSES = ['Not Started', 'In Progress', 'Ready for Inspection', 'Complete'];
+
+// A task is Open, then Completed by the trade, then Verified by the superintendent.
+// `completed` stays true once verified so progress counts keep working; the verification itself
+// is kept in the unit's verifications (see getTaskVerification).
+export const TASK_STATUSES = {
+    open: { label: 'Open', className: 'text-red-700' },
+    completed: { label: 'Completed by trade', className: 'text-yellow-700' },
+    verified: { label: 'Verified', className: 'text-green-700' }
+};
+
+// verification is the task's from getTaskVerification, or null
+export const getTaskStatus = (task, verification = null) => {
+    if (!task.completed) return 'open';
+    return verification ? 'verified' : 'completed';
+};
+
+const toPercent = (completed, total) => (total === 0 ? 0 : Math.round((completed / total) * 100));
+
+export const getTaskProgress = (tasks = [], verifications = {}, tradeName = null) => {
+    const completed = tasks.filter(task => task.completed).length;
+    const verified = tasks.filter(task => getTaskVerification(verifications, tradeName, task)).length;
+    return { completed, verified, total: tasks.length, percent: toPercent(completed, tasks.length) };
+};
+
+// Completion per trade plus the rollup for the whole unit
+export const getUnitProgress = (trades = {}, verifications = {}) => {
+    const byTrade = {};
+    let completed = 0;
+    let total = 0;
+    Object.entries(trades).forEach(([tradeName, tasks]) => {
+        byTrade[tradeName] = getTaskProgress(tasks, verifications, tradeName);
+        completed += byTrade[tradeName].completed;
+        total += byTrade[tradeName].total;
+    });
+    return { completed, total, percent: toPercent(completed, total), byTrade };
+};
+
+// Status follows from the tasks: nothing done, some done, everything done and waiting on
+// the inspector, or everything done and the unit has passed inspection
+export const deriveUnitStatus = (trades = {}, inspectionPassed = false) => {
+    const { completed, total } = getUnitProgress(trades);
+    if (total === 0 || completed === 0) return 'Not Started';
+    if (completed < total) return 'In Progress';
+    return inspectionPassed ? 'Complete' : 'Ready for Inspection';
+};
+
+export const STATUS_COLORS = {
+    'Not Started': { text: 'text-gray-700', bar: 'bg-gray-400' },
+    'In Progress': { text: 'text-blue-700', bar: 'bg-blue-600' },
+    'Ready for Inspection': { text: 'text-yellow-700', bar: 'bg-yellow-500' },
+    'Complete': { text: 'text-green-700', bar: 'bg-green-600' }
+};
@@ -0,0 +1,29 @@
+import { getUnitProgress, deriveUnitStatus, getTaskStatus } from './unitProgress';
+
+const trades = (...completedFlags) => ({
+  Electrical: completedFlags.slice(0, 2).map((completed, i) => ({ task: `E${i}`, completed })),
+  Plumbing: completedFlags.slice(2).map((completed, i) => ({ task: `P${i}`, completed }))
+});
+
+test('computes percent complete per trade and per unit', () => {
+  const progress = getUnitProgress(trades(true, true, true, false));
+  expect(progress.byTrade.Electrical).toEqual({ completed: 2, verified: 0, total: 2, percent: 100 });
+  expect(progress.byTrade.Plumbing).toEqual({ completed: 1, verified: 0, total: 2, percent: 50 });
+  expect(progress).toMatchObject({ completed: 3, total: 4, percent: 75 });
+});
+
+test('derives status from task completion', () => {
+  expect(deriveUnitStatus({})).toBe('Not Started');
+  expect(deriveUnitStatus(trades(false, false, false, false))).toBe('Not Started');
+  expect(deriveUnitStatus(trades(true, false, false, false))).toBe('In Progress');
+  expect(deriveUnitStatus(trades(true, true, true, true))).toBe('Ready for Inspection');
+  expect(deriveUnitStatus(trades(true, true, true, true), true)).toBe('Complete');
+});
+
+test('moves tasks from open to completed to verified', () => {
+  const verification = { by: 'super@example.com', at: '2026-10-19T12:00:00.000Z', completedAt: '2026-10-19T09:00:00.000Z' };
+  expect(getTaskStatus({ completed: false })).toBe('open');
+  expect(getTaskStatus({ completed: true })).toBe('completed');
+  expect(getTaskStatus({ completed: true }, verification)).toBe('verified');
+  expect(getTaskStatus({ completed: false }, verification)).toBe('open');
+});
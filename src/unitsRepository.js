@@ -0,0 +1,338 @@
+import { applyTaskOperation, applyUnitTaskOperations, describeTaskChange, getUndoOperation } from './taskOperations';
+import { isChecklistLocked } from './inspections';
+import { deriveUnitStatus } from './unitProgress';
+import { DEFAULT_TEMPLATE, getTemplateUnitFields } from './templates';
+import { DEFAULT_PROJECT_ID, DEFAULT_PROJECT_NAME, slugify, getBuildingId } from './hierarchy';
+
+// Firestore batches are limited to 500 writes
+const MAX_BATCH_WRITES = 500;
+const HISTORY_LIMIT = 500;
+
+// Thrown for task changes to a unit whose checklist is locked by a passed inspection
+const lockedUnitError = (unitId) => {
+    const error = new Error(`${unitId} has passed inspection, so its checklist is locked until it is reopened.`);
+    error.code = 'unit-locked';
+    return error;
+};
+
+// Who made the change and when, on every history entry. userEmail is what the history shows;
+// entries written before it was stored only have userId.
+const historyAuthor = (operation) => ({
+    userId: operation.userId,
+    userEmail: operation.userEmail || null,
+    clientTime: new Date(operation.queuedAt).toISOString()
+});
+
+// change is from describeTaskChange
+const taskHistoryEntry = (change, operation) => ({ ...change, ...historyAuthor(operation) });
+
+// The unit fields that task operations write once applied. A verification only writes the
+// verifications, which subs may not change; everything else writes the trades, keeping the
+// stored status in step for anything reading it.
+const taskChangeFields = (unit, { trades, verifications }, operations) => ({
+    ...(operations.some(operation => operation.type !== 'verify') ? { trades, status: deriveUnitStatus(trades, !!unit.inspectionPassed) } : {}),
+    ...(operations.some(operation => operation.type === 'verify') ? { verifications } : {})
+});
+
+// History entries for the unit as a whole rather than one task
+const unitHistoryEntry = (action, oldValue, newValue, operation, extra = {}) => ({
+    trade: null,
+    taskId: null,
+    taskName: null,
+    action,
+    oldValue,
+    newValue,
+    ...extra,
+    ...historyAuthor(operation)
+});
+
+// Every read and write the app makes, on top of a storage backend: createFirestoreBackend in
+// the app, createMemoryBackend in tests. Components get plain objects ({ id, ...fields }) and
+// never see document references or paths. Writes reject with the backend's error.
+export const createUnitsRepository = (backend) => {
+    const set = (collectionName, id, data, options = {}) => ({ type: 'set', collection: collectionName, id, data, ...options });
+    const update = (collectionName, id, data) => ({ type: 'update', collection: collectionName, id, data });
+
+    // For writes that don't need to be all-or-nothing, only within each batch
+    const commitInBatches = async (writes) => {
+        for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+            await backend.commit(writes.slice(i, i + MAX_BATCH_WRITES));
+        }
+    };
+
+    return {
+        // 'units', 'projects', 'buildings', 'templates', 'subcontractors' or 'members'
+        subscribe: (collectionName, onData, onError) => backend.subscribeCollection(collectionName, onData, onError),
+        // onData(unit) gets null while the unit doesn't exist
+        subscribeUnit: (unitId, onData, onError) => backend.subscribeDoc('units', unitId, onData, onError),
+        subscribeMember: (memberId, onData, onError) => backend.subscribeDoc('members', memberId, onData, onError),
+        // A unit's change log, newest first
+        subscribeHistory: (unitId, onData, onError) => backend.subscribeHistory(unitId, HISTORY_LIMIT, onData, onError),
+
+        getUnit: (unitId) => backend.get('units', unitId),
+
+        addUnit: (unitId, address, placement = {}, template = DEFAULT_TEMPLATE) => {
+            const templateFields = getTemplateUnitFields(template);
+            return backend.commit([set('units', unitId, {
+                address,
+                status: deriveUnitStatus(templateFields.trades),
+                ...templateFields,
+                ...placement
+            })]);
+        },
+
+        // Creates the units, their buildings and (if needed) the project, all or none. The units
+        // go in batches of up to 500 with the project and buildings in the last one, and if a
+        // batch fails the units the earlier ones wrote are deleted again before the error is
+        // rethrown. Each unit carries its template fields and may have no buildingName, in which
+        // case it stays unassigned.
+        createUnits: async (projectId, newUnits, { projects, buildings }) => {
+            const unitWrites = newUnits.map(({ id, address, buildingName, floor, templateId, trades, tradeOrder }) => set('units', id, {
+                address,
+                status: deriveUnitStatus(trades),
+                templateId,
+                trades,
+                tradeOrder,
+                ...(buildingName ? { projectId, buildingId: getBuildingId(projectId, buildingName), floor } : {})
+            }));
+            const placementWrites = [];
+            const placedUnits = newUnits.filter(unit => unit.buildingName);
+            if (placedUnits.length > 0 && !projects.some(project => project.id === projectId)) {
+                placementWrites.push(set('projects', projectId, { name: DEFAULT_PROJECT_NAME }));
+            }
+
+            const floorCounts = {};
+            placedUnits.forEach(unit => {
+                floorCounts[unit.buildingName] = Math.max(floorCounts[unit.buildingName] || 0, unit.floor);
+            });
+            Object.entries(floorCounts).forEach(([buildingName, floorCount]) => {
+                const buildingId = getBuildingId(projectId, buildingName);
+                const existing = buildings.find(building => building.id === buildingId);
+                placementWrites.push(set('buildings', buildingId, {
+                    projectId,
+                    name: buildingName,
+                    floorCount: Math.max(floorCount, existing ? existing.floorCount || 0 : 0)
+                }, { merge: true }));
+            });
+
+            const batches = [];
+            for (let i = 0; i < unitWrites.length; i += MAX_BATCH_WRITES) {
+                batches.push(unitWrites.slice(i, i + MAX_BATCH_WRITES));
+            }
+            const lastBatch = batches[batches.length - 1];
+            if (lastBatch && lastBatch.length + placementWrites.length <= MAX_BATCH_WRITES) {
+                lastBatch.push(...placementWrites);
+            } else if (placementWrites.length > 0) {
+                batches.push(placementWrites);
+            }
+
+            // Only new units are written before the last batch, so deleting them undoes it all
+            const committed = [];
+            try {
+                for (const batch of batches) {
+                    await backend.commit(batch);
+                    committed.push(...batch);
+                }
+            } catch (error) {
+                await commitInBatches(committed.map(write => ({ type: 'delete', collection: write.collection, id: write.id })));
+                throw error;
+            }
+        },
+
+        createProject: (projectId, name) => backend.commit([set('projects', projectId, { name })]),
+
+        createBuilding: (buildingId, { projectId, name, floorCount }) => backend.commit([set('buildings', buildingId, { projectId, name, floorCount })]),
+
+        // Applies a plan from planHierarchyMigration, creating the default project if it's missing
+        migrateUnits: (plan, { projects }) => {
+            const writes = [];
+            if (!projects.some(project => project.id === DEFAULT_PROJECT_ID)) {
+                writes.push(set('projects', DEFAULT_PROJECT_ID, { name: DEFAULT_PROJECT_NAME }));
+            }
+            plan.buildings.forEach(({ id, ...building }) => writes.push(set('buildings', id, building)));
+            plan.unitUpdates.forEach(({ unitId, ...placement }) => writes.push(update('units', unitId, placement)));
+            return commitInBatches(writes);
+        },
+
+        // Resolves to the template's ID, which is made up from its name for a new template
+        saveTemplate: async ({ id, ...fields }) => {
+            const templateId = id || `${slugify(fields.name) || 'template'}-${Date.now().toString(36)}`;
+            await backend.commit([set('templates', templateId, {
+                name: fields.name.trim(),
+                trades: fields.trades.map(trade => ({ name: trade.name.trim(), tasks: trade.tasks.map(task => task.trim()) }))
+            })]);
+            return templateId;
+        },
+
+        deleteTemplate: (templateId) => backend.commit([{ type: 'delete', collection: 'templates', id: templateId }]),
+
+        // Rebuilds the checklist of each unit from the template, all or none
+        pushTemplate: (template, units) => {
+            const templateFields = getTemplateUnitFields(template);
+            return backend.commit(units.map(unit => update('units', unit.id, {
+                ...templateFields,
+                status: deriveUnitStatus(templateFields.trades)
+            })));
+        },
+
+        // memberId is also kept as a field so a user's jobs can be found with one query
+        saveMember: (memberId, fields) => backend.commit([set('members', memberId, { ...fields, memberId })]),
+
+        removeMember: (memberId) => backend.commit([{ type: 'delete', collection: 'members', id: memberId }]),
+
+        saveSubcontractor: async ({ id, ...fields }) => {
+            const subcontractorId = id || `${slugify(fields.name) || 'subcontractor'}-${Date.now().toString(36)}`;
+            await backend.commit([set('subcontractors', subcontractorId, {
+                name: fields.name.trim(),
+                trade: fields.trade,
+                contactEmail: (fields.contactEmail || '').trim(),
+                phone: (fields.phone || '').trim()
+            })]);
+            return subcontractorId;
+        },
+
+        removeSubcontractor: (subcontractorId) => backend.commit([{ type: 'delete', collection: 'subcontractors', id: subcontractorId }]),
+
+        // One document per member with their notification rules, digest settings and read IDs
+        subscribeNotificationSettings: (memberId, onData, onError) => backend.subscribeDoc('notificationSettings', memberId, onData, onError),
+
+        saveNotificationSettings: (memberId, settings) => backend.commit([set('notificationSettings', memberId, settings, { merge: true })]),
+
+        // plan is { url, path, width, height, uploadedBy, uploadedAt } from uploadFloorPlan, or null
+        // to take the floor's plan down
+        saveFloorPlan: (buildingId, floor, plan) => backend.commit([
+            { type: 'update', collection: 'buildings', id: buildingId, field: ['floorPlans', String(floor)], value: plan }
+        ]),
+
+        // position is { x, y } as fractions of the plan's width and height, or null to unpin the unit
+        setUnitPlanPosition: (unitId, position) => backend.commit([
+            { type: 'update', collection: 'units', id: unitId, field: ['planPosition'], value: position }
+        ]),
+
+        // Only touches this trade's entry, so assigning two trades at once doesn't lose either
+        assignTrade: (unitId, tradeName, assignment) => backend.commit([
+            { type: 'update', collection: 'units', id: unitId, field: ['assignments', tradeName], value: assignment }
+        ]),
+
+        // Replays a queued task operation on the latest copy of the unit and appends the change
+        // to its history in the same transaction, so concurrent edits to other tasks are kept.
+        // Resolves to false if the unit no longer exists, and rejects with code 'unit-locked' if
+        // it has passed inspection since the change was made.
+        applyTaskOperation: (operation) => backend.runTransaction(async (transaction) => {
+            const unit = await transaction.get('units', operation.unitId);
+            if (!unit) return false;
+            const change = describeTaskChange(unit.trades || {}, operation, unit.verifications);
+            if (!change) return true; // Already applied, or the task is gone
+            if (isChecklistLocked(unit)) throw lockedUnitError(operation.unitId);
+            transaction.update('units', operation.unitId, taskChangeFields(unit, applyUnitTaskOperations(unit, [operation]), [operation]));
+            transaction.addHistory(operation.unitId, operation.id, taskHistoryEntry(change, operation));
+            return true;
+        }),
+
+        // Task operations across many units, for batch actions. Each transaction takes whole
+        // units, up to the batch write limit, so a failure part-way leaves every unit either fully
+        // changed or untouched. Resolves to { undoOperations, unitCount, error }: the operations
+        // that undo what actually changed, in the order to apply them (the caller stamps them like
+        // any other operation), how many units changed, and the error that stopped a later
+        // transaction, if any, so what the earlier ones committed can still be undone. Missing
+        // units and units locked by a passed inspection are left as they are.
+        applyTaskOperationsInBatches: async (operations) => {
+            const byUnit = new Map();
+            operations.forEach(operation => byUnit.set(operation.unitId, [...(byUnit.get(operation.unitId) || []), operation]));
+            // Each unit takes one write for its trades and one per history entry
+            const chunks = [];
+            let writeCount = MAX_BATCH_WRITES;
+            byUnit.forEach((unitOperations, unitId) => {
+                if (writeCount + 1 + unitOperations.length > MAX_BATCH_WRITES) {
+                    chunks.push([]);
+                    writeCount = 0;
+                }
+                chunks[chunks.length - 1].push([unitId, unitOperations]);
+                writeCount += 1 + unitOperations.length;
+            });
+
+            const runChunk = (chunk) => backend.runTransaction(async (transaction) => {
+                // Firestore needs every read before the first write
+                const units = await Promise.all(chunk.map(([unitId]) => transaction.get('units', unitId)));
+                const undo = [];
+                let changedUnitCount = 0;
+                chunk.forEach(([unitId, unitOperations], index) => {
+                    const unit = units[index];
+                    if (!unit || isChecklistLocked(unit)) return;
+                    let state = { trades: unit.trades || {}, verifications: unit.verifications || {} };
+                    const applied = [];
+                    const unitUndo = [];
+                    unitOperations.forEach(operation => {
+                        const change = describeTaskChange(state.trades, operation, state.verifications);
+                        if (!change) return;
+                        unitUndo.unshift(getUndoOperation(state.trades, operation));
+                        state = applyUnitTaskOperations(state, [operation]);
+                        applied.push(operation);
+                        transaction.addHistory(unitId, operation.id, taskHistoryEntry(change, operation));
+                    });
+                    if (applied.length === 0) return;
+                    transaction.update('units', unitId, taskChangeFields(unit, state, applied));
+                    undo.push(...unitUndo);
+                    changedUnitCount += 1;
+                });
+                return { undo, changedUnitCount };
+            });
+
+            const undoOperations = [];
+            let unitCount = 0;
+            for (const chunk of chunks) {
+                let result;
+                try {
+                    result = await runChunk(chunk);
+                } catch (error) {
+                    return { undoOperations, unitCount, error };
+                }
+                undoOperations.push(...result.undo);
+                unitCount += result.changedUnitCount;
+            }
+            return { undoOperations, unitCount, error: null };
+        },
+
+        // Stores a signed inspection (see inspections.js) on the unit. A pass locks the checklist
+        // and fails if any task was reopened meanwhile; a failure sends the failed items back with
+        // rejectOperations in the same transaction. operation is { id, unitId, inspection, userId,
+        // queuedAt }, stamped like a task operation, and rejectOperations are stamped too.
+        recordInspection: (operation, rejectOperations = []) => backend.runTransaction(async (transaction) => {
+            const unit = await transaction.get('units', operation.unitId);
+            if (!unit) throw new Error(`Unit "${operation.unitId}" no longer exists.`);
+            if (isChecklistLocked(unit)) throw lockedUnitError(operation.unitId);
+            const passed = operation.inspection.outcome === 'passed';
+            let trades = unit.trades || {};
+            if (passed && deriveUnitStatus(trades) !== 'Ready for Inspection') {
+                throw new Error("Some tasks were reopened during the inspection. Check them and inspect again.");
+            }
+            rejectOperations.forEach(rejectOperation => {
+                const change = describeTaskChange(trades, rejectOperation, unit.verifications);
+                if (!change) return;
+                trades = applyTaskOperation(trades, rejectOperation);
+                transaction.addHistory(operation.unitId, rejectOperation.id, taskHistoryEntry(change, rejectOperation));
+            });
+            transaction.update('units', operation.unitId, {
+                trades,
+                inspection: operation.inspection,
+                inspectionPassed: passed,
+                status: deriveUnitStatus(trades, passed)
+            });
+            transaction.addHistory(operation.unitId, operation.id, unitHistoryEntry('inspection', null, passed ? 'Passed' : 'Failed', operation));
+        }),
+
+        // Unlocks the checklist of a unit that passed inspection, keeping who reopened it and why
+        // on its inspection record. operation is { id, unitId, reason, userId, userEmail, queuedAt }.
+        reopenInspection: (operation) => backend.runTransaction(async (transaction) => {
+            const unit = await transaction.get('units', operation.unitId);
+            if (!unit || !isChecklistLocked(unit)) return;
+            const reopened = { reason: operation.reason, by: operation.userEmail || operation.userId, at: new Date(operation.queuedAt).toISOString() };
+            transaction.update('units', operation.unitId, {
+                inspection: { ...unit.inspection, reopened },
+                inspectionPassed: false,
+                status: deriveUnitStatus(unit.trades || {}, false)
+            });
+            transaction.addHistory(operation.unitId, operation.id, unitHistoryEntry('reopen', 'Passed', 'Reopened', operation, { reason: operation.reason }));
+        })
+    };
+};
@@ -0,0 +1,349 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { createUnitsRepository } from './unitsRepository';
+import { createMemoryBackend } from './memoryBackend';
+import { createFirestoreBackend, getDataPath } from './firestoreBackend';
+import { createSetCompletedOperation, createAddTaskOperation, createVerifyOperation, createRejectOperation, createTaskId, getTaskVerification } from './taskOperations';
+import { planBatchAction } from './batchOperations';
+import { getInspectionChecklist, setInspectionResult, buildInspectionRecord, getFailedItemOperations } from './inspections';
+import { DEFAULT_TEMPLATE, DEFAULT_TEMPLATE_ID, getTemplateUnitFields } from './templates';
+import { DEFAULT_GENERATOR_SETTINGS, buildGeneratorPlan } from './unitGeneratorPlan';
+import { parseUnitImportRows } from './unitImport';
+import { DEFAULT_PROJECT_NAME } from './hierarchy';
+import { createSuggestionService, getSuggestionContext } from './taskSuggestions';
+
+// The Firestore half runs against the emulator: `npm run test:rules`
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const firstValue = async (subscribe) => {
+  let unsubscribe;
+  const value = await new Promise((resolve, reject) => {
+    unsubscribe = subscribe(resolve, reject);
+  });
+  unsubscribe();
+  return value;
+};
+
+const byId = (items) => [...items].sort((a, b) => a.id.localeCompare(b.id));
+
+// The same behaviour is expected of every backend. setup() resolves to { repository, userId }.
+const describeRepository = (setup) => {
+  let repository;
+  let userId;
+
+  const userEmail = 'super@example.com';
+  // As useTaskOutbox queues it
+  const queued = (operation) => ({ ...operation, id: createTaskId(), userId, userEmail, queuedAt: Date.now() });
+
+  beforeEach(async () => {
+    ({ repository, userId } = await setup());
+  });
+
+  test('adds a unit from a template', async () => {
+    await repository.addUnit('A-101', '1 Main St', { projectId: 'tower', buildingId: 'tower--a', floor: 1 }, DEFAULT_TEMPLATE);
+
+    const unit = await repository.getUnit('A-101');
+    expect(unit).toMatchObject({ id: 'A-101', address: '1 Main St', status: 'Not Started', templateId: DEFAULT_TEMPLATE_ID, buildingId: 'tower--a', floor: 1 });
+    expect(unit.tradeOrder).toEqual(DEFAULT_TEMPLATE.trades.map(trade => trade.name));
+    expect(unit.trades.Electrical.map(task => task.task)).toEqual(['Rough-in wiring', 'Fixture installation']);
+    expect((await firstValue(callback => repository.subscribe('units', callback))).map(item => item.id)).toEqual(['A-101']);
+  });
+
+  test('generates units with their buildings and project', async () => {
+    const plan = buildGeneratorPlan({ ...DEFAULT_GENERATOR_SETTINGS, buildingNames: 'A', floorCount: 2, unitsPerFloor: 2 });
+    await repository.createUnits('tower', plan.map(unit => ({ ...unit, ...getTemplateUnitFields(DEFAULT_TEMPLATE) })), { projects: [], buildings: [] });
+
+    const units = byId(await firstValue(callback => repository.subscribe('units', callback)));
+    expect(units.map(unit => [unit.id, unit.floor, unit.buildingId])).toEqual([
+      ['A-Unit101', 1, 'tower--a'],
+      ['A-Unit102', 1, 'tower--a'],
+      ['A-Unit201', 2, 'tower--a'],
+      ['A-Unit202', 2, 'tower--a']
+    ]);
+    expect(await firstValue(callback => repository.subscribe('buildings', callback))).toEqual([{ id: 'tower--a', projectId: 'tower', name: 'A', floorCount: 2 }]);
+    expect(await firstValue(callback => repository.subscribe('projects', callback))).toEqual([{ id: 'tower', name: DEFAULT_PROJECT_NAME }]);
+  });
+
+  test('generates more units than fit in one batch', async () => {
+    const plan = buildGeneratorPlan({ ...DEFAULT_GENERATOR_SETTINGS, buildingNames: 'A, B', floorCount: 20, unitsPerFloor: 15 });
+    expect(plan).toHaveLength(600);
+    await repository.createUnits('tower', plan.map(unit => ({ ...unit, ...getTemplateUnitFields(DEFAULT_TEMPLATE) })), { projects: [], buildings: [] });
+
+    expect(await firstValue(callback => repository.subscribe('units', callback))).toHaveLength(600);
+    expect((await firstValue(callback => repository.subscribe('buildings', callback))).map(building => building.id).sort()).toEqual(['tower--a', 'tower--b']);
+  });
+
+  test('imports more units than fit in one batch', async () => {
+    const rows = Array.from({ length: 550 }, (_, i) => ({ Unit: `U${i + 1}`, Address: `${i + 1} Main St`, Building: 'A', Floor: String(Math.floor(i / 50) + 1) }));
+    const { units, errors } = parseUnitImportRows(rows, { templates: [DEFAULT_TEMPLATE] });
+    expect(errors).toEqual([]);
+    await repository.createUnits('tower', units, { projects: [], buildings: [] });
+
+    expect(await firstValue(callback => repository.subscribe('units', callback))).toHaveLength(550);
+    expect(await firstValue(callback => repository.subscribe('buildings', callback))).toEqual([{ id: 'tower--a', projectId: 'tower', name: 'A', floorCount: 11 }]);
+  });
+
+  test('toggles a task and records it in the unit history once', async () => {
+    await repository.addUnit('A-101', '1 Main St');
+    const task = (await repository.getUnit('A-101')).trades.Electrical[0];
+    const operation = queued(createSetCompletedOperation('A-101', 'Electrical', task, true));
+
+    await expect(repository.applyTaskOperation(operation)).resolves.toBe(true);
+    // A replay of a change that already landed writes nothing
+    await expect(repository.applyTaskOperation(operation)).resolves.toBe(true);
+
+    const unit = await repository.getUnit('A-101');
+    expect(unit.trades.Electrical[0].completed).toBe(true);
+    expect(unit.status).toBe('In Progress');
+    const history = await firstValue(callback => repository.subscribeHistory('A-101', callback));
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ id: operation.id, trade: 'Electrical', taskId: task.id, userId, userEmail, newValue: true });
+
+    await expect(repository.applyTaskOperation(queued(createSetCompletedOperation('gone', 'Electrical', task, true)))).resolves.toBe(false);
+  });
+
+  test('keeps verifications outside the trades until the task is sent back', async () => {
+    await repository.addUnit('A-101', '1 Main St');
+    const task = (await repository.getUnit('A-101')).trades.Electrical[0];
+    await repository.applyTaskOperation(queued(createSetCompletedOperation('A-101', 'Electrical', task, true)));
+    const completed = await repository.getUnit('A-101');
+
+    await repository.applyTaskOperation(queued(createVerifyOperation('A-101', 'Electrical', task)));
+    const verified = await repository.getUnit('A-101');
+    expect(verified.trades).toEqual(completed.trades);
+    expect(getTaskVerification(verified.verifications, 'Electrical', verified.trades.Electrical[0])).toMatchObject({ by: userEmail });
+
+    await repository.applyTaskOperation(queued(createRejectOperation('A-101', 'Electrical', task, 'Loose box')));
+    const rejected = await repository.getUnit('A-101');
+    expect(getTaskVerification(rejected.verifications, 'Electrical', rejected.trades.Electrical[0])).toBeNull();
+    const history = await firstValue(callback => repository.subscribeHistory('A-101', callback));
+    expect(history.map(entry => [entry.action, entry.oldValue])).toEqual([['reject', 'Verified'], ['verify', 'Completed'], ['toggle', false]]);
+  });
+
+  test('keeps verifications the same way when task operations are batched', async () => {
+    await repository.addUnit('A-101', '1 Main St');
+    const task = (await repository.getUnit('A-101')).trades.Electrical[0];
+    await repository.applyTaskOperationsInBatches([createSetCompletedOperation('A-101', 'Electrical', task, true)].map(queued));
+    const completed = await repository.getUnit('A-101');
+
+    const verify = queued(createVerifyOperation('A-101', 'Electrical', task));
+    await expect(repository.applyTaskOperationsInBatches([verify])).resolves.toMatchObject({ unitCount: 1, error: null });
+    const verified = await repository.getUnit('A-101');
+    expect(verified.trades).toEqual(completed.trades);
+    expect(getTaskVerification(verified.verifications, 'Electrical', verified.trades.Electrical[0])).toMatchObject({ by: userEmail });
+
+    // Already verified, so a replay changes nothing
+    await expect(repository.applyTaskOperationsInBatches([verify])).resolves.toMatchObject({ unitCount: 0 });
+  });
+
+  test('adds accepted task suggestions as AI tasks', async () => {
+    await repository.addUnit('A-101', '1 Main St');
+    const context = getSuggestionContext(await repository.getUnit('A-101'), 'Electrical', [DEFAULT_TEMPLATE]);
+    const suggestions = await createSuggestionService({ provider: 'mock' }).suggestTasks(context);
+    expect(suggestions.length).toBeGreaterThan(1);
+
+    const accepted = suggestions.slice(0, 2);
+    for (const name of accepted) {
+      await repository.applyTaskOperation(queued(createAddTaskOperation('A-101', 'Electrical', name, 'ai')));
+    }
+
+    const tasks = (await repository.getUnit('A-101')).trades.Electrical;
+    expect(tasks.map(task => task.task)).toEqual([...context.existingTasks, ...accepted]);
+    const history = await firstValue(callback => repository.subscribeHistory('A-101', callback));
+    expect(history.map(entry => entry.action)).toEqual(['ai-add', 'ai-add']);
+  });
+
+  test('assigns one trade without touching the others', async () => {
+    await repository.addUnit('A-101', '1 Main St');
+    await repository.assignTrade('A-101', 'Electrical', { subcontractorId: 'sparks', dueDate: '2026-01-10' });
+    await repository.assignTrade('A-101', 'Plumbing', { subcontractorId: 'pipes', dueDate: null });
+
+    expect((await repository.getUnit('A-101')).assignments).toEqual({
+      Electrical: { subcontractorId: 'sparks', dueDate: '2026-01-10' },
+      Plumbing: { subcontractorId: 'pipes', dueDate: null }
+    });
+  });
+
+  test('applies a batch action across units and undoes it', async () => {
+    await repository.addUnit('A-101', '1 Main St');
+    await repository.addUnit('A-102', '2 Main St');
+    await repository.applyTaskOperation(queued(createSetCompletedOperation('A-102', 'Electrical', (await repository.getUnit('A-102')).trades.Electrical[0], true)));
+    const before = byId(await firstValue(callback => repository.subscribe('units', callback)));
+
+    const plan = planBatchAction(before, { type: 'completeTask', trade: 'Electrical', taskName: 'Rough-in wiring' });
+    expect(plan.map(change => change.unitId)).toEqual(['A-101']);
+    const { undoOperations, unitCount, error } = await repository.applyTaskOperationsInBatches([
+      ...plan.flatMap(change => change.operations),
+      ...planBatchAction(before, { type: 'removeTrade', trade: 'Plumbing' }).flatMap(change => change.operations)
+    ].map(queued));
+    expect([unitCount, error]).toEqual([2, null]);
+
+    const changed = byId(await firstValue(callback => repository.subscribe('units', callback)));
+    expect(changed.map(unit => [unit.trades.Electrical[0].completed, Object.keys(unit.trades).includes('Plumbing'), unit.status])).toEqual([
+      [true, false, 'In Progress'],
+      [true, false, 'In Progress']
+    ]);
+    expect((await firstValue(callback => repository.subscribeHistory('A-101', callback))).map(entry => [entry.action, entry.userEmail])).toEqual([
+      ['delete-trade', userEmail],
+      ['toggle', userEmail]
+    ]);
+
+    await repository.applyTaskOperationsInBatches(undoOperations.map(queued));
+    const restored = byId(await firstValue(callback => repository.subscribe('units', callback)));
+    expect(restored.map(unit => [unit.id, unit.trades, unit.status])).toEqual(before.map(unit => [unit.id, unit.trades, unit.status]));
+  });
+
+  test('a passed inspection locks the checklist until the unit is reopened', async () => {
+    await repository.addUnit('A-101', '1 Main St');
+    const tasks = (await repository.getUnit('A-101')).trades;
+    for (const [tradeName, tradeTasks] of Object.entries(tasks)) {
+      for (const task of tradeTasks) {
+        await repository.applyTaskOperation(queued(createSetCompletedOperation('A-101', tradeName, task, true)));
+      }
+    }
+    const unit = await repository.getUnit('A-101');
+    const checklist = getInspectionChecklist(unit.trades, unit.tradeOrder);
+    const signOff = { inspector: { name: 'Ines', signature: 'data:image/png;base64,a' }, ownerRep: { name: 'Omar', signature: 'data:image/png;base64,b' } };
+    const inspect = (result) => checklist.reduce((results, { trade, tasks: items }) => items.reduce((current, task) => setInspectionResult(current, trade, task, result), results), {});
+    const at = { by: 'super@example.com', at: '2026-10-19T12:00:00.000Z' };
+
+    // A failure sends the failed items back to Open
+    const failing = setInspectionResult(inspect({ result: 'pass', note: '' }), 'Electrical', unit.trades.Electrical[0], { result: 'fail', note: 'No cover plate' });
+    await repository.recordInspection(
+      queued({ unitId: 'A-101', inspection: buildInspectionRecord(checklist, failing, signOff, at) }),
+      getFailedItemOperations('A-101', checklist, failing).map(queued)
+    );
+    let stored = await repository.getUnit('A-101');
+    expect(stored).toMatchObject({ inspectionPassed: false, status: 'In Progress', inspection: { outcome: 'failed' } });
+    expect(stored.trades.Electrical[0].rejection.reason).toBe('Failed inspection: No cover plate');
+
+    await repository.applyTaskOperation(queued(createSetCompletedOperation('A-101', 'Electrical', stored.trades.Electrical[0], true)));
+    await repository.recordInspection(queued({ unitId: 'A-101', inspection: buildInspectionRecord(checklist, inspect({ result: 'pass', note: '' }), signOff, at) }));
+    stored = await repository.getUnit('A-101');
+    expect(stored).toMatchObject({ inspectionPassed: true, status: 'Complete', inspection: { outcome: 'passed', ownerRep: { name: 'Omar' } } });
+
+    const reopenTask = queued(createSetCompletedOperation('A-101', 'Electrical', stored.trades.Electrical[0], false));
+    await expect(repository.applyTaskOperation(reopenTask)).rejects.toMatchObject({ code: 'unit-locked' });
+    await expect(repository.applyTaskOperationsInBatches([reopenTask])).resolves.toEqual({ undoOperations: [], unitCount: 0, error: null });
+
+    await repository.reopenInspection(queued({ unitId: 'A-101', reason: 'Owner found a scratch', userEmail: 'super@example.com' }));
+    stored = await repository.getUnit('A-101');
+    expect(stored).toMatchObject({ inspectionPassed: false, status: 'Ready for Inspection', inspection: { reopened: { reason: 'Owner found a scratch', by: 'super@example.com' } } });
+    await expect(repository.applyTaskOperation(reopenTask)).resolves.toBe(true);
+
+    const history = await firstValue(callback => repository.subscribeHistory('A-101', callback));
+    expect(history.slice(0, 5).map(entry => entry.action)).toEqual(['toggle', 'reopen', 'inspection', 'toggle', 'inspection']);
+    expect(history.every(entry => entry.userEmail === userEmail)).toBe(true);
+  });
+
+  test('stores a floor plan on its building and pins units on it', async () => {
+    await repository.createBuilding('tower--a', { projectId: 'tower', name: 'A', floorCount: 2 });
+    await repository.addUnit('A-201', '1 Main St', { projectId: 'tower', buildingId: 'tower--a', floor: 2 });
+    const plan = { url: 'https://example.com/plan.jpg', path: 'artifacts/app/floorPlans/tower--a/2-x.jpg', width: 2000, height: 1000, uploadedBy: userId, uploadedAt: '2026-10-19T12:00:00.000Z' };
+
+    await repository.saveFloorPlan('tower--a', 2, plan);
+    await repository.setUnitPlanPosition('A-201', { x: 0.25, y: 0.5 });
+    const buildings = await firstValue(callback => repository.subscribe('buildings', callback));
+    expect(buildings[0]).toMatchObject({ floorCount: 2, floorPlans: { 2: plan } });
+    expect((await repository.getUnit('A-201')).planPosition).toEqual({ x: 0.25, y: 0.5 });
+
+    await repository.setUnitPlanPosition('A-201', null);
+    expect((await repository.getUnit('A-201')).planPosition).toBeNull();
+  });
+
+  test('changes no unit when part of a template push fails', async () => {
+    await repository.addUnit('A-101', '1 Main St');
+    const before = await repository.getUnit('A-101');
+    const template = { id: 'short', name: 'Short', trades: [{ name: 'Painting', tasks: ['Paint'] }] };
+
+    await expect(repository.pushTemplate(template, [{ id: 'A-101' }, { id: 'gone' }])).rejects.toThrow();
+    expect(await repository.getUnit('A-101')).toEqual(before);
+
+    await repository.pushTemplate(template, [{ id: 'A-101' }]);
+    expect(Object.keys((await repository.getUnit('A-101')).trades)).toEqual(['Painting']);
+  });
+};
+
+describe('units repository on the in-memory backend', () => {
+  describeRepository(async () => ({ repository: createUnitsRepository(createMemoryBackend()), userId: 'user-1' }));
+
+  test('a batch action that fails part-way can still undo what it changed', async () => {
+    const backend = createMemoryBackend();
+    let transactionCount = 0;
+    const repository = createUnitsRepository({
+      ...backend,
+      runTransaction: (update) => {
+        transactionCount += 1;
+        return transactionCount === 2 ? Promise.reject(new Error('Network lost')) : backend.runTransaction(update);
+      }
+    });
+    const queued = (operation) => ({ ...operation, id: createTaskId(), userId: 'user-1', queuedAt: Date.now() });
+    const plan = buildGeneratorPlan({ ...DEFAULT_GENERATOR_SETTINGS, buildingNames: 'A', floorCount: 6, unitsPerFloor: 50 });
+    await repository.createUnits('tower', plan.map(unit => ({ ...unit, ...getTemplateUnitFields(DEFAULT_TEMPLATE) })), { projects: [], buildings: [] });
+    const units = await firstValue(callback => repository.subscribe('units', callback));
+    const countCompleted = async () => (await firstValue(callback => repository.subscribe('units', callback)))
+      .filter(unit => unit.trades.Electrical[0].completed).length;
+
+    const operations = planBatchAction(units, { type: 'completeTask', trade: 'Electrical', taskName: 'Rough-in wiring' }).flatMap(change => change.operations);
+    const { undoOperations, unitCount, error } = await repository.applyTaskOperationsInBatches(operations.map(queued));
+
+    // Each unit takes two writes, so the first transaction holds 250 of the 300 units
+    expect(error.message).toBe('Network lost');
+    expect(unitCount).toBe(250);
+    expect(await countCompleted()).toBe(250);
+
+    await expect(repository.applyTaskOperationsInBatches(undoOperations.map(queued))).resolves.toMatchObject({ unitCount: 250, error: null });
+    expect(await countCompleted()).toBe(0);
+  });
+
+  test('a generation that fails part-way leaves no units behind', async () => {
+    const backend = createMemoryBackend();
+    let commitCount = 0;
+    const repository = createUnitsRepository({
+      ...backend,
+      commit: (writes) => {
+        commitCount += 1;
+        return commitCount === 2 ? Promise.reject(new Error('Network lost')) : backend.commit(writes);
+      }
+    });
+    const plan = buildGeneratorPlan({ ...DEFAULT_GENERATOR_SETTINGS, buildingNames: 'A, B', floorCount: 20, unitsPerFloor: 15 });
+
+    await expect(repository.createUnits('tower', plan.map(unit => ({ ...unit, ...getTemplateUnitFields(DEFAULT_TEMPLATE) })), { projects: [], buildings: [] }))
+      .rejects.toThrow('Network lost');
+
+    // The first batch of 500 units landed and was taken back
+    expect(commitCount).toBe(3);
+    expect(await firstValue(callback => repository.subscribe('units', callback))).toEqual([]);
+    expect(await firstValue(callback => repository.subscribe('buildings', callback))).toEqual([]);
+    expect(await firstValue(callback => repository.subscribe('projects', callback))).toEqual([]);
+  });
+});
+
+describeWithEmulator('units repository on Firestore', () => {
+  const appId = 'test-app';
+  const email = 'admin@example.com';
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-punchlist',
+      firestore: { rules: fs.readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') }
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  describeRepository(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), `${getDataPath(appId)}/members/${email}`), { email, role: 'admin' });
+    });
+    const db = testEnv.authenticatedContext(email, { email }).firestore();
+    return { repository: createUnitsRepository(createFirestoreBackend(db, appId)), userId: email };
+  });
+});
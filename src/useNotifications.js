@@ -0,0 +1,73 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { getMemberId } from './permissions';
+import { showMessage } from './showMessage';
+import {
+    resolveNotificationSettings,
+    getNotifications,
+    getUnreadNotifications,
+    addReadIds,
+    isDigestDue,
+    buildNotificationDigest
+} from './notifications';
+import { createNotificationSender } from './notificationSenders';
+
+// After a failed digest, wait before trying again in the same session
+const DIGEST_RETRY_MS = 60 * 60 * 1000;
+
+// The signed-in member's inbox: notifications worked out from the units, which of them are
+// unread, and their settings. While the app is open it also sends the digest whenever one is
+// due, so a digest goes out the next time someone opens the app after the period has passed.
+// options: { senderConfig, queueEmail, tenantId } with tenantId the job digest links open.
+const useNotifications = (repository, member, units, { senderConfig, queueEmail, tenantId = null }) => {
+    const [storedSettings, setStoredSettings] = useState(null);
+    const lastDigestAttemptRef = useRef(0);
+    const memberId = member ? member.id || getMemberId(member.email) : null;
+
+    useEffect(() => {
+        setStoredSettings(null);
+        if (!repository || !memberId) return;
+        return repository.subscribeNotificationSettings(memberId, setStoredSettings, (error) => {
+            console.error("Error fetching notification settings:", error);
+        });
+    }, [repository, memberId]);
+
+    const settings = useMemo(() => resolveNotificationSettings(storedSettings, member), [storedSettings, member]);
+    const notifications = useMemo(() => getNotifications(units, member, settings), [units, member, settings]);
+    const unread = useMemo(() => getUnreadNotifications(notifications, settings.readIds), [notifications, settings.readIds]);
+
+    const saveSettings = async (changes) => {
+        try {
+            await repository.saveNotificationSettings(memberId, changes);
+            return true;
+        } catch (error) {
+            console.error("Error saving notification settings:", error);
+            showMessage(`Error saving notification settings: ${error.message}`, 'error');
+            return false;
+        }
+    };
+
+    const markRead = (ids) => saveSettings({ readIds: addReadIds(settings.readIds, ids, notifications) });
+
+    useEffect(() => {
+        if (!repository || !memberId || !navigator.onLine) return;
+        if (Date.now() - lastDigestAttemptRef.current < DIGEST_RETRY_MS || !isDigestDue(settings, unread.length)) return;
+        lastDigestAttemptRef.current = Date.now();
+        const send = async () => {
+            try {
+                const sender = createNotificationSender(senderConfig, { queueEmail });
+                // Lower-cased like the sign-in email the /mail rule compares it with
+                const digest = buildNotificationDigest(unread, { email: getMemberId(member.email), webhookUrl: settings.digest.webhookUrl, tenantId });
+                await sender.send(digest);
+                await repository.saveNotificationSettings(memberId, { lastDigestAt: new Date().toISOString() });
+            } catch (error) {
+                console.error("Error sending notification digest:", error);
+                showMessage(`Error sending notification digest: ${error.message}`, 'error');
+            }
+        };
+        send();
+    }, [repository, memberId, member, settings, unread, senderConfig, queueEmail, tenantId]);
+
+    return { notifications, unread, settings, markRead, saveSettings };
+};
+
+export default useNotifications;
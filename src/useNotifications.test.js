@@ -0,0 +1,22 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import useNotifications from './useNotifications';
+import { createUnitsRepository } from './unitsRepository';
+import { createMemoryBackend } from './memoryBackend';
+
+const units = [{
+  id: 'A-101',
+  trades: { Electrical: [{ id: 't1', task: 'Rough-in wiring', completed: true, completedAt: '2026-03-02T10:00:00.000Z' }] }
+}];
+
+test('sends a due digest to the member\'s lower-cased email', async () => {
+  const repository = createUnitsRepository(createMemoryBackend({
+    notificationSettings: { 'super@example.com': { digest: { enabled: true, frequency: 'daily' } } }
+  }));
+  const member = { id: 'super@example.com', email: 'Super@Example.com ', role: 'superintendent' };
+  const queueEmail = jest.fn().mockResolvedValue();
+
+  renderHook(() => useNotifications(repository, member, units, { senderConfig: { sender: 'email' }, queueEmail }));
+
+  await waitFor(() => expect(queueEmail).toHaveBeenCalledTimes(1));
+  expect(queueEmail.mock.calls[0][0].to).toBe('super@example.com');
+});
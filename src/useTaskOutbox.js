@@ -0,0 +1,116 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createTaskId } from './taskOperations';
+import { showMessage } from './showMessage';
+
+const RETRY_INTERVAL_MS = 30000;
+
+const readOutbox = (storageKey) => {
+    try {
+        return JSON.parse(window.localStorage.getItem(storageKey)) || [];
+    } catch (error) {
+        console.error("Could not read queued task changes:", error);
+        return [];
+    }
+};
+
+const writeOutbox = (storageKey, operations) => {
+    try {
+        window.localStorage.setItem(storageKey, JSON.stringify(operations));
+    } catch (error) {
+        console.error("Could not save queued task changes:", error);
+    }
+};
+
+// Queues task operations locally (surviving reloads) and replays them through the units
+// repository in order whenever the device is online (see applyTaskOperation there). The
+// queue is kept per job and per user because history entries can only be written by the user
+// who made the change; a job's queue is replayed while that job is open.
+const useTaskOutbox = (repository, tenantId, userId, userEmail = null) => {
+    const storageKey = `punchlist-outbox-${tenantId}-${userId}`;
+    const [pendingOperations, setPendingOperations] = useState(() => readOutbox(storageKey));
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const operationsRef = useRef(pendingOperations);
+    const storageKeyRef = useRef(storageKey);
+    const isFlushingRef = useRef(false);
+
+    // Switch to the signed-in user's queue for the job
+    useEffect(() => {
+        storageKeyRef.current = storageKey;
+        const operations = readOutbox(storageKey);
+        operationsRef.current = operations;
+        setPendingOperations(operations);
+    }, [storageKey]);
+
+    const updateOperations = useCallback((operations) => {
+        operationsRef.current = operations;
+        writeOutbox(storageKey, operations);
+        setPendingOperations(operations);
+    }, [storageKey]);
+
+    const flush = useCallback(async () => {
+        if (!repository || !userId || isFlushingRef.current || !navigator.onLine) return;
+        isFlushingRef.current = true;
+        const flushingKey = storageKeyRef.current;
+        try {
+            // Stop if the queue switches to another job or user underneath us
+            while (storageKeyRef.current === flushingKey && operationsRef.current.length > 0) {
+                const operation = operationsRef.current[0];
+                try {
+                    const unitExists = await repository.applyTaskOperation(operation);
+                    // Another job's queue is loaded now. The change stays in this job's stored
+                    // queue and is replayed harmlessly when the job is next open.
+                    if (storageKeyRef.current !== flushingKey) return;
+                    if (!unitExists) {
+                        showMessage(`Unit "${operation.unitId}" no longer exists. A queued change was discarded.`, 'error');
+                    }
+                } catch (error) {
+                    console.error("Error syncing queued task change:", error);
+                    if (storageKeyRef.current !== flushingKey) return;
+                    if (error.code !== 'permission-denied' && error.code !== 'unit-locked') {
+                        // Leave the operation queued and retry later, keeping the original order
+                        return;
+                    }
+                    // Retrying can't succeed once the server has refused the change
+                    showMessage(error.code === 'unit-locked'
+                        ? `${error.message} A queued change was discarded.`
+                        : `You don't have permission to change ${operation.trade} on ${operation.unitId}. A queued change was discarded.`, 'error');
+                }
+                updateOperations(operationsRef.current.filter(queued => queued.id !== operation.id));
+            }
+        } finally {
+            isFlushingRef.current = false;
+        }
+    }, [repository, userId, updateOperations]);
+
+    const enqueueOperation = useCallback((operation) => {
+        updateOperations([...operationsRef.current, { ...operation, id: createTaskId(), userId, userEmail, queuedAt: Date.now() }]);
+        flush();
+    }, [updateOperations, flush, userId, userEmail]);
+
+    useEffect(() => {
+        const handleOnline = () => {
+            setIsOnline(true);
+            flush();
+        };
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [flush]);
+
+    // Replay anything left over from a previous session, and keep retrying while changes are
+    // pending in case the browser reports online but Firestore can't be reached
+    useEffect(() => {
+        if (pendingOperations.length === 0) return;
+        flush();
+        const retryTimer = setInterval(flush, RETRY_INTERVAL_MS);
+        return () => clearInterval(retryTimer);
+    }, [flush, pendingOperations.length]);
+
+    return { pendingOperations, isOnline, enqueueOperation };
+};
+
+export default useTaskOutbox;
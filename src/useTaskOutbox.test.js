@@ -0,0 +1,109 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useTaskOutbox from './useTaskOutbox';
+import { createUnitsRepository } from './unitsRepository';
+import { createMemoryBackend } from './memoryBackend';
+import { createSetCompletedOperation } from './taskOperations';
+
+const storageKey = 'punchlist-outbox-job-1-user-1';
+
+let online;
+
+beforeEach(() => {
+  online = true;
+  jest.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online);
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const setOnline = (value) => act(() => {
+  online = value;
+  window.dispatchEvent(new Event(value ? 'online' : 'offline'));
+});
+
+const setUp = async () => {
+  const repository = createUnitsRepository(createMemoryBackend());
+  await repository.addUnit('A-101', '1 Main St');
+  const task = (await repository.getUnit('A-101')).trades.Electrical[0];
+  return { repository, operation: createSetCompletedOperation('A-101', 'Electrical', task, true) };
+};
+
+const isCompleted = async (repository) => (await repository.getUnit('A-101')).trades.Electrical[0].completed;
+
+test('queues changes made offline and keeps them across reloads', async () => {
+  const { repository, operation } = await setUp();
+  const { result, unmount } = renderHook(() => useTaskOutbox(repository, 'job-1', 'user-1', 'sub@example.com'));
+  setOnline(false);
+
+  act(() => result.current.enqueueOperation(operation));
+
+  expect(result.current.isOnline).toBe(false);
+  expect(result.current.pendingOperations).toHaveLength(1);
+  expect(result.current.pendingOperations[0]).toMatchObject({ unitId: 'A-101', userId: 'user-1', userEmail: 'sub@example.com' });
+  expect(await isCompleted(repository)).toBe(false);
+
+  unmount();
+  const { result: reloaded } = renderHook(() => useTaskOutbox(repository, 'job-1', 'user-1'));
+  expect(reloaded.current.pendingOperations).toHaveLength(1);
+});
+
+test('replays the queue when the device comes back online', async () => {
+  const { repository, operation } = await setUp();
+  const { result } = renderHook(() => useTaskOutbox(repository, 'job-1', 'user-1'));
+  setOnline(false);
+  act(() => result.current.enqueueOperation(operation));
+
+  setOnline(true);
+
+  await waitFor(() => expect(result.current.pendingOperations).toEqual([]));
+  expect(result.current.isOnline).toBe(true);
+  expect(await isCompleted(repository)).toBe(true);
+  expect(JSON.parse(window.localStorage.getItem(storageKey))).toEqual([]);
+});
+
+test('keeps a change queued when it fails to sync and drops one the server refuses', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { repository, operation } = await setUp();
+  const applyTaskOperation = jest.fn().mockRejectedValue(Object.assign(new Error('Could not reach the server'), { code: 'unavailable' }));
+  const { result } = renderHook(() => useTaskOutbox({ ...repository, applyTaskOperation }, 'job-1', 'user-1'));
+
+  act(() => result.current.enqueueOperation(operation));
+
+  await waitFor(() => expect(applyTaskOperation).toHaveBeenCalledTimes(1));
+  expect(result.current.pendingOperations).toHaveLength(1);
+  expect(JSON.parse(window.localStorage.getItem(storageKey))).toHaveLength(1);
+
+  applyTaskOperation.mockRejectedValue(Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' }));
+  setOnline(true);
+
+  await waitFor(() => expect(result.current.pendingOperations).toEqual([]));
+  expect(applyTaskOperation).toHaveBeenCalledTimes(2);
+});
+
+test('stops replaying when another job is opened mid-sync', async () => {
+  const { repository, operation } = await setUp();
+  let finishWrite;
+  const applyTaskOperation = jest.fn(() => new Promise(resolve => {
+    finishWrite = resolve;
+  }));
+  const otherJobOperation = { ...operation, id: 'queued-in-job-2', userId: 'user-1', queuedAt: Date.now() };
+  window.localStorage.setItem('punchlist-outbox-job-2-user-1', JSON.stringify([otherJobOperation]));
+  const { result, rerender } = renderHook(({ tenantId }) => useTaskOutbox({ ...repository, applyTaskOperation }, tenantId, 'user-1'), {
+    initialProps: { tenantId: 'job-1' }
+  });
+
+  act(() => result.current.enqueueOperation(operation));
+  await waitFor(() => expect(applyTaskOperation).toHaveBeenCalledTimes(1));
+  const jobOneQueue = JSON.parse(window.localStorage.getItem(storageKey));
+
+  rerender({ tenantId: 'job-2' });
+  await act(async () => finishWrite(true));
+
+  // Neither job's stored queue picks up the other's changes
+  expect(JSON.parse(window.localStorage.getItem(storageKey))).toEqual(jobOneQueue);
+  expect(JSON.parse(window.localStorage.getItem('punchlist-outbox-job-2-user-1'))).toEqual([otherJobOperation]);
+  expect(result.current.pendingOperations).toEqual([otherJobOperation]);
+  expect(applyTaskOperation).toHaveBeenCalledTimes(1);
+});
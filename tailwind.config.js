@@ -0,0 +1,9 @@
+// Tailwind is compiled into the bundle by react-scripts, so styles are precached with the app
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ['./src/**/*.js', './public/index.html'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};